@@ -0,0 +1,293 @@
+require('dotenv').config();
+
+const fs = require('node:fs');
+const path = require('node:path');
+const Database = require('better-sqlite3');
+const { DateTime } = require('luxon');
+
+const { loadBackupConfig } = require('./config');
+const { SCHEMA_VERSION, readSchemaVersion } = require('./db');
+const { errorMetadata, log } = require('./logger');
+const { DIRECTORY_MODE, FILE_MODE } = require('./runtime-security');
+
+const DB_FILE_NAME = 'polls.sqlite';
+const BACKUP_TIMESTAMP_FORMAT = "yyyyLLdd'T'HHmmssSSS'Z'";
+const BACKUP_FILE_PATTERN = /^polls-(\d{8}T\d{9}Z)\.sqlite$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function backupFileName(nowMillis) {
+  return `polls-${DateTime.fromMillis(nowMillis, { zone: 'utc' }).toFormat(BACKUP_TIMESTAMP_FORMAT)}.sqlite`;
+}
+
+/**
+ * List snapshots written by {@link createBackup}, newest first. Other files are ignored.
+ * @param {string} backupDir - Backup directory.
+ * @returns {{fileName: string, path: string, createdAt: number}[]} Snapshots with the time encoded in their name.
+ */
+function listBackups(backupDir) {
+  if (!fs.existsSync(backupDir)) {
+    return [];
+  }
+
+  return fs
+    .readdirSync(backupDir)
+    .map((fileName) => {
+      const match = fileName.match(BACKUP_FILE_PATTERN);
+      const createdAt = match
+        ? DateTime.fromFormat(match[1], BACKUP_TIMESTAMP_FORMAT, { zone: 'utc' })
+        : null;
+      return createdAt?.isValid
+        ? { fileName, path: path.join(backupDir, fileName), createdAt: createdAt.toMillis() }
+        : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Delete snapshots beyond the newest `retentionCount`, or older than `retentionDays` when that is set.
+ * The newest snapshot is always kept.
+ * @param {string} backupDir - Backup directory.
+ * @param {{retentionCount: number, retentionDays?: number, now?: number}} rules - Retention rules.
+ * @returns {string[]} Paths of deleted snapshots.
+ */
+function pruneBackups(backupDir, { retentionCount, retentionDays = 0, now = Date.now() }) {
+  const cutoff = retentionDays > 0 ? now - retentionDays * DAY_MS : null;
+  const expired = listBackups(backupDir).filter(
+    (backup, index) =>
+      index > 0 && (index >= retentionCount || (cutoff !== null && backup.createdAt < cutoff))
+  );
+
+  for (const backup of expired) {
+    fs.rmSync(backup.path, { force: true });
+  }
+
+  return expired.map((backup) => backup.path);
+}
+
+/**
+ * Write a consistent snapshot with SQLite's online backup API, so the bot can keep running.
+ * The snapshot is a single self-contained file (no WAL) with mode 0600.
+ * @param {{source: import('better-sqlite3').Database, backupDir: string, retentionCount: number, retentionDays?: number, now?: number}} options - Open source database, target directory and retention rules.
+ * @returns {Promise<{path: string, pruned: string[]}>} Snapshot path and snapshots removed by retention.
+ */
+async function createBackup({
+  source,
+  backupDir,
+  retentionCount,
+  retentionDays = 0,
+  now = Date.now()
+}) {
+  fs.mkdirSync(backupDir, { recursive: true, mode: DIRECTORY_MODE });
+  fs.chmodSync(backupDir, DIRECTORY_MODE);
+
+  const backupPath = path.join(backupDir, backupFileName(now));
+  const partialPath = `${backupPath}.partial`;
+
+  try {
+    // Created empty with 0600 first so the snapshot is never readable under a looser umask.
+    fs.rmSync(partialPath, { force: true });
+    fs.writeFileSync(partialPath, '', { mode: FILE_MODE, flag: 'wx' });
+    await source.backup(partialPath);
+
+    const snapshot = new Database(partialPath);
+    try {
+      snapshot.pragma('journal_mode = DELETE');
+    } finally {
+      snapshot.close();
+    }
+
+    fs.renameSync(partialPath, backupPath);
+  } catch (error) {
+    fs.rmSync(partialPath, { force: true });
+    throw error;
+  }
+
+  return {
+    path: backupPath,
+    pruned: pruneBackups(backupDir, { retentionCount, retentionDays, now })
+  };
+}
+
+/**
+ * Run SQLite's integrity check on a database file without modifying it.
+ * @param {string} filePath - SQLite file to check.
+ * @returns {{ok: boolean, problems: string[], schemaVersion: number|null}} Integrity result and the file's schema version (`null` if it could not be read).
+ */
+function checkDatabaseFile(filePath) {
+  let db = null;
+  try {
+    db = new Database(filePath, { readonly: true, fileMustExist: true });
+    const problems = db
+      .pragma('integrity_check')
+      .map((row) => row.integrity_check)
+      .filter((message) => message !== 'ok');
+    db.close();
+    db = null;
+
+    return { ok: problems.length === 0, problems, schemaVersion: readSchemaVersion(filePath) };
+  } catch (error) {
+    db?.close();
+    return {
+      ok: false,
+      problems: [error instanceof Error ? error.message : String(error)],
+      schemaVersion: null
+    };
+  }
+}
+
+// Any open connection, such as a running bot's, holds a lock that makes this exclusive lock fail.
+function assertDatabaseNotInUse(dbPath) {
+  const db = new Database(dbPath, { fileMustExist: true, timeout: 0 });
+  try {
+    db.pragma('locking_mode = EXCLUSIVE');
+    db.exec('BEGIN EXCLUSIVE');
+    db.exec('COMMIT');
+  } catch (error) {
+    if (error?.code === 'SQLITE_BUSY') {
+      throw new Error(
+        `Database ${dbPath} is in use, probably by the running bot. Stop the bot before restoring. The live database was not changed.`
+      );
+    }
+    throw error;
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Replace the live database with a verified snapshot. The bot must be stopped first.
+ * The previous database (with its WAL files) is kept next to it as `<db>.pre-restore-<timestamp>`.
+ * @param {{backupPath: string, dbPath: string, now?: number}} options - Snapshot and live database paths.
+ * @returns {{restoredFrom: string, previousPath: string|null}} What was restored and where the old database went.
+ * @throws {Error} If the live database is open elsewhere, or the snapshot fails the integrity check or is newer than this release.
+ */
+function restoreBackup({ backupPath, dbPath, now = Date.now() }) {
+  if (fs.existsSync(dbPath)) {
+    assertDatabaseNotInUse(dbPath);
+  }
+
+  const stagingPath = `${dbPath}.restoring`;
+  fs.copyFileSync(backupPath, stagingPath);
+  fs.chmodSync(stagingPath, FILE_MODE);
+
+  const check = checkDatabaseFile(stagingPath);
+  const problem = !check.ok
+    ? `failed the integrity check: ${check.problems.slice(0, 5).join('; ')}`
+    : check.schemaVersion > SCHEMA_VERSION
+      ? `has schema version ${check.schemaVersion}, newer than this release supports (${SCHEMA_VERSION})`
+      : null;
+  if (problem) {
+    fs.rmSync(stagingPath, { force: true });
+    throw new Error(`Backup ${backupPath} ${problem}. The live database was not changed.`);
+  }
+
+  let previousPath = null;
+  if (fs.existsSync(dbPath)) {
+    previousPath = `${dbPath}.pre-restore-${DateTime.fromMillis(now, { zone: 'utc' }).toFormat(BACKUP_TIMESTAMP_FORMAT)}`;
+    for (const suffix of ['', '-wal', '-shm']) {
+      if (fs.existsSync(`${dbPath}${suffix}`)) {
+        fs.renameSync(`${dbPath}${suffix}`, `${previousPath}${suffix}`);
+      }
+    }
+  }
+
+  fs.renameSync(stagingPath, dbPath);
+  return { restoredFrom: backupPath, previousPath };
+}
+
+function resolveRestoreTarget(target, backupDir) {
+  if (target === 'latest') {
+    return listBackups(backupDir)[0]?.path || null;
+  }
+
+  const candidates = [path.resolve(process.cwd(), target), path.join(backupDir, target)];
+  return candidates.find((candidate) => fs.existsSync(candidate)) || null;
+}
+
+async function runBackupCommand(config, dbPath, output) {
+  if (!fs.existsSync(dbPath)) {
+    throw new Error(`No database to back up at ${dbPath}.`);
+  }
+
+  const source = new Database(dbPath, { readonly: true, fileMustExist: true });
+  try {
+    const result = await createBackup({
+      source,
+      backupDir: config.backupDir,
+      retentionCount: config.backupRetentionCount,
+      retentionDays: config.backupRetentionDays
+    });
+    output.write(
+      `Backup written: ${result.path} (removed ${result.pruned.length} old backup(s)).\n`
+    );
+  } finally {
+    source.close();
+  }
+}
+
+function runRestoreCommand(config, dbPath, target, output) {
+  if (!target) {
+    const backups = listBackups(config.backupDir);
+    output.write('Usage: npm run restore -- <backup-file | latest>\n');
+    output.write(
+      backups.length > 0
+        ? `Backups in ${config.backupDir}:\n${backups.map((backup) => `  ${backup.fileName}`).join('\n')}\n`
+        : `No backups in ${config.backupDir}.\n`
+    );
+    process.exitCode = 1;
+    return;
+  }
+
+  const backupPath = resolveRestoreTarget(target, config.backupDir);
+  if (!backupPath) {
+    throw new Error(`Backup not found: ${target}`);
+  }
+
+  const result = restoreBackup({ backupPath, dbPath });
+  output.write(`Restored ${dbPath} from ${result.restoredFrom}.\n`);
+  if (result.previousPath) {
+    output.write(`The previous database was kept as ${result.previousPath}.\n`);
+  }
+}
+
+async function runBackupCli(argv = process.argv.slice(2), { output = process.stdout } = {}) {
+  const [command, target] = argv;
+  let config;
+
+  try {
+    config = loadBackupConfig();
+  } catch (error) {
+    log('ERROR', 'Invalid backup configuration.', errorMetadata(error));
+    process.exitCode = 1;
+    return;
+  }
+
+  const dbPath = path.join(config.dataDir, DB_FILE_NAME);
+
+  try {
+    if (command === 'backup') {
+      await runBackupCommand(config, dbPath, output);
+    } else if (command === 'restore') {
+      runRestoreCommand(config, dbPath, target, output);
+    } else {
+      throw new Error(`Unknown backup command: ${command}`);
+    }
+  } catch (error) {
+    log('ERROR', `Database ${command} failed.`, errorMetadata(error));
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  runBackupCli();
+}
+
+module.exports = {
+  checkDatabaseFile,
+  createBackup,
+  listBackups,
+  pruneBackups,
+  restoreBackup,
+  runBackupCli
+};
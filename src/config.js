@@ -1,12 +1,17 @@
 const fs = require('node:fs');
 const path = require('node:path');
 const { DateTime } = require('luxon');
+const cron = require('node-cron');
 const {
   SLOT_TEMPLATE,
+  parseSlotKeyList,
   parseWeekSpecifier,
   parseWeeklyPollCron,
   validateSlotTemplate
 } = require('./poll-slots');
+const { QUORUM_MODES } = require('./quorum');
+const { TIE_BREAK_STRATEGIES } = require('./tie-break');
+const { EXPIRED_WINNER_FALLBACKS } = require('./winner-selection');
 
 /**
  * Retrieve and validate a required environment variable.
@@ -69,6 +74,35 @@ function parseBoolean(name, fallback) {
   throw new Error(`Environment variable ${name} must be a boolean-like value.`);
 }
 
+/**
+ * Parse an environment variable as a comma-separated list of whole-hour offsets.
+ * @param {string} name - Environment variable name to read.
+ * @returns {number[]} Unique offsets sorted from largest to smallest; empty when the variable is unset.
+ * @throws {Error} If any entry is not an integer >= 1.
+ */
+function parseHourOffsetList(name) {
+  const raw = process.env[name];
+  if (!raw || !raw.trim()) {
+    return [];
+  }
+
+  const offsets = raw
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean)
+    .map((item) => {
+      if (!/^\d+$/.test(item) || Number.parseInt(item, 10) < 1) {
+        throw new Error(
+          `Environment variable ${name} must be a comma-separated list of integers >= 1.`
+        );
+      }
+
+      return Number.parseInt(item, 10);
+    });
+
+  return Array.from(new Set(offsets)).sort((a, b) => b - a);
+}
+
 /**
  * Parse an environment variable as a trimmed host/interface string or return a fallback.
  * @param {string} name - Environment variable name to read.
@@ -90,6 +124,21 @@ function parseHost(name, fallback) {
   return normalized;
 }
 
+/**
+ * Parse a retention period in weeks from an environment variable.
+ * @param {string} name - Environment variable name.
+ * @returns {number} Weeks to keep rows, or `0` to keep them forever.
+ * @throws {Error} If the value is outside 0-520.
+ */
+function parseRetentionWeeks(name) {
+  const weeks = parseInteger(name, 0);
+  if (weeks < 0 || weeks > 520) {
+    throw new Error(`${name} must be between 0 and 520.`);
+  }
+
+  return weeks;
+}
+
 /**
  * Normalize a phone number or JID into a WhatsApp contact JID.
  *
@@ -232,21 +281,79 @@ function loadClientRuntimeConfig() {
   };
 }
 
+/**
+ * Load the settings `npm run backup` / `npm run restore` need, without requiring the bot's group config.
+ * @returns {{dataDir: string, backupDir: string, backupRetentionCount: number, backupRetentionDays: number, backupAfterAnnouncement: boolean}} Backup settings; `backupRetentionDays` of `0` keeps backups regardless of age.
+ */
+function loadBackupConfig() {
+  const { dataDir } = loadClientRuntimeConfig();
+  const backupDir = process.env.BACKUP_DIR?.trim()
+    ? path.resolve(process.cwd(), process.env.BACKUP_DIR.trim())
+    : path.join(dataDir, 'backups');
+
+  const backupRetentionCount = parseInteger('BACKUP_RETENTION_COUNT', 14);
+  if (backupRetentionCount < 1 || backupRetentionCount > 1000) {
+    throw new Error('BACKUP_RETENTION_COUNT must be between 1 and 1000.');
+  }
+
+  const backupRetentionDays = parseInteger('BACKUP_RETENTION_DAYS', 0);
+  if (backupRetentionDays < 0 || backupRetentionDays > 3650) {
+    throw new Error('BACKUP_RETENTION_DAYS must be between 0 and 3650.');
+  }
+
+  return {
+    dataDir,
+    backupDir,
+    backupRetentionCount,
+    backupRetentionDays,
+    backupAfterAnnouncement: parseBoolean('BACKUP_AFTER_ANNOUNCEMENT', false)
+  };
+}
+
+/**
+ * Load the settings `npm run export` needs, without requiring the bot's voter and scheduling config.
+ * @returns {{groupId: string, dataDir: string, logRedactSensitive: boolean}} Export settings; `logRedactSensitive` decides whether phone numbers are masked by default.
+ */
+function loadExportConfig() {
+  const groupId = mustReadEnv('GROUP_ID');
+  if (!groupId.endsWith('@g.us')) {
+    throw new Error('GROUP_ID must be a WhatsApp group JID ending with @g.us');
+  }
+
+  const { dataDir, logRedactSensitive } = loadClientRuntimeConfig();
+  return { groupId, dataDir, logRedactSensitive };
+}
+
 /**
  * Load and validate runtime configuration from environment variables.
  *
  * Reads, normalizes, and validates required environment values (group and owner IDs, allowed voters,
  * numeric limits, timezone, scheduling, and I/O settings) and returns a consolidated configuration object.
  *
- * @returns {{groupId: string, ownerJid: string, allowedVoters: string[], allowedVoterSet: Set<string>, requiredVoters: number, timezone: string, pollCloseHours: number, tieOverrideHours: number, pollCron: string, pollQuestion: string, slotTemplate: {weekday:number, hour:number, minute:number}[], slotTemplateSource: string, weekSelectionMode: 'interactive'|'auto', targetWeek: string|null, clientId: string, dataDir: string, headless: boolean, commandPrefix: string, allowInsecureChromium: boolean, logRedactSensitive: boolean, logIncludeStack: boolean, commandRateLimitCount: number, commandRateLimitWindowMs: number, commandMaxLength: number, healthServerPort: number|null, healthServerHost: string}} Configuration object containing validated and derived settings:
+ * @returns {{groupId: string, ownerJid: string, allowedVoters: string[], allowedVoterSet: Set<string>, quorumMode: 'count'|'percent'|'all', requiredVoters: number, quorumPercent: number|null, minWinnerVotes: number, minWinnerVotesOwnerDm: boolean, closeWhenDecided: boolean, winnersPerWeek: number, expiredWinnerFallback: 'none'|'next-best', expiredWinnerFallbackMinVotes: number, timezone: string, pollCloseHours: number, tieOverrideHours: number, tieBreakStrategy: string, tieBreakPreference: {weekday:number, hour:number, minute:number}[], runoffPollHours: number, reminderHoursBeforeClose: number[], gameReminderHoursBefore: number[], voteReconcileIntervalMinutes: number, voteEvaluationDebounceMs: number, pollCron: string, pollQuestion: string, slotTemplate: {weekday:number, hour:number, minute:number}[], slotTemplateSource: string, weekSelectionMode: 'interactive'|'auto', targetWeek: string|null, clientId: string, dataDir: string, headless: boolean, commandPrefix: string, allowInsecureChromium: boolean, logRedactSensitive: boolean, logIncludeStack: boolean, commandRateLimitCount: number, commandRateLimitWindowMs: number, commandMaxLength: number, healthServerPort: number|null, healthServerHost: string, backupDir: string, backupRetentionCount: number, backupRetentionDays: number, backupAfterAnnouncement: boolean, voteRetentionWeeks: number, voteEventRetentionWeeks: number, outboxRetentionWeeks: number, maintenanceCron: string}} Configuration object containing validated and derived settings:
  * - `groupId`: WhatsApp group JID ending with `@g.us`.
  * - `ownerJid`: Normalized owner JID in the form `<local>@c.us`.
  * - `allowedVoters`: Array of normalized voter JIDs.
  * - `allowedVoterSet`: Set of normalized voter JIDs.
- * - `requiredVoters`: Minimum required voters (>= 1 and <= allowedVoters.length).
+ * - `quorumMode`: How the early-close quorum is computed (`count`, `percent`, or `all`).
+ * - `requiredVoters`: Minimum required voters in `count` mode (>= 1 and <= allowedVoters.length).
+ * - `quorumPercent`: Percentage of allowed voters required in `percent` mode (1-100), otherwise `null`.
+ * - `minWinnerVotes`: Minimum votes the top slot needs to be announced (>= 1 and <= allowedVoters.length).
+ * - `minWinnerVotesOwnerDm`: Whether the owner gets a near-miss DM when no slot reaches `minWinnerVotes`.
+ * - `closeWhenDecided`: Closes the poll early (reason `decided`) once remaining voters cannot change the outcome.
+ * - `winnersPerWeek`: Number of game sessions picked per week (>= 1 and <= slot template size).
+ * - `expiredWinnerFallback`: What to do when a winning slot already passed (`none` or `next-best`).
+ * - `expiredWinnerFallbackMinVotes`: Minimum votes a `next-best` replacement slot needs (>= 1).
  * - `timezone`: Valid IANA timezone string.
  * - `pollCloseHours`: Hours until poll closes (>= 1).
  * - `tieOverrideHours`: Hours after which a tie can be overridden (>= 1).
+ * - `tieBreakStrategy`: Strategy used to resolve ties nobody picked before the override window ends.
+ * - `tieBreakPreference`: Ordered slot preference used by the `owner-preference` strategy.
+ * - `runoffPollHours`: Close window for the runoff poll posted after an unresolved tie (`0` disables).
+ * - `reminderHoursBeforeClose`: Hours before poll close to nudge missing voters (empty disables).
+ * - `gameReminderHoursBefore`: Hours before the winning slot to remind the group (empty disables).
+ * - `voteReconcileIntervalMinutes`: Minutes between background vote reconciliations of open polls (`0` disables).
+ * - `voteEvaluationDebounceMs`: Window for coalescing quorum checks after vote updates (`0` evaluates every vote).
  * - `pollCron`: Cron expression for scheduled polls.
  * - `pollQuestion`: Default poll question text.
  * - `slotTemplate`: Weekly slot definitions used to build poll option labels.
@@ -265,6 +372,11 @@ function loadClientRuntimeConfig() {
  * - `commandMaxLength`: Maximum accepted command text length.
  * - `healthServerPort`: Optional port for health/metrics HTTP server (`null` disables server).
  * - `healthServerHost`: Host/interface for the health/metrics HTTP server.
+ * - `backupDir`, `backupRetentionCount`, `backupRetentionDays`, `backupAfterAnnouncement`: See {@link loadBackupConfig}.
+ * - `voteRetentionWeeks`: Weeks after a finished poll closes before its votes are folded into counts on the poll row (`0` keeps them).
+ * - `voteEventRetentionWeeks`: Weeks before vote history rows of finished polls are deleted (`0` keeps them).
+ * - `outboxRetentionWeeks`: Weeks before delivered or abandoned outbox rows are deleted (`0` keeps them).
+ * - `maintenanceCron`: Cron expression for the daily retention purge and WAL checkpoint.
  */
 function loadConfig() {
   const groupId = mustReadEnv('GROUP_ID');
@@ -275,14 +387,54 @@ function loadConfig() {
   const ownerJid = normalizeJid(mustReadEnv('OWNER_PHONE'));
   const allowedVoters = parseVoterList(mustReadEnv('ALLOWED_VOTERS'));
 
+  const quorumMode = process.env.QUORUM_MODE?.trim().toLowerCase() || 'count';
+  if (!QUORUM_MODES.includes(quorumMode)) {
+    throw new Error(`QUORUM_MODE must be one of: ${QUORUM_MODES.join(', ')}.`);
+  }
+
   const requiredVoters = parseInteger('REQUIRED_VOTERS', 5);
   if (requiredVoters < 1) {
     throw new Error('REQUIRED_VOTERS must be >= 1.');
   }
-  if (requiredVoters > allowedVoters.length) {
+  if (quorumMode === 'count' && requiredVoters > allowedVoters.length) {
     throw new Error('REQUIRED_VOTERS cannot be greater than ALLOWED_VOTERS count.');
   }
 
+  const quorumPercent = parseInteger('QUORUM_PERCENT', null);
+  if (quorumMode === 'percent' && quorumPercent === null) {
+    throw new Error('QUORUM_PERCENT is required when QUORUM_MODE=percent.');
+  }
+  if (quorumPercent !== null && (quorumPercent < 1 || quorumPercent > 100)) {
+    throw new Error('QUORUM_PERCENT must be between 1 and 100.');
+  }
+
+  const minWinnerVotes = parseInteger('MIN_WINNER_VOTES', 1);
+  if (minWinnerVotes < 1) {
+    throw new Error('MIN_WINNER_VOTES must be >= 1.');
+  }
+  if (minWinnerVotes > allowedVoters.length) {
+    throw new Error('MIN_WINNER_VOTES cannot be greater than ALLOWED_VOTERS count.');
+  }
+  const minWinnerVotesOwnerDm = parseBoolean('MIN_WINNER_VOTES_OWNER_DM', false);
+
+  const closeWhenDecided = parseBoolean('CLOSE_WHEN_DECIDED', false);
+
+  const winnersPerWeek = parseInteger('WINNERS_PER_WEEK', 1);
+  if (winnersPerWeek < 1) {
+    throw new Error('WINNERS_PER_WEEK must be >= 1.');
+  }
+
+  const expiredWinnerFallback = process.env.EXPIRED_WINNER_FALLBACK?.trim().toLowerCase() || 'none';
+  if (!EXPIRED_WINNER_FALLBACKS.includes(expiredWinnerFallback)) {
+    throw new Error(
+      `EXPIRED_WINNER_FALLBACK must be one of: ${EXPIRED_WINNER_FALLBACKS.join(', ')}.`
+    );
+  }
+  const expiredWinnerFallbackMinVotes = parseInteger('EXPIRED_WINNER_FALLBACK_MIN_VOTES', 1);
+  if (expiredWinnerFallbackMinVotes < 1) {
+    throw new Error('EXPIRED_WINNER_FALLBACK_MIN_VOTES must be >= 1.');
+  }
+
   const inferredTimezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
   const timezone = process.env.TIMEZONE?.trim() || inferredTimezone || 'Europe/Istanbul';
   validateTimezone(timezone);
@@ -297,11 +449,49 @@ function loadConfig() {
     throw new Error('TIE_OVERRIDE_HOURS must be >= 1.');
   }
 
+  const tieBreakStrategy = process.env.TIE_BREAK_STRATEGY?.trim().toLowerCase() || 'earliest';
+  if (!TIE_BREAK_STRATEGIES.includes(tieBreakStrategy)) {
+    throw new Error(`TIE_BREAK_STRATEGY must be one of: ${TIE_BREAK_STRATEGIES.join(', ')}.`);
+  }
+
+  const tieBreakPreference = parseSlotKeyList(
+    process.env.TIE_BREAK_PREFERENCE || '',
+    'TIE_BREAK_PREFERENCE'
+  );
+  if (tieBreakStrategy === 'owner-preference' && tieBreakPreference.length === 0) {
+    throw new Error('TIE_BREAK_PREFERENCE is required when TIE_BREAK_STRATEGY=owner-preference.');
+  }
+
+  const runoffPollHours = parseInteger('RUNOFF_POLL_HOURS', 0);
+  if (runoffPollHours < 0) {
+    throw new Error('RUNOFF_POLL_HOURS must be >= 0.');
+  }
+
+  const reminderHoursBeforeClose = parseHourOffsetList('REMINDER_HOURS_BEFORE_CLOSE');
+  if (reminderHoursBeforeClose.some((hours) => hours >= pollCloseHours)) {
+    throw new Error('REMINDER_HOURS_BEFORE_CLOSE values must be lower than POLL_CLOSE_HOURS.');
+  }
+
+  const gameReminderHoursBefore = parseHourOffsetList('GAME_REMINDER_HOURS_BEFORE');
+
+  const voteReconcileIntervalMinutes = parseInteger('VOTE_RECONCILE_INTERVAL_MINUTES', 0);
+  if (voteReconcileIntervalMinutes < 0) {
+    throw new Error('VOTE_RECONCILE_INTERVAL_MINUTES must be >= 0.');
+  }
+
+  const voteEvaluationDebounceMs = parseInteger('VOTE_EVALUATION_DEBOUNCE_MS', 0);
+  if (voteEvaluationDebounceMs < 0 || voteEvaluationDebounceMs > 60000) {
+    throw new Error('VOTE_EVALUATION_DEBOUNCE_MS must be between 0 and 60000.');
+  }
+
   const pollCron = process.env.POLL_CRON?.trim() || '0 12 * * 1';
   const pollQuestion =
     process.env.POLL_QUESTION?.trim() ||
     `Weekly game night - pick all slots you can join (${timezone})`;
   const { slotTemplate, slotTemplateSource } = loadSlotTemplateConfig();
+  if (winnersPerWeek > slotTemplate.length) {
+    throw new Error('WINNERS_PER_WEEK cannot be greater than the number of slots in the template.');
+  }
   const rawWeekSelectionMode =
     process.env.WEEK_SELECTION_MODE?.trim().toLowerCase() || 'interactive';
   if (!['interactive', 'auto'].includes(rawWeekSelectionMode)) {
@@ -358,16 +548,41 @@ function loadConfig() {
     throw new Error('HEALTH_SERVER_PORT must be between 1 and 65535.');
   }
   const healthServerHost = parseHost('HEALTH_SERVER_HOST', '127.0.0.1');
+  const { backupDir, backupRetentionCount, backupRetentionDays, backupAfterAnnouncement } =
+    loadBackupConfig();
+
+  const voteRetentionWeeks = parseRetentionWeeks('VOTE_RETENTION_WEEKS');
+  const voteEventRetentionWeeks = parseRetentionWeeks('VOTE_EVENT_RETENTION_WEEKS');
+  const outboxRetentionWeeks = parseRetentionWeeks('OUTBOX_RETENTION_WEEKS');
+  const maintenanceCron = process.env.MAINTENANCE_CRON?.trim() || '30 4 * * *';
+  if (!cron.validate(maintenanceCron)) {
+    throw new Error(`Invalid cron expression for MAINTENANCE_CRON: ${maintenanceCron}`);
+  }
 
   return {
     groupId,
     ownerJid,
     allowedVoters,
     allowedVoterSet: new Set(allowedVoters),
+    quorumMode,
     requiredVoters,
+    quorumPercent,
+    minWinnerVotes,
+    minWinnerVotesOwnerDm,
+    closeWhenDecided,
+    winnersPerWeek,
+    expiredWinnerFallback,
+    expiredWinnerFallbackMinVotes,
     timezone,
     pollCloseHours,
     tieOverrideHours,
+    tieBreakStrategy,
+    tieBreakPreference,
+    runoffPollHours,
+    reminderHoursBeforeClose,
+    gameReminderHoursBefore,
+    voteReconcileIntervalMinutes,
+    voteEvaluationDebounceMs,
     pollCron,
     pollQuestion,
     slotTemplate,
@@ -385,11 +600,21 @@ function loadConfig() {
     commandRateLimitWindowMs,
     commandMaxLength,
     healthServerPort,
-    healthServerHost
+    healthServerHost,
+    backupDir,
+    backupRetentionCount,
+    backupRetentionDays,
+    backupAfterAnnouncement,
+    voteRetentionWeeks,
+    voteEventRetentionWeeks,
+    outboxRetentionWeeks,
+    maintenanceCron
   };
 }
 
 module.exports = {
+  loadBackupConfig,
+  loadExportConfig,
   loadConfig,
   loadClientRuntimeConfig,
   normalizeJid
@@ -1,93 +1,33 @@
 const fs = require('node:fs');
 const path = require('node:path');
 const Database = require('better-sqlite3');
+const { assertPollTransition } = require('./poll-state');
+const { createVoteTally } = require('./vote-tally');
 
-const POLLS_COLUMNS = `
-  id INTEGER PRIMARY KEY AUTOINCREMENT,
-  group_id TEXT NOT NULL,
-  week_key TEXT NOT NULL,
-  poll_message_id TEXT NOT NULL,
-  question TEXT NOT NULL,
-  options_json TEXT NOT NULL,
-  status TEXT NOT NULL,
-  created_at INTEGER NOT NULL,
-  closes_at INTEGER NOT NULL,
-  closed_at INTEGER,
-  close_reason TEXT,
-  tie_deadline_at INTEGER,
-  tie_option_indices_json TEXT,
-  winning_option_idx INTEGER,
-  winner_vote_count INTEGER,
-  announced_at INTEGER
-`;
-
-const OUTBOX_COLUMNS = `
-  id INTEGER PRIMARY KEY AUTOINCREMENT,
-  group_id TEXT NOT NULL,
-  payload_json TEXT NOT NULL,
-  status TEXT NOT NULL,
-  attempt_count INTEGER NOT NULL,
-  max_attempts INTEGER NOT NULL,
-  next_retry_at INTEGER NOT NULL,
-  last_error TEXT,
-  created_at INTEGER NOT NULL,
-  sent_at INTEGER
-`;
+// Highest migration number in `PollDatabase#migrations`; bump it together with that list.
+const SCHEMA_VERSION = 11;
 
 class PollDatabase {
-  constructor(dbPath) {
+  // Read-only handles skip migrations and never write, so callers must check the schema version first.
+  constructor(dbPath, { readonly = false } = {}) {
+    if (readonly) {
+      this.db = new Database(dbPath, { readonly: true, fileMustExist: true });
+      return;
+    }
+
     fs.mkdirSync(path.dirname(dbPath), { recursive: true });
 
     this.db = new Database(dbPath);
     this.db.pragma('journal_mode = WAL');
     this.db.pragma('foreign_keys = ON');
-    this.#initSchema();
-  }
-
-  #pollTableSql(tableName = 'polls') {
-    return `
-      CREATE TABLE IF NOT EXISTS ${tableName} (
-        ${POLLS_COLUMNS}
-      );
-    `;
-  }
-
-  #pollVotesTableSql(tableName = 'poll_votes') {
-    return `
-      CREATE TABLE IF NOT EXISTS ${tableName} (
-        poll_id INTEGER NOT NULL,
-        voter_jid TEXT NOT NULL,
-        selected_options_json TEXT NOT NULL,
-        updated_at INTEGER NOT NULL,
-        PRIMARY KEY (poll_id, voter_jid),
-        FOREIGN KEY (poll_id) REFERENCES polls(id) ON DELETE CASCADE
-      );
-    `;
-  }
 
-  #outboxTableSql(tableName = 'outbox') {
-    return `
-      CREATE TABLE IF NOT EXISTS ${tableName} (
-        ${OUTBOX_COLUMNS}
-      );
-    `;
-  }
-
-  #createIndexes() {
-    this.db.exec(`
-      CREATE UNIQUE INDEX IF NOT EXISTS idx_polls_group_week_unique
-        ON polls(group_id, week_key);
-      CREATE UNIQUE INDEX IF NOT EXISTS idx_polls_group_message_unique
-        ON polls(group_id, poll_message_id);
-      CREATE INDEX IF NOT EXISTS idx_polls_group_status
-        ON polls(group_id, status);
-      CREATE INDEX IF NOT EXISTS idx_polls_group_closes_at
-        ON polls(group_id, closes_at);
-      CREATE INDEX IF NOT EXISTS idx_poll_votes_poll_id
-        ON poll_votes(poll_id);
-      CREATE INDEX IF NOT EXISTS idx_outbox_group_status_next_retry
-        ON outbox(group_id, status, next_retry_at);
-    `);
+    try {
+      this.#runMigrations();
+    } catch (error) {
+      this.db.close();
+      this.db = null;
+      throw error;
+    }
   }
 
   #tableExists(name) {
@@ -129,98 +69,412 @@ class PollDatabase {
     return false;
   }
 
+  // One migration per schema change, starting from the last release before versioned migrations.
+  // Their DDL is written out literally so a database always replays the same steps; later changes
+  // are new migrations, never edits here. Databases created by unreleased development builds
+  // before this framework existed are not supported: start them fresh.
+
+  // Rebuilds polls from the oldest layout, whose week and message ids were unique across groups.
   #migrateToGroupScopedUniqueness() {
-    this.db.exec('PRAGMA foreign_keys = OFF');
-    this.db.exec('BEGIN IMMEDIATE');
+    if (!this.#needsGroupScopedMigration()) {
+      return;
+    }
 
-    try {
-      this.db.exec(`
-        ALTER TABLE polls RENAME TO polls_legacy;
-        ALTER TABLE poll_votes RENAME TO poll_votes_legacy;
-
-        ${this.#pollTableSql('polls')}
-        ${this.#pollVotesTableSql('poll_votes')}
-
-        INSERT INTO polls (
-          id,
-          group_id,
-          week_key,
-          poll_message_id,
-          question,
-          options_json,
-          status,
-          created_at,
-          closes_at,
-          closed_at,
-          close_reason,
-          tie_deadline_at,
-          tie_option_indices_json,
-          winning_option_idx,
-          winner_vote_count,
-          announced_at
-        )
-        SELECT
-          id,
-          group_id,
-          week_key,
-          poll_message_id,
-          question,
-          options_json,
-          status,
-          created_at,
-          closes_at,
-          closed_at,
-          close_reason,
-          tie_deadline_at,
-          tie_option_indices_json,
-          winning_option_idx,
-          winner_vote_count,
-          announced_at
-        FROM polls_legacy;
-
-        INSERT INTO poll_votes (poll_id, voter_jid, selected_options_json, updated_at)
-        SELECT poll_id, voter_jid, selected_options_json, updated_at
-        FROM poll_votes_legacy;
-
-        DROP TABLE poll_votes_legacy;
-        DROP TABLE polls_legacy;
-      `);
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS poll_votes (
+        poll_id INTEGER NOT NULL,
+        voter_jid TEXT NOT NULL,
+        selected_options_json TEXT NOT NULL,
+        updated_at INTEGER NOT NULL,
+        PRIMARY KEY (poll_id, voter_jid),
+        FOREIGN KEY (poll_id) REFERENCES polls(id) ON DELETE CASCADE
+      );
 
-      this.db.exec('COMMIT');
-    } catch (error) {
-      try {
-        this.db.exec('ROLLBACK');
-      } catch {
-        // Ignore rollback errors and rethrow original migration failure below.
+      ALTER TABLE polls RENAME TO polls_legacy;
+      ALTER TABLE poll_votes RENAME TO poll_votes_legacy;
+
+      CREATE TABLE polls (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        group_id TEXT NOT NULL,
+        week_key TEXT NOT NULL,
+        poll_message_id TEXT NOT NULL,
+        question TEXT NOT NULL,
+        options_json TEXT NOT NULL,
+        status TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        closes_at INTEGER NOT NULL,
+        closed_at INTEGER,
+        close_reason TEXT,
+        tie_deadline_at INTEGER,
+        tie_option_indices_json TEXT,
+        winning_option_idx INTEGER,
+        winner_vote_count INTEGER,
+        announced_at INTEGER
+      );
+
+      CREATE TABLE poll_votes (
+        poll_id INTEGER NOT NULL,
+        voter_jid TEXT NOT NULL,
+        selected_options_json TEXT NOT NULL,
+        updated_at INTEGER NOT NULL,
+        PRIMARY KEY (poll_id, voter_jid),
+        FOREIGN KEY (poll_id) REFERENCES polls(id) ON DELETE CASCADE
+      );
+
+      INSERT INTO polls (
+        id,
+        group_id,
+        week_key,
+        poll_message_id,
+        question,
+        options_json,
+        status,
+        created_at,
+        closes_at,
+        closed_at,
+        close_reason,
+        tie_deadline_at,
+        tie_option_indices_json,
+        winning_option_idx,
+        winner_vote_count,
+        announced_at
+      )
+      SELECT
+        id,
+        group_id,
+        week_key,
+        poll_message_id,
+        question,
+        options_json,
+        status,
+        created_at,
+        closes_at,
+        closed_at,
+        close_reason,
+        tie_deadline_at,
+        tie_option_indices_json,
+        winning_option_idx,
+        winner_vote_count,
+        announced_at
+      FROM polls_legacy;
+
+      INSERT INTO poll_votes (poll_id, voter_jid, selected_options_json, updated_at)
+      SELECT poll_id, voter_jid, selected_options_json, updated_at
+      FROM poll_votes_legacy;
+
+      DROP TABLE poll_votes_legacy;
+      DROP TABLE polls_legacy;
+    `);
+  }
+
+  // Creates the tables and indexes of the last release before versioned migrations, so an empty
+  // database and one from that release continue from the same shape.
+  #migrateToReleasedSchema() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS polls (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        group_id TEXT NOT NULL,
+        week_key TEXT NOT NULL,
+        poll_message_id TEXT NOT NULL,
+        question TEXT NOT NULL,
+        options_json TEXT NOT NULL,
+        status TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        closes_at INTEGER NOT NULL,
+        closed_at INTEGER,
+        close_reason TEXT,
+        tie_deadline_at INTEGER,
+        tie_option_indices_json TEXT,
+        winning_option_idx INTEGER,
+        winner_vote_count INTEGER,
+        announced_at INTEGER
+      );
+
+      CREATE TABLE IF NOT EXISTS poll_votes (
+        poll_id INTEGER NOT NULL,
+        voter_jid TEXT NOT NULL,
+        selected_options_json TEXT NOT NULL,
+        updated_at INTEGER NOT NULL,
+        PRIMARY KEY (poll_id, voter_jid),
+        FOREIGN KEY (poll_id) REFERENCES polls(id) ON DELETE CASCADE
+      );
+
+      CREATE TABLE IF NOT EXISTS outbox (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        group_id TEXT NOT NULL,
+        payload_json TEXT NOT NULL,
+        status TEXT NOT NULL,
+        attempt_count INTEGER NOT NULL,
+        max_attempts INTEGER NOT NULL,
+        next_retry_at INTEGER NOT NULL,
+        last_error TEXT,
+        created_at INTEGER NOT NULL,
+        sent_at INTEGER
+      );
+
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_polls_group_week_unique
+        ON polls(group_id, week_key);
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_polls_group_message_unique
+        ON polls(group_id, poll_message_id);
+      CREATE INDEX IF NOT EXISTS idx_polls_group_status
+        ON polls(group_id, status);
+      CREATE INDEX IF NOT EXISTS idx_polls_group_closes_at
+        ON polls(group_id, closes_at);
+      CREATE INDEX IF NOT EXISTS idx_poll_votes_poll_id
+        ON poll_votes(poll_id);
+      CREATE INDEX IF NOT EXISTS idx_outbox_group_status_next_retry
+        ON outbox(group_id, status, next_retry_at);
+    `);
+  }
+
+  #migrateToReminders() {
+    this.db.exec(`
+      CREATE TABLE reminders (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        poll_id INTEGER NOT NULL,
+        kind TEXT NOT NULL,
+        offset_hours INTEGER NOT NULL,
+        remind_at INTEGER NOT NULL,
+        status TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        completed_at INTEGER,
+        FOREIGN KEY (poll_id) REFERENCES polls(id) ON DELETE CASCADE
+      );
+
+      CREATE INDEX idx_reminders_poll_kind_status
+        ON reminders(poll_id, kind, status);
+      CREATE INDEX idx_reminders_status_remind_at
+        ON reminders(status, remind_at);
+    `);
+  }
+
+  #migrateToTieBreakStrategies() {
+    this.db.exec(`
+      ALTER TABLE polls ADD COLUMN tie_break_strategy TEXT;
+      ALTER TABLE polls ADD COLUMN tie_break_inputs_json TEXT;
+    `);
+  }
+
+  // Runoff polls share their parent's week key, so uniqueness only applies to top-level polls.
+  #migrateToRunoffPolls() {
+    this.db.exec(`
+      ALTER TABLE polls ADD COLUMN parent_poll_id INTEGER;
+
+      DROP INDEX idx_polls_group_week_unique;
+      CREATE UNIQUE INDEX idx_polls_group_week_unique
+        ON polls(group_id, week_key) WHERE parent_poll_id IS NULL;
+      CREATE INDEX idx_polls_parent_poll_id
+        ON polls(parent_poll_id);
+    `);
+  }
+
+  // Winners moved from a single option column to a list so a week can have several sessions, and
+  // pre-game reminders record which of them they are for.
+  #migrateToWinnerList() {
+    this.db.exec(`
+      ALTER TABLE polls ADD COLUMN winners_json TEXT;
+      UPDATE polls
+      SET winners_json = json_array(
+        json_object('optionIdx', winning_option_idx, 'votes', COALESCE(winner_vote_count, 0))
+      )
+      WHERE winning_option_idx IS NOT NULL;
+      ALTER TABLE polls DROP COLUMN winning_option_idx;
+      ALTER TABLE polls DROP COLUMN winner_vote_count;
+
+      ALTER TABLE reminders ADD COLUMN option_idx INTEGER;
+    `);
+  }
+
+  #migrateToVoteEvents() {
+    this.db.exec(`
+      CREATE TABLE vote_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        poll_id INTEGER NOT NULL,
+        voter_jid TEXT NOT NULL,
+        source TEXT NOT NULL,
+        previous_options_json TEXT,
+        selected_options_json TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        FOREIGN KEY (poll_id) REFERENCES polls(id) ON DELETE CASCADE
+      );
+
+      CREATE INDEX idx_vote_events_poll_created
+        ON vote_events(poll_id, created_at, id);
+    `);
+  }
+
+  #migrateToContactAliases() {
+    this.db.exec(`
+      CREATE TABLE contact_aliases (
+        alias_jid TEXT PRIMARY KEY,
+        phone_jid TEXT NOT NULL,
+        source TEXT NOT NULL,
+        first_seen_at INTEGER NOT NULL,
+        last_seen_at INTEGER NOT NULL
+      );
+
+      CREATE INDEX idx_contact_aliases_phone
+        ON contact_aliases(phone_jid);
+    `);
+  }
+
+  #migrateToVoterAbsences() {
+    this.db.exec(`
+      CREATE TABLE voter_absences (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        group_id TEXT NOT NULL,
+        voter_jid TEXT NOT NULL,
+        starts_on TEXT NOT NULL,
+        ends_on TEXT NOT NULL,
+        created_at INTEGER NOT NULL
+      );
+
+      CREATE INDEX idx_voter_absences_group_ends_on
+        ON voter_absences(group_id, ends_on);
+    `);
+  }
+
+  #migrateToStandingAvailability() {
+    this.db.exec(`
+      CREATE TABLE standing_availability (
+        group_id TEXT NOT NULL,
+        voter_jid TEXT NOT NULL,
+        slot_keys_json TEXT NOT NULL,
+        updated_at INTEGER NOT NULL,
+        PRIMARY KEY (group_id, voter_jid)
+      );
+
+      ALTER TABLE poll_votes ADD COLUMN is_auto INTEGER NOT NULL DEFAULT 0;
+    `);
+  }
+
+  // Retention purges delete per-voter rows of old polls, so the counts they add up to are kept here.
+  #migrateToPollVoteAggregates() {
+    this.db.exec(`
+      ALTER TABLE polls ADD COLUMN vote_counts_json TEXT;
+      ALTER TABLE polls ADD COLUMN voter_count INTEGER;
+      ALTER TABLE polls ADD COLUMN votes_purged_at INTEGER;
+    `);
+  }
+
+  // Ordered and append-only: never renumber or edit a migration once released, add a new one instead.
+  #migrations() {
+    return [
+      {
+        version: 1,
+        name: 'group-scoped-poll-uniqueness',
+        foreignKeys: false,
+        up: () => this.#migrateToGroupScopedUniqueness()
+      },
+      {
+        version: 2,
+        name: 'released-schema',
+        up: () => this.#migrateToReleasedSchema()
+      },
+      {
+        version: 3,
+        name: 'reminders',
+        up: () => this.#migrateToReminders()
+      },
+      {
+        version: 4,
+        name: 'tie-break-strategies',
+        up: () => this.#migrateToTieBreakStrategies()
+      },
+      {
+        version: 5,
+        name: 'runoff-polls',
+        up: () => this.#migrateToRunoffPolls()
+      },
+      {
+        version: 6,
+        name: 'winner-list',
+        up: () => this.#migrateToWinnerList()
+      },
+      {
+        version: 7,
+        name: 'vote-events',
+        up: () => this.#migrateToVoteEvents()
+      },
+      {
+        version: 8,
+        name: 'contact-aliases',
+        up: () => this.#migrateToContactAliases()
+      },
+      {
+        version: 9,
+        name: 'voter-absences',
+        up: () => this.#migrateToVoterAbsences()
+      },
+      {
+        version: 10,
+        name: 'standing-availability',
+        up: () => this.#migrateToStandingAvailability()
+      },
+      {
+        version: 11,
+        name: 'poll-vote-aggregates',
+        up: () => this.#migrateToPollVoteAggregates()
       }
-      throw error;
-    } finally {
-      this.db.exec('PRAGMA foreign_keys = ON');
-    }
+    ];
   }
 
-  #initSchema() {
-    if (!this.#tableExists('polls')) {
-      this.db.exec(this.#pollTableSql('polls'));
-      this.db.exec(this.#pollVotesTableSql('poll_votes'));
-      this.db.exec(this.#outboxTableSql('outbox'));
-      this.#createIndexes();
-      return;
-    }
+  #runMigrations() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at INTEGER NOT NULL
+      );
+    `);
 
-    if (!this.#tableExists('poll_votes')) {
-      this.db.exec(this.#pollVotesTableSql('poll_votes'));
+    const currentVersion = this.getSchemaVersion();
+    if (currentVersion > SCHEMA_VERSION) {
+      throw new Error(
+        `Database schema version ${currentVersion} is newer than this release supports (${SCHEMA_VERSION}). Upgrade the bot instead of running an older release against this database.`
+      );
     }
 
-    if (!this.#tableExists('outbox')) {
-      this.db.exec(this.#outboxTableSql('outbox'));
-    }
+    const applied = new Set(
+      this.db
+        .prepare('SELECT version FROM schema_migrations')
+        .all()
+        .map((row) => row.version)
+    );
+    const recordStmt = this.db.prepare(
+      'INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)'
+    );
+
+    for (const migration of this.#migrations()) {
+      if (applied.has(migration.version)) {
+        continue;
+      }
+
+      const tx = this.db.transaction(() => {
+        migration.up();
+        recordStmt.run(migration.version, migration.name, Date.now());
+      });
+
+      // Table rebuilds run with foreign keys off so renaming and dropping the old tables cannot
+      // cascade; the pragma is ignored inside a transaction, so it is switched around it.
+      if (migration.foreignKeys === false) {
+        this.db.pragma('foreign_keys = OFF');
+      }
 
-    if (this.#needsGroupScopedMigration()) {
-      this.#migrateToGroupScopedUniqueness();
+      try {
+        tx.immediate();
+      } finally {
+        if (migration.foreignKeys === false) {
+          this.db.pragma('foreign_keys = ON');
+        }
+      }
     }
+  }
 
-    this.#createIndexes();
+  getSchemaVersion() {
+    return (
+      this.db.prepare('SELECT MAX(version) AS version FROM schema_migrations').get().version ?? 0
+    );
   }
 
   #parseJsonField(raw, fieldName, rowIdentifier) {
@@ -260,12 +514,35 @@ class PollDatabase {
             `poll id=${row.id}`
           )
         : [],
-      winningOptionIdx: row.winning_option_idx,
-      winnerVoteCount: row.winner_vote_count,
-      announcedAt: row.announced_at
+      winners: row.winners_json
+        ? this.#parseJsonField(row.winners_json, 'winners_json', `poll id=${row.id}`)
+        : [],
+      announcedAt: row.announced_at,
+      tieBreakStrategy: row.tie_break_strategy ?? null,
+      tieBreakInputs: row.tie_break_inputs_json
+        ? this.#parseJsonField(
+            row.tie_break_inputs_json,
+            'tie_break_inputs_json',
+            `poll id=${row.id}`
+          )
+        : null,
+      parentPollId: row.parent_poll_id ?? null,
+      voteCounts: row.vote_counts_json
+        ? this.#parseJsonField(row.vote_counts_json, 'vote_counts_json', `poll id=${row.id}`)
+        : null,
+      voterCount: row.voter_count ?? null,
+      votesPurgedAt: row.votes_purged_at ?? null
     };
   }
 
+  #serializeWinners(winners) {
+    if (!Array.isArray(winners) || winners.length === 0) {
+      return null;
+    }
+
+    return JSON.stringify(winners.map(({ optionIdx, votes }) => ({ optionIdx, votes })));
+  }
+
   #mapVote(row) {
     return {
       pollId: row.poll_id,
@@ -275,7 +552,29 @@ class PollDatabase {
         'selected_options_json',
         `vote poll_id=${row.poll_id}, voter_jid=${row.voter_jid}`
       ),
-      updatedAt: row.updated_at
+      updatedAt: row.updated_at,
+      auto: row.is_auto === 1
+    };
+  }
+
+  #mapVoteEvent(row) {
+    const rowIdentifier = `vote event id=${row.id}`;
+
+    return {
+      id: row.id,
+      pollId: row.poll_id,
+      voterJid: row.voter_jid,
+      source: row.source,
+      previousOptions:
+        row.previous_options_json === null
+          ? null
+          : this.#parseJsonField(row.previous_options_json, 'previous_options_json', rowIdentifier),
+      selectedOptions: this.#parseJsonField(
+        row.selected_options_json,
+        'selected_options_json',
+        rowIdentifier
+      ),
+      createdAt: row.created_at
     };
   }
 
@@ -298,7 +597,80 @@ class PollDatabase {
     };
   }
 
+  #mapReminder(row) {
+    if (!row) {
+      return null;
+    }
+
+    return {
+      id: row.id,
+      pollId: row.poll_id,
+      kind: row.kind,
+      optionIdx: row.option_idx ?? null,
+      offsetHours: row.offset_hours,
+      remindAt: row.remind_at,
+      status: row.status,
+      createdAt: row.created_at,
+      completedAt: row.completed_at
+    };
+  }
+
+  #mapContactAlias(row) {
+    if (!row) {
+      return null;
+    }
+
+    return {
+      aliasJid: row.alias_jid,
+      phoneJid: row.phone_jid,
+      source: row.source,
+      firstSeenAt: row.first_seen_at,
+      lastSeenAt: row.last_seen_at
+    };
+  }
+
+  #mapVoterAbsence(row) {
+    if (!row) {
+      return null;
+    }
+
+    return {
+      id: row.id,
+      groupId: row.group_id,
+      voterJid: row.voter_jid,
+      startsOn: row.starts_on,
+      endsOn: row.ends_on,
+      createdAt: row.created_at
+    };
+  }
+
+  #mapStandingAvailability(row) {
+    return {
+      groupId: row.group_id,
+      voterJid: row.voter_jid,
+      slotKeys: this.#parseJsonField(
+        row.slot_keys_json,
+        'slot_keys_json',
+        `standing availability voter_jid=${row.voter_jid}`
+      ),
+      updatedAt: row.updated_at
+    };
+  }
+
+  // Every status write goes through the poll state machine; illegal moves throw before any row changes.
+  #transitionPoll(pollId, toStatus) {
+    const row = this.db.prepare('SELECT status FROM polls WHERE id = ?').get(pollId);
+    assertPollTransition({
+      pollId,
+      from: row ? row.status : null,
+      to: toStatus,
+      exists: Boolean(row)
+    });
+  }
+
   createPoll({ groupId, weekKey, pollMessageId, question, options, createdAt, closesAt }) {
+    assertPollTransition({ pollId: null, from: null, to: 'OPEN' });
+
     const stmt = this.db.prepare(`
       INSERT INTO polls (
         group_id,
@@ -325,7 +697,18 @@ class PollDatabase {
     return Number(result.lastInsertRowid);
   }
 
-  createPollIntent({ groupId, weekKey, pollMessageId, question, options, createdAt, closesAt }) {
+  createPollIntent({
+    groupId,
+    weekKey,
+    pollMessageId,
+    question,
+    options,
+    createdAt,
+    closesAt,
+    parentPollId = null
+  }) {
+    assertPollTransition({ pollId: null, from: null, to: 'CREATING' });
+
     const stmt = this.db.prepare(`
       INSERT INTO polls (
         group_id,
@@ -335,8 +718,9 @@ class PollDatabase {
         options_json,
         status,
         created_at,
-        closes_at
-      ) VALUES (?, ?, ?, ?, ?, 'CREATING', ?, ?)
+        closes_at,
+        parent_poll_id
+      ) VALUES (?, ?, ?, ?, ?, 'CREATING', ?, ?, ?)
     `);
 
     const result = stmt.run(
@@ -346,7 +730,8 @@ class PollDatabase {
       question,
       JSON.stringify(options),
       createdAt,
-      closesAt
+      closesAt,
+      parentPollId
     );
 
     return Number(result.lastInsertRowid);
@@ -354,7 +739,11 @@ class PollDatabase {
 
   replacePollInPlace({ pollId, pollMessageId, question, options, createdAt, closesAt }) {
     const tx = this.db.transaction(() => {
+      // Replacing in place passes through CREATING, and CREATING -> OPEN is always legal.
+      this.#transitionPoll(pollId, 'CREATING');
       this.db.prepare('DELETE FROM poll_votes WHERE poll_id = ?').run(pollId);
+      this.db.prepare('DELETE FROM vote_events WHERE poll_id = ?').run(pollId);
+      this.db.prepare('DELETE FROM polls WHERE parent_poll_id = ?').run(pollId);
 
       const stmt = this.db.prepare(`
         UPDATE polls
@@ -369,9 +758,13 @@ class PollDatabase {
           close_reason = NULL,
           tie_deadline_at = NULL,
           tie_option_indices_json = NULL,
-          winning_option_idx = NULL,
-          winner_vote_count = NULL,
-          announced_at = NULL
+          winners_json = NULL,
+          announced_at = NULL,
+          tie_break_strategy = NULL,
+          tie_break_inputs_json = NULL,
+          vote_counts_json = NULL,
+          voter_count = NULL,
+          votes_purged_at = NULL
         WHERE id = ?
       `);
 
@@ -383,7 +776,10 @@ class PollDatabase {
 
   preparePollReplacement({ pollId, pollMessageId, question, options, createdAt, closesAt }) {
     const tx = this.db.transaction(() => {
+      this.#transitionPoll(pollId, 'CREATING');
       this.db.prepare('DELETE FROM poll_votes WHERE poll_id = ?').run(pollId);
+      this.db.prepare('DELETE FROM vote_events WHERE poll_id = ?').run(pollId);
+      this.db.prepare('DELETE FROM polls WHERE parent_poll_id = ?').run(pollId);
 
       const stmt = this.db.prepare(`
         UPDATE polls
@@ -398,9 +794,13 @@ class PollDatabase {
           close_reason = NULL,
           tie_deadline_at = NULL,
           tie_option_indices_json = NULL,
-          winning_option_idx = NULL,
-          winner_vote_count = NULL,
-          announced_at = NULL
+          winners_json = NULL,
+          announced_at = NULL,
+          tie_break_strategy = NULL,
+          tie_break_inputs_json = NULL,
+          vote_counts_json = NULL,
+          voter_count = NULL,
+          votes_purged_at = NULL
         WHERE id = ?
       `);
 
@@ -411,6 +811,8 @@ class PollDatabase {
   }
 
   finalizePollCreation({ pollId, pollMessageId, question, options, createdAt, closesAt }) {
+    this.#transitionPoll(pollId, 'OPEN');
+
     const stmt = this.db.prepare(`
       UPDATE polls
       SET
@@ -424,16 +826,49 @@ class PollDatabase {
         close_reason = NULL,
         tie_deadline_at = NULL,
         tie_option_indices_json = NULL,
-        winning_option_idx = NULL,
-        winner_vote_count = NULL,
-        announced_at = NULL
+        winners_json = NULL,
+        announced_at = NULL,
+        tie_break_strategy = NULL,
+        tie_break_inputs_json = NULL,
+        vote_counts_json = NULL,
+        voter_count = NULL,
+        votes_purged_at = NULL
       WHERE id = ?
     `);
 
-    stmt.run(pollMessageId, question, JSON.stringify(options), createdAt, closesAt, pollId);
+    stmt.run(pollMessageId, question, JSON.stringify(options), createdAt, closesAt, pollId);
+  }
+
+  finalizeRunoffCreation({
+    pollId,
+    parentPollId,
+    pollMessageId,
+    question,
+    options,
+    createdAt,
+    closesAt
+  }) {
+    const tx = this.db.transaction(() => {
+      this.finalizePollCreation({ pollId, pollMessageId, question, options, createdAt, closesAt });
+      this.#transitionPoll(parentPollId, 'RUNOFF_PENDING');
+
+      const stmt = this.db.prepare(`
+        UPDATE polls
+        SET
+          status = 'RUNOFF_PENDING',
+          tie_deadline_at = NULL
+        WHERE id = ?
+      `);
+
+      stmt.run(parentPollId);
+    });
+
+    tx();
   }
 
   markPollSendFailed({ pollId, errorMessage }) {
+    this.#transitionPoll(pollId, 'SEND_FAILED');
+
     const stmt = this.db.prepare(`
       UPDATE polls
       SET
@@ -441,9 +876,10 @@ class PollDatabase {
         close_reason = ?,
         tie_deadline_at = NULL,
         tie_option_indices_json = NULL,
-        winning_option_idx = NULL,
-        winner_vote_count = NULL,
-        announced_at = NULL
+        winners_json = NULL,
+        announced_at = NULL,
+        tie_break_strategy = NULL,
+        tie_break_inputs_json = NULL
       WHERE id = ?
     `);
 
@@ -456,7 +892,9 @@ class PollDatabase {
   }
 
   getPollByWeekKey(groupId, weekKey) {
-    const stmt = this.db.prepare('SELECT * FROM polls WHERE group_id = ? AND week_key = ? LIMIT 1');
+    const stmt = this.db.prepare(
+      'SELECT * FROM polls WHERE group_id = ? AND week_key = ? AND parent_poll_id IS NULL LIMIT 1'
+    );
     return this.#mapPoll(stmt.get(groupId, weekKey));
   }
 
@@ -482,11 +920,33 @@ class PollDatabase {
 
   getLatestPoll(groupId) {
     const stmt = this.db.prepare(
-      'SELECT * FROM polls WHERE group_id = ? ORDER BY created_at DESC LIMIT 1'
+      'SELECT * FROM polls WHERE group_id = ? AND parent_poll_id IS NULL ORDER BY created_at DESC LIMIT 1'
     );
     return this.#mapPoll(stmt.get(groupId));
   }
 
+  getLatestAnnouncedAt(groupId) {
+    const stmt = this.db.prepare(
+      'SELECT MAX(announced_at) AS announced_at FROM polls WHERE group_id = ?'
+    );
+    return stmt.get(groupId).announced_at;
+  }
+
+  listPollsInWeekRange(groupId, { fromWeekKey = null, toWeekKey = null } = {}) {
+    const stmt = this.db.prepare(`
+      SELECT *
+      FROM polls
+      WHERE group_id = ?
+        AND (? IS NULL OR week_key >= ?)
+        AND (? IS NULL OR week_key <= ?)
+      ORDER BY week_key ASC, created_at ASC, id ASC
+    `);
+
+    return stmt
+      .all(groupId, fromWeekKey, fromWeekKey, toWeekKey, toWeekKey)
+      .map((row) => this.#mapPoll(row));
+  }
+
   listRecoverablePolls(groupId) {
     const stmt = this.db.prepare(`
       SELECT *
@@ -499,17 +959,69 @@ class PollDatabase {
     return stmt.all(groupId).map((row) => this.#mapPoll(row));
   }
 
-  upsertVote({ pollId, voterJid, selectedOptions, updatedAt }) {
+  getRunoffPoll(parentPollId) {
+    const stmt = this.db.prepare(
+      'SELECT * FROM polls WHERE parent_poll_id = ? ORDER BY created_at DESC LIMIT 1'
+    );
+    return this.#mapPoll(stmt.get(parentPollId));
+  }
+
+  listPastWinningPolls(groupId, excludePollId, limit = 52) {
     const stmt = this.db.prepare(`
-      INSERT INTO poll_votes (poll_id, voter_jid, selected_options_json, updated_at)
-      VALUES (?, ?, ?, ?)
+      SELECT *
+      FROM polls
+      WHERE group_id = ?
+        AND id != ?
+        AND parent_poll_id IS NULL
+        AND status = 'ANNOUNCED'
+        AND winners_json IS NOT NULL
+      ORDER BY week_key DESC, announced_at DESC
+      LIMIT ?
+    `);
+
+    return stmt.all(groupId, excludePollId, limit).map((row) => this.#mapPoll(row));
+  }
+
+  upsertVote({ pollId, voterJid, selectedOptions, updatedAt, source = 'live' }) {
+    const previousStmt = this.db.prepare(
+      'SELECT selected_options_json FROM poll_votes WHERE poll_id = ? AND voter_jid = ?'
+    );
+    const upsertStmt = this.db.prepare(`
+      INSERT INTO poll_votes (poll_id, voter_jid, selected_options_json, updated_at, is_auto)
+      VALUES (?, ?, ?, ?, ?)
       ON CONFLICT(poll_id, voter_jid)
       DO UPDATE SET
         selected_options_json = excluded.selected_options_json,
-        updated_at = excluded.updated_at
+        updated_at = excluded.updated_at,
+        is_auto = excluded.is_auto
     `);
+    const eventStmt = this.db.prepare(`
+      INSERT INTO vote_events (
+        poll_id,
+        voter_jid,
+        source,
+        previous_options_json,
+        selected_options_json,
+        created_at
+      ) VALUES (?, ?, ?, ?, ?, ?)
+    `);
+
+    const tx = this.db.transaction(() => {
+      const previous = previousStmt.get(pollId, voterJid);
+      const selectedOptionsJson = JSON.stringify(selectedOptions);
+
+      upsertStmt.run(pollId, voterJid, selectedOptionsJson, updatedAt, source === 'auto' ? 1 : 0);
+      eventStmt.run(
+        pollId,
+        voterJid,
+        source,
+        previous ? previous.selected_options_json : null,
+        selectedOptionsJson,
+        updatedAt
+      );
+    });
 
-    stmt.run(pollId, voterJid, JSON.stringify(selectedOptions), updatedAt);
+    tx();
   }
 
   getVotesByPollId(pollId) {
@@ -517,6 +1029,137 @@ class PollDatabase {
     return stmt.all(pollId).map((row) => this.#mapVote(row));
   }
 
+  listVoteEvents(pollId, { voterJid = null, since = null, limit = null } = {}) {
+    const stmt = this.db.prepare(`
+      SELECT *
+      FROM vote_events
+      WHERE poll_id = ?
+        AND (? IS NULL OR voter_jid = ?)
+        AND (? IS NULL OR created_at >= ?)
+      ORDER BY created_at ASC, id ASC
+      LIMIT ?
+    `);
+
+    return stmt
+      .all(pollId, voterJid, voterJid, since, since, limit ?? -1)
+      .map((row) => this.#mapVoteEvent(row));
+  }
+
+  getLatestVoteEvent(pollId) {
+    const stmt = this.db.prepare(
+      'SELECT * FROM vote_events WHERE poll_id = ? ORDER BY created_at DESC, id DESC LIMIT 1'
+    );
+    const row = stmt.get(pollId);
+    return row ? this.#mapVoteEvent(row) : null;
+  }
+
+  getLatestVoteSources(pollId) {
+    const stmt = this.db.prepare(`
+      SELECT voter_jid, source
+      FROM vote_events
+      WHERE id IN (
+        SELECT MAX(id)
+        FROM vote_events
+        WHERE poll_id = ?
+        GROUP BY voter_jid
+      )
+    `);
+
+    return new Map(stmt.all(pollId).map((row) => [row.voter_jid, row.source]));
+  }
+
+  countAutoVotes(pollId) {
+    const stmt = this.db.prepare(`
+      SELECT COUNT(*) AS auto_count
+      FROM poll_votes
+      WHERE poll_id = ?
+        AND is_auto = 1
+        AND selected_options_json != '[]'
+    `);
+    return stmt.get(pollId).auto_count;
+  }
+
+  countVoteChanges(pollId) {
+    const stmt = this.db.prepare(`
+      SELECT COUNT(*) AS change_count
+      FROM vote_events
+      WHERE poll_id = ?
+        AND previous_options_json IS NOT NULL
+        AND previous_options_json != selected_options_json
+    `);
+    return stmt.get(pollId).change_count;
+  }
+
+  purgeExpiredVotes({ groupId, closedBefore, purgedAt }) {
+    const pollsStmt = this.db.prepare(`
+      SELECT *
+      FROM polls
+      WHERE group_id = ?
+        AND status IN ('ANNOUNCED', 'SEND_FAILED')
+        AND votes_purged_at IS NULL
+        AND COALESCE(closed_at, created_at) < ?
+    `);
+    const aggregateStmt = this.db.prepare(`
+      UPDATE polls
+      SET
+        vote_counts_json = ?,
+        voter_count = ?,
+        votes_purged_at = ?
+      WHERE id = ?
+    `);
+    const deleteStmt = this.db.prepare('DELETE FROM poll_votes WHERE poll_id = ?');
+
+    const tx = this.db.transaction(() => {
+      let pollCount = 0;
+      let voteCount = 0;
+
+      for (const poll of pollsStmt.all(groupId, closedBefore).map((row) => this.#mapPoll(row))) {
+        const tally = createVoteTally(poll.options.length, this.getVotesByPollId(poll.id));
+        aggregateStmt.run(JSON.stringify(tally.counts), tally.selections.size, purgedAt, poll.id);
+        voteCount += deleteStmt.run(poll.id).changes;
+        pollCount += 1;
+      }
+
+      return { pollCount, voteCount };
+    });
+
+    return tx.immediate();
+  }
+
+  purgeExpiredVoteEvents({ groupId, createdBefore }) {
+    const stmt = this.db.prepare(`
+      DELETE FROM vote_events
+      WHERE created_at < ?
+        AND poll_id IN (
+          SELECT id
+          FROM polls
+          WHERE group_id = ?
+            AND status IN ('ANNOUNCED', 'SEND_FAILED')
+        )
+    `);
+
+    return stmt.run(createdBefore, groupId).changes;
+  }
+
+  purgeExpiredOutboxMessages({ groupId, createdBefore }) {
+    const stmt = this.db.prepare(`
+      DELETE FROM outbox
+      WHERE group_id = ?
+        AND created_at < ?
+        AND NOT (status IN ('PENDING', 'FAILED') AND attempt_count < max_attempts)
+    `);
+
+    return stmt.run(groupId, createdBefore).changes;
+  }
+
+  checkpointWal() {
+    return this.db.pragma('wal_checkpoint(TRUNCATE)')[0];
+  }
+
+  vacuum() {
+    this.db.exec('VACUUM');
+  }
+
   createOutboxMessage({
     groupId,
     payload,
@@ -656,7 +1299,44 @@ class PollDatabase {
     stmt.run(attemptCount, lastError, outboxId);
   }
 
-  setTiePending({ pollId, closeReason, closedAt, tieDeadlineAt, tieOptionIndices }) {
+  extendPollDeadline({ pollId, closesAt }) {
+    const stmt = this.db.prepare(`
+      UPDATE polls
+      SET closes_at = ?
+      WHERE id = ?
+        AND status = 'OPEN'
+    `);
+
+    stmt.run(closesAt, pollId);
+  }
+
+  extendPollDeadlineWithOutbox({ pollId, closesAt, outboxMessage }) {
+    const tx = this.db.transaction(() => {
+      this.extendPollDeadline({ pollId, closesAt });
+
+      return this.createOutboxMessage(outboxMessage);
+    });
+
+    return tx();
+  }
+
+  // Pulls the deadline forward with the notice so a crash before the close leaves an overdue poll
+  // that startup recovery closes, never a notice for a poll that stays open.
+  advancePollDeadlineWithOutbox({ pollId, closesAt, outboxMessage }) {
+    const tx = this.db.transaction(() => {
+      this.db
+        .prepare(`UPDATE polls SET closes_at = MIN(closes_at, ?) WHERE id = ? AND status = 'OPEN'`)
+        .run(closesAt, pollId);
+
+      return this.createOutboxMessage(outboxMessage);
+    });
+
+    return tx();
+  }
+
+  setTiePending({ pollId, closeReason, closedAt, tieDeadlineAt, tieOptionIndices, winners = [] }) {
+    this.#transitionPoll(pollId, 'TIE_PENDING');
+
     const stmt = this.db.prepare(`
       UPDATE polls
       SET
@@ -665,13 +1345,21 @@ class PollDatabase {
         close_reason = ?,
         tie_deadline_at = ?,
         tie_option_indices_json = ?,
-        winning_option_idx = NULL,
-        winner_vote_count = NULL,
-        announced_at = NULL
+        winners_json = ?,
+        announced_at = NULL,
+        tie_break_strategy = NULL,
+        tie_break_inputs_json = NULL
       WHERE id = ?
     `);
 
-    stmt.run(closedAt, closeReason, tieDeadlineAt, JSON.stringify(tieOptionIndices), pollId);
+    stmt.run(
+      closedAt,
+      closeReason,
+      tieDeadlineAt,
+      JSON.stringify(tieOptionIndices),
+      this.#serializeWinners(winners),
+      pollId
+    );
   }
 
   setTiePendingWithOutbox({
@@ -680,6 +1368,7 @@ class PollDatabase {
     closedAt,
     tieDeadlineAt,
     tieOptionIndices,
+    winners = [],
     outboxMessage
   }) {
     const tx = this.db.transaction(() => {
@@ -688,7 +1377,8 @@ class PollDatabase {
         closeReason,
         closedAt,
         tieDeadlineAt,
-        tieOptionIndices
+        tieOptionIndices,
+        winners
       });
 
       return this.createOutboxMessage(outboxMessage);
@@ -697,7 +1387,16 @@ class PollDatabase {
     return tx();
   }
 
-  setAnnounced({ pollId, closeReason, closedAt = null, announcedAt, winnerIdx, winnerVotes }) {
+  setAnnounced({
+    pollId,
+    closeReason,
+    closedAt = null,
+    announcedAt,
+    winners = [],
+    tieBreak = null
+  }) {
+    this.#transitionPoll(pollId, 'ANNOUNCED');
+
     const stmt = this.db.prepare(`
       UPDATE polls
       SET
@@ -706,13 +1405,22 @@ class PollDatabase {
         close_reason = ?,
         tie_deadline_at = NULL,
         tie_option_indices_json = NULL,
-        winning_option_idx = ?,
-        winner_vote_count = ?,
-        announced_at = ?
+        winners_json = ?,
+        announced_at = ?,
+        tie_break_strategy = ?,
+        tie_break_inputs_json = ?
       WHERE id = ?
     `);
 
-    stmt.run(closedAt, closeReason, winnerIdx, winnerVotes, announcedAt, pollId);
+    stmt.run(
+      closedAt,
+      closeReason,
+      this.#serializeWinners(winners),
+      announcedAt,
+      tieBreak ? tieBreak.strategy : null,
+      tieBreak ? JSON.stringify(tieBreak.inputs) : null,
+      pollId
+    );
   }
 
   setAnnouncedWithOutbox({
@@ -720,8 +1428,8 @@ class PollDatabase {
     closeReason,
     closedAt = null,
     announcedAt,
-    winnerIdx,
-    winnerVotes,
+    winners = [],
+    tieBreak = null,
     outboxMessage
   }) {
     const tx = this.db.transaction(() => {
@@ -730,8 +1438,8 @@ class PollDatabase {
         closeReason,
         closedAt,
         announcedAt,
-        winnerIdx,
-        winnerVotes
+        winners,
+        tieBreak
       });
 
       return this.createOutboxMessage(outboxMessage);
@@ -740,6 +1448,287 @@ class PollDatabase {
     return tx();
   }
 
+  replacePendingReminders({ pollId, kind, reminders, createdAt }) {
+    const tx = this.db.transaction(() => {
+      this.db
+        .prepare(`DELETE FROM reminders WHERE poll_id = ? AND kind = ? AND status = 'PENDING'`)
+        .run(pollId, kind);
+
+      const insert = this.db.prepare(`
+        INSERT INTO reminders (
+          poll_id,
+          kind,
+          option_idx,
+          offset_hours,
+          remind_at,
+          status,
+          created_at
+        ) VALUES (?, ?, ?, ?, ?, 'PENDING', ?)
+      `);
+
+      for (const reminder of reminders) {
+        insert.run(
+          pollId,
+          kind,
+          reminder.optionIdx ?? null,
+          reminder.offsetHours,
+          reminder.remindAt,
+          createdAt
+        );
+      }
+
+      return this.listPendingRemindersForPoll(pollId, kind);
+    });
+
+    return tx();
+  }
+
+  getReminderById(reminderId) {
+    const stmt = this.db.prepare('SELECT * FROM reminders WHERE id = ? LIMIT 1');
+    return this.#mapReminder(stmt.get(reminderId));
+  }
+
+  listPendingRemindersForPoll(pollId, kind) {
+    const stmt = this.db.prepare(`
+      SELECT *
+      FROM reminders
+      WHERE poll_id = ?
+        AND kind = ?
+        AND status = 'PENDING'
+      ORDER BY remind_at ASC, id ASC
+    `);
+
+    return stmt.all(pollId, kind).map((row) => this.#mapReminder(row));
+  }
+
+  listPendingReminders(groupId) {
+    const stmt = this.db.prepare(`
+      SELECT reminders.*
+      FROM reminders
+      INNER JOIN polls ON polls.id = reminders.poll_id
+      WHERE polls.group_id = ?
+        AND reminders.status = 'PENDING'
+      ORDER BY reminders.remind_at ASC, reminders.id ASC
+    `);
+
+    return stmt.all(groupId).map((row) => this.#mapReminder(row));
+  }
+
+  completeReminder({ reminderId, status, completedAt }) {
+    const stmt = this.db.prepare(`
+      UPDATE reminders
+      SET
+        status = ?,
+        completed_at = ?
+      WHERE id = ?
+        AND status = 'PENDING'
+    `);
+
+    return stmt.run(status, completedAt, reminderId).changes > 0;
+  }
+
+  markReminderSentWithOutbox({ reminderId, sentAt, outboxMessage }) {
+    const tx = this.db.transaction(() => {
+      this.completeReminder({ reminderId, status: 'SENT', completedAt: sentAt });
+
+      return this.createOutboxMessage(outboxMessage);
+    });
+
+    return tx();
+  }
+
+  cancelPendingReminders({ pollId, kind, cancelledAt }) {
+    const stmt = this.db.prepare(`
+      UPDATE reminders
+      SET
+        status = 'CANCELLED',
+        completed_at = ?
+      WHERE poll_id = ?
+        AND kind = ?
+        AND status = 'PENDING'
+    `);
+
+    return stmt.run(cancelledAt, pollId, kind).changes;
+  }
+
+  upsertContactAlias({ aliasJid, phoneJid, source, seenAt }) {
+    const stmt = this.db.prepare(`
+      INSERT INTO contact_aliases (alias_jid, phone_jid, source, first_seen_at, last_seen_at)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(alias_jid)
+      DO UPDATE SET
+        phone_jid = excluded.phone_jid,
+        source = excluded.source,
+        last_seen_at = excluded.last_seen_at
+    `);
+
+    stmt.run(aliasJid, phoneJid, source, seenAt, seenAt);
+  }
+
+  getContactAlias(aliasJid) {
+    const stmt = this.db.prepare('SELECT * FROM contact_aliases WHERE alias_jid = ?');
+    return this.#mapContactAlias(stmt.get(aliasJid));
+  }
+
+  touchContactAlias({ aliasJid, seenAt }) {
+    const stmt = this.db.prepare(`
+      UPDATE contact_aliases
+      SET last_seen_at = MAX(last_seen_at, ?)
+      WHERE alias_jid = ?
+    `);
+
+    stmt.run(seenAt, aliasJid);
+  }
+
+  listContactAliases() {
+    const stmt = this.db.prepare(
+      'SELECT * FROM contact_aliases ORDER BY phone_jid ASC, last_seen_at DESC, alias_jid ASC'
+    );
+    return stmt.all().map((row) => this.#mapContactAlias(row));
+  }
+
+  deleteContactAlias(aliasJid) {
+    const stmt = this.db.prepare('DELETE FROM contact_aliases WHERE alias_jid = ?');
+    return stmt.run(aliasJid).changes > 0;
+  }
+
+  createVoterAbsence({ groupId, voterJid, startsOn, endsOn, createdAt }) {
+    const stmt = this.db.prepare(`
+      INSERT INTO voter_absences (group_id, voter_jid, starts_on, ends_on, created_at)
+      VALUES (?, ?, ?, ?, ?)
+    `);
+
+    return Number(stmt.run(groupId, voterJid, startsOn, endsOn, createdAt).lastInsertRowid);
+  }
+
+  // Dates are `YYYY-MM-DD` strings, so overlap checks compare them lexically.
+  listVoterAbsences(groupId, { from, to }) {
+    const stmt = this.db.prepare(`
+      SELECT *
+      FROM voter_absences
+      WHERE group_id = ?
+        AND starts_on <= ?
+        AND ends_on >= ?
+      ORDER BY starts_on ASC, id ASC
+    `);
+
+    return stmt.all(groupId, to, from).map((row) => this.#mapVoterAbsence(row));
+  }
+
+  clearVoterAbsences({ groupId, voterJid, fromDate }) {
+    const stmt = this.db.prepare(`
+      DELETE FROM voter_absences
+      WHERE group_id = ?
+        AND voter_jid = ?
+        AND ends_on >= ?
+    `);
+
+    return stmt.run(groupId, voterJid, fromDate).changes;
+  }
+
+  setStandingAvailability({ groupId, voterJid, slotKeys, updatedAt }) {
+    const stmt = this.db.prepare(`
+      INSERT INTO standing_availability (group_id, voter_jid, slot_keys_json, updated_at)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT(group_id, voter_jid)
+      DO UPDATE SET
+        slot_keys_json = excluded.slot_keys_json,
+        updated_at = excluded.updated_at
+    `);
+
+    stmt.run(groupId, voterJid, JSON.stringify(slotKeys), updatedAt);
+  }
+
+  getStandingAvailability(groupId, voterJid) {
+    const stmt = this.db.prepare(
+      'SELECT * FROM standing_availability WHERE group_id = ? AND voter_jid = ?'
+    );
+    const row = stmt.get(groupId, voterJid);
+    return row ? this.#mapStandingAvailability(row) : null;
+  }
+
+  listStandingAvailability(groupId) {
+    const stmt = this.db.prepare(
+      'SELECT * FROM standing_availability WHERE group_id = ? ORDER BY voter_jid ASC'
+    );
+    return stmt.all(groupId).map((row) => this.#mapStandingAvailability(row));
+  }
+
+  deleteStandingAvailability(groupId, voterJid) {
+    const stmt = this.db.prepare(
+      'DELETE FROM standing_availability WHERE group_id = ? AND voter_jid = ?'
+    );
+    return stmt.run(groupId, voterJid).changes > 0;
+  }
+
+  // Historical rows keep counting under the pseudonym; rows that only matter for future polls
+  // (absences, standing availability, @lid aliases) are deleted.
+  forgetVoter({ voterJid, pseudonym }) {
+    const local = voterJid.split('@', 1)[0];
+    const phonePattern = new RegExp(`(?<!\\d)${local}(?:@c\\.us)?(?!\\d)`, 'g');
+    const outboxStmt = this.db.prepare(`
+      SELECT *
+      FROM outbox
+      WHERE instr(payload_json, ?) > 0
+        OR instr(COALESCE(last_error, ''), ?) > 0
+    `);
+    const updateOutboxStmt = this.db.prepare(
+      'UPDATE outbox SET payload_json = ?, last_error = ? WHERE id = ?'
+    );
+
+    const tx = this.db.transaction(() => {
+      let outboxMessages = 0;
+      for (const message of outboxStmt.all(local, local).map((row) => this.#mapOutbox(row))) {
+        const payload = { ...message.payload };
+        if (typeof payload.text === 'string') {
+          payload.text = payload.text.replace(phonePattern, pseudonym);
+        }
+        if (Array.isArray(payload.mentions)) {
+          payload.mentions = payload.mentions.filter((jid) => jid !== voterJid);
+        }
+        const payloadJson = JSON.stringify(payload);
+        const lastError = message.lastError?.replace(phonePattern, pseudonym) ?? null;
+
+        // `instr` also matches longer numbers that contain this one; those rows stay untouched.
+        if (payloadJson !== JSON.stringify(message.payload) || lastError !== message.lastError) {
+          updateOutboxStmt.run(payloadJson, lastError, message.id);
+          outboxMessages += 1;
+        }
+      }
+
+      // A voter forgotten before and back under the same number already has pseudonym rows; the
+      // newer vote replaces them so the (poll_id, voter_jid) key stays unique.
+      this.db
+        .prepare(
+          `
+            DELETE FROM poll_votes
+            WHERE voter_jid = ?
+              AND poll_id IN (SELECT poll_id FROM poll_votes WHERE voter_jid = ?)
+          `
+        )
+        .run(pseudonym, voterJid);
+
+      return {
+        votes: this.db
+          .prepare('UPDATE poll_votes SET voter_jid = ? WHERE voter_jid = ?')
+          .run(pseudonym, voterJid).changes,
+        voteEvents: this.db
+          .prepare('UPDATE vote_events SET voter_jid = ? WHERE voter_jid = ?')
+          .run(pseudonym, voterJid).changes,
+        outboxMessages,
+        absences: this.db.prepare('DELETE FROM voter_absences WHERE voter_jid = ?').run(voterJid)
+          .changes,
+        standingAvailability: this.db
+          .prepare('DELETE FROM standing_availability WHERE voter_jid = ?')
+          .run(voterJid).changes,
+        aliases: this.db.prepare('DELETE FROM contact_aliases WHERE phone_jid = ?').run(voterJid)
+          .changes
+      };
+    });
+
+    return tx.immediate();
+  }
+
   close() {
     if (!this.db) {
       return;
@@ -750,6 +1739,31 @@ class PollDatabase {
   }
 }
 
+/**
+ * Read a database's schema version without opening it for writes or running migrations.
+ * @param {string} dbPath - SQLite file path.
+ * @returns {number|null} Applied schema version (0 before versioning existed), or `null` if the file does not exist.
+ */
+function readSchemaVersion(dbPath) {
+  if (!fs.existsSync(dbPath)) {
+    return null;
+  }
+
+  const db = new Database(dbPath, { readonly: true, fileMustExist: true });
+  try {
+    const table = db
+      .prepare("SELECT 1 FROM sqlite_master WHERE type='table' AND name = 'schema_migrations'")
+      .get();
+    return table
+      ? (db.prepare('SELECT MAX(version) AS version FROM schema_migrations').get().version ?? 0)
+      : 0;
+  } finally {
+    db.close();
+  }
+}
+
 module.exports = {
-  PollDatabase
+  PollDatabase,
+  SCHEMA_VERSION,
+  readSchemaVersion
 };
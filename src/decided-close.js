@@ -0,0 +1,55 @@
+const { selectWinners } = require('./winner-selection');
+
+/**
+ * Work out whether a poll's outcome can still change given the allowlisted voters who have not voted.
+ *
+ * Voting is multi-choice, so every remaining voter may add one vote to any subset of options. The
+ * worst case for the current winners is therefore every remaining voter backing the same rival while
+ * skipping the winners. Changes to votes that were already cast are not considered, so once every
+ * allowlisted voter has voted the poll is decided (`all-voted`) even on a tie; the close then goes
+ * through the usual tie handling.
+ *
+ * @param {Object} params - Evaluation inputs.
+ * @param {number[]} params.counts - Current vote count per option.
+ * @param {number} params.remainingVoters - Allowlisted voters without a non-empty vote.
+ * @param {number} [params.minWinnerVotes=1] - Minimum votes an option needs to be announced.
+ * @param {number} [params.seats=1] - Number of winning sessions to fill (`WINNERS_PER_WEEK`).
+ * @returns {{decided: boolean, reason: 'all-voted'|'leader-safe'|'below-min'|null, leaderIdx: number|null}} Evaluation result.
+ */
+function evaluateDecidedOutcome({ counts, remainingVoters, minWinnerVotes = 1, seats = 1 }) {
+  if (remainingVoters <= 0) {
+    return { decided: true, reason: 'all-voted', leaderIdx: null };
+  }
+
+  if (counts.length === 0) {
+    return { decided: false, reason: null, leaderIdx: null };
+  }
+
+  const maxVotes = Math.max(...counts);
+  if (maxVotes + remainingVoters < minWinnerVotes) {
+    return { decided: true, reason: 'below-min', leaderIdx: null };
+  }
+
+  const { winners, tie } = selectWinners({ counts, seats, minVotes: minWinnerVotes });
+  if (tie) {
+    return { decided: false, reason: null, leaderIdx: null };
+  }
+
+  // A rival changes the outcome by tying the last winner or, while seats are open, by reaching the minimum.
+  const leaderIdx = winners.length > 0 ? winners[0].optionIdx : null;
+  const winnerIndices = new Set(winners.map((winner) => winner.optionIdx));
+  const floor =
+    winners.length === seats ? winners[winners.length - 1].votes : Math.max(1, minWinnerVotes);
+  const rivalCanCatchUp = counts.some(
+    (count, index) => !winnerIndices.has(index) && count + remainingVoters >= floor
+  );
+  if (rivalCanCatchUp) {
+    return { decided: false, reason: null, leaderIdx };
+  }
+
+  return { decided: true, reason: 'leader-safe', leaderIdx };
+}
+
+module.exports = {
+  evaluateDecidedOutcome
+};
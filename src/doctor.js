@@ -4,6 +4,7 @@ const fs = require('node:fs');
 const path = require('node:path');
 const crypto = require('node:crypto');
 const { loadConfig } = require('./config');
+const { SCHEMA_VERSION, readSchemaVersion } = require('./db');
 const { parseWeeklyPollCron } = require('./poll-slots');
 const { DIRECTORY_MODE, FILE_MODE, modeToOctal } = require('./runtime-security');
 const { describeInteractiveStartupMode } = require('./startup-week-selector');
@@ -82,6 +83,38 @@ function checkDataDirPermissions(dataDir) {
   printResult('PASS', `DATA_DIR permissions are secure (${modeToOctal(mode)}).`);
 }
 
+function checkSchemaVersion(dataDir) {
+  const dbPath = path.join(dataDir, 'polls.sqlite');
+  const version = readSchemaVersion(dbPath);
+
+  if (version === null) {
+    printResult(
+      'PASS',
+      `No database yet; schema version ${SCHEMA_VERSION} will be created on first start.`
+    );
+    return;
+  }
+
+  if (version > SCHEMA_VERSION) {
+    printResult(
+      'FAIL',
+      `Database schema version ${version} is newer than this release supports (${SCHEMA_VERSION}).`
+    );
+    process.exitCode = 1;
+    return;
+  }
+
+  if (version < SCHEMA_VERSION) {
+    printResult(
+      'PASS',
+      `Database schema version ${version}; migrations up to ${SCHEMA_VERSION} will run on next start.`
+    );
+    return;
+  }
+
+  printResult('PASS', `Database schema version ${version} is current.`);
+}
+
 function checkConfigConsistency(config) {
   if (config.weekSelectionMode === 'auto') {
     parseWeeklyPollCron(config.pollCron);
@@ -178,6 +211,17 @@ function runDoctor() {
     );
   }
 
+  try {
+    checkSchemaVersion(config.dataDir);
+  } catch (error) {
+    printResult(
+      'WARN',
+      `Could not read the database schema version: ${
+        error instanceof Error ? error.message : String(error)
+      }`
+    );
+  }
+
   printResult(
     'PASS',
     `Command guardrails: max ${config.commandRateLimitCount} commands per ${config.commandRateLimitWindowMs}ms, length <= ${config.commandMaxLength}.`
@@ -0,0 +1,314 @@
+// Quiet so the dotenv banner does not end up in exports written to stdout.
+require('dotenv').config({ quiet: true });
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { DateTime } = require('luxon');
+
+const { loadExportConfig } = require('./config');
+const { PollDatabase, SCHEMA_VERSION, readSchemaVersion } = require('./db');
+const { errorMetadata, log, redactSensitiveText } = require('./logger');
+const { parseWeekSpecifier } = require('./poll-slots');
+const { FILE_MODE } = require('./runtime-security');
+const { createVoteTally } = require('./vote-tally');
+
+const DB_FILE_NAME = 'polls.sqlite';
+const EXPORT_FORMATS = ['csv', 'json'];
+const USAGE =
+  'Usage: npm run export -- [--format csv|json] [--from YYYY-Www] [--to YYYY-Www] [--output <file>] [--include-phone-numbers]';
+
+const CSV_COLUMNS = [
+  'week_key',
+  'poll_id',
+  'parent_poll_id',
+  'status',
+  'created_at',
+  'closed_at',
+  'close_reason',
+  'announced_at',
+  'options',
+  'winners',
+  'votes_purged_at',
+  'voter',
+  'selected_options',
+  'auto_vote',
+  'vote_updated_at'
+];
+
+// Exports must not migrate or otherwise write the live database, so only the current schema is read.
+function openExportDatabase(dbPath) {
+  const schemaVersion = readSchemaVersion(dbPath);
+  if (schemaVersion === null) {
+    throw new Error(`No database to export at ${dbPath}.`);
+  }
+
+  if (schemaVersion < SCHEMA_VERSION) {
+    throw new Error(
+      `Database schema version ${schemaVersion} is older than this release (${SCHEMA_VERSION}). Start the bot once to migrate it, then export again.`
+    );
+  }
+
+  if (schemaVersion > SCHEMA_VERSION) {
+    throw new Error(
+      `Database schema version ${schemaVersion} is newer than this release supports (${SCHEMA_VERSION}). Export with the release that wrote it.`
+    );
+  }
+
+  return new PollDatabase(dbPath, { readonly: true });
+}
+
+function formatTimestamp(millis) {
+  return Number.isFinite(millis) ? DateTime.fromMillis(millis, { zone: 'utc' }).toISO() : null;
+}
+
+function readFlagValue(argv, index, flag) {
+  const value = argv[index + 1];
+  if (value === undefined || value.startsWith('--')) {
+    throw new Error(`${flag} needs a value. ${USAGE}`);
+  }
+
+  return value;
+}
+
+function parseWeekFlag(raw, flag) {
+  const parsed = parseWeekSpecifier(raw);
+  if (!parsed) {
+    throw new Error(`${flag} must be an ISO week such as 2026-W10.`);
+  }
+
+  return parsed.weekKey;
+}
+
+/**
+ * Parse `npm run export` arguments.
+ * @param {string[]} argv - Arguments after the script name.
+ * @returns {{format: 'csv'|'json', fromWeekKey: string|null, toWeekKey: string|null, outputPath: string|null, includePhoneNumbers: boolean}} Export options; a missing week bound leaves that side of the range open.
+ * @throws {Error} On unknown flags, invalid weeks, or a range that ends before it starts.
+ */
+function parseExportArgs(argv) {
+  const options = {
+    format: 'csv',
+    fromWeekKey: null,
+    toWeekKey: null,
+    outputPath: null,
+    includePhoneNumbers: false
+  };
+
+  for (let index = 0; index < argv.length; index += 1) {
+    const flag = argv[index];
+    if (flag === '--include-phone-numbers') {
+      options.includePhoneNumbers = true;
+      continue;
+    }
+
+    if (!['--format', '--from', '--to', '--output'].includes(flag)) {
+      throw new Error(`Unknown export option: ${flag}. ${USAGE}`);
+    }
+
+    const value = readFlagValue(argv, index, flag);
+    index += 1;
+
+    if (flag === '--format') {
+      options.format = value.toLowerCase();
+      if (!EXPORT_FORMATS.includes(options.format)) {
+        throw new Error(`--format must be one of: ${EXPORT_FORMATS.join(', ')}.`);
+      }
+    } else if (flag === '--from') {
+      options.fromWeekKey = parseWeekFlag(value, flag);
+    } else if (flag === '--to') {
+      options.toWeekKey = parseWeekFlag(value, flag);
+    } else {
+      options.outputPath = path.resolve(process.cwd(), value);
+    }
+  }
+
+  if (options.fromWeekKey && options.toWeekKey && options.fromWeekKey > options.toWeekKey) {
+    throw new Error('--from must not be later than --to.');
+  }
+
+  return options;
+}
+
+/**
+ * Read polls in a week range with their options, per-voter selections and winners.
+ * Runoff polls are included as their own entries, linked by `parentPollId`. Polls whose votes were
+ * purged by retention report the counts kept on the poll row and an empty `votes` list.
+ * @param {PollDatabase} db - Open poll database.
+ * @param {{groupId: string, fromWeekKey?: string|null, toWeekKey?: string|null, redactVoters: boolean}} options - Group, inclusive week range and whether voter JIDs are masked like log output.
+ * @returns {object[]} One plain object per poll, oldest week first.
+ */
+function buildPollExport(db, { groupId, fromWeekKey = null, toWeekKey = null, redactVoters }) {
+  const formatVoter = (voterJid) => (redactVoters ? redactSensitiveText(voterJid) : voterJid);
+
+  return db.listPollsInWeekRange(groupId, { fromWeekKey, toWeekKey }).map((poll) => {
+    const votes = db
+      .getVotesByPollId(poll.id)
+      .sort((a, b) => a.updatedAt - b.updatedAt || a.voterJid.localeCompare(b.voterJid));
+    const tally = createVoteTally(poll.options.length, votes);
+    const labelFor = (index) => poll.options[index]?.label || `Option ${index + 1}`;
+
+    return {
+      pollId: poll.id,
+      parentPollId: poll.parentPollId,
+      weekKey: poll.weekKey,
+      status: poll.status,
+      question: poll.question,
+      createdAt: formatTimestamp(poll.createdAt),
+      closesAt: formatTimestamp(poll.closesAt),
+      closedAt: formatTimestamp(poll.closedAt),
+      closeReason: poll.closeReason ?? null,
+      announcedAt: formatTimestamp(poll.announcedAt),
+      voterCount: poll.votesPurgedAt ? poll.voterCount : tally.selections.size,
+      votesPurgedAt: formatTimestamp(poll.votesPurgedAt),
+      options: poll.options.map((option, index) => ({
+        index,
+        label: labelFor(index),
+        slotAt: option.iso ?? null,
+        votes: poll.votesPurgedAt ? (poll.voteCounts?.[index] ?? 0) : tally.counts[index]
+      })),
+      winners: poll.winners.map((winner) => ({
+        index: winner.optionIdx,
+        label: labelFor(winner.optionIdx),
+        votes: winner.votes
+      })),
+      votes: votes.map((vote) => {
+        const selectedOptions = tally.selections.get(vote.voterJid) || [];
+        return {
+          voter: formatVoter(vote.voterJid),
+          selectedOptions,
+          selectedLabels: selectedOptions.map(labelFor),
+          auto: vote.auto,
+          updatedAt: formatTimestamp(vote.updatedAt)
+        };
+      })
+    };
+  });
+}
+
+function escapeCsvField(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  // Spreadsheet apps evaluate cells starting with these characters as formulas.
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render exported polls as CSV with one row per poll and voter. Polls without votes get one row with empty voter columns.
+ * @param {object[]} polls - Output of {@link buildPollExport}.
+ * @returns {string} CSV text with a header row.
+ */
+function formatPollExportCsv(polls) {
+  const rows = [CSV_COLUMNS];
+
+  for (const poll of polls) {
+    const pollColumns = [
+      poll.weekKey,
+      poll.pollId,
+      poll.parentPollId,
+      poll.status,
+      poll.createdAt,
+      poll.closedAt,
+      poll.closeReason,
+      poll.announcedAt,
+      poll.options.map((option) => `${option.label} (${option.votes})`).join('; '),
+      poll.winners.map((winner) => `${winner.label} (${winner.votes})`).join('; '),
+      poll.votesPurgedAt
+    ];
+
+    if (poll.votes.length === 0) {
+      rows.push([...pollColumns, null, null, null, null]);
+      continue;
+    }
+
+    for (const vote of poll.votes) {
+      rows.push([
+        ...pollColumns,
+        vote.voter,
+        vote.selectedLabels.join('; '),
+        vote.auto,
+        vote.updatedAt
+      ]);
+    }
+  }
+
+  return `${rows.map((row) => row.map(escapeCsvField).join(',')).join('\n')}\n`;
+}
+
+function formatPollExportJson(polls, { fromWeekKey, toWeekKey, redactVoters, now }) {
+  return `${JSON.stringify(
+    {
+      exportedAt: formatTimestamp(now),
+      fromWeek: fromWeekKey,
+      toWeek: toWeekKey,
+      votersRedacted: redactVoters,
+      polls
+    },
+    null,
+    2
+  )}\n`;
+}
+
+function runExportCli(
+  argv = process.argv.slice(2),
+  { output = process.stdout, now = Date.now() } = {}
+) {
+  let config;
+  let options;
+
+  try {
+    config = loadExportConfig();
+    options = parseExportArgs(argv);
+  } catch (error) {
+    log('ERROR', 'Invalid export options.', errorMetadata(error));
+    process.exitCode = 1;
+    return;
+  }
+
+  const dbPath = path.join(config.dataDir, DB_FILE_NAME);
+  const redactVoters = config.logRedactSensitive && !options.includePhoneNumbers;
+  let db = null;
+
+  try {
+    db = openExportDatabase(dbPath);
+    const polls = buildPollExport(db, {
+      groupId: config.groupId,
+      fromWeekKey: options.fromWeekKey,
+      toWeekKey: options.toWeekKey,
+      redactVoters
+    });
+    const content =
+      options.format === 'json'
+        ? formatPollExportJson(polls, { ...options, redactVoters, now })
+        : formatPollExportCsv(polls);
+
+    if (!options.outputPath) {
+      output.write(content);
+      return;
+    }
+
+    fs.writeFileSync(options.outputPath, content, { mode: FILE_MODE });
+    fs.chmodSync(options.outputPath, FILE_MODE);
+    process.stderr.write(
+      `Exported ${polls.length} poll(s) to ${options.outputPath}${redactVoters ? ' with phone numbers redacted' : ''}.\n`
+    );
+  } catch (error) {
+    log('ERROR', 'Poll export failed.', errorMetadata(error));
+    process.exitCode = 1;
+  } finally {
+    db?.close();
+  }
+}
+
+if (require.main === module) {
+  runExportCli();
+}
+
+module.exports = {
+  buildPollExport,
+  formatPollExportCsv,
+  parseExportArgs,
+  runExportCli
+};
@@ -0,0 +1,142 @@
+require('dotenv').config();
+
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const { loadClientRuntimeConfig, normalizeJid } = require('./config');
+const { PollDatabase } = require('./db');
+const { errorMetadata, log } = require('./logger');
+const { FILE_MODE } = require('./runtime-security');
+
+const DB_FILE_NAME = 'polls.sqlite';
+const SECRET_FILE_NAME = 'forget.key';
+
+/**
+ * Normalize a phone number for `forget`; only plain phone JIDs are accepted.
+ * @param {string} raw - Phone number or `<digits>@c.us` JID.
+ * @returns {string|null} Normalized `<digits>@c.us` JID, or `null` if the input is not a phone number.
+ */
+function parseForgetTarget(raw) {
+  const value = String(raw || '').trim();
+  if (value.includes('@') && !value.toLowerCase().endsWith('@c.us')) {
+    return null;
+  }
+
+  try {
+    const voterJid = normalizeJid(value);
+    return /^\d{7,}@c\.us$/.test(voterJid) ? voterJid : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read the local secret that keys forget pseudonyms, creating it (mode 0600) on first use.
+ * Keep it with the database: a new secret gives the same number a different pseudonym.
+ * @param {string} dataDir - Runtime data directory.
+ * @returns {Buffer} Secret bytes.
+ */
+function loadForgetSecret(dataDir) {
+  const secretPath = path.join(dataDir, SECRET_FILE_NAME);
+  try {
+    fs.writeFileSync(secretPath, crypto.randomBytes(32).toString('hex'), {
+      mode: FILE_MODE,
+      flag: 'wx'
+    });
+  } catch (error) {
+    if (error.code !== 'EEXIST') {
+      throw error;
+    }
+  }
+
+  return Buffer.from(fs.readFileSync(secretPath, 'utf8').trim(), 'hex');
+}
+
+/**
+ * Derive the pseudonym for a voter: an HMAC of the JID, so forgetting the same number twice
+ * gives the same pseudonym and cannot be reversed without the secret.
+ * @param {string} voterJid - Normalized phone JID.
+ * @param {Buffer} secret - Secret from {@link loadForgetSecret}.
+ * @returns {string} `forgotten-<12 hex>` pseudonym.
+ */
+function derivePseudonym(voterJid, secret) {
+  const digest = crypto.createHmac('sha256', secret).update(voterJid).digest('hex');
+  return `forgotten-${digest.slice(0, 12)}`;
+}
+
+/**
+ * Replace a voter's JID with its pseudonym in every table, keeping vote counts intact.
+ * The same pseudonym is used everywhere, so the voter's votes and vote history still line up.
+ * @param {PollDatabase} db - Open poll database.
+ * @param {string} voterJid - Normalized phone JID to forget.
+ * @param {Buffer} secret - Secret from {@link loadForgetSecret}.
+ * @returns {{pseudonym: string, votes: number, voteEvents: number, outboxMessages: number, absences: number, standingAvailability: number, aliases: number}} Pseudonym and per-table row counts.
+ */
+function forgetVoterData(db, voterJid, secret) {
+  const pseudonym = derivePseudonym(voterJid, secret);
+  return { pseudonym, ...db.forgetVoter({ voterJid, pseudonym }) };
+}
+
+/**
+ * Describe what {@link forgetVoterData} changed. Counts only: the text is posted to the group,
+ * so it names neither the number nor the pseudonym.
+ * @param {ReturnType<typeof forgetVoterData>} result - Forget result.
+ * @returns {string} Confirmation text, or a note that nothing was stored for the voter.
+ */
+function describeForgetResult(result) {
+  const { votes, voteEvents, outboxMessages, absences, standingAvailability, aliases } = result;
+  if (votes + voteEvents + outboxMessages + absences + standingAvailability + aliases === 0) {
+    return 'No stored data for that number.';
+  }
+
+  return [
+    'Voter forgotten.',
+    `Replaced: ${votes} vote(s), ${voteEvents} vote history row(s), ${outboxMessages} outbox message(s).`,
+    `Deleted: ${absences} away period(s), ${standingAvailability} standing availability, ${aliases} @lid alias(es).`
+  ].join('\n');
+}
+
+function runForgetCli(argv = process.argv.slice(2), { output = process.stdout } = {}) {
+  const voterJid = parseForgetTarget(argv.join(' '));
+  if (!voterJid) {
+    output.write('Usage: npm run forget -- <phone>\n');
+    process.exitCode = 1;
+    return;
+  }
+
+  const { dataDir } = loadClientRuntimeConfig();
+  const dbPath = path.join(dataDir, DB_FILE_NAME);
+  let db = null;
+
+  try {
+    if (!fs.existsSync(dbPath)) {
+      throw new Error(`No database at ${dbPath}.`);
+    }
+
+    db = new PollDatabase(dbPath);
+    const result = forgetVoterData(db, voterJid, loadForgetSecret(dataDir));
+    output.write(`${describeForgetResult(result)}\n`);
+    if (result.votes + result.voteEvents + result.outboxMessages > 0) {
+      output.write(`Their history now appears as ${result.pseudonym}.\n`);
+    }
+  } catch (error) {
+    log('ERROR', 'Forgetting voter failed.', errorMetadata(error));
+    process.exitCode = 1;
+  } finally {
+    db?.close();
+  }
+}
+
+if (require.main === module) {
+  runForgetCli();
+}
+
+module.exports = {
+  derivePseudonym,
+  describeForgetResult,
+  forgetVoterData,
+  loadForgetSecret,
+  parseForgetTarget,
+  runForgetCli
+};
@@ -17,9 +17,20 @@ const {
 const { BotObservability } = require('./observability');
 const { enforceSecureRuntimePermissions } = require('./runtime-security');
 const { resolveStartupWeekSelection } = require('./startup-week-selector');
+const { backupAfterAnnouncement } = require('./services/announcement-backup');
+const { runDatabaseMaintenance } = require('./services/maintenance');
 const {
   buildStatusText,
+  handleAwayCommand,
+  handleBackCommand,
   handleManualPick,
+  handleOwnerAlias,
+  handleOwnerCancel,
+  handleOwnerClose,
+  handleOwnerExtend,
+  handleOwnerForget,
+  handleStandingAvailability,
+  handleTextVote,
   helpText,
   isOwnerMessage,
   isRateLimited,
@@ -39,36 +50,63 @@ const {
 const {
   announceWinner,
   clearTimer,
+  closeBelowMinWinnerVotes,
   closePoll,
+  closePollWithinLock,
+  countOpenSeats,
   createCurrentWeekPollIfMissed,
   createPollForWeek,
   createStartupSelectedWeekPollIfNeeded,
   createWeeklyPollIfNeeded,
+  evaluateVotesAfterUpdate,
   finalizeExpiredAutomaticWinner,
   finalizeWinner,
+  forgetContactAlias,
   getExpiredAutoWinnerState,
   handleTieTimeout,
+  listAwayVoters,
+  listMissingVoters,
   mapVoteSelectionsToOptionIndices,
   maybeAnnounceAutomaticWinner,
   normalizeVoteUpdateForPoll,
   notifyOwnerExpiredWinner,
+  notifyOwnerExpiredWinnerFallback,
+  notifyOwnerNearMissSlots,
   onVoteUpdate,
+  reconcileOpenPollVotes,
   reconcilePendingPollVotes,
   reconcilePollVotes,
+  recordTextVote,
   recoverPendingPolls,
+  rememberContactAlias,
   resolveAllowlistedVoterJid,
+  resolveConfiguredTieBreak,
   resolvePollOptionScheduledAt,
   scheduleCloseTimer,
   scheduleTieTimer,
+  selectExpiredWinnerFallback,
   summarizePoll,
-  withPollLock
+  verifyVoteTally
 } = require('./services/poll-lifecycle');
+const { withPollAndParentLock } = require('./services/poll-lock');
+const {
+  cancelGameReminders,
+  cancelVoteReminders,
+  clearReminderTimer,
+  handleReminderDue,
+  recoverPendingReminders,
+  scheduleGameReminders,
+  scheduleReminderTimer,
+  scheduleVoteReminders
+} = require('./services/reminders');
+const { closeRunoffPollWithinLock, startRunoffPoll } = require('./services/runoff');
 const { WhatsAppAdapter } = require('./whatsapp-adapter');
 
 const DEFAULT_OUTBOX_MAX_ATTEMPTS = 5;
 const DEFAULT_OUTBOX_RETRY_BASE_MS = 30 * 1000;
 const DEFAULT_OUTBOX_RETRY_MAX_MS = 30 * 60 * 1000;
 const DEFAULT_OUTBOX_SEND_TIMEOUT_MS = 30 * 1000;
+const DEFAULT_POLL_LOCK_TIMEOUT_MS = 30 * 1000;
 
 class GameSchedulerBot {
   constructor(config, dependencies = {}) {
@@ -90,6 +128,10 @@ class GameSchedulerBot {
       Number.isInteger(dependencies.outboxSendTimeoutMs) && dependencies.outboxSendTimeoutMs > 0
         ? dependencies.outboxSendTimeoutMs
         : DEFAULT_OUTBOX_SEND_TIMEOUT_MS;
+    this.pollLockTimeoutMs =
+      Number.isInteger(dependencies.pollLockTimeoutMs) && dependencies.pollLockTimeoutMs > 0
+        ? dependencies.pollLockTimeoutMs
+        : DEFAULT_POLL_LOCK_TIMEOUT_MS;
 
     setLogOptions({
       redactSensitive: this.config.logRedactSensitive,
@@ -100,14 +142,20 @@ class GameSchedulerBot {
 
     this.db = new PollDatabase(path.join(this.config.dataDir, 'polls.sqlite'));
     this.closeTimers = new Map();
+    this.voteEvaluationTimers = new Map();
     this.tieTimers = new Map();
-    this.pollLocks = new Set();
+    this.reminderTimers = new Map();
+    this.pollLocks = new Map();
+    this.voteTallies = new Map();
+    this.lastBackupAnnouncedAt = this.db.getLatestAnnouncedAt(this.config.groupId) ?? 0;
     this.commandWindows = new Map();
     this.voterAliasMap = new Map();
     this.pendingTasks = new Set();
     this.shuttingDown = false;
     this.outboxTimer = null;
     this.outboxDrainInProgress = false;
+    this.voteReconcileTimer = null;
+    this.voteReconcileInProgress = false;
     this.observability =
       dependencies.observability ||
       new BotObservability({
@@ -158,6 +206,7 @@ class GameSchedulerBot {
     }
 
     this.cronTask = null;
+    this.maintenanceTask = null;
     this.#bindHandlers();
   }
 
@@ -260,15 +309,33 @@ class GameSchedulerBot {
       this.cronTask = null;
     }
 
+    if (this.maintenanceTask) {
+      this.maintenanceTask.stop();
+      this.maintenanceTask = null;
+    }
+
+    if (this.voteReconcileTimer) {
+      clearInterval(this.voteReconcileTimer);
+      this.voteReconcileTimer = null;
+    }
+
     for (const timer of this.closeTimers.values()) {
       clearTimeout(timer);
     }
+    for (const timer of this.voteEvaluationTimers.values()) {
+      clearTimeout(timer);
+    }
     for (const timer of this.tieTimers.values()) {
       clearTimeout(timer);
     }
+    for (const timer of this.reminderTimers.values()) {
+      clearTimeout(timer);
+    }
 
     this.closeTimers.clear();
+    this.voteEvaluationTimers.clear();
     this.tieTimers.clear();
+    this.reminderTimers.clear();
     this.clearOutboxTimer();
 
     if (this.pendingTasks.size > 0) {
@@ -317,7 +384,10 @@ class GameSchedulerBot {
     });
 
     await this.reconcilePendingPollVotes();
+    this.startVoteReconciliationIfNeeded();
+    this.startMaintenanceIfNeeded();
     this.recoverPendingPolls();
+    this.recoverPendingReminders();
     await this.recoverOutboxMessages();
 
     if (weekSelectionMode === 'auto') {
@@ -355,8 +425,51 @@ class GameSchedulerBot {
     });
   }
 
+  startMaintenanceIfNeeded() {
+    if (this.maintenanceTask) {
+      return;
+    }
+
+    this.maintenanceTask = cron.schedule(
+      this.config.maintenanceCron,
+      () => {
+        this.runSafely('database_maintenance', async () => {
+          this.runDatabaseMaintenance();
+        });
+      },
+      { timezone: this.config.timezone }
+    );
+
+    log('INFO', 'Database maintenance scheduled.', {
+      maintenanceCron: this.config.maintenanceCron,
+      voteRetentionWeeks: this.config.voteRetentionWeeks,
+      voteEventRetentionWeeks: this.config.voteEventRetentionWeeks,
+      outboxRetentionWeeks: this.config.outboxRetentionWeeks
+    });
+  }
+
+  startVoteReconciliationIfNeeded() {
+    const intervalMinutes = this.config.voteReconcileIntervalMinutes || 0;
+    if (this.voteReconcileTimer || intervalMinutes <= 0) {
+      return;
+    }
+
+    if (!this.adapter.supportsPollVoteLookup()) {
+      log('WARN', 'Skipping periodic vote reconciliation: client.getPollVotes is unavailable.');
+      return;
+    }
+
+    this.voteReconcileTimer = setInterval(() => {
+      this.runSafely('vote_reconcile', async () => {
+        await this.reconcileOpenPollVotes();
+      });
+    }, intervalMinutes * 60_000);
+
+    log('INFO', 'Periodic vote reconciliation scheduled.', { intervalMinutes });
+  }
+
   async withPollLock(pollId, callback) {
-    return withPollLock(this, pollId, callback);
+    return withPollAndParentLock(this, pollId, callback);
   }
 
   isRateLimited(senderJid) {
@@ -371,6 +484,10 @@ class GameSchedulerBot {
     return reconcilePendingPollVotes(this);
   }
 
+  async reconcileOpenPollVotes() {
+    return reconcileOpenPollVotes(this);
+  }
+
   async reconcilePollVotes(poll) {
     return reconcilePollVotes(this, poll);
   }
@@ -403,8 +520,40 @@ class GameSchedulerBot {
     return clearTimer(this, timerMap, pollId);
   }
 
-  buildOutboxTextMessage(text, createdAt = this.now()) {
-    return buildOutboxTextMessage(this, text, createdAt);
+  scheduleVoteReminders(pollId, closesAt) {
+    return scheduleVoteReminders(this, pollId, closesAt);
+  }
+
+  cancelVoteReminders(pollId) {
+    return cancelVoteReminders(this, pollId);
+  }
+
+  scheduleGameReminders(poll, winners) {
+    return scheduleGameReminders(this, poll, winners);
+  }
+
+  cancelGameReminders(pollId) {
+    return cancelGameReminders(this, pollId);
+  }
+
+  scheduleReminderTimer(reminderId, remindAt) {
+    return scheduleReminderTimer(this, reminderId, remindAt);
+  }
+
+  clearReminderTimer(reminderId) {
+    return clearReminderTimer(this, reminderId);
+  }
+
+  recoverPendingReminders() {
+    return recoverPendingReminders(this);
+  }
+
+  async handleReminderDue(reminderId) {
+    return handleReminderDue(this, reminderId);
+  }
+
+  buildOutboxTextMessage(text, createdAt = this.now(), mentions = []) {
+    return buildOutboxTextMessage(this, text, createdAt, mentions);
   }
 
   resolvePollOptionScheduledAt(poll, optionIdx) {
@@ -419,12 +568,32 @@ class GameSchedulerBot {
     return notifyOwnerExpiredWinner(this, poll, winnerIdx, slotLabel, slotIso, closeReason);
   }
 
-  async finalizeExpiredAutomaticWinner(poll, winnerIdx, winnerVotes, closeReason) {
-    return finalizeExpiredAutomaticWinner(this, poll, winnerIdx, winnerVotes, closeReason);
+  async notifyOwnerExpiredWinnerFallback(poll, expired, fallback, closeReason) {
+    return notifyOwnerExpiredWinnerFallback(this, poll, expired, fallback, closeReason);
   }
 
-  async maybeAnnounceAutomaticWinner(poll, winnerIdx, winnerVotes, closeReason) {
-    return maybeAnnounceAutomaticWinner(this, poll, winnerIdx, winnerVotes, closeReason);
+  async notifyOwnerNearMissSlots(poll, summary) {
+    return notifyOwnerNearMissSlots(this, poll, summary);
+  }
+
+  async closeBelowMinWinnerVotes(poll, summary, topVotes) {
+    return closeBelowMinWinnerVotes(this, poll, summary, topVotes);
+  }
+
+  async finalizeExpiredAutomaticWinner(poll, winners, closeReason, tieBreak) {
+    return finalizeExpiredAutomaticWinner(this, poll, winners, closeReason, tieBreak);
+  }
+
+  selectExpiredWinnerFallback(poll, winners, seats) {
+    return selectExpiredWinnerFallback(this, poll, winners, seats);
+  }
+
+  async maybeAnnounceAutomaticWinner(poll, winners, closeReason, tieBreak) {
+    return maybeAnnounceAutomaticWinner(this, poll, winners, closeReason, tieBreak);
+  }
+
+  countOpenSeats(poll) {
+    return countOpenSeats(this, poll);
   }
 
   getOutboxRetryDelayMs(attemptCount) {
@@ -459,10 +628,30 @@ class GameSchedulerBot {
     return drainOutboxQueue(this);
   }
 
+  async backupAfterAnnouncement() {
+    return backupAfterAnnouncement(this);
+  }
+
+  runDatabaseMaintenance() {
+    return runDatabaseMaintenance(this);
+  }
+
   summarizePoll(poll) {
     return summarizePoll(this, poll);
   }
 
+  verifyVoteTally(poll) {
+    return verifyVoteTally(this, poll);
+  }
+
+  listAwayVoters(poll) {
+    return listAwayVoters(this, poll);
+  }
+
+  listMissingVoters(poll) {
+    return listMissingVoters(this, poll);
+  }
+
   mapVoteSelectionsToOptionIndices(poll, selectedOptionsRaw) {
     return mapVoteSelectionsToOptionIndices(this, poll, selectedOptionsRaw);
   }
@@ -471,6 +660,22 @@ class GameSchedulerBot {
     return resolveAllowlistedVoterJid(this, voterRaw, normalizedVoterJid);
   }
 
+  recordTextVote(poll, voterJid, selectedOptions) {
+    return recordTextVote(this, poll, voterJid, selectedOptions);
+  }
+
+  async evaluateVotesAfterUpdate(poll) {
+    return evaluateVotesAfterUpdate(this, poll);
+  }
+
+  rememberContactAlias(aliasJid, phoneJid, source) {
+    return rememberContactAlias(this, aliasJid, phoneJid, source);
+  }
+
+  forgetContactAlias(aliasJid) {
+    return forgetContactAlias(this, aliasJid);
+  }
+
   async normalizeVoteUpdateForPoll(poll, voteUpdate) {
     return normalizeVoteUpdateForPoll(this, poll, voteUpdate);
   }
@@ -483,16 +688,32 @@ class GameSchedulerBot {
     return closePoll(this, pollId, closeReason);
   }
 
+  async closePollWithinLock(pollId, closeReason, options) {
+    return closePollWithinLock(this, pollId, closeReason, options);
+  }
+
   async handleTieTimeout(pollId) {
     return handleTieTimeout(this, pollId);
   }
 
-  finalizeWinner(poll, winnerIdx, winnerVotes, closeReason) {
-    return finalizeWinner(this, poll, winnerIdx, winnerVotes, closeReason);
+  resolveConfiguredTieBreak(poll, candidates, seats) {
+    return resolveConfiguredTieBreak(this, poll, candidates, seats);
+  }
+
+  async startRunoffPoll(parentPoll, candidates) {
+    return startRunoffPoll(this, parentPoll, candidates);
+  }
+
+  async closeRunoffPollWithinLock(runoffPoll, closeReason) {
+    return closeRunoffPollWithinLock(this, runoffPoll, closeReason);
+  }
+
+  finalizeWinner(poll, winners, closeReason, tieBreak) {
+    return finalizeWinner(this, poll, winners, closeReason, tieBreak);
   }
 
-  async announceWinner(poll, winnerIdx, winnerVotes, closeReason) {
-    return announceWinner(this, poll, winnerIdx, winnerVotes, closeReason);
+  async announceWinner(poll, winners, closeReason, tieBreak) {
+    return announceWinner(this, poll, winners, closeReason, tieBreak);
   }
 
   async onMessageCreate(message) {
@@ -515,8 +736,44 @@ class GameSchedulerBot {
     return handleManualPick(this, message, optionRaw);
   }
 
-  async sendGroupMessage(text) {
-    return this.adapter.sendGroupMessage(text);
+  async handleOwnerClose(message) {
+    return handleOwnerClose(this, message);
+  }
+
+  async handleOwnerExtend(message, hoursRaw) {
+    return handleOwnerExtend(this, message, hoursRaw);
+  }
+
+  async handleOwnerCancel(message) {
+    return handleOwnerCancel(this, message);
+  }
+
+  async handleOwnerAlias(message, args) {
+    return handleOwnerAlias(this, message, args);
+  }
+
+  async handleOwnerForget(message, args) {
+    return handleOwnerForget(this, message, args);
+  }
+
+  async handleAwayCommand(message, args) {
+    return handleAwayCommand(this, message, args);
+  }
+
+  async handleBackCommand(message) {
+    return handleBackCommand(this, message);
+  }
+
+  async handleStandingAvailability(message, args) {
+    return handleStandingAvailability(this, message, args);
+  }
+
+  async handleTextVote(message, args) {
+    return handleTextVote(this, message, args);
+  }
+
+  async sendGroupMessage(text, options) {
+    return this.adapter.sendGroupMessage(text, options);
   }
 }
 
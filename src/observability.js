@@ -31,7 +31,24 @@ class BotObservability {
       pollsCreatedTotal: 0,
       pollsClosedTotal: 0,
       quorumClosesTotal: 0,
+      decidedClosesTotal: 0,
       tieFlowsTotal: 0,
+      runoffPollsTotal: 0,
+      belowMinVotesClosesTotal: 0,
+      remindersSentTotal: 0,
+      pollLockAcquisitionsTotal: 0,
+      pollLockContendedTotal: 0,
+      pollLockTimeoutsTotal: 0,
+      pollLockWaitMsTotal: 0,
+      voteReconcileRunsTotal: 0,
+      voteReconcileMismatchesTotal: 0,
+      voteReconcileSkippedLockedTotal: 0,
+      voteTallyChecksTotal: 0,
+      voteTallyDriftTotal: 0,
+      voteEvaluationsTotal: 0,
+      voteEvaluationsCoalescedTotal: 0,
+      backupsTotal: 0,
+      backupFailuresTotal: 0,
       outboxSendFailuresTotal: 0,
       outboxSendRetriesTotal: 0,
       clientDisconnectsTotal: 0,
@@ -169,6 +186,8 @@ class BotObservability {
     this.counters.pollsClosedTotal += 1;
     if (closeReason === 'quorum') {
       this.counters.quorumClosesTotal += 1;
+    } else if (closeReason === 'decided') {
+      this.counters.decidedClosesTotal += 1;
     }
   }
 
@@ -176,6 +195,66 @@ class BotObservability {
     this.counters.tieFlowsTotal += 1;
   }
 
+  recordBelowMinVotesClose() {
+    this.counters.belowMinVotesClosesTotal += 1;
+  }
+
+  recordRunoffPoll() {
+    this.counters.runoffPollsTotal += 1;
+  }
+
+  recordReminderSent() {
+    this.counters.remindersSentTotal += 1;
+  }
+
+  recordPollLockWait({ waitMs = 0, contended = false, timedOut = false } = {}) {
+    this.counters.pollLockWaitMsTotal += toNonNegativeNumber(waitMs, 0);
+    if (contended) {
+      this.counters.pollLockContendedTotal += 1;
+    }
+
+    if (timedOut) {
+      this.counters.pollLockTimeoutsTotal += 1;
+    } else {
+      this.counters.pollLockAcquisitionsTotal += 1;
+    }
+  }
+
+  recordVoteReconciliation({ mismatchedVotes = 0, skippedLocked = false } = {}) {
+    if (skippedLocked) {
+      this.counters.voteReconcileSkippedLockedTotal += 1;
+      return;
+    }
+
+    this.counters.voteReconcileRunsTotal += 1;
+    this.counters.voteReconcileMismatchesTotal += mismatchedVotes;
+  }
+
+  recordVoteTallyCheck({ consistent = true } = {}) {
+    this.counters.voteTallyChecksTotal += 1;
+    if (!consistent) {
+      this.counters.voteTallyDriftTotal += 1;
+    }
+  }
+
+  recordVoteEvaluation({ coalesced = false } = {}) {
+    if (coalesced) {
+      this.counters.voteEvaluationsCoalescedTotal += 1;
+      return;
+    }
+
+    this.counters.voteEvaluationsTotal += 1;
+  }
+
+  recordBackup({ ok = true } = {}) {
+    if (ok) {
+      this.counters.backupsTotal += 1;
+      return;
+    }
+
+    this.counters.backupFailuresTotal += 1;
+  }
+
   recordOutboxFailure(willRetry) {
     this.counters.outboxSendFailuresTotal += 1;
     if (willRetry) {
@@ -314,12 +393,114 @@ class BotObservability {
         type: 'counter',
         value: this.counters.quorumClosesTotal
       },
+      {
+        name: 'whatsapp_poller_poll_closes_decided_total',
+        help: 'Total number of polls closed early because the outcome could no longer change.',
+        type: 'counter',
+        value: this.counters.decidedClosesTotal
+      },
       {
         name: 'whatsapp_poller_poll_tie_flows_total',
         help: 'Total number of tie flows entered.',
         type: 'counter',
         value: this.counters.tieFlowsTotal
       },
+      {
+        name: 'whatsapp_poller_poll_closes_below_min_votes_total',
+        help: 'Total number of polls closed without a game because no slot reached MIN_WINNER_VOTES.',
+        type: 'counter',
+        value: this.counters.belowMinVotesClosesTotal
+      },
+      {
+        name: 'whatsapp_poller_runoff_polls_total',
+        help: 'Total number of runoff polls posted for unresolved ties.',
+        type: 'counter',
+        value: this.counters.runoffPollsTotal
+      },
+      {
+        name: 'whatsapp_poller_reminders_sent_total',
+        help: 'Total number of reminder messages queued for delivery.',
+        type: 'counter',
+        value: this.counters.remindersSentTotal
+      },
+      {
+        name: 'whatsapp_poller_poll_lock_acquisitions_total',
+        help: 'Total number of poll lock acquisitions.',
+        type: 'counter',
+        value: this.counters.pollLockAcquisitionsTotal
+      },
+      {
+        name: 'whatsapp_poller_poll_lock_contended_total',
+        help: 'Total number of poll lock requests that had to wait behind another holder.',
+        type: 'counter',
+        value: this.counters.pollLockContendedTotal
+      },
+      {
+        name: 'whatsapp_poller_poll_lock_timeouts_total',
+        help: 'Total number of poll lock requests that timed out while waiting.',
+        type: 'counter',
+        value: this.counters.pollLockTimeoutsTotal
+      },
+      {
+        name: 'whatsapp_poller_poll_lock_wait_ms_total',
+        help: 'Total milliseconds spent waiting for poll locks.',
+        type: 'counter',
+        value: this.counters.pollLockWaitMsTotal
+      },
+      {
+        name: 'whatsapp_poller_vote_reconcile_runs_total',
+        help: 'Total number of periodic vote reconciliations completed for open polls.',
+        type: 'counter',
+        value: this.counters.voteReconcileRunsTotal
+      },
+      {
+        name: 'whatsapp_poller_vote_reconcile_mismatches_total',
+        help: 'Total number of votes periodic reconciliation found missing or stale in SQLite.',
+        type: 'counter',
+        value: this.counters.voteReconcileMismatchesTotal
+      },
+      {
+        name: 'whatsapp_poller_vote_reconcile_skipped_locked_total',
+        help: 'Total number of periodic vote reconciliations skipped after timing out on the poll lock.',
+        type: 'counter',
+        value: this.counters.voteReconcileSkippedLockedTotal
+      },
+      {
+        name: 'whatsapp_poller_vote_tally_checks_total',
+        help: 'Total number of in-memory vote tally checks against a full SQLite recomputation.',
+        type: 'counter',
+        value: this.counters.voteTallyChecksTotal
+      },
+      {
+        name: 'whatsapp_poller_vote_tally_drift_total',
+        help: 'Total number of vote tally checks that found the in-memory tally out of sync.',
+        type: 'counter',
+        value: this.counters.voteTallyDriftTotal
+      },
+      {
+        name: 'whatsapp_poller_vote_evaluations_total',
+        help: 'Total number of debounced quorum and decided-close evaluations after vote updates.',
+        type: 'counter',
+        value: this.counters.voteEvaluationsTotal
+      },
+      {
+        name: 'whatsapp_poller_vote_evaluations_coalesced_total',
+        help: 'Total number of vote updates folded into an already scheduled evaluation.',
+        type: 'counter',
+        value: this.counters.voteEvaluationsCoalescedTotal
+      },
+      {
+        name: 'whatsapp_poller_backups_total',
+        help: 'Total number of database snapshots written after announcements.',
+        type: 'counter',
+        value: this.counters.backupsTotal
+      },
+      {
+        name: 'whatsapp_poller_backup_failures_total',
+        help: 'Total number of failed database snapshots after announcements.',
+        type: 'counter',
+        value: this.counters.backupFailuresTotal
+      },
       {
         name: 'whatsapp_poller_outbox_send_failures_total',
         help: 'Total number of outbox send failures.',
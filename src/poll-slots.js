@@ -24,6 +24,8 @@ const CRON_WEEKDAY_TO_ISO = {
   SAT: 6
 };
 
+const ISO_WEEKDAY_SHORT_NAMES = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
 function describeValue(value) {
   return typeof value === 'string' ? `"${value}"` : String(value);
 }
@@ -237,6 +239,28 @@ function parseWeekSpecifier(raw) {
   };
 }
 
+/**
+ * Resolve the calendar dates covered by an ISO week key.
+ * @param {string} weekKey - Week key such as `2026-W10`.
+ * @returns {{startsOn: string, endsOn: string}|null} Monday and Sunday as `YYYY-MM-DD`, or `null` for an invalid key.
+ */
+function weekDateRange(weekKey) {
+  const parsed = parseWeekSpecifier(weekKey);
+  if (!parsed) {
+    return null;
+  }
+
+  const monday = DateTime.fromObject(
+    { weekYear: parsed.weekYear, weekNumber: parsed.weekNumber, weekday: 1 },
+    { zone: 'UTC' }
+  );
+
+  return {
+    startsOn: monday.toISODate(),
+    endsOn: monday.plus({ days: 6 }).toISODate()
+  };
+}
+
 /**
  * Produce week-related context for the current moment in a given timezone.
  *
@@ -365,6 +389,63 @@ function buildOptionsForWeek(timezone, weekYear, weekNumber, slotTemplate = SLOT
   });
 }
 
+/**
+ * Format a weekday/time slot as a compact key such as `Sat 15:00`.
+ *
+ * @param {{weekday:number, hour:number, minute:number}} slot - Slot definition.
+ * @returns {string} Slot key using English weekday abbreviations and 24h time.
+ */
+function formatSlotKey(slot) {
+  const weekdayName = ISO_WEEKDAY_SHORT_NAMES[slot.weekday - 1] || `Day${slot.weekday}`;
+  return `${weekdayName} ${String(slot.hour).padStart(2, '0')}:${String(slot.minute).padStart(2, '0')}`;
+}
+
+/**
+ * Parse a comma-separated list of slot keys such as `Fri 20:00, Sat 15:00`.
+ *
+ * Weekdays accept English three-letter abbreviations (case-insensitive); times use 24h `HH:mm`.
+ * The space between weekday and time is optional (`Sat15:00`), which keeps chat commands short.
+ *
+ * @param {string} raw - Raw comma-separated list.
+ * @param {string} [sourceName='slot list'] - Source name used in error messages.
+ * @returns {{weekday:number, hour:number, minute:number}[]} Unique slots in input order.
+ */
+function parseSlotKeyList(raw, sourceName = 'slot list') {
+  if (typeof raw !== 'string' || !raw.trim()) {
+    return [];
+  }
+
+  const slots = [];
+  const seen = new Set();
+
+  for (const item of raw
+    .split(',')
+    .map((value) => value.trim())
+    .filter(Boolean)) {
+    const match = item.match(/^([a-z]{3})\s*(\d{1,2}):(\d{2})$/i);
+    const weekdayIndex = match
+      ? ISO_WEEKDAY_SHORT_NAMES.findIndex((name) => name.toLowerCase() === match[1].toLowerCase())
+      : -1;
+    const hour = match ? Number.parseInt(match[2], 10) : NaN;
+    const minute = match ? Number.parseInt(match[3], 10) : NaN;
+
+    if (weekdayIndex === -1 || hour > 23 || minute > 59) {
+      throw new Error(
+        `${sourceName} entries must look like "Sat 15:00" (Mon-Sun, 24h time); got "${item}".`
+      );
+    }
+
+    const slot = { weekday: weekdayIndex + 1, hour, minute };
+    const key = formatSlotKey(slot);
+    if (!seen.has(key)) {
+      seen.add(key);
+      slots.push(slot);
+    }
+  }
+
+  return slots;
+}
+
 /**
  * Create a Luxon DateTime for the configured weekly POLL_CRON occurrence in the specified ISO week.
  * @param {string} timezone - IANA timezone name to use for the DateTime.
@@ -396,9 +477,12 @@ module.exports = {
   parseWeeklyPollCron,
   buildWeekKey,
   parseWeekSpecifier,
+  weekDateRange,
   currentWeekContext,
   isCurrentOrFutureWeek,
   formatWeekDateRangeLabel,
   buildOptionsForWeek,
+  formatSlotKey,
+  parseSlotKeyList,
   scheduledWeeklyRunForWeek
 };
@@ -0,0 +1,130 @@
+/**
+ * Poll lifecycle states, their legal transitions, and the side effects each state allows.
+ *
+ * - `CREATING`: Persisted intent while the WhatsApp poll is being sent.
+ * - `OPEN`: Accepting votes until quorum, an early decision, or the deadline closes it.
+ * - `TIE_PENDING`: Closed with a tie; waiting for an owner pick or the tie deadline.
+ * - `RUNOFF_PENDING`: Tie handed to a child runoff poll; waiting for it to close.
+ * - `ANNOUNCED`: Final outcome recorded (winners, no winner, or cancelled).
+ * - `SEND_FAILED`: The poll could not be sent; only a replacement can revive the week.
+ *
+ * Every state may move back to `CREATING` because the owner can replace the week's poll in place.
+ * `ANNOUNCED` has no other exit, so a poll can never be announced twice.
+ */
+const POLL_STATES = {
+  CREATING: {
+    transitions: ['OPEN', 'SEND_FAILED', 'CREATING'],
+    effects: []
+  },
+  OPEN: {
+    transitions: ['TIE_PENDING', 'ANNOUNCED', 'CREATING'],
+    effects: ['accept-votes', 'close-timer', 'vote-reminders', 'extend-deadline']
+  },
+  TIE_PENDING: {
+    transitions: ['TIE_PENDING', 'RUNOFF_PENDING', 'ANNOUNCED', 'CREATING'],
+    effects: ['tie-timer', 'manual-pick']
+  },
+  RUNOFF_PENDING: {
+    transitions: ['ANNOUNCED', 'CREATING'],
+    effects: []
+  },
+  ANNOUNCED: {
+    transitions: ['CREATING'],
+    effects: ['game-reminders']
+  },
+  SEND_FAILED: {
+    transitions: ['CREATING'],
+    effects: []
+  }
+};
+
+// `OPEN` is a legal starting state for polls inserted in one step (`PollDatabase#createPoll`).
+const INITIAL_POLL_STATES = ['CREATING', 'OPEN'];
+
+class PollStateError extends Error {
+  constructor(message, { pollId, from, to }) {
+    super(message);
+    this.name = 'PollStateError';
+    this.pollId = pollId;
+    this.from = from;
+    this.to = to;
+  }
+}
+
+class PollNotFoundError extends PollStateError {
+  constructor(pollId, to) {
+    super(`Cannot move poll ${pollId} to ${to}: poll does not exist.`, { pollId, from: null, to });
+    this.name = 'PollNotFoundError';
+    this.code = 'POLL_NOT_FOUND';
+  }
+}
+
+class IllegalPollTransitionError extends PollStateError {
+  constructor(pollId, from, to) {
+    super(`Illegal poll transition for poll ${pollId ?? 'new'}: ${from ?? 'none'} -> ${to}.`, {
+      pollId,
+      from,
+      to
+    });
+    this.name = 'IllegalPollTransitionError';
+    this.code = 'POLL_ILLEGAL_TRANSITION';
+  }
+}
+
+function isPollStateError(error) {
+  return (
+    error instanceof PollStateError ||
+    ['POLL_NOT_FOUND', 'POLL_ILLEGAL_TRANSITION'].includes(error?.code)
+  );
+}
+
+/**
+ * Check whether a poll may move between two states.
+ * @param {string|null} from - Current status, or `null` for a poll that does not exist yet.
+ * @param {string} to - Target status.
+ * @returns {boolean} Whether the transition is legal.
+ */
+function canTransitionPoll(from, to) {
+  if (from === null) {
+    return INITIAL_POLL_STATES.includes(to);
+  }
+
+  return Boolean(POLL_STATES[from]?.transitions.includes(to));
+}
+
+/**
+ * Throw unless a poll may move between two states.
+ * @param {{pollId: number|null, from: string|null, to: string, exists?: boolean}} transition - Requested transition; `exists: false` marks a poll id that was not found.
+ * @throws {PollNotFoundError} If an existing poll was expected but not found.
+ * @throws {IllegalPollTransitionError} If the transition is not allowed.
+ */
+function assertPollTransition({ pollId, from, to, exists = true }) {
+  if (!exists) {
+    throw new PollNotFoundError(pollId, to);
+  }
+
+  if (!canTransitionPoll(from, to)) {
+    throw new IllegalPollTransitionError(pollId, from, to);
+  }
+}
+
+/**
+ * Check whether a side effect (timers, vote intake, reminders, owner picks) is allowed in a state.
+ * @param {string} status - Poll status.
+ * @param {string} effect - Effect name from {@link POLL_STATES}.
+ * @returns {boolean} Whether the effect may run.
+ */
+function canApplyPollEffect(status, effect) {
+  return Boolean(POLL_STATES[status]?.effects.includes(effect));
+}
+
+module.exports = {
+  IllegalPollTransitionError,
+  POLL_STATES,
+  PollNotFoundError,
+  PollStateError,
+  assertPollTransition,
+  canApplyPollEffect,
+  canTransitionPoll,
+  isPollStateError
+};
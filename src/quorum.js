@@ -0,0 +1,71 @@
+const QUORUM_MODES = ['count', 'percent', 'all'];
+
+/**
+ * Resolve how many unique allowlisted voters are needed to close a poll early.
+ * Voters marked away who have not voted are left out of the electorate, so the poll does not wait for them.
+ * @param {{quorumMode?: string, quorumPercent?: number, requiredVoters: number, allowedVoters: string[]}} config - Bot configuration.
+ * @param {number} [awayVoterCount=0] - Allowlisted voters marked away for the poll's week without a vote.
+ * @returns {number} Required unique voter count (>= 1).
+ */
+function resolveRequiredVoters(config, awayVoterCount = 0) {
+  const eligibleCount = Math.max(1, config.allowedVoters.length - awayVoterCount);
+
+  if (config.quorumMode === 'all') {
+    return eligibleCount;
+  }
+
+  if (config.quorumMode === 'percent') {
+    return Math.max(1, Math.ceil((config.quorumPercent / 100) * eligibleCount));
+  }
+
+  return Math.min(config.requiredVoters, eligibleCount);
+}
+
+/**
+ * Evaluate whether a poll has reached quorum under the configured `QUORUM_MODE`.
+ * @param {{quorumMode?: string, quorumPercent?: number, requiredVoters: number, allowedVoters: string[]}} config - Bot configuration.
+ * @param {number} uniqueVoterCount - Unique allowlisted voters with a non-empty vote.
+ * @param {number} [awayVoterCount=0] - Allowlisted voters marked away for the poll's week without a vote.
+ * @returns {{mode: string, requiredVoters: number, uniqueVoterCount: number, awayVoterCount: number, met: boolean}} Quorum evaluation.
+ */
+function evaluateQuorum(config, uniqueVoterCount, awayVoterCount = 0) {
+  const requiredVoters = resolveRequiredVoters(config, awayVoterCount);
+
+  return {
+    mode: config.quorumMode || 'count',
+    requiredVoters,
+    uniqueVoterCount,
+    awayVoterCount,
+    met: uniqueVoterCount >= requiredVoters
+  };
+}
+
+/**
+ * Format a quorum evaluation for status output, e.g. `3/4 (75%)`, `5/5 (all)` or `2/3 (1 away)`.
+ * @param {{mode: string, requiredVoters: number, uniqueVoterCount: number, awayVoterCount?: number}} quorum - Result of {@link evaluateQuorum}.
+ * @param {{quorumPercent?: number}} config - Bot configuration.
+ * @returns {string} Human-readable voter progress.
+ */
+function formatQuorumProgress(quorum, config) {
+  const progress = `${quorum.uniqueVoterCount}/${quorum.requiredVoters}`;
+  const notes = [];
+
+  if (quorum.mode === 'all') {
+    notes.push('all');
+  } else if (quorum.mode === 'percent') {
+    notes.push(`${config.quorumPercent}%`);
+  }
+
+  if (quorum.awayVoterCount > 0) {
+    notes.push(`${quorum.awayVoterCount} away`);
+  }
+
+  return notes.length > 0 ? `${progress} (${notes.join(', ')})` : progress;
+}
+
+module.exports = {
+  QUORUM_MODES,
+  evaluateQuorum,
+  formatQuorumProgress,
+  resolveRequiredVoters
+};
@@ -0,0 +1,38 @@
+const { createBackup } = require('../backup');
+const { errorMetadata, log } = require('../logger');
+
+// Called after every outbox drain; only a poll announced since the last snapshot triggers a new one.
+async function backupAfterAnnouncement(bot) {
+  if (!bot.config.backupAfterAnnouncement) {
+    return;
+  }
+
+  const announcedAt = bot.db.getLatestAnnouncedAt(bot.config.groupId);
+  if (announcedAt === null || announcedAt <= bot.lastBackupAnnouncedAt) {
+    return;
+  }
+
+  bot.lastBackupAnnouncedAt = announcedAt;
+
+  try {
+    const result = await createBackup({
+      source: bot.db.db,
+      backupDir: bot.config.backupDir,
+      retentionCount: bot.config.backupRetentionCount,
+      retentionDays: bot.config.backupRetentionDays,
+      now: bot.now()
+    });
+    bot.observability.recordBackup({ ok: true });
+    log('INFO', 'Database backup written after announcement.', {
+      path: result.path,
+      pruned: result.pruned.length
+    });
+  } catch (error) {
+    bot.observability.recordBackup({ ok: false });
+    log('WARN', 'Database backup after announcement failed.', errorMetadata(error));
+  }
+}
+
+module.exports = {
+  backupAfterAnnouncement
+};
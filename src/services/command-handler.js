@@ -1,9 +1,31 @@
 const { DateTime } = require('luxon');
 
+const { normalizeJid } = require('../config');
+const {
+  describeForgetResult,
+  forgetVoterData,
+  loadForgetSecret,
+  parseForgetTarget
+} = require('../forget');
 const { getMessageSenderJid } = require('../message-utils');
-const { log } = require('../logger');
+const { errorMetadata, log } = require('../logger');
+const { canApplyPollEffect } = require('../poll-state');
+const {
+  SLOT_TEMPLATE,
+  currentWeekContext,
+  formatSlotKey,
+  parseSlotKeyList,
+  weekDateRange
+} = require('../poll-slots');
+const { evaluateQuorum, formatQuorumProgress } = require('../quorum');
+const { isPollLockTimeoutError } = require('./poll-lock');
 
 const MAX_COMMAND_TOKENS = 6;
+// `vote` and `standing` take one token per option or two per slot; COMMAND_MAX_LENGTH still caps them.
+const VARIADIC_COMMANDS = new Set(['vote', 'standing']);
+const MAX_VARIADIC_COMMAND_TOKENS = 32;
+const MAX_EXTEND_HOURS = 168;
+const MAX_AWAY_DAYS = 366;
 
 function isRateLimited(bot, senderJid) {
   const now = bot.now();
@@ -54,10 +76,13 @@ async function onMessageCreate(bot, message) {
   }
 
   const parts = body.split(/\s+/).filter(Boolean);
-  if (parts.length > MAX_COMMAND_TOKENS) {
+  const tokenLimit = VARIADIC_COMMANDS.has(parts[1]?.toLowerCase())
+    ? MAX_VARIADIC_COMMAND_TOKENS
+    : MAX_COMMAND_TOKENS;
+  if (parts.length > tokenLimit) {
     log('WARN', 'Ignoring command: too many tokens.', {
       tokenCount: parts.length,
-      limit: MAX_COMMAND_TOKENS
+      limit: tokenLimit
     });
     return;
   }
@@ -93,6 +118,51 @@ async function onMessageCreate(bot, message) {
     return;
   }
 
+  if (subCommand === 'close') {
+    await bot.handleOwnerClose(message);
+    return;
+  }
+
+  if (subCommand === 'extend') {
+    await bot.handleOwnerExtend(message, parts[2]);
+    return;
+  }
+
+  if (subCommand === 'cancel') {
+    await bot.handleOwnerCancel(message);
+    return;
+  }
+
+  if (subCommand === 'vote') {
+    await bot.handleTextVote(message, parts.slice(2));
+    return;
+  }
+
+  if (subCommand === 'away') {
+    await bot.handleAwayCommand(message, parts.slice(2));
+    return;
+  }
+
+  if (subCommand === 'back') {
+    await bot.handleBackCommand(message);
+    return;
+  }
+
+  if (subCommand === 'standing') {
+    await bot.handleStandingAvailability(message, parts.slice(2));
+    return;
+  }
+
+  if (subCommand === 'alias') {
+    await bot.handleOwnerAlias(message, parts.slice(2));
+    return;
+  }
+
+  if (subCommand === 'forget') {
+    await bot.handleOwnerForget(message, parts.slice(2));
+    return;
+  }
+
   await bot.sendGroupMessage(bot.helpText());
 }
 
@@ -101,10 +171,35 @@ function helpText(bot) {
     'Commands:',
     `${bot.config.commandPrefix} help`,
     `${bot.config.commandPrefix} status`,
-    `${bot.config.commandPrefix} pick <option_number> (owner only, tie only)`
+    `${bot.config.commandPrefix} vote <option_numbers> | none (text vote; e.g. vote 1,3,5)`,
+    `${bot.config.commandPrefix} away [YYYY-MM-DD..YYYY-MM-DD] (skip quorum and reminders; default this poll's week)`,
+    `${bot.config.commandPrefix} back (clears your current and upcoming away dates)`,
+    `${bot.config.commandPrefix} standing [<slots> | clear] (auto-vote on new polls; e.g. standing Fri 20:00, Sat 15:00)`,
+    `${bot.config.commandPrefix} pick <option_number> (owner only, tie only)`,
+    `${bot.config.commandPrefix} close (owner only, closes the open poll now)`,
+    `${bot.config.commandPrefix} extend <hours> (owner only, delays the open poll deadline)`,
+    `${bot.config.commandPrefix} cancel (owner only, cancels this week without a winner)`,
+    `${bot.config.commandPrefix} alias [list | set <lid> <phone> | remove <lid>] (owner only, fixes @lid voter mappings)`,
+    `${bot.config.commandPrefix} forget <phone> (owner only, replaces a departed voter's number with a pseudonym)`
   ].join('\n');
 }
 
+function describeRunoffRoundOne(bot, parentPollId) {
+  const runoff = bot.db.getRunoffPoll(parentPollId);
+  if (!runoff) {
+    return 'n/a';
+  }
+
+  return runoff.options.map((option) => `${option.parentIdx + 1}) ${option.label}`).join(' | ');
+}
+
+function describeWinners(poll, winners) {
+  return [...winners]
+    .sort((a, b) => a.optionIdx - b.optionIdx)
+    .map((winner) => `${poll.options[winner.optionIdx].label} (${winner.votes} votes)`)
+    .join(' | ');
+}
+
 function buildStatusText(bot) {
   const active = bot.db.getActivePoll(bot.config.groupId);
 
@@ -120,8 +215,25 @@ function buildStatusText(bot) {
         )
       : 'n/a';
 
-    if (Number.isInteger(latest.winningOptionIdx)) {
-      return `No active poll. Last winner: ${latest.options[latest.winningOptionIdx].label} (${latest.winnerVoteCount} votes), announced ${announcedAt}.`;
+    if (latest.closeReason === 'owner-cancel') {
+      return `No active poll. Last poll was cancelled by the owner (${announcedAt}).`;
+    }
+
+    if (latest.closeReason === 'below-min-votes') {
+      return `No active poll. Last poll had not enough players: no slot reached ${bot.config.minWinnerVotes} votes (announced ${announcedAt}).`;
+    }
+
+    if (latest.winners.length > 0) {
+      const sessions = describeWinners(latest, latest.winners);
+      const winnerText =
+        latest.winners.length === 1
+          ? `No active poll. Last winner: ${sessions}, announced ${announcedAt}.`
+          : `No active poll. Last sessions: ${sessions}, announced ${announcedAt}.`;
+      if (latest.closeReason === 'runoff' || latest.closeReason === 'runoff-tie') {
+        return `${winnerText}\nDecided by runoff. Round 1 tie: ${describeRunoffRoundOne(bot, latest.id)}`;
+      }
+
+      return winnerText;
     }
 
     return `No active poll. Last poll had no winner (announced ${announcedAt}).`;
@@ -137,20 +249,57 @@ function buildStatusText(bot) {
     : 'No votes yet';
 
   if (active.status === 'OPEN') {
+    const voterProgress = formatQuorumProgress(
+      evaluateQuorum(bot.config, summary.confirmedVoterCount, summary.awayVoterCount),
+      bot.config
+    );
     const closesAtText = DateTime.fromMillis(active.closesAt, {
       zone: bot.config.timezone
     }).toFormat('ccc LLL d HH:mm');
 
-    return `Active poll (${active.weekKey})\nVoters: ${summary.uniqueVoterCount}/${bot.config.requiredVoters}\nTop: ${topDescription}\nCloses: ${closesAtText}`;
+    if (active.parentPollId !== null) {
+      return `Runoff poll (${active.weekKey})\nRound 1 tie: ${describeRunoffRoundOne(bot, active.parentPollId)}\nVoters: ${voterProgress}\nTop: ${topDescription}\nCloses: ${closesAtText}`;
+    }
+
+    const voteChanges = bot.db.countVoteChanges(active.id);
+    const voteChangesText = voteChanges > 0 ? `\nVote changes: ${voteChanges}` : '';
+    const autoVotes = bot.db.countAutoVotes(active.id);
+    const autoVotesText =
+      autoVotes > 0 ? `\nAuto votes: ${autoVotes} (standing availability, not yet confirmed)` : '';
+
+    return `Active poll (${active.weekKey})\nVoters: ${voterProgress}${voteChangesText}${autoVotesText}\nTop: ${topDescription}\nCloses: ${closesAtText}`;
   }
 
   const tieDeadline = DateTime.fromMillis(active.tieDeadlineAt, {
     zone: bot.config.timezone
   }).toFormat('ccc LLL d HH:mm');
 
+  if (active.winners.length > 0) {
+    const tiedDescription = active.tieOptionIndices
+      .map((index) => `${index + 1}) ${active.options[index].label}`)
+      .join(' | ');
+
+    return `Tie pending (${active.weekKey})\nSelected: ${describeWinners(active, active.winners)}\nTied for ${bot.countOpenSeats(active)} more: ${tiedDescription}\nManual pick deadline: ${tieDeadline}`;
+  }
+
   return `Tie pending (${active.weekKey})\nTop: ${topDescription}\nManual pick deadline: ${tieDeadline}`;
 }
 
+async function withOwnerPollLock(bot, pollId, callback) {
+  try {
+    return await bot.withPollLock(pollId, callback);
+  } catch (error) {
+    if (!isPollLockTimeoutError(error)) {
+      throw error;
+    }
+
+    await bot.sendGroupMessage(
+      'Another poll operation is still running. Please retry in a moment.'
+    );
+    return null;
+  }
+}
+
 function isOwnerMessage(bot, message) {
   const senderJid = getMessageSenderJid(message);
   return senderJid === bot.config.ownerJid;
@@ -163,7 +312,7 @@ async function handleManualPick(bot, message, optionRaw) {
   }
 
   const active = bot.db.getActivePoll(bot.config.groupId);
-  if (!active || active.status !== 'TIE_PENDING') {
+  if (!active || !canApplyPollEffect(active.status, 'manual-pick')) {
     await bot.sendGroupMessage('No tie is waiting for manual pick right now.');
     return;
   }
@@ -181,9 +330,9 @@ async function handleManualPick(bot, message, optionRaw) {
 
   const optionIdx = optionNumber - 1;
 
-  const lockResult = await bot.withPollLock(active.id, async () => {
+  const lockResult = await withOwnerPollLock(bot, active.id, async () => {
     const latest = bot.db.getPollById(active.id);
-    if (!latest || latest.status !== 'TIE_PENDING') {
+    if (!latest || !canApplyPollEffect(latest.status, 'manual-pick')) {
       return { status: 'no_tie' };
     }
 
@@ -194,17 +343,36 @@ async function handleManualPick(bot, message, optionRaw) {
       };
     }
 
-    bot.clearTimer(bot.tieTimers, latest.id);
-
     const summary = bot.summarizePoll(latest);
-    const winnerVotes = summary.counts[optionIdx] || 0;
-    bot.finalizeWinner(latest, optionIdx, winnerVotes, 'manual-override');
+    const winners = [...latest.winners, { optionIdx, votes: summary.counts[optionIdx] || 0 }];
+    const openSeats = bot.countOpenSeats(latest);
+
+    if (openSeats > 1) {
+      const remaining = latest.tieOptionIndices.filter((index) => index !== optionIdx);
+      const messageText = `Session selected: ${latest.options[optionIdx].label}. Pick ${openSeats - 1} more with ${bot.config.commandPrefix} pick <option_number>. Tied options: ${remaining
+        .map((index) => `${index + 1}) ${latest.options[index].label}`)
+        .join(' | ')}`;
+
+      bot.db.setTiePendingWithOutbox({
+        pollId: latest.id,
+        closeReason: latest.closeReason,
+        closedAt: latest.closedAt,
+        tieDeadlineAt: latest.tieDeadlineAt,
+        tieOptionIndices: remaining,
+        winners,
+        outboxMessage: bot.buildOutboxTextMessage(messageText)
+      });
+
+      return { status: 'ok' };
+    }
+
+    bot.clearTimer(bot.tieTimers, latest.id);
+    bot.finalizeWinner(latest, winners, 'manual-override');
 
     return { status: 'ok' };
   });
 
-  if (lockResult === false) {
-    await bot.sendGroupMessage('Another tie operation is in progress. Please retry in a moment.');
+  if (!lockResult) {
     return;
   }
 
@@ -225,9 +393,541 @@ async function handleManualPick(bot, message, optionRaw) {
   }
 }
 
+function formatPollTime(bot, millis) {
+  return DateTime.fromMillis(millis, { zone: bot.config.timezone }).toFormat('ccc LLL d HH:mm');
+}
+
+async function handleOwnerClose(bot, message) {
+  if (!bot.isOwnerMessage(message)) {
+    await bot.sendGroupMessage('Only the owner can close the poll.');
+    return;
+  }
+
+  const active = bot.db.getActivePoll(bot.config.groupId);
+  if (!active || !canApplyPollEffect(active.status, 'close-timer')) {
+    await bot.sendGroupMessage('No open poll to close right now.');
+    return;
+  }
+
+  const lockResult = await withOwnerPollLock(bot, active.id, async () => {
+    const latest = bot.db.getPollById(active.id);
+    if (!latest || !canApplyPollEffect(latest.status, 'close-timer')) {
+      return { status: 'not_open' };
+    }
+
+    await bot.closePollWithinLock(latest.id, 'owner-close', {
+      notice: 'Poll closed early by the owner.'
+    });
+
+    return { status: 'ok' };
+  });
+
+  if (!lockResult) {
+    return;
+  }
+
+  if (lockResult.status === 'not_open') {
+    await bot.sendGroupMessage('No open poll to close right now.');
+    return;
+  }
+
+  log('INFO', 'Poll closed by owner command.', { pollId: active.id });
+  await bot.drainOutboxQueue();
+}
+
+async function handleOwnerExtend(bot, message, hoursRaw) {
+  if (!bot.isOwnerMessage(message)) {
+    await bot.sendGroupMessage('Only the owner can extend the poll.');
+    return;
+  }
+
+  const usage = `Usage: ${bot.config.commandPrefix} extend <hours> (1-${MAX_EXTEND_HOURS})`;
+  if (!/^\d+$/.test(String(hoursRaw || ''))) {
+    await bot.sendGroupMessage(usage);
+    return;
+  }
+
+  const hours = Number.parseInt(hoursRaw, 10);
+  if (!Number.isInteger(hours) || hours < 1 || hours > MAX_EXTEND_HOURS) {
+    await bot.sendGroupMessage(usage);
+    return;
+  }
+
+  const active = bot.db.getActivePoll(bot.config.groupId);
+  if (!active || !canApplyPollEffect(active.status, 'extend-deadline')) {
+    await bot.sendGroupMessage('No open poll to extend right now.');
+    return;
+  }
+
+  const lockResult = await withOwnerPollLock(bot, active.id, async () => {
+    const latest = bot.db.getPollById(active.id);
+    if (!latest || !canApplyPollEffect(latest.status, 'extend-deadline')) {
+      return { status: 'not_open' };
+    }
+
+    const closesAt = latest.closesAt + hours * 60 * 60 * 1000;
+    const messageText = `Poll deadline extended by ${hours}h by the owner. New close time: ${formatPollTime(bot, closesAt)}.`;
+
+    bot.db.extendPollDeadlineWithOutbox({
+      pollId: latest.id,
+      closesAt,
+      outboxMessage: bot.buildOutboxTextMessage(messageText)
+    });
+    bot.scheduleCloseTimer(latest.id, closesAt);
+    bot.scheduleVoteReminders(latest.id, closesAt);
+
+    return { status: 'ok', closesAt };
+  });
+
+  if (!lockResult) {
+    return;
+  }
+
+  if (lockResult.status === 'not_open') {
+    await bot.sendGroupMessage('No open poll to extend right now.');
+    return;
+  }
+
+  log('INFO', 'Poll deadline extended by owner command.', {
+    pollId: active.id,
+    hours,
+    closesAt: lockResult.closesAt
+  });
+  await bot.drainOutboxQueue();
+}
+
+async function handleOwnerCancel(bot, message) {
+  if (!bot.isOwnerMessage(message)) {
+    await bot.sendGroupMessage('Only the owner can cancel the poll.');
+    return;
+  }
+
+  const active = bot.db.getActivePoll(bot.config.groupId);
+  if (!active) {
+    await bot.sendGroupMessage('No active poll to cancel right now.');
+    return;
+  }
+
+  const lockResult = await withOwnerPollLock(bot, active.id, async () => {
+    const latest = bot.db.getPollById(active.id);
+    if (!latest || !['OPEN', 'TIE_PENDING'].includes(latest.status)) {
+      return { status: 'not_active' };
+    }
+
+    const timestamp = bot.now();
+    const parentPoll =
+      latest.parentPollId !== null ? bot.db.getPollById(latest.parentPollId) : null;
+    if (parentPoll && parentPoll.status === 'RUNOFF_PENDING') {
+      bot.db.setAnnounced({
+        pollId: parentPoll.id,
+        closeReason: 'owner-cancel',
+        announcedAt: timestamp,
+        winners: []
+      });
+    }
+
+    bot.db.setAnnouncedWithOutbox({
+      pollId: latest.id,
+      closeReason: 'owner-cancel',
+      closedAt: latest.closedAt || timestamp,
+      announcedAt: timestamp,
+      winners: [],
+      outboxMessage: bot.buildOutboxTextMessage(
+        `This week's poll (${latest.weekKey}) was cancelled by the owner. No game slot will be announced.`,
+        timestamp
+      )
+    });
+
+    bot.clearTimer(bot.closeTimers, latest.id);
+    bot.clearTimer(bot.tieTimers, latest.id);
+    bot.cancelVoteReminders(latest.id);
+    bot.observability.recordPollClosed('owner-cancel');
+
+    return { status: 'ok', previousStatus: latest.status };
+  });
+
+  if (!lockResult) {
+    return;
+  }
+
+  if (lockResult.status === 'not_active') {
+    await bot.sendGroupMessage('No active poll to cancel right now.');
+    return;
+  }
+
+  log('INFO', 'Poll cancelled by owner command.', {
+    pollId: active.id,
+    previousStatus: lockResult.previousStatus
+  });
+  await bot.drainOutboxQueue();
+}
+
+function parseTextVoteOptions(args, optionCount) {
+  const tokens = args
+    .join(',')
+    .split(',')
+    .map((token) => token.trim())
+    .filter(Boolean);
+
+  if (tokens.length === 1 && tokens[0].toLowerCase() === 'none') {
+    return [];
+  }
+
+  if (tokens.length === 0 || tokens.some((token) => !/^\d+$/.test(token))) {
+    return null;
+  }
+
+  const numbers = tokens.map((token) => Number.parseInt(token, 10));
+  if (numbers.some((number) => number < 1 || number > optionCount)) {
+    return null;
+  }
+
+  return Array.from(new Set(numbers.map((number) => number - 1)));
+}
+
+async function resolveCommandVoterJid(bot, message) {
+  const senderRaw = message?.author || message?.id?.participant || message?.from;
+  const senderJid = getMessageSenderJid(message);
+  return senderJid ? bot.resolveAllowlistedVoterJid(senderRaw, senderJid) : null;
+}
+
+// Text votes write the same poll_votes row as native votes, so whichever the voter cast last wins.
+async function handleTextVote(bot, message, args) {
+  const voterJid = await resolveCommandVoterJid(bot, message);
+  if (!voterJid) {
+    await bot.sendGroupMessage('Only allowed voters can vote.');
+    return;
+  }
+
+  const active = bot.db.getActivePoll(bot.config.groupId);
+  if (!active || !canApplyPollEffect(active.status, 'accept-votes')) {
+    await bot.sendGroupMessage('No open poll to vote on right now.');
+    return;
+  }
+
+  const selectedOptions = parseTextVoteOptions(args, active.options.length);
+  const singleChoice = active.parentPollId !== null;
+  if (!selectedOptions || (singleChoice && selectedOptions.length > 1)) {
+    const range = `1-${active.options.length}`;
+    await bot.sendGroupMessage(
+      singleChoice
+        ? `Usage: ${bot.config.commandPrefix} vote <option_number> | none (runoff: one option, ${range})`
+        : `Usage: ${bot.config.commandPrefix} vote <option_numbers> | none (options ${range}, e.g. vote 1,3)`
+    );
+    return;
+  }
+
+  bot.recordTextVote(active, voterJid, selectedOptions);
+  log('INFO', 'Text vote recorded.', { pollId: active.id, voterJid, selectedOptions });
+
+  const labels = selectedOptions
+    .map((optionIdx) => `${optionIdx + 1}) ${active.options[optionIdx].label}`)
+    .join(' | ');
+  await bot.sendGroupMessage(
+    selectedOptions.length === 0 ? 'Text vote cleared.' : `Text vote recorded: ${labels}`
+  );
+  await bot.evaluateVotesAfterUpdate(active);
+}
+
+function parseAwayDate(raw) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(raw)) {
+    return null;
+  }
+
+  const date = DateTime.fromISO(raw, { zone: 'UTC' });
+  return date.isValid ? date : null;
+}
+
+/**
+ * Resolve the dates covered by an `away` command.
+ * @param {string[]} args - Tokens after `away`: none, `YYYY-MM-DD`, or `YYYY-MM-DD..YYYY-MM-DD`.
+ * @param {string|null} defaultWeekKey - Week used when no dates are given.
+ * @returns {{startsOn: string, endsOn: string}|null} Inclusive date range, or `null` if invalid.
+ */
+function parseAwayRange(args, defaultWeekKey) {
+  if (args.length === 0) {
+    return weekDateRange(defaultWeekKey);
+  }
+
+  if (args.length !== 1) {
+    return null;
+  }
+
+  const [startRaw, endRaw = startRaw] = args[0].split('..');
+  const start = parseAwayDate(startRaw);
+  const end = parseAwayDate(endRaw);
+  if (!start || !end || end < start || end.diff(start, 'days').days >= MAX_AWAY_DAYS) {
+    return null;
+  }
+
+  return { startsOn: start.toISODate(), endsOn: end.toISODate() };
+}
+
+async function reevaluateOpenPoll(bot) {
+  const active = bot.db.getActivePoll(bot.config.groupId);
+  if (active && canApplyPollEffect(active.status, 'accept-votes')) {
+    await bot.evaluateVotesAfterUpdate(active);
+  }
+}
+
+async function handleAwayCommand(bot, message, args) {
+  const voterJid = await resolveCommandVoterJid(bot, message);
+  if (!voterJid) {
+    await bot.sendGroupMessage('Only allowed voters can mark themselves away.');
+    return;
+  }
+
+  const active = bot.db.getActivePoll(bot.config.groupId);
+  const { now, weekKey } = currentWeekContext(bot.config.timezone, bot.now());
+  const range = parseAwayRange(args, active ? active.weekKey : weekKey);
+  if (!range) {
+    await bot.sendGroupMessage(
+      `Usage: ${bot.config.commandPrefix} away [YYYY-MM-DD..YYYY-MM-DD] (at most ${MAX_AWAY_DAYS} days)`
+    );
+    return;
+  }
+
+  if (range.endsOn < now.toISODate()) {
+    await bot.sendGroupMessage('Away dates must not be entirely in the past.');
+    return;
+  }
+
+  bot.db.createVoterAbsence({
+    groupId: bot.config.groupId,
+    voterJid,
+    startsOn: range.startsOn,
+    endsOn: range.endsOn,
+    createdAt: bot.now()
+  });
+  log('INFO', 'Voter marked away.', { voterJid, ...range });
+
+  await bot.sendGroupMessage(
+    `Marked away for ${range.startsOn}..${range.endsOn}. You will not count toward quorum or get vote reminders for those weeks.`
+  );
+  await reevaluateOpenPoll(bot);
+}
+
+async function handleBackCommand(bot, message) {
+  const voterJid = await resolveCommandVoterJid(bot, message);
+  if (!voterJid) {
+    await bot.sendGroupMessage('Only allowed voters can mark themselves back.');
+    return;
+  }
+
+  const { now } = currentWeekContext(bot.config.timezone, bot.now());
+  const cleared = bot.db.clearVoterAbsences({
+    groupId: bot.config.groupId,
+    voterJid,
+    fromDate: now.toISODate()
+  });
+  if (cleared === 0) {
+    await bot.sendGroupMessage('You are not marked away.');
+    return;
+  }
+
+  log('INFO', 'Voter marked back.', { voterJid, cleared });
+  await bot.sendGroupMessage('Marked back. You count toward quorum again.');
+}
+
+async function handleStandingAvailability(bot, message, args) {
+  const voterJid = await resolveCommandVoterJid(bot, message);
+  if (!voterJid) {
+    await bot.sendGroupMessage('Only allowed voters can set a standing availability.');
+    return;
+  }
+
+  if (args.length === 0) {
+    const profile = bot.db.getStandingAvailability(bot.config.groupId, voterJid);
+    await bot.sendGroupMessage(
+      profile
+        ? `Your standing availability: ${profile.slotKeys.join(', ')}.`
+        : 'You have no standing availability.'
+    );
+    return;
+  }
+
+  if (args.length === 1 && args[0].toLowerCase() === 'clear') {
+    const cleared = bot.db.deleteStandingAvailability(bot.config.groupId, voterJid);
+    await bot.sendGroupMessage(
+      cleared ? 'Standing availability cleared.' : 'You have no standing availability.'
+    );
+    return;
+  }
+
+  const templateKeys = (bot.config.slotTemplate || SLOT_TEMPLATE).map((slot) =>
+    formatSlotKey(slot)
+  );
+  let slotKeys;
+  try {
+    slotKeys = parseSlotKeyList(args.join(' ')).map((slot) => formatSlotKey(slot));
+  } catch {
+    slotKeys = null;
+  }
+
+  if (!slotKeys || slotKeys.some((slotKey) => !templateKeys.includes(slotKey))) {
+    await bot.sendGroupMessage(
+      `Usage: ${bot.config.commandPrefix} standing <slots> | clear (slots: ${templateKeys.join(', ')})`
+    );
+    return;
+  }
+
+  bot.db.setStandingAvailability({
+    groupId: bot.config.groupId,
+    voterJid,
+    slotKeys,
+    updatedAt: bot.now()
+  });
+  log('INFO', 'Standing availability saved.', { voterJid, slotKeys });
+  await bot.sendGroupMessage(
+    `Standing availability saved: ${slotKeys.join(', ')}. New polls will start with these as your auto votes until you vote yourself.`
+  );
+}
+
+function normalizeLidJid(input) {
+  const value = String(input || '')
+    .trim()
+    .toLowerCase();
+  const digits = value.endsWith('@lid') ? value.slice(0, -'@lid'.length) : value;
+  return /^\d+$/.test(digits) ? `${digits}@lid` : null;
+}
+
+async function sendContactAliasList(bot) {
+  const aliases = bot.db.listContactAliases();
+  if (aliases.length === 0) {
+    await bot.sendGroupMessage('No contact aliases are stored yet.');
+    return;
+  }
+
+  const lines = aliases.map(
+    (alias) =>
+      `${alias.aliasJid} -> ${alias.phoneJid} (${alias.source}, first seen ${formatPollTime(bot, alias.firstSeenAt)}, last seen ${formatPollTime(bot, alias.lastSeenAt)})`
+  );
+
+  try {
+    await bot.adapter.sendOwnerMessage(
+      [`Contact aliases (${aliases.length}):`, ...lines].join('\n')
+    );
+  } catch (error) {
+    log('WARN', 'Failed to send contact alias list to owner.', errorMetadata(error));
+    await bot.sendGroupMessage('Could not send the alias list to the owner. Please retry later.');
+    return;
+  }
+
+  await bot.sendGroupMessage(`Sent ${aliases.length} contact aliases to the owner.`);
+}
+
+async function handleOwnerAlias(bot, message, args) {
+  if (!bot.isOwnerMessage(message)) {
+    await bot.sendGroupMessage('Only the owner can manage contact aliases.');
+    return;
+  }
+
+  const [actionRaw, aliasRaw, phoneRaw] = args;
+  const action = (actionRaw || 'list').toLowerCase();
+
+  if (action === 'list' && args.length <= 1) {
+    await sendContactAliasList(bot);
+    return;
+  }
+
+  const aliasJid = normalizeLidJid(aliasRaw);
+
+  if (action === 'set' && aliasJid && args.length === 3) {
+    let phoneJid;
+    try {
+      phoneJid = normalizeJid(phoneRaw);
+    } catch {
+      phoneJid = null;
+    }
+
+    if (!phoneJid || !bot.config.allowedVoterSet.has(phoneJid)) {
+      await bot.sendGroupMessage('Alias phone must be one of the allowed voters.');
+      return;
+    }
+
+    bot.rememberContactAlias(aliasJid, phoneJid, 'owner');
+    log('INFO', 'Contact alias set by owner command.', { aliasJid, phoneJid });
+    await bot.sendGroupMessage(`Alias saved: ${aliasJid} -> ${phoneJid}.`);
+    return;
+  }
+
+  if (action === 'remove' && aliasJid && args.length === 2) {
+    if (!bot.forgetContactAlias(aliasJid)) {
+      await bot.sendGroupMessage(`No stored alias for ${aliasJid}.`);
+      return;
+    }
+
+    log('INFO', 'Contact alias removed by owner command.', { aliasJid });
+    await bot.sendGroupMessage(`Alias removed: ${aliasJid}.`);
+    return;
+  }
+
+  await bot.sendGroupMessage(
+    `Usage: ${bot.config.commandPrefix} alias [list | set <lid> <phone> | remove <lid>]`
+  );
+}
+
+async function handleOwnerForget(bot, message, args) {
+  if (!bot.isOwnerMessage(message)) {
+    await bot.sendGroupMessage('Only the owner can forget voters.');
+    return;
+  }
+
+  const voterJid = parseForgetTarget(args.join(' '));
+  if (!voterJid) {
+    await bot.sendGroupMessage(`Usage: ${bot.config.commandPrefix} forget <phone>`);
+    return;
+  }
+
+  if (voterJid === bot.config.ownerJid) {
+    await bot.sendGroupMessage('The owner cannot be forgotten.');
+    return;
+  }
+
+  const forget = () => {
+    const result = forgetVoterData(bot.db, voterJid, loadForgetSecret(bot.config.dataDir));
+    for (const [aliasJid, phoneJid] of bot.voterAliasMap) {
+      if (phoneJid === voterJid) {
+        bot.voterAliasMap.delete(aliasJid);
+      }
+    }
+    // Cached tallies are keyed by voter JID; they rebuild from SQLite on next use.
+    bot.voteTallies.clear();
+    return result;
+  };
+  // Hold the active poll's lock so a vote or close in flight cannot re-cache the old JID.
+  const active = bot.db.getActivePoll(bot.config.groupId);
+  const result = active ? await withOwnerPollLock(bot, active.id, forget) : forget();
+  if (!result) {
+    return;
+  }
+
+  log('INFO', 'Voter forgotten by owner command.', {
+    votes: result.votes,
+    voteEvents: result.voteEvents,
+    outboxMessages: result.outboxMessages,
+    absences: result.absences,
+    standingAvailability: result.standingAvailability,
+    aliases: result.aliases
+  });
+  const stillAllowed = bot.config.allowedVoterSet.has(voterJid)
+    ? '\nThis number is still in ALLOWED_VOTERS. Remove it there too, or new votes will be stored under it again.'
+    : '';
+  await bot.sendGroupMessage(`${describeForgetResult(result)}${stillAllowed}`);
+}
+
 module.exports = {
   buildStatusText,
+  handleAwayCommand,
+  handleBackCommand,
   handleManualPick,
+  handleOwnerAlias,
+  handleOwnerCancel,
+  handleOwnerClose,
+  handleOwnerExtend,
+  handleOwnerForget,
+  handleStandingAvailability,
+  handleTextVote,
   helpText,
   isOwnerMessage,
   isRateLimited,
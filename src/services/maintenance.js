@@ -0,0 +1,60 @@
+const { log } = require('../logger');
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Apply the retention settings, then checkpoint the WAL. VACUUM only runs after rows were removed,
+ * so a quiet day costs a checkpoint and nothing else.
+ * Only finished polls (`ANNOUNCED`, `SEND_FAILED`) lose their votes and vote history, and only
+ * outbox rows that will never be retried are deleted.
+ * @param {object} bot - Bot instance.
+ * @returns {{votePolls: number, votes: number, voteEvents: number, outboxMessages: number, vacuumed: boolean}} Purge counts.
+ */
+function runDatabaseMaintenance(bot) {
+  const now = bot.now();
+  const { groupId, voteRetentionWeeks, voteEventRetentionWeeks, outboxRetentionWeeks } = bot.config;
+  const result = { votePolls: 0, votes: 0, voteEvents: 0, outboxMessages: 0, vacuumed: false };
+
+  if (voteRetentionWeeks > 0) {
+    const purged = bot.db.purgeExpiredVotes({
+      groupId,
+      closedBefore: now - voteRetentionWeeks * WEEK_MS,
+      purgedAt: now
+    });
+    result.votePolls = purged.pollCount;
+    result.votes = purged.voteCount;
+  }
+
+  if (voteEventRetentionWeeks > 0) {
+    result.voteEvents = bot.db.purgeExpiredVoteEvents({
+      groupId,
+      createdBefore: now - voteEventRetentionWeeks * WEEK_MS
+    });
+  }
+
+  if (outboxRetentionWeeks > 0) {
+    result.outboxMessages = bot.db.purgeExpiredOutboxMessages({
+      groupId,
+      createdBefore: now - outboxRetentionWeeks * WEEK_MS
+    });
+  }
+
+  // Folding a poll that had no vote rows left deletes nothing, so it does not count here.
+  const deletedRows = result.votes + result.voteEvents + result.outboxMessages;
+  if (deletedRows > 0) {
+    bot.db.vacuum();
+    result.vacuumed = true;
+  }
+
+  const checkpoint = bot.db.checkpointWal();
+  log('INFO', 'Database maintenance finished.', {
+    ...result,
+    walCheckpointBusy: checkpoint?.busy === 1
+  });
+
+  return result;
+}
+
+module.exports = {
+  runDatabaseMaintenance
+};
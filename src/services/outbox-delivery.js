@@ -15,13 +15,19 @@ function isOutboxSendTimeoutError(error) {
   return error instanceof OutboxSendTimeoutError || error?.code === 'OUTBOX_SEND_TIMEOUT';
 }
 
-function buildOutboxTextMessage(bot, text, createdAt = bot.now()) {
+function buildOutboxTextMessage(bot, text, createdAt = bot.now(), mentions = []) {
+  const payload = {
+    kind: 'group-text',
+    text
+  };
+
+  if (Array.isArray(mentions) && mentions.length > 0) {
+    payload.mentions = [...mentions];
+  }
+
   return {
     groupId: bot.config.groupId,
-    payload: {
-      kind: 'group-text',
-      text
-    },
+    payload,
     status: 'PENDING',
     attemptCount: 0,
     maxAttempts: bot.outboxMaxAttempts,
@@ -98,6 +104,14 @@ async function sendOutboxPayload(bot, payload) {
     throw new Error('Unsupported outbox payload.');
   }
 
+  const mentions = payload.mentions;
+  if (
+    mentions !== undefined &&
+    (!Array.isArray(mentions) || mentions.some((jid) => typeof jid !== 'string'))
+  ) {
+    throw new Error('Unsupported outbox payload mentions.');
+  }
+
   let timeoutId;
   const timeoutPromise = new Promise((_, reject) => {
     timeoutId = setTimeout(() => {
@@ -106,7 +120,11 @@ async function sendOutboxPayload(bot, payload) {
   });
 
   try {
-    await Promise.race([bot.sendGroupMessage(payload.text), timeoutPromise]);
+    const sendPromise =
+      mentions && mentions.length > 0
+        ? bot.sendGroupMessage(payload.text, { mentions })
+        : bot.sendGroupMessage(payload.text);
+    await Promise.race([sendPromise, timeoutPromise]);
   } finally {
     clearTimeout(timeoutId);
   }
@@ -199,6 +217,8 @@ async function drainOutboxQueue(bot) {
         await bot.deliverOutboxMessage(outboxMessage);
       }
     }
+
+    await bot.backupAfterAnnouncement();
   } finally {
     bot.outboxDrainInProgress = false;
     bot.refreshOutboxSchedule();
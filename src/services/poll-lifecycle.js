@@ -6,25 +6,21 @@ const { extractParentMessageId, serializeMessageId } = require('../message-utils
 const {
   buildOptionsForWeek,
   currentWeekContext,
+  formatSlotKey,
   formatWeekDateRangeLabel,
-  scheduledWeeklyRunForWeek
+  scheduledWeeklyRunForWeek,
+  weekDateRange
 } = require('../poll-slots');
+const { evaluateDecidedOutcome } = require('../decided-close');
+const { canApplyPollEffect } = require('../poll-state');
+const { evaluateQuorum } = require('../quorum');
+const { describeTieBreak, resolveTieBreak } = require('../tie-break');
+const { applyVoteToTally, compareVoteTallies, createVoteTally } = require('../vote-tally');
+const { selectFallbackWinners, selectWinners } = require('../winner-selection');
+const { isPollLockTimeoutError } = require('./poll-lock');
 
 const MAX_TIMEOUT_MS = 2 ** 31 - 1;
-
-async function withPollLock(bot, pollId, callback) {
-  if (bot.pollLocks.has(pollId)) {
-    return false;
-  }
-
-  bot.pollLocks.add(pollId);
-
-  try {
-    return await callback();
-  } finally {
-    bot.pollLocks.delete(pollId);
-  }
-}
+const POLL_LOCK_RETRY_MS = 5 * 1000;
 
 function recoverPendingPolls(bot) {
   const pendingPolls = bot.db.listRecoverablePolls(bot.config.groupId);
@@ -36,9 +32,9 @@ function recoverPendingPolls(bot) {
   log('INFO', 'Recovering pending polls from SQLite.', { count: pendingPolls.length });
 
   for (const poll of pendingPolls) {
-    if (poll.status === 'OPEN') {
+    if (canApplyPollEffect(poll.status, 'close-timer')) {
       bot.scheduleCloseTimer(poll.id, poll.closesAt);
-    } else if (poll.status === 'TIE_PENDING') {
+    } else if (canApplyPollEffect(poll.status, 'tie-timer')) {
       bot.scheduleTieTimer(poll.id, poll.tieDeadlineAt);
     }
   }
@@ -62,7 +58,7 @@ async function reconcilePendingPollVotes(bot) {
   }
 }
 
-async function reconcilePollVotes(bot, poll) {
+async function collectReconciledVotes(bot, poll, context) {
   let pollVotes;
 
   try {
@@ -70,24 +66,27 @@ async function reconcilePollVotes(bot, poll) {
   } catch (error) {
     log(
       'ERROR',
-      'Failed to fetch poll votes during startup reconciliation.',
+      `Failed to fetch poll votes during ${context} reconciliation.`,
       errorMetadata(error, {
         pollId: poll.id,
         pollMessageId: poll.pollMessageId,
         pollStatus: poll.status
       })
     );
-    return;
+    return null;
   }
 
+  const votes = [];
   const stats = {
     fetchedVotes: pollVotes.length,
     upsertedVotes: 0,
+    unchangedVotes: 0,
     skippedMissingVoter: 0,
     skippedInvalidVoter: 0,
     skippedNotAllowlisted: 0,
     skippedInvalidSelectionOnly: 0,
-    discardedSelectionIds: 0
+    discardedSelectionIds: 0,
+    keptTextVotes: 0
   };
 
   for (const pollVote of pollVotes) {
@@ -117,27 +116,145 @@ async function reconcilePollVotes(bot, poll) {
       continue;
     }
 
-    bot.db.upsertVote({
-      pollId: poll.id,
-      voterJid: normalized.voterJid,
-      selectedOptions: normalized.selectedOptions,
-      updatedAt: bot.now()
+    votes.push({ voterJid: normalized.voterJid, selectedOptions: normalized.selectedOptions });
+  }
+
+  return { votes, stats };
+}
+
+// Synchronous on purpose: callers holding the poll lock must not yield while the snapshot is diffed.
+function applyReconciledVotes(bot, poll, { votes, stats }) {
+  const storedVotes = bot.db.getVotesByPollId(poll.id);
+  const storedSelections = new Map(
+    storedVotes.map((vote) => [vote.voterJid, JSON.stringify(vote.selectedOptions)])
+  );
+  verifyVoteTally(bot, poll, storedVotes);
+  const latestSources = bot.db.getLatestVoteSources(poll.id);
+
+  for (const vote of votes) {
+    const selection = JSON.stringify(vote.selectedOptions);
+    if (storedSelections.get(vote.voterJid) === selection) {
+      stats.unchangedVotes += 1;
+      continue;
+    }
+
+    // The fetched native vote has no reliable timestamp, so it never replaces a later text vote;
+    // only a new live native vote does.
+    if (latestSources.get(vote.voterJid) === 'text') {
+      stats.keptTextVotes += 1;
+      continue;
+    }
+
+    recordPollVote(bot, poll, {
+      voterJid: vote.voterJid,
+      selectedOptions: vote.selectedOptions,
+      source: 'reconcile'
     });
+    storedSelections.set(vote.voterJid, selection);
     stats.upsertedVotes += 1;
   }
 
+  return stats;
+}
+
+async function closePollIfVotesSettled(bot, poll) {
   const summary = bot.summarizePoll(poll);
+  if (evaluateQuorum(bot.config, summary.confirmedVoterCount, summary.awayVoterCount).met) {
+    await bot.closePoll(poll.id, 'quorum');
+    return;
+  }
+
+  if (bot.config.closeWhenDecided && summary.outcome.decided) {
+    log('INFO', 'Poll outcome can no longer change; closing early.', {
+      pollId: poll.id,
+      reason: summary.outcome.reason,
+      leaderIdx: summary.outcome.leaderIdx,
+      remainingVoters: summary.remainingVoters
+    });
+    await bot.closePoll(poll.id, 'decided');
+  }
+}
+
+async function reconcilePollVotes(bot, poll) {
+  const collected = await collectReconciledVotes(bot, poll, 'startup');
+  if (!collected) {
+    return;
+  }
+
+  const stats = applyReconciledVotes(bot, poll, collected);
+  const summary = bot.summarizePoll(poll);
+  const quorum = evaluateQuorum(bot.config, summary.confirmedVoterCount, summary.awayVoterCount);
   log('INFO', 'Startup poll reconciliation complete.', {
     pollId: poll.id,
     pollStatus: poll.status,
     ...stats,
     uniqueVoterCount: summary.uniqueVoterCount,
-    requiredVoters: bot.config.requiredVoters,
+    confirmedVoterCount: summary.confirmedVoterCount,
+    quorumMode: quorum.mode,
+    requiredVoters: quorum.requiredVoters,
     maxVotes: summary.maxVotes
   });
 
-  if (poll.status === 'OPEN' && summary.uniqueVoterCount >= bot.config.requiredVoters) {
-    await bot.closePoll(poll.id, 'quorum');
+  if (poll.status === 'OPEN') {
+    await closePollIfVotesSettled(bot, poll);
+  }
+}
+
+async function reconcileOpenPollVotes(bot) {
+  if (bot.voteReconcileInProgress || !bot.adapter.supportsPollVoteLookup()) {
+    return;
+  }
+
+  bot.voteReconcileInProgress = true;
+
+  try {
+    const openPolls = bot.db
+      .listRecoverablePolls(bot.config.groupId)
+      .filter((poll) => poll.status === 'OPEN');
+
+    for (const poll of openPolls) {
+      const collected = await collectReconciledVotes(bot, poll, 'periodic');
+      if (!collected) {
+        continue;
+      }
+
+      // Only the snapshot diff runs under the lock, so closes and tie flows are never interleaved.
+      let stats;
+      try {
+        stats = await bot.withPollLock(poll.id, async () => {
+          const latest = bot.db.getPollById(poll.id);
+          if (!latest || latest.status !== 'OPEN') {
+            return null;
+          }
+
+          return applyReconciledVotes(bot, latest, collected);
+        });
+      } catch (error) {
+        if (!isPollLockTimeoutError(error)) {
+          throw error;
+        }
+
+        bot.observability.recordVoteReconciliation({ skippedLocked: true });
+        continue;
+      }
+
+      if (!stats) {
+        continue;
+      }
+
+      bot.observability.recordVoteReconciliation({ mismatchedVotes: stats.upsertedVotes });
+      if (stats.upsertedVotes === 0) {
+        continue;
+      }
+
+      log('WARN', 'Periodic vote reconciliation found votes missed by vote_update.', {
+        pollId: poll.id,
+        ...stats
+      });
+      await closePollIfVotesSettled(bot, poll);
+    }
+  } finally {
+    bot.voteReconcileInProgress = false;
   }
 }
 
@@ -300,6 +417,12 @@ async function createPollForWeek(
   let pollMessageId = null;
   let sentMessage = null;
 
+  if (persistedPollId !== null) {
+    bot.cancelVoteReminders(persistedPollId);
+    bot.cancelGameReminders(persistedPollId);
+    bot.voteTallies.delete(persistedPollId);
+  }
+
   try {
     if (persistedPollId === null) {
       persistedPollId = bot.db.createPollIntent({
@@ -347,9 +470,11 @@ async function createPollForWeek(
       createdAt: createdAtMillis,
       closesAt
     });
+    const autoVoteCount = applyStandingAvailability(bot, bot.db.getPollById(persistedPollId));
 
     if (pollId === null) {
       bot.scheduleCloseTimer(persistedPollId, closesAt);
+      bot.scheduleVoteReminders(persistedPollId, closesAt);
       bot.observability.recordPollCreated();
 
       log('INFO', 'Weekly poll created.', {
@@ -357,10 +482,12 @@ async function createPollForWeek(
         pollMessageId,
         weekKey,
         closesAt,
+        autoVoteCount,
         trigger
       });
     } else {
       bot.scheduleCloseTimer(persistedPollId, closesAt);
+      bot.scheduleVoteReminders(persistedPollId, closesAt);
       bot.observability.recordPollCreated();
 
       log('INFO', 'Weekly poll replaced in place.', {
@@ -368,6 +495,7 @@ async function createPollForWeek(
         pollMessageId,
         weekKey,
         closesAt,
+        autoVoteCount,
         trigger
       });
     }
@@ -534,61 +662,286 @@ async function notifyOwnerExpiredWinner(bot, poll, winnerIdx, slotLabel, slotIso
   }
 }
 
-async function finalizeExpiredAutomaticWinner(bot, poll, winnerIdx, winnerVotes, closeReason) {
+async function notifyOwnerExpiredWinnerFallback(bot, poll, expired, fallback, closeReason) {
+  const describe = (winner) => {
+    const { slotLabel, slotIso } = bot.getExpiredAutoWinnerState(poll, winner.optionIdx);
+    return `${slotLabel}${slotIso ? ` (${slotIso})` : ''}`;
+  };
+  const fallbackText = fallback
+    .map((winner) => {
+      const voteWord = winner.votes === 1 ? 'vote' : 'votes';
+      return `${bot.getExpiredAutoWinnerState(poll, winner.optionIdx).slotLabel} (${winner.votes} ${voteWord})`;
+    })
+    .join(' | ');
+  const message = `Poll ${poll.weekKey}: the selected slot time had already passed: ${expired.map(describe).join(' | ')}. Announced the next-best future slot instead: ${fallbackText}. Close reason: expired-fallback (originally ${closeReason}).`;
+
+  try {
+    await bot.adapter.sendOwnerMessage(message);
+  } catch (error) {
+    log(
+      'WARN',
+      'Failed to notify owner about expired winner fallback.',
+      errorMetadata(error, {
+        pollId: poll.id,
+        closeReason
+      })
+    );
+  }
+}
+
+async function notifyOwnerNearMissSlots(bot, poll, summary) {
+  const nearMisses = summary.counts
+    .map((count, index) => ({ count, index }))
+    .filter((entry) => entry.count > 0)
+    .sort((a, b) => b.count - a.count || a.index - b.index)
+    .slice(0, 3)
+    .map(
+      (entry) =>
+        `${poll.options[entry.index]?.label || `Option ${entry.index + 1}`} (${entry.count})`
+    );
+  const message = `Poll ${poll.weekKey} ended without a game: no slot reached MIN_WINNER_VOTES=${bot.config.minWinnerVotes}. Near misses: ${nearMisses.join(' | ') || 'none'}.`;
+
+  try {
+    await bot.adapter.sendOwnerMessage(message);
+  } catch (error) {
+    log(
+      'WARN',
+      'Failed to notify owner about near-miss slots.',
+      errorMetadata(error, {
+        pollId: poll.id
+      })
+    );
+  }
+}
+
+async function closeBelowMinWinnerVotes(bot, poll, summary, topVotes) {
   const timestamp = bot.now();
-  const { slotIso, slotLabel } = bot.getExpiredAutoWinnerState(poll, winnerIdx);
+  const minWinnerVotes = bot.config.minWinnerVotes;
+  const voteWord = topVotes === 1 ? 'vote' : 'votes';
+  const messageText = `Poll closed. Not enough players this week: the top slot had ${topVotes} ${voteWord}, below the minimum of ${minWinnerVotes}. No game slot will be announced.`;
 
-  bot.db.setAnnounced({
+  bot.db.setAnnouncedWithOutbox({
     pollId: poll.id,
-    closeReason,
+    closeReason: 'below-min-votes',
     closedAt: poll.closedAt || timestamp,
     announcedAt: timestamp,
-    winnerIdx: null,
-    winnerVotes: 0
+    winners: [],
+    outboxMessage: bot.buildOutboxTextMessage(messageText, timestamp)
   });
 
   bot.clearTimer(bot.closeTimers, poll.id);
   bot.clearTimer(bot.tieTimers, poll.id);
+  bot.observability.recordBelowMinVotesClose();
 
-  log('WARN', 'Winner announcement skipped because the selected slot time already passed.', {
+  log('INFO', 'Poll closed without a winner: top slot is below MIN_WINNER_VOTES.', {
     pollId: poll.id,
-    winnerIdx,
-    winnerVotes,
-    slotIso,
-    closeReason
+    topVotes,
+    minWinnerVotes
+  });
+
+  await bot.drainOutboxQueue();
+
+  if (bot.config.minWinnerVotesOwnerDm) {
+    await bot.notifyOwnerNearMissSlots(poll, summary);
+  }
+}
+
+async function finalizeExpiredAutomaticWinner(bot, poll, winners, closeReason, tieBreak = null) {
+  const timestamp = bot.now();
+
+  bot.db.setAnnounced({
+    pollId: poll.id,
+    closeReason,
+    closedAt: poll.closedAt || timestamp,
+    announcedAt: timestamp,
+    winners: [],
+    tieBreak
   });
 
-  await bot.notifyOwnerExpiredWinner(poll, winnerIdx, slotLabel, slotIso, closeReason);
+  bot.clearTimer(bot.closeTimers, poll.id);
+  bot.clearTimer(bot.tieTimers, poll.id);
+
+  for (const winner of winners) {
+    const { slotIso, slotLabel } = bot.getExpiredAutoWinnerState(poll, winner.optionIdx);
+
+    log('WARN', 'Winner announcement skipped because the selected slot time already passed.', {
+      pollId: poll.id,
+      winnerIdx: winner.optionIdx,
+      winnerVotes: winner.votes,
+      slotIso,
+      closeReason
+    });
+
+    await bot.notifyOwnerExpiredWinner(poll, winner.optionIdx, slotLabel, slotIso, closeReason);
+  }
+}
+
+function selectExpiredWinnerFallback(bot, poll, winners, seats) {
+  if (bot.config.expiredWinnerFallback !== 'next-best' || seats <= 0) {
+    return [];
+  }
+
+  return selectFallbackWinners({
+    counts: bot.summarizePoll(poll).counts,
+    excluded: winners.map((winner) => winner.optionIdx),
+    seats,
+    minVotes: Math.max(
+      bot.config.minWinnerVotes || 1,
+      bot.config.expiredWinnerFallbackMinVotes || 1
+    ),
+    isExpired: (optionIdx) => bot.getExpiredAutoWinnerState(poll, optionIdx).expired
+  });
 }
 
-async function maybeAnnounceAutomaticWinner(bot, poll, winnerIdx, winnerVotes, closeReason) {
-  const expiryState = bot.getExpiredAutoWinnerState(poll, winnerIdx);
-  if (expiryState.expired) {
-    await bot.finalizeExpiredAutomaticWinner(poll, winnerIdx, winnerVotes, closeReason);
+async function maybeAnnounceAutomaticWinner(bot, poll, winners, closeReason, tieBreak = null) {
+  const upcoming = winners.filter(
+    (winner) => !bot.getExpiredAutoWinnerState(poll, winner.optionIdx).expired
+  );
+  const expired = winners.filter((winner) => !upcoming.includes(winner));
+  const fallback = bot.selectExpiredWinnerFallback(poll, winners, expired.length);
+  if (upcoming.length === 0 && fallback.length === 0) {
+    await bot.finalizeExpiredAutomaticWinner(poll, winners, closeReason, tieBreak);
     return false;
   }
 
-  await bot.announceWinner(poll, winnerIdx, winnerVotes, closeReason);
+  if (expired.length > 0) {
+    log('WARN', 'Skipping winning sessions whose slot time already passed.', {
+      pollId: poll.id,
+      expiredWinnerIndices: expired.map((winner) => winner.optionIdx),
+      fallbackWinnerIndices: fallback.map((winner) => winner.optionIdx),
+      closeReason
+    });
+  }
+
+  if (fallback.length === 0) {
+    await bot.announceWinner(poll, upcoming, closeReason, tieBreak);
+    return true;
+  }
+
+  // The tie-break only explains the announcement while one of the sessions it picked is still on.
+  await bot.announceWinner(
+    poll,
+    [...upcoming, ...fallback],
+    'expired-fallback',
+    upcoming.length > 0 ? tieBreak : null
+  );
+  await bot.notifyOwnerExpiredWinnerFallback(poll, expired, fallback, closeReason);
   return true;
 }
 
-function summarizePoll(bot, poll) {
-  const votes = bot.db.getVotesByPollId(poll.id);
-  const counts = new Array(poll.options.length).fill(0);
-  let uniqueVoterCount = 0;
+function countOpenSeats(bot, poll) {
+  return Math.max(1, (bot.config.winnersPerWeek || 1) - (poll.winners || []).length);
+}
 
-  for (const vote of votes) {
-    const selected = Array.from(new Set(vote.selectedOptions))
-      .filter((value) => Number.isInteger(value))
-      .filter((value) => value >= 0 && value < counts.length);
+// Open polls keep their tally in memory and apply each stored vote as a delta; other states are
+// rare enough to recompute from SQLite. A cached entry is tied to the poll's creation time so a
+// poll replaced in place never reuses the previous poll's counts.
+function getCachedVoteTally(bot, poll) {
+  const entry = bot.voteTallies.get(poll.id);
+  if (!entry || entry.createdAt !== poll.createdAt) {
+    return null;
+  }
+
+  return entry.tally;
+}
+
+function getVoteTally(bot, poll) {
+  if (!canApplyPollEffect(poll.status, 'accept-votes')) {
+    bot.voteTallies.delete(poll.id);
+    return createVoteTally(poll.options.length, bot.db.getVotesByPollId(poll.id));
+  }
+
+  const cached = getCachedVoteTally(bot, poll);
+  if (cached) {
+    return cached;
+  }
+
+  const tally = createVoteTally(poll.options.length, bot.db.getVotesByPollId(poll.id));
+  bot.voteTallies.set(poll.id, { createdAt: poll.createdAt, tally });
+  return tally;
+}
 
-    if (selected.length === 0) {
+function recordPollVote(bot, poll, { voterJid, selectedOptions, source }) {
+  bot.db.upsertVote({
+    pollId: poll.id,
+    voterJid,
+    selectedOptions,
+    updatedAt: bot.now(),
+    source
+  });
+
+  const cached = getCachedVoteTally(bot, poll);
+  if (cached) {
+    applyVoteToTally(cached, voterJid, selectedOptions, source === 'auto');
+  }
+}
+
+// Standing availability becomes provisional `auto` votes; the voter's next real vote replaces them.
+// Auto votes add to the option counts only: quorum and the decided-early check wait for real votes.
+function applyStandingAvailability(bot, poll) {
+  const profiles = bot.db.listStandingAvailability(bot.config.groupId);
+  if (profiles.length === 0) {
+    return 0;
+  }
+
+  const awayVoters = bot.listAwayVoters(poll);
+  const optionIdxBySlotKey = new Map(
+    poll.options.map((option, index) => [formatSlotKey(option), index])
+  );
+  let applied = 0;
+
+  for (const profile of profiles) {
+    if (!bot.config.allowedVoterSet.has(profile.voterJid) || awayVoters.has(profile.voterJid)) {
       continue;
     }
 
-    uniqueVoterCount += 1;
-    for (const index of selected) {
-      counts[index] += 1;
+    const selectedOptions = profile.slotKeys
+      .map((slotKey) => optionIdxBySlotKey.get(slotKey))
+      .filter((optionIdx) => Number.isInteger(optionIdx));
+    if (selectedOptions.length === 0) {
+      continue;
+    }
+
+    recordPollVote(bot, poll, { voterJid: profile.voterJid, selectedOptions, source: 'auto' });
+    applied += 1;
+  }
+
+  return applied;
+}
+
+// Compares the cached tally with a full recomputation, then replaces it with the recomputed one.
+function verifyVoteTally(bot, poll, storedVotes = bot.db.getVotesByPollId(poll.id)) {
+  const expected = createVoteTally(poll.options.length, storedVotes);
+  const cached = getCachedVoteTally(bot, poll);
+  const result = cached
+    ? compareVoteTallies(cached, expected)
+    : { consistent: true, mismatchedOptions: [], mismatchedVoters: [] };
+
+  bot.observability.recordVoteTallyCheck({ consistent: result.consistent });
+  if (!result.consistent) {
+    log('WARN', 'In-memory vote tally drifted from SQLite; rebuilt it.', {
+      pollId: poll.id,
+      mismatchedOptions: result.mismatchedOptions,
+      mismatchedVoterCount: result.mismatchedVoters.length
+    });
+  }
+
+  if (canApplyPollEffect(poll.status, 'accept-votes')) {
+    bot.voteTallies.set(poll.id, { createdAt: poll.createdAt, tally: expected });
+  }
+
+  return result;
+}
+
+function summarizePoll(bot, poll) {
+  const tally = getVoteTally(bot, poll);
+  const counts = [...tally.counts];
+  const uniqueVoterCount = tally.selections.size;
+  const confirmedVoterCount = uniqueVoterCount - tally.autoVoters.size;
+  const confirmedCounts = [...counts];
+  for (const voterJid of tally.autoVoters) {
+    for (const index of tally.selections.get(voterJid)) {
+      confirmedCounts[index] -= 1;
     }
   }
 
@@ -603,14 +956,58 @@ function summarizePoll(bot, poll) {
     });
   }
 
+  // Away voters are not waited for; a vote they cast anyway still counts like any other.
+  const awayVoters = bot.listAwayVoters(poll);
+  const notVoted = bot.config.allowedVoters.filter((jid) => !tally.selections.has(jid));
+  const awayVoterCount = notVoted.filter((jid) => awayVoters.has(jid)).length;
+  // A voter with an auto vote has not confirmed it yet, so they still count as remaining.
+  const remainingVoters = notVoted.length - awayVoterCount + tally.autoVoters.size;
+  const seatsPoll = poll.parentPollId ? bot.db.getPollById(poll.parentPollId) : poll;
+  const outcome = evaluateDecidedOutcome({
+    counts: confirmedCounts,
+    remainingVoters,
+    minWinnerVotes: poll.parentPollId ? 1 : bot.config.minWinnerVotes || 1,
+    seats: seatsPoll ? bot.countOpenSeats(seatsPoll) : 1
+  });
+
   return {
     counts,
     uniqueVoterCount,
+    confirmedVoterCount,
     maxVotes,
-    topIndices
+    topIndices,
+    remainingVoters,
+    awayVoterCount,
+    outcome
   };
 }
 
+function listAwayVoters(bot, poll) {
+  const range = weekDateRange(poll.weekKey);
+  if (!range) {
+    return new Set();
+  }
+
+  const absences = bot.db.listVoterAbsences(bot.config.groupId, {
+    from: range.startsOn,
+    to: range.endsOn
+  });
+  return new Set(
+    absences
+      .map((absence) => absence.voterJid)
+      .filter((voterJid) => bot.config.allowedVoterSet.has(voterJid))
+  );
+}
+
+function listMissingVoters(bot, poll) {
+  const tally = getVoteTally(bot, poll);
+  const awayVoters = bot.listAwayVoters(poll);
+  // An auto vote is unconfirmed, as in summarizePoll, so its voter still gets nudged.
+  return bot.config.allowedVoters.filter(
+    (jid) => (!tally.selections.has(jid) || tally.autoVoters.has(jid)) && !awayVoters.has(jid)
+  );
+}
+
 function mapVoteSelectionsToOptionIndices(bot, poll, selectedOptionsRaw) {
   const discardedLocalIds = [];
   const selectedOptions = Array.from(
@@ -659,12 +1056,18 @@ async function resolveAllowlistedVoterJid(bot, voterRaw, normalizedVoterJid) {
     return null;
   }
 
-  const cached = bot.voterAliasMap.get(voterText);
-  if (cached && bot.config.allowedVoterSet.has(cached)) {
-    return cached;
+  // Resolved aliases are stored in SQLite so restarts and missing contact lookups keep them.
+  const known = bot.voterAliasMap.get(voterText) || bot.db.getContactAlias(voterText)?.phoneJid;
+  if (known && bot.config.allowedVoterSet.has(known)) {
+    bot.voterAliasMap.set(voterText, known);
+    bot.db.touchContactAlias({ aliasJid: voterText, seenAt: bot.now() });
+    return known;
   }
 
   if (!bot.adapter.supportsContactLookup()) {
+    log('WARN', 'Ignoring @lid voter without a stored alias: contact lookup is unavailable.', {
+      voterJid: voterText
+    });
     return null;
   }
 
@@ -698,14 +1101,28 @@ async function resolveAllowlistedVoterJid(bot, voterRaw, normalizedVoterJid) {
     return null;
   }
 
-  bot.voterAliasMap.set(voterText, resolvedPhoneJid);
+  const aliasJids = new Set([voterText]);
   if (typeof lookup.lid === 'string' && lookup.lid.trim()) {
-    bot.voterAliasMap.set(lookup.lid.trim().toLowerCase(), resolvedPhoneJid);
+    aliasJids.add(lookup.lid.trim().toLowerCase());
+  }
+
+  for (const aliasJid of aliasJids) {
+    bot.rememberContactAlias(aliasJid, resolvedPhoneJid, 'lookup');
   }
 
   return resolvedPhoneJid;
 }
 
+function rememberContactAlias(bot, aliasJid, phoneJid, source) {
+  bot.db.upsertContactAlias({ aliasJid, phoneJid, source, seenAt: bot.now() });
+  bot.voterAliasMap.set(aliasJid, phoneJid);
+}
+
+function forgetContactAlias(bot, aliasJid) {
+  bot.voterAliasMap.delete(aliasJid);
+  return bot.db.deleteContactAlias(aliasJid);
+}
+
 async function normalizeVoteUpdateForPoll(bot, poll, voteUpdate) {
   const voterRaw = voteUpdate?.voter;
   if (!voterRaw) {
@@ -748,7 +1165,7 @@ async function onVoteUpdate(bot, voteUpdate) {
   }
 
   const poll = bot.db.getPollByMessageId(bot.config.groupId, pollMessageId);
-  if (!poll || poll.status !== 'OPEN') {
+  if (!poll || !canApplyPollEffect(poll.status, 'accept-votes')) {
     return;
   }
 
@@ -775,185 +1192,351 @@ async function onVoteUpdate(bot, voteUpdate) {
     return;
   }
 
-  bot.db.upsertVote({
-    pollId: poll.id,
+  recordPollVote(bot, poll, {
     voterJid: normalized.voterJid,
     selectedOptions: normalized.selectedOptions,
-    updatedAt: bot.now()
+    source: 'live'
   });
 
-  const summary = bot.summarizePoll(poll);
-  if (summary.uniqueVoterCount >= bot.config.requiredVoters) {
-    await bot.closePoll(poll.id, 'quorum');
+  await evaluateVotesAfterUpdate(bot, poll);
+}
+
+function recordTextVote(bot, poll, voterJid, selectedOptions) {
+  recordPollVote(bot, poll, { voterJid, selectedOptions, source: 'text' });
+}
+
+// Votes are stored as they arrive, but with a debounce window the quorum and decided checks run
+// once per window, so a burst of votes is counted in full before the poll can close.
+async function evaluateVotesAfterUpdate(bot, poll) {
+  const windowMs = bot.config.voteEvaluationDebounceMs || 0;
+  if (windowMs <= 0) {
+    await closePollIfVotesSettled(bot, poll);
+    return;
+  }
+
+  if (bot.voteEvaluationTimers.has(poll.id)) {
+    bot.observability.recordVoteEvaluation({ coalesced: true });
+    return;
   }
+
+  const timeout = setTimeout(() => {
+    bot.voteEvaluationTimers.delete(poll.id);
+    bot.runSafely('vote_evaluation', async () => {
+      const latest = bot.db.getPollById(poll.id);
+      if (!latest || !canApplyPollEffect(latest.status, 'accept-votes')) {
+        return;
+      }
+
+      bot.observability.recordVoteEvaluation({ coalesced: false });
+      await closePollIfVotesSettled(bot, latest);
+    });
+  }, windowMs);
+
+  bot.voteEvaluationTimers.set(poll.id, timeout);
 }
 
 async function closePoll(bot, pollId, closeReason) {
-  await bot.withPollLock(pollId, async () => {
-    const poll = bot.db.getPollById(pollId);
-    if (!poll || poll.status !== 'OPEN') {
-      return;
+  try {
+    await bot.withPollLock(pollId, async () => {
+      await bot.closePollWithinLock(pollId, closeReason);
+    });
+  } catch (error) {
+    if (!isPollLockTimeoutError(error)) {
+      throw error;
     }
 
+    // Retry through the close timer slot so a stuck lock cannot drop a quorum or deadline close.
     bot.clearTimer(bot.closeTimers, pollId);
-
-    const summary = bot.summarizePoll(poll);
-    const closedAt = bot.now();
-
-    if (summary.maxVotes <= 0 || summary.topIndices.length === 0) {
-      const messageText = 'Poll closed. No votes were recorded this week.';
-      bot.db.setAnnouncedWithOutbox({
-        pollId,
-        closeReason,
-        closedAt,
-        announcedAt: closedAt,
-        winnerIdx: null,
-        winnerVotes: 0,
-        outboxMessage: bot.buildOutboxTextMessage(messageText, closedAt)
+    const retry = setTimeout(() => {
+      bot.closeTimers.delete(pollId);
+      bot.runSafely('close_retry', async () => {
+        await bot.closePoll(pollId, closeReason);
       });
-      bot.observability.recordPollClosed(closeReason);
+    }, POLL_LOCK_RETRY_MS);
+    bot.closeTimers.set(pollId, retry);
+  }
+}
 
-      await bot.drainOutboxQueue();
-      return;
-    }
+async function closePollWithinLock(bot, pollId, closeReason, { notice = null } = {}) {
+  const poll = bot.db.getPollById(pollId);
+  if (!poll || !canApplyPollEffect(poll.status, 'close-timer')) {
+    return false;
+  }
 
-    if (summary.topIndices.length > 1) {
-      bot.observability.recordTieFlow();
-      const tieDeadlineAt = closedAt + bot.config.tieOverrideHours * 60 * 60 * 1000;
-      const tiedDescriptions = summary.topIndices
-        .map((index) => `${index + 1}) ${poll.options[index].label}`)
-        .join(' | ');
-      const tieMessage = `Tie detected. Use ${bot.config.commandPrefix} pick <option_number> within ${bot.config.tieOverrideHours}h. Tied options: ${tiedDescriptions}`;
-
-      bot.db.setTiePendingWithOutbox({
-        pollId,
-        closeReason,
-        closedAt,
-        tieDeadlineAt,
-        tieOptionIndices: summary.topIndices,
-        outboxMessage: bot.buildOutboxTextMessage(tieMessage, closedAt)
-      });
-      bot.observability.recordPollClosed(closeReason);
+  if (notice) {
+    bot.db.advancePollDeadlineWithOutbox({
+      pollId,
+      closesAt: bot.now(),
+      outboxMessage: bot.buildOutboxTextMessage(notice)
+    });
+  }
 
-      bot.scheduleTieTimer(pollId, tieDeadlineAt);
+  bot.clearTimer(bot.closeTimers, pollId);
+  bot.clearTimer(bot.voteEvaluationTimers, pollId);
+  bot.cancelVoteReminders(pollId);
 
-      await bot.drainOutboxQueue();
-      return;
-    }
+  if (poll.parentPollId !== null) {
+    return bot.closeRunoffPollWithinLock(poll, closeReason);
+  }
 
-    await bot.maybeAnnounceAutomaticWinner(
-      poll,
-      summary.topIndices[0],
-      summary.maxVotes,
-      closeReason
-    );
+  const summary = bot.summarizePoll(poll);
+  const closedAt = bot.now();
+
+  if (summary.maxVotes <= 0 || summary.topIndices.length === 0) {
+    const messageText = 'Poll closed. No votes were recorded this week.';
+    bot.db.setAnnouncedWithOutbox({
+      pollId,
+      closeReason,
+      closedAt,
+      announcedAt: closedAt,
+      winners: [],
+      outboxMessage: bot.buildOutboxTextMessage(messageText, closedAt)
+    });
+    bot.observability.recordPollClosed(closeReason);
+
+    await bot.drainOutboxQueue();
+    return true;
+  }
+
+  if (summary.maxVotes < (bot.config.minWinnerVotes || 1)) {
+    await bot.closeBelowMinWinnerVotes(poll, summary, summary.maxVotes);
     bot.observability.recordPollClosed(closeReason);
+    return true;
+  }
+
+  const selection = selectWinners({
+    counts: summary.counts,
+    seats: bot.config.winnersPerWeek || 1,
+    minVotes: bot.config.minWinnerVotes || 1
+  });
+
+  if (selection.tie) {
+    bot.observability.recordTieFlow();
+    const tieDeadlineAt = closedAt + bot.config.tieOverrideHours * 60 * 60 * 1000;
+    const tieMessage = buildTieMessage(bot, poll, selection.winners, selection.tie);
+
+    bot.db.setTiePendingWithOutbox({
+      pollId,
+      closeReason,
+      closedAt,
+      tieDeadlineAt,
+      tieOptionIndices: selection.tie.candidates,
+      winners: selection.winners,
+      outboxMessage: bot.buildOutboxTextMessage(tieMessage, closedAt)
+    });
+    bot.observability.recordPollClosed(closeReason);
+
+    bot.scheduleTieTimer(pollId, tieDeadlineAt);
+
+    await bot.drainOutboxQueue();
+    return true;
+  }
+
+  await bot.maybeAnnounceAutomaticWinner(poll, selection.winners, closeReason);
+  bot.observability.recordPollClosed(closeReason);
+  return true;
+}
+
+function buildTieMessage(bot, poll, winners, tie) {
+  const describeOption = (index) => `${index + 1}) ${poll.options[index].label}`;
+  const tiedDescriptions = tie.candidates.map(describeOption).join(' | ');
+  const fallbackText =
+    bot.config.runoffPollHours > 0 ? ' Otherwise a runoff poll will decide.' : '';
+  const pickUsage = `${bot.config.commandPrefix} pick <option_number>`;
+
+  if ((bot.config.winnersPerWeek || 1) === 1) {
+    return `Tie detected. Use ${pickUsage} within ${bot.config.tieOverrideHours}h.${fallbackText} Tied options: ${tiedDescriptions}`;
+  }
+
+  const selectedText = winners.length
+    ? ` Already selected: ${winners.map((winner) => describeOption(winner.optionIdx)).join(' | ')}.`
+    : '';
+  return `Tie detected for ${tie.seats} of ${bot.config.winnersPerWeek} sessions.${selectedText} Use ${pickUsage} once per open session within ${bot.config.tieOverrideHours}h.${fallbackText} Tied options: ${tiedDescriptions}`;
+}
+
+function resolveConfiguredTieBreak(bot, poll, candidates, seats = 1) {
+  const strategy = bot.config.tieBreakStrategy || 'earliest';
+  const tieBreak = resolveTieBreak({
+    strategy,
+    poll,
+    candidates,
+    pastWinners:
+      strategy === 'least-recent-weekday'
+        ? bot.db.listPastWinningPolls(bot.config.groupId, poll.id)
+        : [],
+    preference: bot.config.tieBreakPreference || [],
+    seats
   });
+
+  log('INFO', 'Tie resolved by strategy.', {
+    pollId: poll.id,
+    strategy,
+    winnerIndices: tieBreak.winnerIndices,
+    inputs: tieBreak.inputs
+  });
+
+  return tieBreak;
 }
 
 async function handleTieTimeout(bot, pollId) {
-  await bot.withPollLock(pollId, async () => {
-    const poll = bot.db.getPollById(pollId);
-    if (!poll || poll.status !== 'TIE_PENDING') {
-      return;
-    }
+  try {
+    await bot.withPollLock(pollId, async () => {
+      const poll = bot.db.getPollById(pollId);
+      if (!poll || poll.status !== 'TIE_PENDING') {
+        return;
+      }
 
-    bot.clearTimer(bot.tieTimers, pollId);
-
-    const tieCandidates = Array.from(new Set(poll.tieOptionIndices)).sort((a, b) => a - b);
-    if (tieCandidates.length === 0) {
-      const timestamp = bot.now();
-      bot.db.setAnnouncedWithOutbox({
-        pollId,
-        closeReason: 'tie-timeout-invalid',
-        closedAt: poll.closedAt || timestamp,
-        announcedAt: timestamp,
-        winnerIdx: null,
-        winnerVotes: 0,
-        outboxMessage: bot.buildOutboxTextMessage(
-          'Tie resolution failed: no tie candidates found.',
-          timestamp
-        )
-      });
+      bot.clearTimer(bot.tieTimers, pollId);
+
+      const tieCandidates = Array.from(new Set(poll.tieOptionIndices)).sort((a, b) => a - b);
+      if (tieCandidates.length === 0) {
+        const timestamp = bot.now();
+        bot.db.setAnnouncedWithOutbox({
+          pollId,
+          closeReason: 'tie-timeout-invalid',
+          closedAt: poll.closedAt || timestamp,
+          announcedAt: timestamp,
+          winners: [],
+          outboxMessage: bot.buildOutboxTextMessage(
+            'Tie resolution failed: no tie candidates found.',
+            timestamp
+          )
+        });
+
+        await bot.drainOutboxQueue();
+        return;
+      }
 
-      await bot.drainOutboxQueue();
-      return;
-    }
+      const summary = bot.summarizePoll(poll);
+      const topVotes = Math.max(...tieCandidates.map((index) => summary.counts[index] || 0));
+      if (topVotes < (bot.config.minWinnerVotes || 1)) {
+        if (poll.winners.length > 0) {
+          await bot.maybeAnnounceAutomaticWinner(poll, poll.winners, 'tie-timeout');
+        } else {
+          await bot.closeBelowMinWinnerVotes(poll, summary, topVotes);
+        }
+        return;
+      }
 
-    const winnerIdx = tieCandidates[0];
-    const summary = bot.summarizePoll(poll);
-    const winnerVotes = summary.counts[winnerIdx] || 0;
+      if (
+        bot.config.runoffPollHours > 0 &&
+        poll.parentPollId === null &&
+        tieCandidates.length > 1
+      ) {
+        const runoffStarted = await bot.startRunoffPoll(poll, tieCandidates);
+        if (runoffStarted) {
+          return;
+        }
+      }
 
-    const announced = await bot.maybeAnnounceAutomaticWinner(
-      poll,
-      winnerIdx,
-      winnerVotes,
-      'tie-timeout'
-    );
-    if (announced) {
-      return;
+      const tieBreak = bot.resolveConfiguredTieBreak(poll, tieCandidates, bot.countOpenSeats(poll));
+      const winners = [
+        ...poll.winners,
+        ...tieBreak.winnerIndices.map((optionIdx) => ({
+          optionIdx,
+          votes: summary.counts[optionIdx] || 0
+        }))
+      ];
+
+      await bot.maybeAnnounceAutomaticWinner(poll, winners, 'tie-timeout', tieBreak);
+    });
+  } catch (error) {
+    if (!isPollLockTimeoutError(error)) {
+      throw error;
     }
-  });
+
+    bot.scheduleTieTimer(pollId, bot.now() + POLL_LOCK_RETRY_MS);
+  }
 }
 
-function finalizeWinner(bot, poll, winnerIdx, winnerVotes, closeReason) {
+function finalizeWinner(bot, poll, winners, closeReason, tieBreak = null) {
   const timestamp = bot.now();
-  const slotLabel = poll.options[winnerIdx]?.label || `Option ${winnerIdx + 1}`;
-  const voteWord = winnerVotes === 1 ? 'vote' : 'votes';
-  const announcementText = `Weekly game slot selected: ${slotLabel} (${winnerVotes} ${voteWord}).`;
+  // Sessions secured before a tie keep their round-1 votes; only the rest were decided in a runoff.
+  const securedBeforeTie = new Set(poll.winners.map((winner) => winner.optionIdx));
+  const decidedInRunoff = closeReason === 'runoff' || closeReason === 'runoff-tie';
+  const describeWinner = (winner) => {
+    const slotLabel = poll.options[winner.optionIdx]?.label || `Option ${winner.optionIdx + 1}`;
+    const voteWord = winner.votes === 1 ? 'vote' : 'votes';
+    const roundText =
+      decidedInRunoff && !securedBeforeTie.has(winner.optionIdx) ? ' in the runoff' : '';
+    return `${slotLabel} (${winner.votes} ${voteWord}${roundText})`;
+  };
+  const tieBreakText = tieBreak ? ` ${describeTieBreak(tieBreak)}` : '';
+  const announcementText =
+    winners.length === 1
+      ? `Weekly game slot selected: ${describeWinner(winners[0])}.${tieBreakText}`
+      : `Weekly game sessions selected: ${[...winners]
+          .sort((a, b) => a.optionIdx - b.optionIdx)
+          .map(describeWinner)
+          .join(' | ')}.${tieBreakText}`;
 
   bot.db.setAnnouncedWithOutbox({
     pollId: poll.id,
     closeReason,
     closedAt: poll.closedAt || timestamp,
     announcedAt: timestamp,
-    winnerIdx,
-    winnerVotes,
+    winners,
+    tieBreak,
     outboxMessage: bot.buildOutboxTextMessage(announcementText, timestamp)
   });
 
   bot.clearTimer(bot.closeTimers, poll.id);
   bot.clearTimer(bot.tieTimers, poll.id);
+  bot.scheduleGameReminders(poll, winners);
 
   log('INFO', 'Winner announced.', {
     pollId: poll.id,
-    winnerIdx,
-    winnerVotes,
-    closeReason
+    winnerIndices: winners.map((winner) => winner.optionIdx),
+    closeReason,
+    tieBreakStrategy: tieBreak ? tieBreak.strategy : null
   });
 
   return announcementText;
 }
 
-async function announceWinner(bot, poll, winnerIdx, winnerVotes, closeReason) {
-  bot.finalizeWinner(poll, winnerIdx, winnerVotes, closeReason);
+async function announceWinner(bot, poll, winners, closeReason, tieBreak = null) {
+  bot.finalizeWinner(poll, winners, closeReason, tieBreak);
   await bot.drainOutboxQueue();
 }
 
 module.exports = {
   announceWinner,
   clearTimer,
+  closeBelowMinWinnerVotes,
   closePoll,
+  closePollWithinLock,
+  countOpenSeats,
   createCurrentWeekPollIfMissed,
   createPollForWeek,
   createStartupSelectedWeekPollIfNeeded,
   createWeeklyPollIfNeeded,
+  evaluateVotesAfterUpdate,
   finalizeExpiredAutomaticWinner,
   finalizeWinner,
+  forgetContactAlias,
   getExpiredAutoWinnerState,
   handleTieTimeout,
+  listAwayVoters,
+  listMissingVoters,
   mapVoteSelectionsToOptionIndices,
   maybeAnnounceAutomaticWinner,
   normalizeVoteUpdateForPoll,
   notifyOwnerExpiredWinner,
+  notifyOwnerExpiredWinnerFallback,
+  notifyOwnerNearMissSlots,
   onVoteUpdate,
+  reconcileOpenPollVotes,
   reconcilePendingPollVotes,
   reconcilePollVotes,
+  recordTextVote,
   recoverPendingPolls,
+  rememberContactAlias,
   resolveAllowlistedVoterJid,
+  resolveConfiguredTieBreak,
   resolvePollOptionScheduledAt,
   scheduleCloseTimer,
+  selectExpiredWinnerFallback,
   scheduleTieTimer,
   summarizePoll,
-  withPollLock
+  verifyVoteTally
 };
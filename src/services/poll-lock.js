@@ -0,0 +1,91 @@
+const { log } = require('../logger');
+
+class PollLockTimeoutError extends Error {
+  constructor(pollId, timeoutMs) {
+    super(`Timed out after ${timeoutMs}ms waiting for the lock on poll ${pollId}.`);
+    this.name = 'PollLockTimeoutError';
+    this.code = 'POLL_LOCK_TIMEOUT';
+    this.pollId = pollId;
+  }
+}
+
+function isPollLockTimeoutError(error) {
+  return error instanceof PollLockTimeoutError || error?.code === 'POLL_LOCK_TIMEOUT';
+}
+
+// Each poll keeps a promise chain; a caller waits for the previous holder, then runs exclusively.
+// Callers are not reentrant: acquiring the same poll lock from inside its callback waits until the
+// timeout expires.
+async function withPollLock(bot, pollId, callback) {
+  const entry = bot.pollLocks.get(pollId) || { tail: Promise.resolve(), pending: 0 };
+  const contended = entry.pending > 0;
+  const previous = entry.tail;
+  let release;
+  const current = new Promise((resolve) => {
+    release = resolve;
+  });
+
+  entry.pending += 1;
+  entry.tail = previous.then(() => current);
+  bot.pollLocks.set(pollId, entry);
+
+  const finish = () => {
+    release();
+    entry.pending -= 1;
+    if (entry.pending === 0 && bot.pollLocks.get(pollId) === entry) {
+      bot.pollLocks.delete(pollId);
+    }
+  };
+
+  const waitStartedAt = Date.now();
+  let timeoutId;
+  const acquired = await Promise.race([
+    previous.then(() => true),
+    new Promise((resolve) => {
+      timeoutId = setTimeout(() => resolve(false), bot.pollLockTimeoutMs);
+    })
+  ]);
+  clearTimeout(timeoutId);
+  const waitMs = Date.now() - waitStartedAt;
+
+  if (!acquired) {
+    // Keep our place in the chain so callers queued behind us still wait for the current holder.
+    previous.then(finish);
+    bot.observability.recordPollLockWait({ waitMs, contended, timedOut: true });
+    log('WARN', 'Timed out waiting for poll lock.', {
+      pollId,
+      waitMs,
+      timeoutMs: bot.pollLockTimeoutMs
+    });
+    throw new PollLockTimeoutError(pollId, bot.pollLockTimeoutMs);
+  }
+
+  bot.observability.recordPollLockWait({ waitMs, contended, timedOut: false });
+  if (contended) {
+    log('INFO', 'Acquired poll lock after waiting.', { pollId, waitMs });
+  }
+
+  try {
+    return await callback();
+  } finally {
+    finish();
+  }
+}
+
+// A runoff poll settles its parent, so its lock is held together with the parent's. The parent is
+// always taken first, so two callers never each hold one of the pair and wait on the other.
+async function withPollAndParentLock(bot, pollId, callback) {
+  const parentPollId = bot.db.getPollById(pollId)?.parentPollId ?? null;
+  if (parentPollId === null) {
+    return withPollLock(bot, pollId, callback);
+  }
+
+  return withPollLock(bot, parentPollId, () => withPollLock(bot, pollId, callback));
+}
+
+module.exports = {
+  PollLockTimeoutError,
+  isPollLockTimeoutError,
+  withPollAndParentLock,
+  withPollLock
+};
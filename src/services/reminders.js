@@ -0,0 +1,314 @@
+const { DateTime } = require('luxon');
+
+const { log } = require('../logger');
+const { canApplyPollEffect } = require('../poll-state');
+const { isPollLockTimeoutError } = require('./poll-lock');
+
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+const REMINDER_LOCK_RETRY_MS = 5 * 1000;
+const VOTE_REMINDER_KIND = 'vote-nudge';
+const GAME_REMINDER_KIND = 'pre-game';
+
+function clearReminderTimer(bot, reminderId) {
+  const timer = bot.reminderTimers.get(reminderId);
+
+  if (timer) {
+    clearTimeout(timer);
+    bot.reminderTimers.delete(reminderId);
+  }
+}
+
+function scheduleReminderTimer(bot, reminderId, remindAt) {
+  bot.clearReminderTimer(reminderId);
+
+  const delay = remindAt - bot.now();
+
+  if (delay <= 0) {
+    bot.runSafely('reminder_timer_immediate', async () => {
+      await bot.handleReminderDue(reminderId);
+    });
+    return;
+  }
+
+  const timeoutDelay = Math.min(delay, MAX_TIMEOUT_MS);
+  const timeout = setTimeout(() => {
+    const remaining = remindAt - bot.now();
+    if (remaining > 0) {
+      bot.scheduleReminderTimer(reminderId, remindAt);
+      return;
+    }
+
+    bot.reminderTimers.delete(reminderId);
+    bot.runSafely('reminder_timer', async () => {
+      await bot.handleReminderDue(reminderId);
+    });
+  }, timeoutDelay);
+
+  bot.reminderTimers.set(reminderId, timeout);
+}
+
+function replacePendingReminders(bot, pollId, kind, reminders) {
+  for (const existing of bot.db.listPendingRemindersForPoll(pollId, kind)) {
+    bot.clearReminderTimer(existing.id);
+  }
+
+  const pending = bot.db.replacePendingReminders({
+    pollId,
+    kind,
+    reminders,
+    createdAt: bot.now()
+  });
+
+  for (const reminder of pending) {
+    bot.scheduleReminderTimer(reminder.id, reminder.remindAt);
+  }
+
+  return pending;
+}
+
+function scheduleVoteReminders(bot, pollId, closesAt) {
+  const now = bot.now();
+  const reminders = (bot.config.reminderHoursBeforeClose || [])
+    .map((offsetHours) => ({
+      offsetHours,
+      remindAt: closesAt - offsetHours * 60 * 60 * 1000
+    }))
+    .filter((reminder) => reminder.remindAt > now);
+
+  const pending = replacePendingReminders(bot, pollId, VOTE_REMINDER_KIND, reminders);
+  if (pending.length > 0) {
+    log('INFO', 'Vote reminders scheduled.', {
+      pollId,
+      remindAt: pending.map((reminder) => reminder.remindAt)
+    });
+  }
+}
+
+function scheduleGameReminders(bot, poll, winners) {
+  const offsets = bot.config.gameReminderHoursBefore || [];
+  if (offsets.length === 0) {
+    return;
+  }
+
+  const now = bot.now();
+  const reminders = [];
+
+  for (const { optionIdx } of winners) {
+    const { scheduledAt, slotIso } = bot.resolvePollOptionScheduledAt(poll, optionIdx);
+    if (!scheduledAt) {
+      log('WARN', 'Skipping game reminders: winning slot has no valid scheduled time.', {
+        pollId: poll.id,
+        winnerIdx: optionIdx,
+        slotIso
+      });
+      continue;
+    }
+
+    const slotStartsAt = scheduledAt.toMillis();
+    for (const offsetHours of offsets) {
+      const remindAt = slotStartsAt - offsetHours * 60 * 60 * 1000;
+      if (remindAt > now) {
+        reminders.push({ optionIdx, offsetHours, remindAt });
+      }
+    }
+  }
+
+  const pending = replacePendingReminders(bot, poll.id, GAME_REMINDER_KIND, reminders);
+  if (pending.length > 0) {
+    log('INFO', 'Game reminders scheduled.', {
+      pollId: poll.id,
+      winnerIndices: winners.map((winner) => winner.optionIdx),
+      remindAt: pending.map((reminder) => reminder.remindAt)
+    });
+  }
+}
+
+function cancelPollReminders(bot, pollId, kind) {
+  const pending = bot.db.listPendingRemindersForPoll(pollId, kind);
+  if (pending.length === 0) {
+    return 0;
+  }
+
+  for (const reminder of pending) {
+    bot.clearReminderTimer(reminder.id);
+  }
+
+  return bot.db.cancelPendingReminders({ pollId, kind, cancelledAt: bot.now() });
+}
+
+function cancelVoteReminders(bot, pollId) {
+  return cancelPollReminders(bot, pollId, VOTE_REMINDER_KIND);
+}
+
+function cancelGameReminders(bot, pollId) {
+  return cancelPollReminders(bot, pollId, GAME_REMINDER_KIND);
+}
+
+function recoverPendingReminders(bot) {
+  const pending = bot.db.listPendingReminders(bot.config.groupId);
+  if (pending.length === 0) {
+    return;
+  }
+
+  log('INFO', 'Recovering pending reminders from SQLite.', { count: pending.length });
+
+  for (const reminder of pending) {
+    bot.scheduleReminderTimer(reminder.id, reminder.remindAt);
+  }
+}
+
+function formatMention(jid) {
+  return `@${jid.split('@', 1)[0]}`;
+}
+
+function buildVoteReminderText(bot, poll, missingVoters) {
+  const closesAtText = DateTime.fromMillis(poll.closesAt, {
+    zone: bot.config.timezone
+  }).toFormat('ccc LLL d HH:mm');
+  const mentions = missingVoters.map((jid) => formatMention(jid)).join(' ');
+
+  return `Reminder: this week's poll closes ${closesAtText}. Still waiting on ${missingVoters.length} voter(s): ${mentions}`;
+}
+
+function skipReminder(bot, reminder, reason) {
+  bot.db.completeReminder({
+    reminderId: reminder.id,
+    status: 'SKIPPED',
+    completedAt: bot.now()
+  });
+
+  log('INFO', 'Reminder skipped.', {
+    reminderId: reminder.id,
+    pollId: reminder.pollId,
+    kind: reminder.kind,
+    reason
+  });
+
+  return { status: 'skipped' };
+}
+
+function enqueueVoteReminder(bot, reminder) {
+  const poll = bot.db.getPollById(reminder.pollId);
+  if (!poll || !canApplyPollEffect(poll.status, 'vote-reminders')) {
+    return skipReminder(bot, reminder, 'poll_not_open');
+  }
+
+  const missingVoters = bot.listMissingVoters(poll);
+  if (missingVoters.length === 0) {
+    return skipReminder(bot, reminder, 'no_missing_voters');
+  }
+
+  const timestamp = bot.now();
+  bot.db.markReminderSentWithOutbox({
+    reminderId: reminder.id,
+    sentAt: timestamp,
+    outboxMessage: bot.buildOutboxTextMessage(
+      buildVoteReminderText(bot, poll, missingVoters),
+      timestamp,
+      missingVoters
+    )
+  });
+  bot.observability.recordReminderSent();
+
+  log('INFO', 'Vote reminder queued.', {
+    reminderId: reminder.id,
+    pollId: poll.id,
+    offsetHours: reminder.offsetHours,
+    missingVoterCount: missingVoters.length
+  });
+
+  return { status: 'queued' };
+}
+
+function enqueueGameReminder(bot, reminder) {
+  const poll = bot.db.getPollById(reminder.pollId);
+  const winnerIdx = reminder.optionIdx ?? poll?.winners[0]?.optionIdx;
+  if (
+    !poll ||
+    !canApplyPollEffect(poll.status, 'game-reminders') ||
+    !poll.winners.some((winner) => winner.optionIdx === winnerIdx)
+  ) {
+    return skipReminder(bot, reminder, 'no_winner');
+  }
+
+  const { scheduledAt } = bot.resolvePollOptionScheduledAt(poll, winnerIdx);
+  const timestamp = bot.now();
+  if (!scheduledAt || scheduledAt.toMillis() <= timestamp) {
+    return skipReminder(bot, reminder, 'slot_started');
+  }
+
+  const slotLabel = poll.options[winnerIdx]?.label || `Option ${winnerIdx + 1}`;
+  const hoursLeft = Math.max(
+    1,
+    Math.round((scheduledAt.toMillis() - timestamp) / (60 * 60 * 1000))
+  );
+  bot.db.markReminderSentWithOutbox({
+    reminderId: reminder.id,
+    sentAt: timestamp,
+    outboxMessage: bot.buildOutboxTextMessage(
+      `Game reminder: ${slotLabel} starts in about ${hoursLeft}h.`,
+      timestamp
+    )
+  });
+  bot.observability.recordReminderSent();
+
+  log('INFO', 'Game reminder queued.', {
+    reminderId: reminder.id,
+    pollId: poll.id,
+    winnerIdx,
+    offsetHours: reminder.offsetHours
+  });
+
+  return { status: 'queued' };
+}
+
+async function handleReminderDue(bot, reminderId) {
+  const reminder = bot.db.getReminderById(reminderId);
+  if (!reminder || reminder.status !== 'PENDING') {
+    return;
+  }
+
+  let lockResult;
+  try {
+    lockResult = await bot.withPollLock(reminder.pollId, async () => {
+      const latest = bot.db.getReminderById(reminderId);
+      if (!latest || latest.status !== 'PENDING') {
+        return { status: 'stale' };
+      }
+
+      if (latest.kind === VOTE_REMINDER_KIND) {
+        return enqueueVoteReminder(bot, latest);
+      }
+
+      if (latest.kind === GAME_REMINDER_KIND) {
+        return enqueueGameReminder(bot, latest);
+      }
+
+      return skipReminder(bot, latest, 'unknown_kind');
+    });
+  } catch (error) {
+    if (!isPollLockTimeoutError(error)) {
+      throw error;
+    }
+
+    bot.scheduleReminderTimer(reminderId, bot.now() + REMINDER_LOCK_RETRY_MS);
+    return;
+  }
+
+  if (lockResult.status === 'queued') {
+    await bot.drainOutboxQueue();
+  }
+}
+
+module.exports = {
+  GAME_REMINDER_KIND,
+  VOTE_REMINDER_KIND,
+  cancelGameReminders,
+  cancelVoteReminders,
+  clearReminderTimer,
+  handleReminderDue,
+  recoverPendingReminders,
+  scheduleGameReminders,
+  scheduleReminderTimer,
+  scheduleVoteReminders
+};
@@ -0,0 +1,183 @@
+const { errorMetadata, log } = require('../logger');
+const { serializeMessageId } = require('../message-utils');
+const { selectWinners } = require('../winner-selection');
+
+function buildRunoffOptions(parentPoll, candidates) {
+  return candidates.map((parentIdx, index) => {
+    const option = { ...parentPoll.options[parentIdx], index, parentIdx };
+    delete option.localId;
+    return option;
+  });
+}
+
+async function startRunoffPoll(bot, parentPoll, candidates) {
+  const existing = bot.db.getRunoffPoll(parentPoll.id);
+  if (existing) {
+    log('WARN', 'Skipping runoff poll: a runoff was already attempted for this poll.', {
+      pollId: parentPoll.id,
+      runoffPollId: existing.id,
+      runoffStatus: existing.status
+    });
+    return false;
+  }
+
+  const options = buildRunoffOptions(parentPoll, candidates);
+  const seats = bot.countOpenSeats(parentPoll);
+  const question = `Runoff (${parentPoll.weekKey}): pick one of the tied slots${
+    seats > 1 ? ` (top ${seats} win)` : ''
+  }`;
+  const createdAt = bot.now();
+  const closesAt = createdAt + bot.config.runoffPollHours * 60 * 60 * 1000;
+  let runoffPollId = null;
+  let sentMessage = null;
+
+  try {
+    runoffPollId = bot.db.createPollIntent({
+      groupId: bot.config.groupId,
+      weekKey: parentPoll.weekKey,
+      pollMessageId: `creating:${bot.config.groupId}:${parentPoll.weekKey}:runoff:${createdAt}`,
+      question,
+      options,
+      createdAt,
+      closesAt,
+      parentPollId: parentPoll.id
+    });
+
+    sentMessage = await bot.adapter.sendGroupPoll(
+      bot.pollFactory(
+        question,
+        options.map((option) => option.label),
+        { allowMultipleAnswers: false }
+      )
+    );
+
+    const pollMessageId = serializeMessageId(sentMessage);
+    if (!pollMessageId) {
+      throw new Error('Could not serialize runoff poll message id from sent message.');
+    }
+
+    bot.db.finalizeRunoffCreation({
+      pollId: runoffPollId,
+      parentPollId: parentPoll.id,
+      pollMessageId,
+      question,
+      options: options.map((option, index) => ({
+        ...option,
+        localId: String(sentMessage?.pollOptions?.[index]?.localId ?? index)
+      })),
+      createdAt,
+      closesAt
+    });
+  } catch (error) {
+    if (!sentMessage && Number.isInteger(runoffPollId)) {
+      bot.db.markPollSendFailed({
+        pollId: runoffPollId,
+        errorMessage: error instanceof Error ? error.message : String(error)
+      });
+    }
+
+    log(
+      'ERROR',
+      sentMessage
+        ? 'Runoff poll was sent but failed to persist in SQLite; falling back to tie-break.'
+        : 'Failed to send runoff poll; falling back to tie-break.',
+      errorMetadata(error, {
+        pollId: parentPoll.id,
+        runoffPollId
+      })
+    );
+    return false;
+  }
+
+  bot.scheduleCloseTimer(runoffPollId, closesAt);
+  bot.observability.recordRunoffPoll();
+
+  log('INFO', 'Runoff poll created for unresolved tie.', {
+    pollId: parentPoll.id,
+    runoffPollId,
+    candidates,
+    closesAt
+  });
+
+  return true;
+}
+
+// Callers hold the runoff's poll lock, which also holds the parent's, so the parent read here cannot
+// change before it is settled.
+async function closeRunoffPollWithinLock(bot, runoffPoll, closeReason) {
+  const summary = bot.summarizePoll(runoffPoll);
+  const closedAt = bot.now();
+  const parentPoll = bot.db.getPollById(runoffPoll.parentPollId);
+  const seats = parentPoll ? bot.countOpenSeats(parentPoll) : 1;
+  const selection = selectWinners({ counts: summary.counts, seats });
+  const toParentWinner = (index) => ({
+    optionIdx: runoffPoll.options[index].parentIdx,
+    votes: summary.counts[index] || 0
+  });
+
+  if (parentPoll && parentPoll.status === 'RUNOFF_PENDING') {
+    const decided = selection.winners.map((winner) => toParentWinner(winner.optionIdx));
+    const openSeats = seats - decided.length;
+
+    if (openSeats === 0) {
+      await bot.maybeAnnounceAutomaticWinner(
+        parentPoll,
+        [...parentPoll.winners, ...decided],
+        'runoff'
+      );
+    } else {
+      const decidedIndices = new Set(selection.winners.map((winner) => winner.optionIdx));
+      const remaining = selection.tie
+        ? selection.tie.candidates
+        : runoffPoll.options
+            .map((_option, index) => index)
+            .filter((index) => !decidedIndices.has(index));
+      const tieBreak = bot.resolveConfiguredTieBreak(
+        parentPoll,
+        remaining.map((index) => runoffPoll.options[index].parentIdx),
+        openSeats
+      );
+      const picked = tieBreak.winnerIndices.map((parentIdx) =>
+        toParentWinner(runoffPoll.options.findIndex((option) => option.parentIdx === parentIdx))
+      );
+
+      await bot.maybeAnnounceAutomaticWinner(
+        parentPoll,
+        [...parentPoll.winners, ...decided, ...picked],
+        'runoff-tie',
+        tieBreak
+      );
+    }
+  } else {
+    log('WARN', 'Closing runoff poll whose parent is no longer waiting on it.', {
+      runoffPollId: runoffPoll.id,
+      pollId: runoffPoll.parentPollId,
+      parentStatus: parentPoll ? parentPoll.status : null
+    });
+  }
+
+  // The parent is settled first so a crash here only leaves a stale runoff, which recovery closes.
+  bot.db.setAnnounced({
+    pollId: runoffPoll.id,
+    closeReason,
+    closedAt,
+    announcedAt: closedAt,
+    winners: selection.winners
+  });
+  bot.observability.recordPollClosed(closeReason);
+
+  log('INFO', 'Runoff poll closed.', {
+    runoffPollId: runoffPoll.id,
+    pollId: runoffPoll.parentPollId,
+    closeReason,
+    runoffWinnerIndices: selection.winners.map((winner) => winner.optionIdx),
+    maxVotes: summary.maxVotes
+  });
+
+  return true;
+}
+
+module.exports = {
+  closeRunoffPollWithinLock,
+  startRunoffPoll
+};
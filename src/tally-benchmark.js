@@ -0,0 +1,112 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const { PollDatabase } = require('./db');
+const { applyVoteToTally, compareVoteTallies, createVoteTally } = require('./vote-tally');
+
+const DEFAULT_VOTERS = 2000;
+const OPTION_COUNT = 7;
+
+function parseVoterCount(argv) {
+  const flagIndex = argv.indexOf('--voters');
+  if (flagIndex === -1) {
+    return DEFAULT_VOTERS;
+  }
+
+  const raw = argv[flagIndex + 1];
+  if (!/^\d+$/.test(String(raw || '')) || Number.parseInt(raw, 10) < 1) {
+    throw new Error('Usage: npm run bench:tally -- --voters <positive integer>');
+  }
+
+  return Number.parseInt(raw, 10);
+}
+
+function createBenchmarkPoll(pollDb, weekKey) {
+  const now = Date.now();
+  const options = Array.from({ length: OPTION_COUNT }, (_, index) => ({
+    label: `Option ${index + 1}`,
+    localId: String(index)
+  }));
+
+  return pollDb.createPoll({
+    groupId: 'benchmark@g.us',
+    weekKey,
+    pollMessageId: `benchmark:${weekKey}`,
+    question: 'Benchmark',
+    options,
+    createdAt: now,
+    closesAt: now + 3600000
+  });
+}
+
+// Every voter votes once, then a tenth of them change their mind; the tally is read after each vote
+// the way `vote_update` reads it for quorum and decided-close checks.
+function buildVoteStream(voterCount) {
+  const votes = [];
+  for (let index = 0; index < voterCount; index += 1) {
+    votes.push({ voterJid: `90555${String(index).padStart(7, '0')}@c.us`, step: index });
+  }
+
+  for (let index = 0; index < voterCount; index += 10) {
+    votes.push({ voterJid: votes[index].voterJid, step: voterCount + index });
+  }
+
+  return votes.map(({ voterJid, step }) => ({
+    voterJid,
+    selectedOptions: [step % OPTION_COUNT, (step * 3 + 1) % OPTION_COUNT]
+  }));
+}
+
+function runScenario(pollDb, pollId, votes, readTally) {
+  const startedAt = process.hrtime.bigint();
+  let tally = null;
+
+  votes.forEach((vote, index) => {
+    pollDb.upsertVote({ pollId, ...vote, updatedAt: index });
+    tally = readTally(vote);
+  });
+
+  return { tally, elapsedMs: Number(process.hrtime.bigint() - startedAt) / 1e6 };
+}
+
+function runBenchmark() {
+  const voterCount = parseVoterCount(process.argv.slice(2));
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'whatsapp-poller-tally-benchmark-'));
+  const pollDb = new PollDatabase(path.join(tempDir, 'polls.sqlite'));
+
+  try {
+    const votes = buildVoteStream(voterCount);
+
+    const fullPollId = createBenchmarkPoll(pollDb, 'full');
+    const full = runScenario(pollDb, fullPollId, votes, () =>
+      createVoteTally(OPTION_COUNT, pollDb.getVotesByPollId(fullPollId))
+    );
+
+    const incrementalPollId = createBenchmarkPoll(pollDb, 'incremental');
+    const cached = createVoteTally(OPTION_COUNT);
+    const incremental = runScenario(pollDb, incrementalPollId, votes, (vote) =>
+      applyVoteToTally(cached, vote.voterJid, vote.selectedOptions)
+    );
+
+    const check = compareVoteTallies(
+      incremental.tally,
+      createVoteTally(OPTION_COUNT, pollDb.getVotesByPollId(incrementalPollId))
+    );
+
+    console.log(`Voters: ${voterCount}, vote updates: ${votes.length}, options: ${OPTION_COUNT}`);
+    console.log(`Full recompute per vote: ${full.elapsedMs.toFixed(1)}ms`);
+    console.log(`Incremental tally:       ${incremental.elapsedMs.toFixed(1)}ms`);
+    console.log(`Speedup: ${(full.elapsedMs / incremental.elapsedMs).toFixed(1)}x`);
+    console.log(`Consistency check: ${check.consistent ? 'PASS' : 'FAIL'}`);
+
+    if (!check.consistent) {
+      process.exitCode = 1;
+    }
+  } finally {
+    pollDb.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+}
+
+runBenchmark();
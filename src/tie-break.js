@@ -0,0 +1,231 @@
+const crypto = require('node:crypto');
+const { DateTime } = require('luxon');
+
+const { formatSlotKey } = require('./poll-slots');
+
+const TIE_BREAK_STRATEGIES = [
+  'earliest',
+  'latest',
+  'seeded-random',
+  'least-recent-weekday',
+  'owner-preference'
+];
+
+function resolveOptionSlot(option) {
+  if (
+    Number.isInteger(option?.weekday) &&
+    Number.isInteger(option?.hour) &&
+    Number.isInteger(option?.minute)
+  ) {
+    return { weekday: option.weekday, hour: option.hour, minute: option.minute };
+  }
+
+  const scheduledAt =
+    typeof option?.iso === 'string' ? DateTime.fromISO(option.iso, { setZone: true }) : null;
+  if (!scheduledAt?.isValid) {
+    return null;
+  }
+
+  return { weekday: scheduledAt.weekday, hour: scheduledAt.hour, minute: scheduledAt.minute };
+}
+
+function resolveOptionWeekdayName(option) {
+  const slot = resolveOptionSlot(option);
+  return slot ? formatSlotKey(slot).split(' ', 1)[0] : null;
+}
+
+/**
+ * Derive a deterministic draw from the poll id so a seeded-random pick can be recomputed later.
+ * @param {number} pollId - Poll id used as the seed.
+ * @param {number} candidateCount - Number of tied candidates to draw from.
+ * @returns {{seed: string, digest: string, draw: number}} Seed, hex digest prefix, and candidate position.
+ */
+function seededDraw(pollId, candidateCount) {
+  const seed = `poll:${pollId}`;
+  const digest = crypto.createHash('sha256').update(seed).digest('hex').slice(0, 8);
+  return {
+    seed,
+    digest,
+    draw: Number.parseInt(digest, 16) % candidateCount
+  };
+}
+
+function rankLeastRecentWeekday(poll, candidates, pastWinners) {
+  const lastWonByWeekday = new Map();
+
+  pastWinners.forEach((pastPoll, age) => {
+    for (const winner of pastPoll.winners || []) {
+      const weekdayName = resolveOptionWeekdayName(pastPoll.options?.[winner.optionIdx]);
+      if (weekdayName && !lastWonByWeekday.has(weekdayName)) {
+        lastWonByWeekday.set(weekdayName, { weekKey: pastPoll.weekKey, age });
+      }
+    }
+  });
+
+  const ages = new Map();
+  const candidateWeekdays = {};
+
+  for (const index of candidates) {
+    const weekdayName = resolveOptionWeekdayName(poll.options[index]);
+    const lastWon = weekdayName ? lastWonByWeekday.get(weekdayName) : undefined;
+    ages.set(index, lastWon ? lastWon.age : Number.POSITIVE_INFINITY);
+    candidateWeekdays[index + 1] = {
+      weekday: weekdayName,
+      lastWonWeekKey: lastWon ? lastWon.weekKey : null
+    };
+  }
+
+  const oldestFirst = (a, b) => (ages.get(a) === ages.get(b) ? a - b : ages.get(b) - ages.get(a));
+
+  return {
+    order: [...candidates].sort(oldestFirst),
+    inputs: {
+      candidates: candidateWeekdays,
+      pastWinnerCount: pastWinners.length
+    }
+  };
+}
+
+function rankOwnerPreference(poll, candidates, preference) {
+  const preferenceKeys = preference.map((slot) => formatSlotKey(slot));
+  const order = [];
+  let matched = null;
+
+  for (const key of preferenceKeys) {
+    for (const index of candidates) {
+      const slot = resolveOptionSlot(poll.options[index]);
+      if (slot && formatSlotKey(slot) === key && !order.includes(index)) {
+        order.push(index);
+        matched = matched ?? key;
+      }
+    }
+  }
+
+  order.push(...candidates.filter((index) => !order.includes(index)));
+
+  return {
+    order,
+    inputs: matched
+      ? { preference: preferenceKeys, matched }
+      : { preference: preferenceKeys, matched: null, fallback: 'earliest' }
+  };
+}
+
+function rankSeededRandom(poll, candidates) {
+  const { seed, digest, draw } = seededDraw(poll.id, candidates.length);
+  const value = Number.parseInt(digest, 16);
+  const remaining = [...candidates];
+  const order = [];
+
+  while (remaining.length > 0) {
+    order.push(remaining.splice(value % remaining.length, 1)[0]);
+  }
+
+  return { order, inputs: { seed, digest, draw } };
+}
+
+function rankCandidates(strategy, poll, sorted, pastWinners, preference) {
+  switch (strategy) {
+    case 'earliest':
+      return { order: sorted, inputs: {} };
+    case 'latest':
+      return { order: [...sorted].reverse(), inputs: {} };
+    case 'seeded-random':
+      return rankSeededRandom(poll, sorted);
+    case 'least-recent-weekday':
+      return rankLeastRecentWeekday(poll, sorted, pastWinners);
+    case 'owner-preference':
+      return rankOwnerPreference(poll, sorted, preference);
+    default:
+      throw new Error(`Unknown tie-break strategy: ${strategy}`);
+  }
+}
+
+/**
+ * Pick winners among tied options using the configured tie-break strategy.
+ *
+ * Candidates are de-duplicated and sorted so every strategy works on option order (earliest first).
+ * Each strategy ranks all candidates and the first `seats` of that ranking win.
+ *
+ * @param {Object} params - Tie-break inputs.
+ * @param {string} params.strategy - One of {@link TIE_BREAK_STRATEGIES}.
+ * @param {{id:number, options:Object[]}} params.poll - Poll whose tie is being resolved.
+ * @param {number[]} params.candidates - Tied option indices.
+ * @param {Object[]} [params.pastWinners] - Earlier announced polls with winners, most recent first.
+ * @param {{weekday:number, hour:number, minute:number}[]} [params.preference] - Ordered owner preference.
+ * @param {number} [params.seats=1] - Number of tied sessions to fill.
+ * @returns {{winnerIdx:number, winnerIndices:number[], strategy:string, inputs:Object}} Chosen options (first pick as `winnerIdx`) and the audit record.
+ * @throws {Error} If there are no candidates or the strategy is unknown.
+ */
+function resolveTieBreak({
+  strategy,
+  poll,
+  candidates,
+  pastWinners = [],
+  preference = [],
+  seats = 1
+}) {
+  const sorted = Array.from(new Set(candidates)).sort((a, b) => a - b);
+  if (sorted.length === 0) {
+    throw new Error('Tie-break requires at least one candidate.');
+  }
+
+  const tiedOptions = sorted.map((index) => index + 1);
+  const { order, inputs } = rankCandidates(strategy, poll, sorted, pastWinners, preference);
+  const winnerIndices = order.slice(0, Math.min(Math.max(1, seats), sorted.length));
+
+  return {
+    winnerIdx: winnerIndices[0],
+    winnerIndices,
+    strategy,
+    inputs:
+      winnerIndices.length > 1
+        ? {
+            tiedOptions,
+            ...inputs,
+            seats: winnerIndices.length,
+            picked: winnerIndices.map((index) => index + 1)
+          }
+        : { tiedOptions, ...inputs }
+  };
+}
+
+/**
+ * Build the human-readable sentence appended to a tie-break winner announcement.
+ * @param {{winnerIdx:number, strategy:string, inputs:Object}} tieBreak - Result of {@link resolveTieBreak}.
+ * @returns {string} Sentence describing how the tie was broken.
+ */
+function describeTieBreak(tieBreak) {
+  const { strategy, inputs = {} } = tieBreak;
+
+  switch (strategy) {
+    case 'earliest':
+      return 'Tie broken by earliest slot.';
+    case 'latest':
+      return 'Tie broken by latest slot.';
+    case 'seeded-random':
+      return `Tie broken by seeded random draw (seed ${inputs.seed}, digest ${inputs.digest}).`;
+    case 'least-recent-weekday': {
+      const chosen = inputs.candidates?.[tieBreak.winnerIdx + 1];
+      if (!chosen?.weekday) {
+        return 'Tie broken by least-recent weekday.';
+      }
+
+      return chosen.lastWonWeekKey
+        ? `Tie broken by least-recent weekday (${chosen.weekday} last won in ${chosen.lastWonWeekKey}).`
+        : `Tie broken by least-recent weekday (${chosen.weekday} has not won before).`;
+    }
+    case 'owner-preference':
+      return inputs.matched
+        ? `Tie broken by owner preference (${inputs.matched}).`
+        : 'Tie broken by owner preference (no preferred slot tied; earliest slot used).';
+    default:
+      return `Tie broken by ${strategy}.`;
+  }
+}
+
+module.exports = {
+  TIE_BREAK_STRATEGIES,
+  describeTieBreak,
+  resolveTieBreak
+};
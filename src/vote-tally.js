@@ -0,0 +1,105 @@
+/**
+ * Normalize a stored vote selection to unique, in-range option indices.
+ * @param {number[]} selectedOptions - Raw option indices from a vote row.
+ * @param {number} optionCount - Number of options in the poll.
+ * @returns {number[]} Valid option indices in first-seen order.
+ */
+function normalizeSelection(selectedOptions, optionCount) {
+  return Array.from(new Set(selectedOptions || [])).filter(
+    (value) => Number.isInteger(value) && value >= 0 && value < optionCount
+  );
+}
+
+/**
+ * Apply one voter's new selection to a tally, replacing whatever that voter selected before.
+ * An empty selection retracts the vote.
+ * @param {{counts: number[], selections: Map<string, number[]>, autoVoters: Set<string>}} tally - Tally to update in place.
+ * @param {string} voterJid - Voter whose selection changed.
+ * @param {number[]} selectedOptions - New option indices for the voter.
+ * @param {boolean} [auto=false] - Whether the selection is a provisional standing-availability vote.
+ * @returns {{counts: number[], selections: Map<string, number[]>, autoVoters: Set<string>}} The same tally.
+ */
+function applyVoteToTally(tally, voterJid, selectedOptions, auto = false) {
+  for (const index of tally.selections.get(voterJid) || []) {
+    tally.counts[index] -= 1;
+  }
+
+  tally.autoVoters.delete(voterJid);
+  const selected = normalizeSelection(selectedOptions, tally.counts.length);
+  if (selected.length === 0) {
+    tally.selections.delete(voterJid);
+    return tally;
+  }
+
+  tally.selections.set(voterJid, selected);
+  if (auto) {
+    tally.autoVoters.add(voterJid);
+  }
+  for (const index of selected) {
+    tally.counts[index] += 1;
+  }
+
+  return tally;
+}
+
+/**
+ * Build a tally from a full set of stored votes.
+ * @param {number} optionCount - Number of options in the poll.
+ * @param {Array<{voterJid: string, selectedOptions: number[], auto?: boolean}>} [votes] - Stored votes.
+ * @returns {{counts: number[], selections: Map<string, number[]>, autoVoters: Set<string>}} Per-option counts, each counted voter's selection and the voters whose vote is still auto.
+ */
+function createVoteTally(optionCount, votes = []) {
+  const tally = {
+    counts: new Array(optionCount).fill(0),
+    selections: new Map(),
+    autoVoters: new Set()
+  };
+
+  for (const vote of votes) {
+    applyVoteToTally(tally, vote.voterJid, vote.selectedOptions, vote.auto === true);
+  }
+
+  return tally;
+}
+
+/**
+ * Compare an incrementally maintained tally with one rebuilt from storage.
+ * @param {{counts: number[], selections: Map<string, number[]>, autoVoters: Set<string>}} actual - Cached tally.
+ * @param {{counts: number[], selections: Map<string, number[]>, autoVoters: Set<string>}} expected - Rebuilt tally.
+ * @returns {{consistent: boolean, mismatchedOptions: number[], mismatchedVoters: string[]}} Options whose counts differ and voters whose selections or auto flags differ.
+ */
+function compareVoteTallies(actual, expected) {
+  const optionCount = Math.max(actual.counts.length, expected.counts.length);
+  const mismatchedOptions = [];
+  for (let index = 0; index < optionCount; index += 1) {
+    if (actual.counts[index] !== expected.counts[index]) {
+      mismatchedOptions.push(index);
+    }
+  }
+
+  const mismatchedVoters = [];
+  const voterJids = new Set([...actual.selections.keys(), ...expected.selections.keys()]);
+  for (const voterJid of voterJids) {
+    const actualSelection = [...(actual.selections.get(voterJid) || [])].sort((a, b) => a - b);
+    const expectedSelection = [...(expected.selections.get(voterJid) || [])].sort((a, b) => a - b);
+    if (
+      actualSelection.join(',') !== expectedSelection.join(',') ||
+      actual.autoVoters.has(voterJid) !== expected.autoVoters.has(voterJid)
+    ) {
+      mismatchedVoters.push(voterJid);
+    }
+  }
+
+  return {
+    consistent: mismatchedOptions.length === 0 && mismatchedVoters.length === 0,
+    mismatchedOptions,
+    mismatchedVoters
+  };
+}
+
+module.exports = {
+  applyVoteToTally,
+  compareVoteTallies,
+  createVoteTally,
+  normalizeSelection
+};
@@ -29,9 +29,9 @@ class WhatsAppAdapter {
     return this.client.getChatById(this.ownerJid);
   }
 
-  async sendGroupMessage(text) {
+  async sendGroupMessage(text, options) {
     const chat = await this.getGroupChat();
-    return chat.sendMessage(text);
+    return options ? chat.sendMessage(text, options) : chat.sendMessage(text);
   }
 
   async sendOwnerMessage(text) {
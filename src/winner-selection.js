@@ -0,0 +1,73 @@
+const EXPIRED_WINNER_FALLBACKS = ['none', 'next-best'];
+
+/**
+ * Rank options by votes and fill up to `seats` winning sessions.
+ *
+ * Options with equal votes share a rank. A rank that fits into the seats still open wins as a
+ * whole; a rank that straddles the cutoff is returned as a tie for the caller to resolve (owner
+ * pick, runoff, or tie-break strategy). Options below `minVotes` never win, so fewer than `seats`
+ * winners can be returned.
+ *
+ * @param {Object} params - Selection inputs.
+ * @param {number[]} params.counts - Vote count per option.
+ * @param {number} [params.seats=1] - Number of sessions to fill.
+ * @param {number} [params.minVotes=1] - Minimum votes an option needs to win (at least 1).
+ * @param {number[]} [params.candidates] - Option indices to rank; defaults to every option.
+ * @returns {{winners: {optionIdx:number, votes:number}[], tie: {candidates:number[], seats:number, votes:number}|null}} Winners in rank order and the unresolved tie, if any.
+ */
+function selectWinners({ counts, seats = 1, minVotes = 1, candidates }) {
+  const threshold = Math.max(1, minVotes);
+  const pool = (candidates ?? counts.map((_count, index) => index)).filter(
+    (index) => (counts[index] || 0) >= threshold
+  );
+  const ranks = Array.from(new Set(pool.map((index) => counts[index]))).sort((a, b) => b - a);
+  const winners = [];
+
+  for (const votes of ranks) {
+    const seatsLeft = seats - winners.length;
+    if (seatsLeft <= 0) {
+      break;
+    }
+
+    const group = pool.filter((index) => counts[index] === votes).sort((a, b) => a - b);
+    if (group.length > seatsLeft) {
+      return { winners, tie: { candidates: group, seats: seatsLeft, votes } };
+    }
+
+    winners.push(...group.map((optionIdx) => ({ optionIdx, votes })));
+  }
+
+  return { winners, tie: null };
+}
+
+/**
+ * Pick replacement sessions for winners whose slot time already passed.
+ *
+ * Walks the remaining options in vote order (earlier option first on equal votes) and keeps the
+ * ones still in the future that reach `minVotes`.
+ *
+ * @param {Object} params - Fallback inputs.
+ * @param {number[]} params.counts - Vote count per option.
+ * @param {number[]} params.excluded - Option indices that cannot be picked (the original winners).
+ * @param {number} params.seats - Number of replacement sessions wanted.
+ * @param {number} [params.minVotes=1] - Minimum votes a replacement needs (at least 1).
+ * @param {(optionIdx: number) => boolean} params.isExpired - Whether an option's slot time already passed.
+ * @returns {{optionIdx:number, votes:number}[]} Replacement sessions in vote order; may be shorter than `seats`.
+ */
+function selectFallbackWinners({ counts, excluded, seats, minVotes = 1, isExpired }) {
+  const threshold = Math.max(1, minVotes);
+  const excludedSet = new Set(excluded);
+
+  return counts
+    .map((votes, optionIdx) => ({ optionIdx, votes }))
+    .filter((entry) => !excludedSet.has(entry.optionIdx) && entry.votes >= threshold)
+    .sort((a, b) => b.votes - a.votes || a.optionIdx - b.optionIdx)
+    .filter((entry) => !isExpired(entry.optionIdx))
+    .slice(0, Math.max(0, seats));
+}
+
+module.exports = {
+  EXPIRED_WINNER_FALLBACKS,
+  selectFallbackWinners,
+  selectWinners
+};
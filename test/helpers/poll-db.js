@@ -0,0 +1,53 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const { PollDatabase } = require('../../src/db');
+
+const TEST_GROUP_ID = 'group@g.us';
+
+function makeTempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'whatsapp-poller-test-'));
+}
+
+function createTempDir(t) {
+  const tempDir = makeTempDir();
+  t.after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+  return tempDir;
+}
+
+// The database is closed before its directory is removed; tests may close it earlier.
+function createPollDb(t) {
+  const tempDir = makeTempDir();
+  const dbPath = path.join(tempDir, 'polls.sqlite');
+  const pollDb = new PollDatabase(dbPath);
+  t.after(() => {
+    pollDb.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+  return { pollDb, tempDir, dbPath };
+}
+
+function insertPoll(pollDb, weekKey, createdAt = 1) {
+  return pollDb.createPoll({
+    groupId: TEST_GROUP_ID,
+    weekKey,
+    pollMessageId: `message:${weekKey}`,
+    question: 'When do we play?',
+    options: [
+      { label: 'Fri 20:00 (Mar 6)', iso: '2026-03-06T20:00:00.000+03:00', localId: 'opt-0' },
+      { label: 'Sat 15:00 (Mar 7)', iso: '2026-03-07T15:00:00.000+03:00', localId: 'opt-1' }
+    ],
+    createdAt,
+    closesAt: createdAt + 60 * 60 * 1000
+  });
+}
+
+module.exports = {
+  TEST_GROUP_ID,
+  createPollDb,
+  createTempDir,
+  insertPoll
+};
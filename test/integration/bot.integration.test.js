@@ -6,6 +6,8 @@ const path = require('node:path');
 const { EventEmitter } = require('node:events');
 const { DateTime } = require('luxon');
 
+const { buildPollExport } = require('../../src/export');
+const { derivePseudonym, loadForgetSecret } = require('../../src/forget');
 const { GameSchedulerBot } = require('../../src/index');
 
 const NON_EXPIRED_NOW = DateTime.fromObject(
@@ -24,9 +26,10 @@ class FakeChat {
     this.failNextTextMessages = 0;
     this.failTextErrorMessage = 'Simulated text send failure';
     this.failedTextMessages = [];
+    this.sentMentions = [];
   }
 
-  async sendMessage(payload) {
+  async sendMessage(payload, options) {
     if (typeof payload === 'string' && this.failNextTextMessages > 0) {
       this.failNextTextMessages -= 1;
       this.failedTextMessages.push(payload);
@@ -34,6 +37,9 @@ class FakeChat {
     }
 
     this.messages.push(payload);
+    if (Array.isArray(options?.mentions)) {
+      this.sentMentions.push(options.mentions);
+    }
 
     if (payload && payload.kind === 'poll') {
       this.pollMessageCount += 1;
@@ -118,6 +124,14 @@ function createConfig(dataDir, overrides = {}) {
     commandRateLimitCount: 8,
     commandRateLimitWindowMs: 60000,
     commandMaxLength: 256,
+    backupDir: path.join(dataDir, 'backups'),
+    backupRetentionCount: 14,
+    backupRetentionDays: 0,
+    backupAfterAnnouncement: false,
+    voteRetentionWeeks: 0,
+    voteEventRetentionWeeks: 0,
+    outboxRetentionWeeks: 0,
+    maintenanceCron: '30 4 * * *',
     ...overrides
   };
 }
@@ -132,6 +146,7 @@ function createBotInstance(config, options = {}) {
     outboxMaxAttempts: options.outboxMaxAttempts,
     outboxRetryBaseMs: options.outboxRetryBaseMs,
     outboxRetryMaxMs: options.outboxRetryMaxMs,
+    pollLockTimeoutMs: options.pollLockTimeoutMs,
     clientFactory: () => client,
     pollFactory: (question, optionLabels, pollOptions) => ({
       kind: 'poll',
@@ -153,7 +168,8 @@ function createHarness(overrides = {}) {
     now: overrides.now,
     outboxMaxAttempts: overrides.outboxMaxAttempts,
     outboxRetryBaseMs: overrides.outboxRetryBaseMs,
-    outboxRetryMaxMs: overrides.outboxRetryMaxMs
+    outboxRetryMaxMs: overrides.outboxRetryMaxMs,
+    pollLockTimeoutMs: overrides.pollLockTimeoutMs
   });
 
   return {
@@ -225,12 +241,155 @@ test('quorum votes close poll and announce winner', async (t) => {
 
   const latest = harness.bot.db.getPollByWeekKey(harness.config.groupId, activePoll.weekKey);
   assert.equal(latest.status, 'ANNOUNCED');
-  assert.equal(latest.winningOptionIdx, 0);
+  assert.deepEqual(
+    latest.winners.map((winner) => winner.optionIdx),
+    [0]
+  );
+
+  const textMessages = harness.chat.messages.filter((message) => typeof message === 'string');
+  assert.ok(textMessages.some((message) => message.includes('Weekly game slot selected:')));
+});
+
+test('percent quorum mode closes once the configured share of voters has voted', async (t) => {
+  const harness = createHarness({
+    now: () => NON_EXPIRED_NOW,
+    config: { quorumMode: 'percent', quorumPercent: 60, requiredVoters: 1 }
+  });
+  t.after(async () => {
+    await harness.cleanup();
+  });
+
+  await harness.bot.createWeeklyPollIfNeeded('integration');
+  const activePoll = harness.bot.db.getActivePoll(harness.config.groupId);
+
+  for (const voter of ['905551111111', '905552222222']) {
+    await harness.bot.onVoteUpdate({
+      parentMessage: { id: activePoll.pollMessageId },
+      voter,
+      selectedOptions: [{ localId: 'opt-0' }]
+    });
+  }
+
+  assert.equal(harness.bot.db.getPollById(activePoll.id).status, 'OPEN');
+  assert.match(harness.bot.buildStatusText(), /Voters: 2\/3 \(60%\)/);
+
+  await harness.bot.onVoteUpdate({
+    parentMessage: { id: activePoll.pollMessageId },
+    voter: '905553333333',
+    selectedOptions: [{ localId: 'opt-0' }]
+  });
+
+  const latest = harness.bot.db.getPollById(activePoll.id);
+  assert.equal(latest.status, 'ANNOUNCED');
+  assert.equal(latest.closeReason, 'quorum');
+});
+
+async function castVotes(harness, poll, ballots) {
+  for (const [voter, localIds] of ballots) {
+    await harness.bot.onVoteUpdate({
+      parentMessage: { id: poll.pollMessageId },
+      voter,
+      selectedOptions: localIds.map((localId) => ({ localId }))
+    });
+  }
+}
+
+test('decided close ends the poll once remaining voters cannot change the winner', async (t) => {
+  const harness = createHarness({
+    now: () => NON_EXPIRED_NOW,
+    config: { requiredVoters: 5, closeWhenDecided: true }
+  });
+  t.after(async () => {
+    await harness.cleanup();
+  });
+
+  await harness.bot.createWeeklyPollIfNeeded('integration');
+  const activePoll = harness.bot.db.getActivePoll(harness.config.groupId);
+
+  await castVotes(harness, activePoll, [
+    ['905551111111', ['opt-0']],
+    ['905552222222', ['opt-0']],
+    ['905553333333', ['opt-1']]
+  ]);
+
+  // 2 vs 1 with two voters left: the runner-up can still tie.
+  assert.equal(harness.bot.db.getPollById(activePoll.id).status, 'OPEN');
+
+  await castVotes(harness, activePoll, [['905554444444', ['opt-0']]]);
+
+  const latest = harness.bot.db.getPollById(activePoll.id);
+  assert.equal(latest.status, 'ANNOUNCED');
+  assert.equal(latest.closeReason, 'decided');
+  assert.deepEqual(latest.winners, [{ optionIdx: 0, votes: 3 }]);
+  assert.equal(harness.bot.closeTimers.has(activePoll.id), false);
 
   const textMessages = harness.chat.messages.filter((message) => typeof message === 'string');
   assert.ok(textMessages.some((message) => message.includes('Weekly game slot selected:')));
 });
 
+test('decided close stays off by default and never closes a live tie', async (t) => {
+  const disabled = createHarness({
+    now: () => NON_EXPIRED_NOW,
+    config: { requiredVoters: 5 }
+  });
+  t.after(async () => {
+    await disabled.cleanup();
+  });
+
+  await disabled.bot.createWeeklyPollIfNeeded('integration');
+  const disabledPoll = disabled.bot.db.getActivePoll(disabled.config.groupId);
+  await castVotes(disabled, disabledPoll, [
+    ['905551111111', ['opt-0']],
+    ['905552222222', ['opt-0']],
+    ['905553333333', ['opt-0']]
+  ]);
+  assert.equal(disabled.bot.db.getPollById(disabledPoll.id).status, 'OPEN');
+
+  const enabled = createHarness({
+    now: () => NON_EXPIRED_NOW,
+    config: { requiredVoters: 5, closeWhenDecided: true }
+  });
+  t.after(async () => {
+    await enabled.cleanup();
+  });
+
+  await enabled.bot.createWeeklyPollIfNeeded('integration');
+  const enabledPoll = enabled.bot.db.getActivePoll(enabled.config.groupId);
+  await castVotes(enabled, enabledPoll, [
+    ['905551111111', ['opt-0', 'opt-1']],
+    ['905552222222', ['opt-0', 'opt-1']],
+    ['905553333333', ['opt-0', 'opt-1']],
+    ['905554444444', ['opt-2']]
+  ]);
+  assert.equal(enabled.bot.db.getPollById(enabledPoll.id).status, 'OPEN');
+});
+
+test('decided close ends without a game once MIN_WINNER_VOTES is out of reach', async (t) => {
+  const harness = createHarness({
+    now: () => NON_EXPIRED_NOW,
+    config: { requiredVoters: 5, minWinnerVotes: 3, closeWhenDecided: true }
+  });
+  t.after(async () => {
+    await harness.cleanup();
+  });
+
+  await harness.bot.createWeeklyPollIfNeeded('integration');
+  const activePoll = harness.bot.db.getActivePoll(harness.config.groupId);
+  await castVotes(harness, activePoll, [
+    ['905551111111', ['opt-0']],
+    ['905552222222', ['opt-1']],
+    ['905553333333', ['opt-2']]
+  ]);
+  assert.equal(harness.bot.db.getPollById(activePoll.id).status, 'OPEN');
+
+  await castVotes(harness, activePoll, [['905554444444', ['opt-3']]]);
+
+  const latest = harness.bot.db.getPollById(activePoll.id);
+  assert.equal(latest.status, 'ANNOUNCED');
+  assert.equal(latest.closeReason, 'below-min-votes');
+  assert.deepEqual(latest.winners, []);
+});
+
 test('quorum close with expired winning slot closes without winner and DMs owner', async (t) => {
   const harness = createHarness({
     now: () => EXPIRED_NOW
@@ -257,8 +416,7 @@ test('quorum close with expired winning slot closes without winner and DMs owner
 
   const latest = harness.bot.db.getPollByWeekKey(harness.config.groupId, activePoll.weekKey);
   assert.equal(latest.status, 'ANNOUNCED');
-  assert.equal(latest.winningOptionIdx, null);
-  assert.equal(latest.winnerVoteCount, 0);
+  assert.deepEqual(latest.winners, []);
 
   const groupTextMessages = harness.chat.messages.filter((message) => typeof message === 'string');
   assert.ok(groupTextMessages.every((message) => !message.includes('Weekly game slot selected:')));
@@ -269,6 +427,77 @@ test('quorum close with expired winning slot closes without winner and DMs owner
   );
 });
 
+test('EXPIRED_WINNER_FALLBACK=next-best announces the best slot still in the future', async (t) => {
+  const harness = createHarness({
+    now: () => EXPIRED_NOW,
+    config: { requiredVoters: 3, expiredWinnerFallback: 'next-best' }
+  });
+  t.after(async () => {
+    await harness.cleanup();
+  });
+
+  await harness.bot.createWeeklyPollIfNeeded('integration');
+  const activePoll = harness.bot.db.getActivePoll(harness.config.groupId);
+  await castVotes(harness, activePoll, [
+    ['905551111111', ['opt-0', 'opt-1', 'opt-3']],
+    ['905552222222', ['opt-0', 'opt-1', 'opt-3']],
+    ['905553333333', ['opt-0', 'opt-4']]
+  ]);
+
+  const latest = harness.bot.db.getPollById(activePoll.id);
+  assert.equal(latest.status, 'ANNOUNCED');
+  assert.equal(latest.closeReason, 'expired-fallback');
+  assert.deepEqual(latest.winners, [{ optionIdx: 3, votes: 2 }]);
+
+  const groupTextMessages = harness.chat.messages.filter((message) => typeof message === 'string');
+  assert.ok(
+    groupTextMessages.includes(
+      `Weekly game slot selected: ${activePoll.options[3].label} (2 votes).`
+    )
+  );
+
+  const ownerMessages = harness.ownerChat.messages.filter((message) => typeof message === 'string');
+  assert.ok(
+    ownerMessages.some(
+      (message) =>
+        message.includes(
+          `the selected slot time had already passed: ${activePoll.options[0].label}`
+        ) &&
+        message.includes(
+          `Announced the next-best future slot instead: ${activePoll.options[3].label} (2 votes).`
+        ) &&
+        message.endsWith('Close reason: expired-fallback (originally quorum).')
+    )
+  );
+});
+
+test('EXPIRED_WINNER_FALLBACK_MIN_VOTES keeps the no-winner close when no future slot qualifies', async (t) => {
+  const harness = createHarness({
+    now: () => EXPIRED_NOW,
+    config: { expiredWinnerFallback: 'next-best', expiredWinnerFallbackMinVotes: 2 }
+  });
+  t.after(async () => {
+    await harness.cleanup();
+  });
+
+  await harness.bot.createWeeklyPollIfNeeded('integration');
+  const activePoll = harness.bot.db.getActivePoll(harness.config.groupId);
+  await castVotes(harness, activePoll, [
+    ['905551111111', ['opt-0', 'opt-3']],
+    ['905552222222', ['opt-0', 'opt-4']]
+  ]);
+
+  const latest = harness.bot.db.getPollById(activePoll.id);
+  assert.equal(latest.status, 'ANNOUNCED');
+  assert.equal(latest.closeReason, 'quorum');
+  assert.deepEqual(latest.winners, []);
+
+  const ownerMessages = harness.ownerChat.messages.filter((message) => typeof message === 'string');
+  assert.ok(
+    ownerMessages.some((message) => message.includes('closed without a winner announcement'))
+  );
+});
+
 test('restart with persistent data closes poll on deadline and announces winner', async (t) => {
   const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'whatsapp-poller-restart-test-'));
   const chat = new FakeChat();
@@ -337,8 +566,7 @@ test('restart with persistent data closes poll on deadline and announces winner'
   const latest = second.bot.db.getPollById(activePoll.id);
   assert.equal(latest.status, 'ANNOUNCED');
   assert.equal(latest.closeReason, 'deadline');
-  assert.equal(latest.winningOptionIdx, 0);
-  assert.equal(latest.winnerVoteCount, 1);
+  assert.deepEqual(latest.winners, [{ optionIdx: 0, votes: 1 }]);
 
   const textMessages = chat.messages.filter((message) => typeof message === 'string');
   assert.ok(textMessages.some((message) => message.includes('Weekly game slot selected:')));
@@ -412,8 +640,7 @@ test('restart with persistent data closes expired winning slot without public an
   const latest = second.bot.db.getPollById(activePoll.id);
   assert.equal(latest.status, 'ANNOUNCED');
   assert.equal(latest.closeReason, 'deadline');
-  assert.equal(latest.winningOptionIdx, null);
-  assert.equal(latest.winnerVoteCount, 0);
+  assert.deepEqual(latest.winners, []);
 
   const groupTextMessages = chat.messages.filter((message) => typeof message === 'string');
   assert.ok(groupTextMessages.every((message) => !message.includes('Weekly game slot selected:')));
@@ -424,97 +651,163 @@ test('restart with persistent data closes expired winning slot without public an
   );
 });
 
-test('restart reconciliation backfills missed votes before quorum closure', async (t) => {
-  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'whatsapp-poller-reconcile-test-'));
-  const chat = new FakeChat();
-  const managedBots = new Set();
+test('vote events keep the timeline of live vote changes', async (t) => {
   let clockNow = NON_EXPIRED_NOW;
-
+  const harness = createHarness({
+    now: () => clockNow,
+    config: { requiredVoters: 3 }
+  });
   t.after(async () => {
-    for (const bot of managedBots) {
-      await bot.shutdown('test');
-    }
-    fs.rmSync(dataDir, { recursive: true, force: true });
+    await harness.cleanup();
   });
 
-  const firstConfig = createConfig(dataDir, {
-    requiredVoters: 2,
-    pollCloseHours: 24
-  });
+  await harness.bot.createWeeklyPollIfNeeded('integration');
+  const activePoll = harness.bot.db.getActivePoll(harness.config.groupId);
+  assert.equal(harness.bot.db.getLatestVoteEvent(activePoll.id), null);
+
+  await castVotes(harness, activePoll, [['905551111111', ['opt-0']]]);
+  clockNow += 60_000;
+  await castVotes(harness, activePoll, [['905552222222', ['opt-1']]]);
+  clockNow += 60_000;
+  await castVotes(harness, activePoll, [['905551111111', ['opt-1', 'opt-2']]]);
+
+  const events = harness.bot.db.listVoteEvents(activePoll.id);
+  assert.deepEqual(
+    events.map((event) => ({
+      voterJid: event.voterJid,
+      source: event.source,
+      previousOptions: event.previousOptions,
+      selectedOptions: event.selectedOptions,
+      createdAt: event.createdAt
+    })),
+    [
+      {
+        voterJid: '905551111111@c.us',
+        source: 'live',
+        previousOptions: null,
+        selectedOptions: [0],
+        createdAt: NON_EXPIRED_NOW
+      },
+      {
+        voterJid: '905552222222@c.us',
+        source: 'live',
+        previousOptions: null,
+        selectedOptions: [1],
+        createdAt: NON_EXPIRED_NOW + 60_000
+      },
+      {
+        voterJid: '905551111111@c.us',
+        source: 'live',
+        previousOptions: [0],
+        selectedOptions: [1, 2],
+        createdAt: NON_EXPIRED_NOW + 120_000
+      }
+    ]
+  );
+  assert.equal(
+    harness.bot.db.listVoteEvents(activePoll.id, { since: NON_EXPIRED_NOW + 60_000, limit: 1 })[0]
+      .voterJid,
+    '905552222222@c.us'
+  );
+  assert.equal(
+    harness.bot.db.getLatestVoteEvent(activePoll.id).createdAt,
+    NON_EXPIRED_NOW + 120_000
+  );
+  assert.equal(harness.bot.db.countVoteChanges(activePoll.id), 1);
+  assert.match(harness.bot.buildStatusText(), /\nVoters: 2\/3\nVote changes: 1\nTop: /);
+});
 
-  const first = createBotInstance(firstConfig, {
-    chat,
-    now: () => clockNow
+test('periodic reconciliation backfills votes missed while running and closes on quorum', async (t) => {
+  const harness = createHarness({
+    now: () => NON_EXPIRED_NOW,
+    pollLockTimeoutMs: 20,
+    config: { voteReconcileIntervalMinutes: 10 }
   });
-  managedBots.add(first.bot);
-
-  await first.bot.createWeeklyPollIfNeeded('integration');
-  const activePoll = first.bot.db.getActivePoll(firstConfig.groupId);
-  assert.ok(activePoll);
-
-  await first.bot.shutdown('test');
-  managedBots.delete(first.bot);
-
-  const secondConfig = createConfig(dataDir, {
-    requiredVoters: 2,
-    pollCloseHours: 24
+  t.after(async () => {
+    await harness.cleanup();
   });
 
-  const second = createBotInstance(secondConfig, {
-    chat,
-    now: () => clockNow
-  });
-  managedBots.add(second.bot);
+  await harness.bot.createWeeklyPollIfNeeded('integration');
+  const activePoll = harness.bot.db.getActivePoll(harness.config.groupId);
+  await castVotes(harness, activePoll, [['905551111111', ['opt-0']]]);
 
-  second.client.pollVotesByMessageId.set(activePoll.pollMessageId, [
-    {
-      voter: '905551111111',
-      selectedOptions: [{ localId: 'opt-1' }]
-    },
-    {
-      voter: '905551111111',
-      selectedOptions: [{ localId: 'opt-0' }]
-    },
-    {
-      voter: '905552222222',
-      selectedOptions: [{ localId: 'opt-0' }]
-    },
-    {
-      voter: '905559999999',
-      selectedOptions: [{ localId: 'opt-0' }]
-    }
+  harness.client.pollVotesByMessageId.set(activePoll.pollMessageId, [
+    { voter: '905551111111', selectedOptions: [{ localId: 'opt-0' }] },
+    { voter: '905552222222', selectedOptions: [{ localId: 'opt-0' }] }
   ]);
 
-  await second.bot.reconcilePendingPollVotes();
-  second.bot.recoverPendingPolls();
+  let releaseHolder;
+  const holder = harness.bot.withPollLock(
+    activePoll.id,
+    () =>
+      new Promise((resolve) => {
+        releaseHolder = resolve;
+      })
+  );
+  await harness.bot.reconcileOpenPollVotes();
+  releaseHolder();
+  await holder;
 
-  const latest = second.bot.db.getPollById(activePoll.id);
+  assert.equal(harness.bot.db.getVotesByPollId(activePoll.id).length, 1);
+  assert.equal(harness.bot.observability.counters.voteReconcileSkippedLockedTotal, 1);
+
+  await harness.bot.reconcileOpenPollVotes();
+
+  const latest = harness.bot.db.getPollById(activePoll.id);
   assert.equal(latest.status, 'ANNOUNCED');
   assert.equal(latest.closeReason, 'quorum');
-  assert.equal(latest.winningOptionIdx, 0);
-  assert.equal(latest.winnerVoteCount, 2);
+  assert.deepEqual(latest.winners, [{ optionIdx: 0, votes: 2 }]);
+  assert.deepEqual(
+    harness.bot.db
+      .listVoteEvents(activePoll.id)
+      .map((event) => [event.voterJid, event.source, event.selectedOptions]),
+    [
+      ['905551111111@c.us', 'live', [0]],
+      ['905552222222@c.us', 'reconcile', [0]]
+    ]
+  );
+  assert.equal(harness.bot.observability.counters.voteReconcileRunsTotal, 1);
+  assert.equal(harness.bot.observability.counters.voteReconcileMismatchesTotal, 1);
+});
 
-  const votes = second.bot.db.getVotesByPollId(activePoll.id);
-  assert.equal(votes.length, 2);
+test('vote evaluation debounce counts a whole burst before closing on quorum', async (t) => {
+  const harness = createHarness({
+    now: () => NON_EXPIRED_NOW,
+    config: { voteEvaluationDebounceMs: 50 }
+  });
+  t.after(async () => {
+    await harness.cleanup();
+  });
 
-  const firstVoterVote = votes.find((vote) => vote.voterJid === '905551111111@c.us');
-  assert.deepEqual(firstVoterVote.selectedOptions, [0]);
+  await harness.bot.createWeeklyPollIfNeeded('integration');
+  const activePoll = harness.bot.db.getActivePoll(harness.config.groupId);
+  await castVotes(harness, activePoll, [
+    ['905551111111', ['opt-0']],
+    ['905552222222', ['opt-1']],
+    ['905553333333', ['opt-1']]
+  ]);
 
-  const textMessages = chat.messages.filter((message) => typeof message === 'string');
-  assert.ok(textMessages.some((message) => message.includes('Weekly game slot selected:')));
-});
+  assert.equal(harness.bot.db.getPollById(activePoll.id).status, 'OPEN');
+  assert.equal(harness.bot.db.getVotesByPollId(activePoll.id).length, 3);
+  assert.equal(harness.bot.voteEvaluationTimers.size, 1);
 
-test('outbox retries winner announcement after a transient send error', async (t) => {
-  const chat = new FakeChat();
-  chat.failNextTextMessages = 1;
-  const realStart = Date.now();
+  await waitForCondition(() => harness.bot.db.getPollById(activePoll.id).status === 'ANNOUNCED');
+
+  const poll = harness.bot.db.getPollById(activePoll.id);
+  assert.equal(poll.closeReason, 'quorum');
+  assert.deepEqual(
+    poll.winners.map((winner) => [winner.optionIdx, winner.votes]),
+    [[1, 2]]
+  );
+  assert.equal(harness.bot.voteEvaluationTimers.size, 0);
+  assert.equal(harness.bot.observability.counters.voteEvaluationsTotal, 1);
+  assert.equal(harness.bot.observability.counters.voteEvaluationsCoalescedTotal, 2);
+});
 
+test('open poll tallies update from vote deltas and resync when they drift from SQLite', async (t) => {
   const harness = createHarness({
-    chat,
-    now: () => NON_EXPIRED_NOW + (Date.now() - realStart),
-    outboxMaxAttempts: 3,
-    outboxRetryBaseMs: 20,
-    outboxRetryMaxMs: 20
+    now: () => NON_EXPIRED_NOW,
+    config: { requiredVoters: 5 }
   });
   t.after(async () => {
     await harness.cleanup();
@@ -522,38 +815,784 @@ test('outbox retries winner announcement after a transient send error', async (t
 
   await harness.bot.createWeeklyPollIfNeeded('integration');
   const activePoll = harness.bot.db.getActivePoll(harness.config.groupId);
-  assert.ok(activePoll);
+  await castVotes(harness, activePoll, [['905551111111', ['opt-0', 'opt-1']]]);
+  assert.deepEqual(harness.bot.summarizePoll(activePoll).counts.slice(0, 2), [1, 1]);
+
+  const getVotesByPollId = harness.bot.db.getVotesByPollId.bind(harness.bot.db);
+  let voteReads = 0;
+  harness.bot.db.getVotesByPollId = (pollId) => {
+    voteReads += 1;
+    return getVotesByPollId(pollId);
+  };
 
-  await harness.bot.onVoteUpdate({
-    parentMessage: { id: activePoll.pollMessageId },
-    voter: '905551111111',
-    selectedOptions: [{ localId: 'opt-0' }]
+  await castVotes(harness, activePoll, [
+    ['905552222222', ['opt-1']],
+    ['905551111111', ['opt-2']]
+  ]);
+  const summary = harness.bot.summarizePoll(activePoll);
+  assert.deepEqual(summary.counts.slice(0, 3), [0, 1, 1]);
+  assert.equal(summary.uniqueVoterCount, 2);
+  assert.equal(voteReads, 0);
+
+  // A write that bypasses the bot leaves the cached tally stale until it is checked.
+  harness.bot.db.upsertVote({
+    pollId: activePoll.id,
+    voterJid: '905553333333@c.us',
+    selectedOptions: [1],
+    updatedAt: NON_EXPIRED_NOW
   });
+  assert.equal(harness.bot.summarizePoll(activePoll).counts[1], 1);
+
+  const check = harness.bot.verifyVoteTally(activePoll);
+  assert.equal(check.consistent, false);
+  assert.deepEqual(check.mismatchedOptions, [1]);
+  assert.deepEqual(check.mismatchedVoters, ['905553333333@c.us']);
+  assert.equal(harness.bot.summarizePoll(activePoll).counts[1], 2);
+  assert.equal(harness.bot.verifyVoteTally(activePoll).consistent, true);
+  assert.equal(harness.bot.observability.counters.voteTallyChecksTotal, 2);
+  assert.equal(harness.bot.observability.counters.voteTallyDriftTotal, 1);
+});
 
-  await harness.bot.onVoteUpdate({
-    parentMessage: { id: activePoll.pollMessageId },
-    voter: '905552222222',
-    selectedOptions: [{ localId: 'opt-0' }]
+test('owner pick waits for a concurrent poll operation instead of being rejected', async (t) => {
+  const harness = createHarness({
+    now: () => NON_EXPIRED_NOW
   });
-
-  await waitForCondition(() => {
-    const outboxMessages = harness.bot.db.listOutboxMessages(harness.config.groupId);
-    return outboxMessages.length === 1 && outboxMessages[0].status === 'SENT';
+  t.after(async () => {
+    await harness.cleanup();
   });
 
-  const outboxMessages = harness.bot.db.listOutboxMessages(harness.config.groupId);
-  assert.equal(outboxMessages.length, 1);
-  assert.equal(outboxMessages[0].status, 'SENT');
-  assert.equal(outboxMessages[0].attemptCount, 1);
-  assert.equal(chat.failedTextMessages.length, 1);
+  const tiePoll = await createTiedPoll(harness);
 
-  const textMessages = chat.messages.filter((message) => typeof message === 'string');
-  assert.ok(textMessages.some((message) => message.includes('Weekly game slot selected:')));
-});
+  let releaseHolder;
+  const holder = harness.bot.withPollLock(
+    tiePoll.id,
+    () =>
+      new Promise((resolve) => {
+        releaseHolder = resolve;
+      })
+  );
+  const pick = harness.bot.handleManualPick(
+    { body: '!schedule pick 2', from: harness.config.groupId, author: harness.config.ownerJid },
+    '2'
+  );
 
-test('outbox recovery delivers a failed winner announcement after restart', async (t) => {
-  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'whatsapp-poller-outbox-restart-test-'));
-  const chat = new FakeChat();
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.equal(harness.bot.db.getPollById(tiePoll.id).status, 'TIE_PENDING');
+  releaseHolder();
+  await Promise.all([holder, pick]);
+
+  const latest = harness.bot.db.getPollById(tiePoll.id);
+  assert.equal(latest.status, 'ANNOUNCED');
+  assert.equal(latest.closeReason, 'manual-override');
+  assert.ok(
+    harness.chat.messages.every(
+      (message) => typeof message !== 'string' || !message.includes('Please retry in a moment')
+    )
+  );
+  assert.equal(harness.bot.observability.counters.pollLockContendedTotal, 1);
+  assert.equal(harness.bot.pollLocks.size, 0);
+});
+
+test('owner command reports a busy poll when the lock wait times out', async (t) => {
+  const harness = createHarness({
+    now: () => NON_EXPIRED_NOW,
+    pollLockTimeoutMs: 20
+  });
+  t.after(async () => {
+    await harness.cleanup();
+  });
+
+  const tiePoll = await createTiedPoll(harness);
+
+  let releaseHolder;
+  const holder = harness.bot.withPollLock(
+    tiePoll.id,
+    () =>
+      new Promise((resolve) => {
+        releaseHolder = resolve;
+      })
+  );
+  await harness.bot.handleManualPick(
+    { body: '!schedule pick 2', from: harness.config.groupId, author: harness.config.ownerJid },
+    '2'
+  );
+  releaseHolder();
+  await holder;
+
+  assert.equal(harness.bot.db.getPollById(tiePoll.id).status, 'TIE_PENDING');
+  assert.ok(
+    harness.chat.messages.includes(
+      'Another poll operation is still running. Please retry in a moment.'
+    )
+  );
+  assert.equal(harness.bot.observability.counters.pollLockTimeoutsTotal, 1);
+});
+
+test('text votes count toward quorum like native votes', async (t) => {
+  const harness = createHarness({
+    now: () => NON_EXPIRED_NOW
+  });
+  t.after(async () => {
+    await harness.cleanup();
+  });
+
+  await harness.bot.createWeeklyPollIfNeeded('integration');
+  const activePoll = harness.bot.db.getActivePoll(harness.config.groupId);
+
+  await harness.bot.onMessageCreate({
+    body: '!schedule vote 1, 2',
+    from: harness.config.groupId,
+    author: '905552222222@c.us'
+  });
+  assert.match(harness.chat.messages.at(-1), /^Text vote recorded: 1\) .+ \| 2\) /);
+  assert.equal(harness.bot.db.getPollById(activePoll.id).status, 'OPEN');
+
+  await harness.bot.onMessageCreate({
+    body: '!schedule vote 2',
+    from: harness.config.groupId,
+    author: '905553333333@c.us'
+  });
+
+  const poll = harness.bot.db.getPollById(activePoll.id);
+  assert.equal(poll.status, 'ANNOUNCED');
+  assert.equal(poll.closeReason, 'quorum');
+  assert.deepEqual(
+    poll.winners.map((winner) => [winner.optionIdx, winner.votes]),
+    [[1, 2]]
+  );
+  assert.deepEqual(
+    harness.bot.db.listVoteEvents(activePoll.id).map((event) => event.source),
+    ['text', 'text']
+  );
+});
+
+test('text votes validate input and are kept over stale native votes from reconciliation', async (t) => {
+  const harness = createHarness({
+    now: () => NON_EXPIRED_NOW,
+    config: { requiredVoters: 5, voteReconcileIntervalMinutes: 10 }
+  });
+  t.after(async () => {
+    await harness.cleanup();
+  });
+
+  const voteCommand = (body, author = '905552222222@c.us') =>
+    harness.bot.onMessageCreate({ body, from: harness.config.groupId, author });
+  const storedSelection = () =>
+    harness.bot.db
+      .getVotesByPollId(activePoll.id)
+      .find((vote) => vote.voterJid === '905552222222@c.us')?.selectedOptions;
+
+  await voteCommand('!schedule vote 1');
+  assert.equal(harness.chat.messages.at(-1), 'No open poll to vote on right now.');
+
+  await harness.bot.createWeeklyPollIfNeeded('integration');
+  const activePoll = harness.bot.db.getActivePoll(harness.config.groupId);
+
+  await voteCommand('!schedule vote 1', '905559999999@c.us');
+  assert.equal(harness.chat.messages.at(-1), 'Only allowed voters can vote.');
+
+  await voteCommand('!schedule vote 0 2');
+  assert.match(harness.chat.messages.at(-1), /^Usage: !schedule vote <option_numbers> \| none/);
+  assert.equal(harness.bot.db.getVotesByPollId(activePoll.id).length, 0);
+
+  await castVotes(harness, activePoll, [['905552222222', ['opt-0']]]);
+  await voteCommand('!schedule vote 3');
+  assert.deepEqual(storedSelection(), [2]);
+
+  harness.client.pollVotesByMessageId.set(activePoll.pollMessageId, [
+    { voter: '905552222222', selectedOptions: [{ localId: 'opt-0' }] }
+  ]);
+  await harness.bot.reconcileOpenPollVotes();
+  assert.deepEqual(storedSelection(), [2]);
+  assert.equal(harness.bot.observability.counters.voteReconcileMismatchesTotal, 0);
+
+  await castVotes(harness, activePoll, [['905552222222', ['opt-1']]]);
+  assert.deepEqual(storedSelection(), [1]);
+
+  await voteCommand('!schedule vote none');
+  assert.equal(harness.chat.messages.at(-1), 'Text vote cleared.');
+  assert.deepEqual(storedSelection(), []);
+  assert.equal(harness.bot.summarizePoll(activePoll).uniqueVoterCount, 0);
+});
+
+test('away voters are left out of quorum, status and reminders until they are back', async (t) => {
+  const harness = createHarness({
+    now: () => NON_EXPIRED_NOW,
+    config: { quorumMode: 'all' }
+  });
+  t.after(async () => {
+    await harness.cleanup();
+  });
+
+  const command = (body, author) =>
+    harness.bot.onMessageCreate({ body, from: harness.config.groupId, author });
+
+  await harness.bot.createWeeklyPollIfNeeded('integration');
+  const activePoll = harness.bot.db.getActivePoll(harness.config.groupId);
+
+  await command('!schedule away', '905554444444@c.us');
+  assert.match(harness.chat.messages.at(-1), /^Marked away for 2026-03-02\.\.2026-03-08\./);
+  await command('!schedule away 2026-03-20', '905553333333@c.us');
+
+  assert.match(harness.bot.buildStatusText(), /Voters: 0\/4 \(all, 1 away\)/);
+  assert.deepEqual(harness.bot.listMissingVoters(activePoll), [
+    '905551111111@c.us',
+    '905552222222@c.us',
+    '905553333333@c.us',
+    '905555555555@c.us'
+  ]);
+
+  await command('!schedule back', '905554444444@c.us');
+  assert.equal(harness.chat.messages.at(-1), 'Marked back. You count toward quorum again.');
+  assert.match(harness.bot.buildStatusText(), /Voters: 0\/5 \(all\)/);
+  await command('!schedule back', '905554444444@c.us');
+  assert.equal(harness.chat.messages.at(-1), 'You are not marked away.');
+
+  await command('!schedule away', '905554444444@c.us');
+  await castVotes(harness, activePoll, [
+    ['905551111111', ['opt-0']],
+    ['905552222222', ['opt-0']],
+    ['905553333333', ['opt-1']]
+  ]);
+  assert.equal(harness.bot.db.getPollById(activePoll.id).status, 'OPEN');
+
+  await command('!schedule away 2026-03-05..2026-03-20', '905555555555@c.us');
+  const poll = harness.bot.db.getPollById(activePoll.id);
+  assert.equal(poll.status, 'ANNOUNCED');
+  assert.equal(poll.closeReason, 'quorum');
+});
+
+test('away command validates date ranges and sender', async (t) => {
+  const harness = createHarness({
+    now: () => NON_EXPIRED_NOW
+  });
+  t.after(async () => {
+    await harness.cleanup();
+  });
+
+  const awayCommand = (body, author = '905552222222@c.us') =>
+    harness.bot.onMessageCreate({ body, from: harness.config.groupId, author });
+
+  await awayCommand('!schedule away', '905559999999@c.us');
+  assert.equal(harness.chat.messages.at(-1), 'Only allowed voters can mark themselves away.');
+
+  for (const body of [
+    '!schedule away 2026-03-10..2026-03-01',
+    '!schedule away 2026-02-30',
+    '!schedule away next week',
+    '!schedule away 2026-03-02..2027-03-10'
+  ]) {
+    await awayCommand(body);
+    assert.match(
+      harness.chat.messages.at(-1),
+      /^Usage: !schedule away \[YYYY-MM-DD\.\.YYYY-MM-DD\]/
+    );
+  }
+
+  await awayCommand('!schedule away 2026-02-01..2026-02-10');
+  assert.equal(harness.chat.messages.at(-1), 'Away dates must not be entirely in the past.');
+
+  await awayCommand('!schedule away 2026-11-01..2026-11-10');
+  assert.match(harness.chat.messages.at(-1), /^Marked away for 2026-11-01\.\.2026-11-10\./);
+  assert.deepEqual(
+    harness.bot.db
+      .listVoterAbsences(harness.config.groupId, { from: '2026-01-01', to: '2026-12-31' })
+      .map((absence) => [absence.voterJid, absence.startsOn, absence.endsOn]),
+    [['905552222222@c.us', '2026-11-01', '2026-11-10']]
+  );
+});
+
+test('standing availability is applied as auto votes that a real vote replaces', async (t) => {
+  const harness = createHarness({
+    now: () => NON_EXPIRED_NOW,
+    config: { requiredVoters: 2, closeWhenDecided: true }
+  });
+  t.after(async () => {
+    await harness.cleanup();
+  });
+
+  const command = (body, author) =>
+    harness.bot.onMessageCreate({ body, from: harness.config.groupId, author });
+
+  await command('!schedule standing Fri 20:00, Sat 15:00', '905552222222@c.us');
+  assert.equal(
+    harness.chat.messages.at(-1),
+    'Standing availability saved: Fri 20:00, Sat 15:00. New polls will start with these as your auto votes until you vote yourself.'
+  );
+  await command('!schedule standing sat15:00,Sun10:00', '905553333333@c.us');
+  await command('!schedule standing', '905553333333@c.us');
+  assert.equal(harness.chat.messages.at(-1), 'Your standing availability: Sat 15:00, Sun 10:00.');
+
+  await command('!schedule standing Fri 21:00', '905554444444@c.us');
+  assert.match(harness.chat.messages.at(-1), /^Usage: !schedule standing <slots> \| clear/);
+  await command('!schedule standing Mon 20:00', '905555555555@c.us');
+  await command('!schedule standing clear', '905555555555@c.us');
+  assert.equal(harness.chat.messages.at(-1), 'Standing availability cleared.');
+  await command('!schedule standing', '905555555555@c.us');
+  assert.equal(harness.chat.messages.at(-1), 'You have no standing availability.');
+
+  await harness.bot.createWeeklyPollIfNeeded('integration');
+  const activePoll = harness.bot.db.getActivePoll(harness.config.groupId);
+  const storedVotes = () =>
+    harness.bot.db
+      .getVotesByPollId(activePoll.id)
+      .map((vote) => [vote.voterJid, vote.selectedOptions, vote.auto])
+      .sort(([a], [b]) => a.localeCompare(b));
+
+  assert.deepEqual(storedVotes(), [
+    ['905552222222@c.us', [4, 6], true],
+    ['905553333333@c.us', [6, 8], true]
+  ]);
+  assert.equal(harness.bot.summarizePoll(activePoll).counts[6], 2);
+  assert.match(
+    harness.bot.buildStatusText(),
+    /Voters: 0\/2\nAuto votes: 2 \(standing availability, not yet confirmed\)/
+  );
+
+  // One real vote plus an auto vote would meet the quorum of 2, but auto votes never close a poll.
+  await castVotes(harness, activePoll, [['905552222222', ['opt-0']]]);
+  assert.deepEqual(storedVotes(), [
+    ['905552222222@c.us', [0], false],
+    ['905553333333@c.us', [6, 8], true]
+  ]);
+  assert.match(harness.bot.buildStatusText(), /Voters: 1\/2\nVote changes: 1\nAuto votes: 1 /);
+  assert.equal(harness.bot.db.getPollById(activePoll.id).status, 'OPEN');
+  assert.deepEqual(
+    harness.bot.db.listVoteEvents(activePoll.id).map((event) => event.source),
+    ['auto', 'auto', 'live']
+  );
+});
+
+test('announcements trigger one online database backup when enabled', async (t) => {
+  const harness = createHarness({
+    now: () => NON_EXPIRED_NOW,
+    config: { backupAfterAnnouncement: true }
+  });
+  t.after(async () => {
+    await harness.cleanup();
+  });
+
+  const backupFiles = () =>
+    fs.existsSync(harness.config.backupDir) ? fs.readdirSync(harness.config.backupDir) : [];
+
+  await harness.bot.createWeeklyPollIfNeeded('integration');
+  const activePoll = harness.bot.db.getActivePoll(harness.config.groupId);
+  await harness.bot.drainOutboxQueue();
+  assert.deepEqual(backupFiles(), []);
+
+  await castVotes(harness, activePoll, [
+    ['905551111111', ['opt-0']],
+    ['905552222222', ['opt-0']]
+  ]);
+  assert.equal(harness.bot.db.getPollById(activePoll.id).status, 'ANNOUNCED');
+  await harness.bot.drainOutboxQueue();
+
+  assert.equal(backupFiles().length, 1);
+  assert.match(backupFiles()[0], /^polls-\d{8}T\d{9}Z\.sqlite$/);
+  assert.equal(harness.bot.observability.counters.backupsTotal, 1);
+});
+
+test('database maintenance folds expired votes into poll counts and purges old rows', async (t) => {
+  let now = NON_EXPIRED_NOW;
+  const harness = createHarness({
+    now: () => now,
+    config: { voteRetentionWeeks: 4, voteEventRetentionWeeks: 4, outboxRetentionWeeks: 2 }
+  });
+  t.after(async () => {
+    await harness.cleanup();
+  });
+
+  await harness.bot.createWeeklyPollIfNeeded('integration');
+  const activePoll = harness.bot.db.getActivePoll(harness.config.groupId);
+  await castVotes(harness, activePoll, [
+    ['905551111111', ['opt-0', 'opt-1']],
+    ['905552222222', ['opt-0']]
+  ]);
+  await harness.bot.drainOutboxQueue();
+  assert.equal(harness.bot.db.getPollById(activePoll.id).status, 'ANNOUNCED');
+
+  assert.deepEqual(harness.bot.runDatabaseMaintenance(), {
+    votePolls: 0,
+    votes: 0,
+    voteEvents: 0,
+    outboxMessages: 0,
+    vacuumed: false
+  });
+
+  now += 3 * 7 * 24 * 60 * 60 * 1000;
+  harness.bot.db.createOutboxMessage({
+    groupId: harness.config.groupId,
+    payload: { kind: 'text', text: 'still waiting' },
+    maxAttempts: 5,
+    createdAt: NON_EXPIRED_NOW
+  });
+  const purgedOutbox = harness.bot.runDatabaseMaintenance();
+  assert.equal(purgedOutbox.votes, 0);
+  assert.ok(purgedOutbox.outboxMessages > 0);
+  assert.deepEqual(
+    harness.bot.db.listOutboxMessages(harness.config.groupId).map((message) => message.status),
+    ['PENDING']
+  );
+
+  now += 2 * 7 * 24 * 60 * 60 * 1000;
+  const purgedVotes = harness.bot.runDatabaseMaintenance();
+  assert.equal(purgedVotes.votePolls, 1);
+  assert.equal(purgedVotes.votes, 2);
+  assert.equal(purgedVotes.voteEvents, 2);
+  assert.equal(purgedVotes.vacuumed, true);
+
+  const purgedPoll = harness.bot.db.getPollById(activePoll.id);
+  assert.deepEqual(harness.bot.db.getVotesByPollId(activePoll.id), []);
+  assert.deepEqual(harness.bot.db.listVoteEvents(activePoll.id), []);
+  assert.deepEqual(purgedPoll.voteCounts.slice(0, 2), [2, 1]);
+  assert.equal(purgedPoll.voterCount, 2);
+  assert.equal(purgedPoll.votesPurgedAt, now);
+  assert.equal(purgedPoll.winners.length > 0, true);
+
+  const [exported] = buildPollExport(harness.bot.db, {
+    groupId: harness.config.groupId,
+    redactVoters: true
+  });
+  assert.deepEqual(
+    exported.options.slice(0, 2).map((option) => option.votes),
+    [2, 1]
+  );
+  assert.equal(exported.voterCount, 2);
+  assert.deepEqual(exported.votes, []);
+
+  const emptyPollId = harness.bot.db.createPoll({
+    groupId: harness.config.groupId,
+    weekKey: '2026-W01',
+    pollMessageId: 'empty-poll',
+    question: 'Nobody voted',
+    options: activePoll.options,
+    createdAt: NON_EXPIRED_NOW,
+    closesAt: NON_EXPIRED_NOW + 1
+  });
+  harness.bot.db.db
+    .prepare("UPDATE polls SET status = 'ANNOUNCED', closed_at = ? WHERE id = ?")
+    .run(NON_EXPIRED_NOW, emptyPollId);
+  assert.deepEqual(harness.bot.runDatabaseMaintenance(), {
+    votePolls: 1,
+    votes: 0,
+    voteEvents: 0,
+    outboxMessages: 0,
+    vacuumed: false
+  });
+
+  harness.bot.db.replacePollInPlace({
+    pollId: activePoll.id,
+    pollMessageId: 'replacement-poll',
+    question: activePoll.question,
+    options: activePoll.options,
+    createdAt: now,
+    closesAt: now + 60 * 60 * 1000
+  });
+  const replaced = harness.bot.db.getPollById(activePoll.id);
+  assert.equal(replaced.voteCounts, null);
+  assert.equal(replaced.voterCount, null);
+  assert.equal(replaced.votesPurgedAt, null);
+});
+
+test('owner alias command maps @lid voters when contact lookup is unavailable', async (t) => {
+  const harness = createHarness({
+    now: () => NON_EXPIRED_NOW,
+    config: { requiredVoters: 5 }
+  });
+  t.after(async () => {
+    await harness.cleanup();
+  });
+
+  const ownerCommand = (body) =>
+    harness.bot.onMessageCreate({
+      body,
+      from: harness.config.groupId,
+      author: harness.config.ownerJid
+    });
+
+  await harness.bot.createWeeklyPollIfNeeded('integration');
+  const activePoll = harness.bot.db.getActivePoll(harness.config.groupId);
+  await castVotes(harness, activePoll, [['777000111@lid', ['opt-0']]]);
+  assert.equal(harness.bot.db.getVotesByPollId(activePoll.id).length, 0);
+
+  await ownerCommand('!schedule alias set 777000111 905559999999');
+  assert.equal(harness.chat.messages.at(-1), 'Alias phone must be one of the allowed voters.');
+
+  await ownerCommand('!schedule alias set 777000111@lid');
+  assert.match(harness.chat.messages.at(-1), /^Usage: !schedule alias/);
+
+  await ownerCommand('!schedule alias set 777000111 905552222222');
+  assert.equal(harness.chat.messages.at(-1), 'Alias saved: 777000111@lid -> 905552222222@c.us.');
+
+  await castVotes(harness, activePoll, [['777000111@lid', ['opt-0']]]);
+  assert.deepEqual(
+    harness.bot.db.getVotesByPollId(activePoll.id).map((vote) => vote.voterJid),
+    ['905552222222@c.us']
+  );
+  assert.equal(harness.bot.db.getContactAlias('777000111@lid').source, 'owner');
+
+  await ownerCommand('!schedule alias list');
+  assert.equal(harness.chat.messages.at(-1), 'Sent 1 contact aliases to the owner.');
+  assert.match(
+    harness.ownerChat.messages.at(-1),
+    /^Contact aliases \(1\):\n777000111@lid -> 905552222222@c\.us \(owner, first seen /
+  );
+
+  await ownerCommand('!schedule alias remove 777000111@lid');
+  assert.equal(harness.chat.messages.at(-1), 'Alias removed: 777000111@lid.');
+  assert.equal(harness.bot.db.getContactAlias('777000111@lid'), null);
+
+  await harness.bot.onMessageCreate({
+    body: '!schedule alias list',
+    from: harness.config.groupId,
+    author: '905552222222@c.us'
+  });
+  assert.equal(harness.chat.messages.at(-1), 'Only the owner can manage contact aliases.');
+});
+
+test('owner forget command pseudonymizes a departed voter and keeps vote counts', async (t) => {
+  const harness = createHarness({
+    now: () => NON_EXPIRED_NOW,
+    config: { requiredVoters: 5 },
+    pollLockTimeoutMs: 20
+  });
+  t.after(async () => {
+    await harness.cleanup();
+  });
+
+  const departed = '905553333333@c.us';
+  const command = (body, author = harness.config.ownerJid) =>
+    harness.bot.onMessageCreate({ body, from: harness.config.groupId, author });
+
+  await harness.bot.createWeeklyPollIfNeeded('integration');
+  const activePoll = harness.bot.db.getActivePoll(harness.config.groupId);
+  await castVotes(harness, activePoll, [
+    ['905552222222', ['opt-0']],
+    ['905553333333', ['opt-0', 'opt-1']]
+  ]);
+  harness.bot.rememberContactAlias('777000333@lid', departed, 'owner');
+  harness.bot.db.setStandingAvailability({
+    groupId: harness.config.groupId,
+    voterJid: departed,
+    slotKeys: ['Fri 20:00'],
+    updatedAt: NON_EXPIRED_NOW
+  });
+  harness.bot.db.createVoterAbsence({
+    groupId: harness.config.groupId,
+    voterJid: departed,
+    startsOn: '2026-03-09',
+    endsOn: '2026-03-15',
+    createdAt: NON_EXPIRED_NOW
+  });
+  harness.bot.db.createOutboxMessage({
+    groupId: harness.config.groupId,
+    payload: {
+      kind: 'group-text',
+      text: 'Still waiting on 1 voter(s): @905553333333',
+      mentions: [departed]
+    },
+    maxAttempts: 5,
+    createdAt: NON_EXPIRED_NOW
+  });
+  const countsBefore = harness.bot.summarizePoll(activePoll).counts;
+
+  await command('!schedule forget 905553333333', '905552222222@c.us');
+  assert.equal(harness.chat.messages.at(-1), 'Only the owner can forget voters.');
+
+  await command('!schedule forget 905551111111');
+  assert.equal(harness.chat.messages.at(-1), 'The owner cannot be forgotten.');
+
+  let releaseHolder;
+  const holder = harness.bot.withPollLock(
+    activePoll.id,
+    () =>
+      new Promise((resolve) => {
+        releaseHolder = resolve;
+      })
+  );
+  await command('!schedule forget 905553333333');
+  releaseHolder();
+  await holder;
+  assert.equal(
+    harness.chat.messages.at(-1),
+    'Another poll operation is still running. Please retry in a moment.'
+  );
+  assert.equal(harness.bot.db.getContactAlias('777000333@lid').phoneJid, departed);
+
+  await command('!schedule forget +90 555 333 3333');
+  const pseudonym = derivePseudonym(departed, loadForgetSecret(harness.config.dataDir));
+  assert.equal(
+    harness.chat.messages.at(-1),
+    [
+      'Voter forgotten.',
+      'Replaced: 1 vote(s), 1 vote history row(s), 1 outbox message(s).',
+      'Deleted: 1 away period(s), 1 standing availability, 1 @lid alias(es).',
+      'This number is still in ALLOWED_VOTERS. Remove it there too, or new votes will be stored under it again.'
+    ].join('\n')
+  );
+  assert.ok(harness.chat.messages.every((text) => !JSON.stringify(text).includes(pseudonym)));
+
+  assert.deepEqual(
+    harness.bot.db
+      .getVotesByPollId(activePoll.id)
+      .map((vote) => vote.voterJid)
+      .sort(),
+    ['905552222222@c.us', pseudonym]
+  );
+  assert.equal(harness.bot.db.listVoteEvents(activePoll.id, { voterJid: pseudonym }).length, 1);
+  assert.deepEqual(harness.bot.summarizePoll(activePoll).counts, countsBefore);
+  assert.equal(harness.bot.db.getContactAlias('777000333@lid'), null);
+  assert.equal(harness.bot.voterAliasMap.has('777000333@lid'), false);
+  assert.equal(harness.bot.db.getStandingAvailability(harness.config.groupId, departed), null);
+
+  const outboxPayload = harness.bot.db.listOutboxMessages(harness.config.groupId).at(-1).payload;
+  assert.equal(outboxPayload.text, `Still waiting on 1 voter(s): @${pseudonym}`);
+  assert.deepEqual(outboxPayload.mentions, []);
+
+  await command('!schedule forget 905553333333');
+  assert.match(harness.chat.messages.at(-1), /^No stored data for that number\.\n/);
+});
+
+test('restart reconciliation backfills missed votes before quorum closure', async (t) => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'whatsapp-poller-reconcile-test-'));
+  const chat = new FakeChat();
+  const managedBots = new Set();
+  let clockNow = NON_EXPIRED_NOW;
+
+  t.after(async () => {
+    for (const bot of managedBots) {
+      await bot.shutdown('test');
+    }
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  const firstConfig = createConfig(dataDir, {
+    requiredVoters: 2,
+    pollCloseHours: 24
+  });
+
+  const first = createBotInstance(firstConfig, {
+    chat,
+    now: () => clockNow
+  });
+  managedBots.add(first.bot);
+
+  await first.bot.createWeeklyPollIfNeeded('integration');
+  const activePoll = first.bot.db.getActivePoll(firstConfig.groupId);
+  assert.ok(activePoll);
+
+  await first.bot.shutdown('test');
+  managedBots.delete(first.bot);
+
+  const secondConfig = createConfig(dataDir, {
+    requiredVoters: 2,
+    pollCloseHours: 24
+  });
+
+  const second = createBotInstance(secondConfig, {
+    chat,
+    now: () => clockNow
+  });
+  managedBots.add(second.bot);
+
+  second.client.pollVotesByMessageId.set(activePoll.pollMessageId, [
+    {
+      voter: '905551111111',
+      selectedOptions: [{ localId: 'opt-1' }]
+    },
+    {
+      voter: '905551111111',
+      selectedOptions: [{ localId: 'opt-0' }]
+    },
+    {
+      voter: '905552222222',
+      selectedOptions: [{ localId: 'opt-0' }]
+    },
+    {
+      voter: '905559999999',
+      selectedOptions: [{ localId: 'opt-0' }]
+    }
+  ]);
+
+  await second.bot.reconcilePendingPollVotes();
+  second.bot.recoverPendingPolls();
+
+  const latest = second.bot.db.getPollById(activePoll.id);
+  assert.equal(latest.status, 'ANNOUNCED');
+  assert.equal(latest.closeReason, 'quorum');
+  assert.deepEqual(latest.winners, [{ optionIdx: 0, votes: 2 }]);
+
+  const votes = second.bot.db.getVotesByPollId(activePoll.id);
+  assert.equal(votes.length, 2);
+
+  const firstVoterVote = votes.find((vote) => vote.voterJid === '905551111111@c.us');
+  assert.deepEqual(firstVoterVote.selectedOptions, [0]);
+
+  const firstVoterEvents = second.bot.db.listVoteEvents(activePoll.id, {
+    voterJid: '905551111111@c.us'
+  });
+  assert.deepEqual(
+    firstVoterEvents.map((event) => [event.source, event.previousOptions, event.selectedOptions]),
+    [
+      ['reconcile', null, [1]],
+      ['reconcile', [1], [0]]
+    ]
+  );
+
+  const textMessages = chat.messages.filter((message) => typeof message === 'string');
+  assert.ok(textMessages.some((message) => message.includes('Weekly game slot selected:')));
+});
+
+test('outbox retries winner announcement after a transient send error', async (t) => {
+  const chat = new FakeChat();
+  chat.failNextTextMessages = 1;
+  const realStart = Date.now();
+
+  const harness = createHarness({
+    chat,
+    now: () => NON_EXPIRED_NOW + (Date.now() - realStart),
+    outboxMaxAttempts: 3,
+    outboxRetryBaseMs: 20,
+    outboxRetryMaxMs: 20
+  });
+  t.after(async () => {
+    await harness.cleanup();
+  });
+
+  await harness.bot.createWeeklyPollIfNeeded('integration');
+  const activePoll = harness.bot.db.getActivePoll(harness.config.groupId);
+  assert.ok(activePoll);
+
+  await harness.bot.onVoteUpdate({
+    parentMessage: { id: activePoll.pollMessageId },
+    voter: '905551111111',
+    selectedOptions: [{ localId: 'opt-0' }]
+  });
+
+  await harness.bot.onVoteUpdate({
+    parentMessage: { id: activePoll.pollMessageId },
+    voter: '905552222222',
+    selectedOptions: [{ localId: 'opt-0' }]
+  });
+
+  await waitForCondition(() => {
+    const outboxMessages = harness.bot.db.listOutboxMessages(harness.config.groupId);
+    return outboxMessages.length === 1 && outboxMessages[0].status === 'SENT';
+  });
+
+  const outboxMessages = harness.bot.db.listOutboxMessages(harness.config.groupId);
+  assert.equal(outboxMessages.length, 1);
+  assert.equal(outboxMessages[0].status, 'SENT');
+  assert.equal(outboxMessages[0].attemptCount, 1);
+  assert.equal(chat.failedTextMessages.length, 1);
+
+  const textMessages = chat.messages.filter((message) => typeof message === 'string');
+  assert.ok(textMessages.some((message) => message.includes('Weekly game slot selected:')));
+});
+
+test('outbox recovery delivers a failed winner announcement after restart', async (t) => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'whatsapp-poller-outbox-restart-test-'));
+  const chat = new FakeChat();
   const managedBots = new Set();
   let clockNow = NON_EXPIRED_NOW;
 
@@ -668,12 +1707,362 @@ test('tie can be resolved with owner manual pick', async (t) => {
 
   const latest = harness.bot.db.getPollById(activePoll.id);
   assert.equal(latest.status, 'ANNOUNCED');
-  assert.equal(latest.winningOptionIdx, 1);
+  assert.deepEqual(
+    latest.winners.map((winner) => winner.optionIdx),
+    [1]
+  );
+});
+
+test('tie timeout with expired winning slot closes without winner', async (t) => {
+  const harness = createHarness({
+    now: () => EXPIRED_NOW
+  });
+  t.after(async () => {
+    await harness.cleanup();
+  });
+
+  await harness.bot.createWeeklyPollIfNeeded('integration');
+  const activePoll = harness.bot.db.getActivePoll(harness.config.groupId);
+  assert.ok(activePoll);
+
+  await harness.bot.onVoteUpdate({
+    parentMessage: { id: activePoll.pollMessageId },
+    voter: '905551111111',
+    selectedOptions: [{ localId: 'opt-0' }]
+  });
+
+  await harness.bot.onVoteUpdate({
+    parentMessage: { id: activePoll.pollMessageId },
+    voter: '905552222222',
+    selectedOptions: [{ localId: 'opt-1' }]
+  });
+
+  const tiePoll = harness.bot.db.getPollById(activePoll.id);
+  assert.equal(tiePoll.status, 'TIE_PENDING');
+
+  await harness.bot.handleTieTimeout(activePoll.id);
+
+  const latest = harness.bot.db.getPollById(activePoll.id);
+  assert.equal(latest.status, 'ANNOUNCED');
+  assert.deepEqual(latest.winners, []);
+
+  const groupTextMessages = harness.chat.messages.filter((message) => typeof message === 'string');
+  assert.ok(groupTextMessages.every((message) => !message.includes('Weekly game slot selected:')));
+
+  const ownerMessages = harness.ownerChat.messages.filter((message) => typeof message === 'string');
+  assert.ok(
+    ownerMessages.some((message) => message.includes('closed without a winner announcement'))
+  );
+});
+
+test('tie timeout applies the configured tie-break strategy and records it on the poll', async (t) => {
+  const harness = createHarness({
+    now: () => NON_EXPIRED_NOW,
+    config: {
+      tieBreakStrategy: 'owner-preference',
+      tieBreakPreference: [{ weekday: 2, hour: 20, minute: 0 }]
+    }
+  });
+  t.after(async () => {
+    await harness.cleanup();
+  });
+
+  await harness.bot.createWeeklyPollIfNeeded('integration');
+  const activePoll = harness.bot.db.getActivePoll(harness.config.groupId);
+
+  await harness.bot.onVoteUpdate({
+    parentMessage: { id: activePoll.pollMessageId },
+    voter: '905551111111',
+    selectedOptions: [{ localId: 'opt-0' }]
+  });
+
+  await harness.bot.onVoteUpdate({
+    parentMessage: { id: activePoll.pollMessageId },
+    voter: '905552222222',
+    selectedOptions: [{ localId: 'opt-1' }]
+  });
+
+  assert.equal(harness.bot.db.getPollById(activePoll.id).status, 'TIE_PENDING');
+
+  await harness.bot.handleTieTimeout(activePoll.id);
+
+  const latest = harness.bot.db.getPollById(activePoll.id);
+  assert.equal(latest.status, 'ANNOUNCED');
+  assert.equal(latest.closeReason, 'tie-timeout');
+  assert.deepEqual(
+    latest.winners.map((winner) => winner.optionIdx),
+    [1]
+  );
+  assert.equal(latest.tieBreakStrategy, 'owner-preference');
+  assert.deepEqual(latest.tieBreakInputs, {
+    tiedOptions: [1, 2],
+    preference: ['Tue 20:00'],
+    matched: 'Tue 20:00'
+  });
+
+  const groupTextMessages = harness.chat.messages.filter((message) => typeof message === 'string');
+  assert.ok(
+    groupTextMessages.some(
+      (message) =>
+        message.includes('Weekly game slot selected:') &&
+        message.endsWith('Tie broken by owner preference (Tue 20:00).')
+    )
+  );
+});
+
+async function createTiedPoll(harness) {
+  await harness.bot.createWeeklyPollIfNeeded('integration');
+  const activePoll = harness.bot.db.getActivePoll(harness.config.groupId);
+
+  await harness.bot.onVoteUpdate({
+    parentMessage: { id: activePoll.pollMessageId },
+    voter: '905551111111',
+    selectedOptions: [{ localId: 'opt-0' }]
+  });
+
+  await harness.bot.onVoteUpdate({
+    parentMessage: { id: activePoll.pollMessageId },
+    voter: '905552222222',
+    selectedOptions: [{ localId: 'opt-1' }]
+  });
+
+  assert.equal(harness.bot.db.getPollById(activePoll.id).status, 'TIE_PENDING');
+  return activePoll;
+}
+
+test('unresolved tie starts a linked runoff poll whose result decides the winner', async (t) => {
+  const harness = createHarness({
+    now: () => NON_EXPIRED_NOW,
+    config: { runoffPollHours: 2 }
+  });
+  t.after(async () => {
+    await harness.cleanup();
+  });
+
+  const parentPoll = await createTiedPoll(harness);
+  const tieMessage = harness.chat.messages.find(
+    (message) => typeof message === 'string' && message.startsWith('Tie detected.')
+  );
+  assert.match(tieMessage, /Otherwise a runoff poll will decide\./);
+
+  await harness.bot.handleTieTimeout(parentPoll.id);
+
+  assert.equal(harness.bot.db.getPollById(parentPoll.id).status, 'RUNOFF_PENDING');
+  const runoffPoll = harness.bot.db.getRunoffPoll(parentPoll.id);
+  assert.equal(runoffPoll.status, 'OPEN');
+  assert.equal(runoffPoll.parentPollId, parentPoll.id);
+  assert.equal(runoffPoll.weekKey, parentPoll.weekKey);
+  assert.equal(runoffPoll.closesAt, NON_EXPIRED_NOW + 2 * 60 * 60 * 1000);
+  assert.deepEqual(
+    runoffPoll.options.map((option) => option.parentIdx),
+    [0, 1]
+  );
+  assert.ok(harness.bot.closeTimers.has(runoffPoll.id));
+
+  const runoffMessage = harness.chat.messages.filter((message) => message?.kind === 'poll').at(-1);
+  assert.deepEqual(runoffMessage.options, { allowMultipleAnswers: false });
+  assert.deepEqual(runoffMessage.optionLabels, [
+    parentPoll.options[0].label,
+    parentPoll.options[1].label
+  ]);
+
+  assert.equal(harness.bot.db.getActivePoll(harness.config.groupId).id, runoffPoll.id);
+  const runoffStatus = harness.bot.buildStatusText();
+  assert.match(runoffStatus, /^Runoff poll \(2026-W10\)/);
+  assert.match(runoffStatus, /Round 1 tie: 1\) .+ \| 2\) /);
+
+  for (const voter of ['905551111111', '905552222222']) {
+    await harness.bot.onVoteUpdate({
+      parentMessage: { id: runoffPoll.pollMessageId },
+      voter,
+      selectedOptions: [{ localId: 'opt-1' }]
+    });
+  }
+
+  const closedRunoff = harness.bot.db.getPollById(runoffPoll.id);
+  assert.equal(closedRunoff.status, 'ANNOUNCED');
+  assert.equal(closedRunoff.closeReason, 'quorum');
+  assert.deepEqual(
+    closedRunoff.winners.map((winner) => winner.optionIdx),
+    [1]
+  );
+
+  const decided = harness.bot.db.getPollById(parentPoll.id);
+  assert.equal(decided.status, 'ANNOUNCED');
+  assert.equal(decided.closeReason, 'runoff');
+  assert.deepEqual(decided.winners, [{ optionIdx: 1, votes: 2 }]);
+
+  const groupTextMessages = harness.chat.messages.filter((message) => typeof message === 'string');
+  assert.ok(
+    groupTextMessages.some((message) =>
+      message.startsWith(
+        `Weekly game slot selected: ${parentPoll.options[1].label} (2 votes in the runoff).`
+      )
+    )
+  );
+
+  assert.equal(harness.bot.db.getLatestPoll(harness.config.groupId).id, parentPoll.id);
+  assert.match(harness.bot.buildStatusText(), /Decided by runoff\. Round 1 tie: 1\) /);
+});
+
+test('tied runoff falls back to the tie-break strategy and is never restarted', async (t) => {
+  const harness = createHarness({
+    now: () => NON_EXPIRED_NOW,
+    config: { runoffPollHours: 2, tieBreakStrategy: 'latest' }
+  });
+  t.after(async () => {
+    await harness.cleanup();
+  });
+
+  const parentPoll = await createTiedPoll(harness);
+  await harness.bot.handleTieTimeout(parentPoll.id);
+  const runoffPoll = harness.bot.db.getRunoffPoll(parentPoll.id);
+
+  await harness.bot.onVoteUpdate({
+    parentMessage: { id: runoffPoll.pollMessageId },
+    voter: '905551111111',
+    selectedOptions: [{ localId: 'opt-0' }]
+  });
+  await harness.bot.onVoteUpdate({
+    parentMessage: { id: runoffPoll.pollMessageId },
+    voter: '905552222222',
+    selectedOptions: [{ localId: 'opt-1' }]
+  });
+
+  const closedRunoff = harness.bot.db.getPollById(runoffPoll.id);
+  assert.equal(closedRunoff.status, 'ANNOUNCED');
+  assert.deepEqual(closedRunoff.winners, []);
+
+  const decided = harness.bot.db.getPollById(parentPoll.id);
+  assert.equal(decided.status, 'ANNOUNCED');
+  assert.equal(decided.closeReason, 'runoff-tie');
+  assert.deepEqual(
+    decided.winners.map((winner) => winner.optionIdx),
+    [1]
+  );
+  assert.equal(decided.tieBreakStrategy, 'latest');
+
+  const pollMessages = harness.chat.messages.filter((message) => message?.kind === 'poll');
+  assert.equal(pollMessages.length, 2);
+  const groupTextMessages = harness.chat.messages.filter((message) => typeof message === 'string');
+  assert.ok(
+    groupTextMessages.some(
+      (message) =>
+        message.includes('(1 vote in the runoff).') &&
+        message.endsWith('Tie broken by latest slot.')
+    )
+  );
+});
+
+test('top slot below MIN_WINNER_VOTES closes without a game and DMs near misses', async (t) => {
+  const harness = createHarness({
+    now: () => NON_EXPIRED_NOW,
+    config: { minWinnerVotes: 2, minWinnerVotesOwnerDm: true }
+  });
+  t.after(async () => {
+    await harness.cleanup();
+  });
+
+  await harness.bot.createWeeklyPollIfNeeded('integration');
+  const activePoll = harness.bot.db.getActivePoll(harness.config.groupId);
+
+  await harness.bot.onVoteUpdate({
+    parentMessage: { id: activePoll.pollMessageId },
+    voter: '905551111111',
+    selectedOptions: [{ localId: 'opt-4' }]
+  });
+  await harness.bot.onVoteUpdate({
+    parentMessage: { id: activePoll.pollMessageId },
+    voter: '905552222222',
+    selectedOptions: [{ localId: 'opt-6' }]
+  });
+
+  const latest = harness.bot.db.getPollById(activePoll.id);
+  assert.equal(latest.status, 'ANNOUNCED');
+  assert.equal(latest.closeReason, 'below-min-votes');
+  assert.deepEqual(latest.winners, []);
+  assert.equal(harness.bot.tieTimers.has(activePoll.id), false);
+
+  const groupTextMessages = harness.chat.messages.filter((message) => typeof message === 'string');
+  assert.ok(
+    groupTextMessages.some((message) =>
+      message.startsWith('Poll closed. Not enough players this week: the top slot had 1 vote')
+    )
+  );
+  assert.ok(groupTextMessages.every((message) => !message.startsWith('Tie detected.')));
+
+  assert.deepEqual(harness.ownerChat.messages, [
+    `Poll 2026-W10 ended without a game: no slot reached MIN_WINNER_VOTES=2. Near misses: ${activePoll.options[4].label} (1) | ${activePoll.options[6].label} (1).`
+  ]);
+  assert.match(harness.bot.buildStatusText(), /Last poll had not enough players/);
+});
+
+test('tie timeout re-checks MIN_WINNER_VOTES before picking a winner', async (t) => {
+  const harness = createHarness({
+    now: () => NON_EXPIRED_NOW
+  });
+  t.after(async () => {
+    await harness.cleanup();
+  });
+
+  const tiedPoll = await createTiedPoll(harness);
+  harness.bot.config.minWinnerVotes = 2;
+
+  await harness.bot.handleTieTimeout(tiedPoll.id);
+
+  const latest = harness.bot.db.getPollById(tiedPoll.id);
+  assert.equal(latest.status, 'ANNOUNCED');
+  assert.equal(latest.closeReason, 'below-min-votes');
+  assert.deepEqual(latest.winners, []);
+  assert.equal(harness.ownerChat.messages.length, 0);
+});
+
+test('WINNERS_PER_WEEK announces several sessions together with reminders for each', async (t) => {
+  const harness = createHarness({
+    now: () => NON_EXPIRED_NOW,
+    config: { winnersPerWeek: 2, requiredVoters: 3, gameReminderHoursBefore: [2] }
+  });
+  t.after(async () => {
+    await harness.cleanup();
+  });
+
+  await harness.bot.createWeeklyPollIfNeeded('integration');
+  const activePoll = harness.bot.db.getActivePoll(harness.config.groupId);
+  await castVotes(harness, activePoll, [
+    ['905551111111', ['opt-5', 'opt-6']],
+    ['905552222222', ['opt-6']],
+    ['905553333333', ['opt-5', 'opt-9']]
+  ]);
+
+  const latest = harness.bot.db.getPollById(activePoll.id);
+  assert.equal(latest.status, 'ANNOUNCED');
+  assert.deepEqual(latest.winners, [
+    { optionIdx: 5, votes: 2 },
+    { optionIdx: 6, votes: 2 }
+  ]);
+
+  const groupTextMessages = harness.chat.messages.filter((message) => typeof message === 'string');
+  assert.ok(
+    groupTextMessages.includes(
+      `Weekly game sessions selected: ${activePoll.options[5].label} (2 votes) | ${activePoll.options[6].label} (2 votes).`
+    )
+  );
+  assert.equal(
+    harness.bot.buildStatusText().split(',')[0],
+    `No active poll. Last sessions: ${activePoll.options[5].label} (2 votes) | ${activePoll.options[6].label} (2 votes)`
+  );
+
+  const reminders = harness.bot.db.listPendingRemindersForPoll(activePoll.id, 'pre-game');
+  assert.deepEqual(
+    reminders.map((reminder) => reminder.optionIdx),
+    [5, 6]
+  );
 });
 
-test('tie timeout with expired winning slot closes without winner', async (t) => {
+test('WINNERS_PER_WEEK resolves a tie for the last seats one owner pick at a time', async (t) => {
   const harness = createHarness({
-    now: () => EXPIRED_NOW
+    now: () => NON_EXPIRED_NOW,
+    config: { winnersPerWeek: 2, requiredVoters: 3, tieBreakStrategy: 'latest' }
   });
   t.after(async () => {
     await harness.cleanup();
@@ -681,36 +2070,100 @@ test('tie timeout with expired winning slot closes without winner', async (t) =>
 
   await harness.bot.createWeeklyPollIfNeeded('integration');
   const activePoll = harness.bot.db.getActivePoll(harness.config.groupId);
-  assert.ok(activePoll);
-
-  await harness.bot.onVoteUpdate({
-    parentMessage: { id: activePoll.pollMessageId },
-    voter: '905551111111',
-    selectedOptions: [{ localId: 'opt-0' }]
-  });
-
-  await harness.bot.onVoteUpdate({
-    parentMessage: { id: activePoll.pollMessageId },
-    voter: '905552222222',
-    selectedOptions: [{ localId: 'opt-1' }]
-  });
+  await castVotes(harness, activePoll, [
+    ['905551111111', ['opt-0']],
+    ['905552222222', ['opt-1']],
+    ['905553333333', ['opt-2']]
+  ]);
 
   const tiePoll = harness.bot.db.getPollById(activePoll.id);
   assert.equal(tiePoll.status, 'TIE_PENDING');
+  assert.deepEqual(tiePoll.tieOptionIndices, [0, 1, 2]);
+  assert.deepEqual(tiePoll.winners, []);
+  assert.ok(
+    harness.chat.messages.some(
+      (message) =>
+        typeof message === 'string' && message.startsWith('Tie detected for 2 of 2 sessions.')
+    )
+  );
+
+  await harness.bot.handleManualPick(
+    { body: '!schedule pick 2', from: harness.config.groupId, author: harness.config.ownerJid },
+    '2'
+  );
+
+  const partlyPicked = harness.bot.db.getPollById(activePoll.id);
+  assert.equal(partlyPicked.status, 'TIE_PENDING');
+  assert.deepEqual(partlyPicked.winners, [{ optionIdx: 1, votes: 1 }]);
+  assert.deepEqual(partlyPicked.tieOptionIndices, [0, 2]);
+  assert.ok(harness.bot.tieTimers.has(activePoll.id));
+  assert.ok(
+    harness.chat.messages.includes(
+      `Session selected: ${activePoll.options[1].label}. Pick 1 more with !schedule pick <option_number>. Tied options: 1) ${activePoll.options[0].label} | 3) ${activePoll.options[2].label}`
+    )
+  );
+  assert.match(
+    harness.bot.buildStatusText(),
+    /^Tie pending \(2026-W10\)\nSelected: .+\nTied for 1 more: 1\) .+ \| 3\) /
+  );
 
   await harness.bot.handleTieTimeout(activePoll.id);
 
-  const latest = harness.bot.db.getPollById(activePoll.id);
-  assert.equal(latest.status, 'ANNOUNCED');
-  assert.equal(latest.winningOptionIdx, null);
-  assert.equal(latest.winnerVoteCount, 0);
+  const decided = harness.bot.db.getPollById(activePoll.id);
+  assert.equal(decided.status, 'ANNOUNCED');
+  assert.equal(decided.closeReason, 'tie-timeout');
+  assert.deepEqual(decided.winners, [
+    { optionIdx: 1, votes: 1 },
+    { optionIdx: 2, votes: 1 }
+  ]);
+  assert.equal(decided.tieBreakStrategy, 'latest');
+  assert.ok(
+    harness.chat.messages.includes(
+      `Weekly game sessions selected: ${activePoll.options[1].label} (1 vote) | ${activePoll.options[2].label} (1 vote). Tie broken by latest slot.`
+    )
+  );
+});
 
-  const groupTextMessages = harness.chat.messages.filter((message) => typeof message === 'string');
-  assert.ok(groupTextMessages.every((message) => !message.includes('Weekly game slot selected:')));
+test('WINNERS_PER_WEEK runoff only decides the seats left open by the tie', async (t) => {
+  const harness = createHarness({
+    now: () => NON_EXPIRED_NOW,
+    config: { winnersPerWeek: 2, requiredVoters: 3, runoffPollHours: 2 }
+  });
+  t.after(async () => {
+    await harness.cleanup();
+  });
 
-  const ownerMessages = harness.ownerChat.messages.filter((message) => typeof message === 'string');
+  await harness.bot.createWeeklyPollIfNeeded('integration');
+  const parentPoll = harness.bot.db.getActivePoll(harness.config.groupId);
+  await castVotes(harness, parentPoll, [
+    ['905551111111', ['opt-0', 'opt-1']],
+    ['905552222222', ['opt-0', 'opt-2']],
+    ['905553333333', ['opt-0']]
+  ]);
+
+  const tiePoll = harness.bot.db.getPollById(parentPoll.id);
+  assert.equal(tiePoll.status, 'TIE_PENDING');
+  assert.deepEqual(tiePoll.winners, [{ optionIdx: 0, votes: 3 }]);
+  assert.deepEqual(tiePoll.tieOptionIndices, [1, 2]);
+
+  await harness.bot.handleTieTimeout(parentPoll.id);
+
+  const runoffPoll = harness.bot.db.getRunoffPoll(parentPoll.id);
+  assert.equal(runoffPoll.question, 'Runoff (2026-W10): pick one of the tied slots');
+  await castVotes(harness, runoffPoll, [['905554444444', ['opt-1']]]);
+  await harness.bot.closePoll(runoffPoll.id, 'deadline');
+
+  const decided = harness.bot.db.getPollById(parentPoll.id);
+  assert.equal(decided.status, 'ANNOUNCED');
+  assert.equal(decided.closeReason, 'runoff');
+  assert.deepEqual(decided.winners, [
+    { optionIdx: 0, votes: 3 },
+    { optionIdx: 2, votes: 1 }
+  ]);
   assert.ok(
-    ownerMessages.some((message) => message.includes('closed without a winner announcement'))
+    harness.chat.messages.includes(
+      `Weekly game sessions selected: ${parentPoll.options[0].label} (3 votes) | ${parentPoll.options[2].label} (1 vote in the runoff).`
+    )
   );
 });
 
@@ -749,7 +2202,10 @@ test('manual tie pick can still announce an expired slot winner', async (t) => {
 
   const latest = harness.bot.db.getPollById(activePoll.id);
   assert.equal(latest.status, 'ANNOUNCED');
-  assert.equal(latest.winningOptionIdx, 0);
+  assert.deepEqual(
+    latest.winners.map((winner) => winner.optionIdx),
+    [0]
+  );
 
   const groupTextMessages = harness.chat.messages.filter((message) => typeof message === 'string');
   assert.ok(groupTextMessages.some((message) => message.includes('Weekly game slot selected:')));
@@ -830,3 +2286,344 @@ test('recoverPendingPolls schedules both close and tie timers', async (t) => {
   assert.ok(harness.bot.closeTimers.has(openPollId));
   assert.ok(harness.bot.tieTimers.has(tiePollId));
 });
+
+test('owner close command closes an open poll early and confirms in group', async (t) => {
+  const harness = createHarness({
+    now: () => NON_EXPIRED_NOW,
+    config: {
+      requiredVoters: 5
+    }
+  });
+  t.after(async () => {
+    await harness.cleanup();
+  });
+
+  await harness.bot.createWeeklyPollIfNeeded('integration');
+  const activePoll = harness.bot.db.getActivePoll(harness.config.groupId);
+
+  await harness.bot.onVoteUpdate({
+    parentMessage: { id: activePoll.pollMessageId },
+    voter: '905552222222',
+    selectedOptions: [{ localId: 'opt-1' }]
+  });
+
+  await harness.bot.onMessageCreate({
+    body: '!schedule close',
+    from: harness.config.groupId,
+    author: '905552222222@c.us'
+  });
+  assert.equal(harness.bot.db.getPollById(activePoll.id).status, 'OPEN');
+
+  await harness.bot.onMessageCreate({
+    body: '!schedule close',
+    from: harness.config.groupId,
+    author: harness.config.ownerJid
+  });
+
+  const latest = harness.bot.db.getPollById(activePoll.id);
+  assert.equal(latest.status, 'ANNOUNCED');
+  assert.equal(latest.closeReason, 'owner-close');
+  assert.deepEqual(
+    latest.winners.map((winner) => winner.optionIdx),
+    [1]
+  );
+  assert.equal(harness.bot.closeTimers.has(activePoll.id), false);
+
+  const textMessages = harness.chat.messages.filter((message) => typeof message === 'string');
+  assert.ok(textMessages.includes('Only the owner can close the poll.'));
+  const confirmationIndex = textMessages.indexOf('Poll closed early by the owner.');
+  const winnerIndex = textMessages.findIndex((message) =>
+    message.includes('Weekly game slot selected:')
+  );
+  assert.ok(confirmationIndex >= 0);
+  assert.ok(winnerIndex > confirmationIndex);
+});
+
+test('owner close commits its notice with an overdue deadline so recovery finishes a failed close', async (t) => {
+  const harness = createHarness({
+    now: () => NON_EXPIRED_NOW,
+    config: {
+      requiredVoters: 5
+    }
+  });
+  t.after(async () => {
+    await harness.cleanup();
+  });
+
+  await harness.bot.createWeeklyPollIfNeeded('integration');
+  const activePoll = harness.bot.db.getActivePoll(harness.config.groupId);
+  await castVotes(harness, activePoll, [['905552222222', ['opt-1']]]);
+
+  const summarizePoll = harness.bot.summarizePoll;
+  harness.bot.summarizePoll = () => {
+    throw new Error('simulated crash');
+  };
+  await assert.rejects(
+    harness.bot.handleOwnerClose({
+      body: '!schedule close',
+      from: harness.config.groupId,
+      author: harness.config.ownerJid
+    }),
+    /simulated crash/
+  );
+  harness.bot.summarizePoll = summarizePoll;
+
+  const interrupted = harness.bot.db.getPollById(activePoll.id);
+  assert.equal(interrupted.status, 'OPEN');
+  assert.equal(interrupted.closesAt, NON_EXPIRED_NOW);
+
+  harness.bot.recoverPendingPolls();
+  await waitForCondition(() => harness.bot.db.getPollById(activePoll.id).status === 'ANNOUNCED');
+
+  const textMessages = harness.chat.messages.filter((message) => typeof message === 'string');
+  assert.ok(textMessages.includes('Poll closed early by the owner.'));
+  assert.ok(textMessages.some((message) => message.includes('Weekly game slot selected:')));
+});
+
+test('owner extend command pushes the close deadline and reschedules the timer', async (t) => {
+  const harness = createHarness({
+    now: () => NON_EXPIRED_NOW
+  });
+  t.after(async () => {
+    await harness.cleanup();
+  });
+
+  await harness.bot.createWeeklyPollIfNeeded('integration');
+  const activePoll = harness.bot.db.getActivePoll(harness.config.groupId);
+
+  await harness.bot.onMessageCreate({
+    body: '!schedule extend 0',
+    from: harness.config.groupId,
+    author: harness.config.ownerJid
+  });
+  assert.equal(harness.bot.db.getPollById(activePoll.id).closesAt, activePoll.closesAt);
+
+  await harness.bot.onMessageCreate({
+    body: '!schedule extend 12',
+    from: harness.config.groupId,
+    author: harness.config.ownerJid
+  });
+
+  const latest = harness.bot.db.getPollById(activePoll.id);
+  assert.equal(latest.status, 'OPEN');
+  assert.equal(latest.closesAt, activePoll.closesAt + 12 * 60 * 60 * 1000);
+  assert.ok(harness.bot.closeTimers.has(activePoll.id));
+
+  const textMessages = harness.chat.messages.filter((message) => typeof message === 'string');
+  assert.ok(textMessages.some((message) => message.startsWith('Usage: !schedule extend <hours>')));
+  assert.ok(textMessages.some((message) => message.includes('Poll deadline extended by 12h')));
+});
+
+test('owner cancel command ends a tie-pending poll without a winner', async (t) => {
+  const harness = createHarness({
+    now: () => NON_EXPIRED_NOW
+  });
+  t.after(async () => {
+    await harness.cleanup();
+  });
+
+  await harness.bot.createWeeklyPollIfNeeded('integration');
+  const activePoll = harness.bot.db.getActivePoll(harness.config.groupId);
+
+  await harness.bot.onVoteUpdate({
+    parentMessage: { id: activePoll.pollMessageId },
+    voter: '905551111111',
+    selectedOptions: [{ localId: 'opt-0' }]
+  });
+  await harness.bot.onVoteUpdate({
+    parentMessage: { id: activePoll.pollMessageId },
+    voter: '905552222222',
+    selectedOptions: [{ localId: 'opt-1' }]
+  });
+  assert.equal(harness.bot.db.getPollById(activePoll.id).status, 'TIE_PENDING');
+
+  await harness.bot.onMessageCreate({
+    body: '!schedule cancel',
+    from: harness.config.groupId,
+    author: harness.config.ownerJid
+  });
+
+  const latest = harness.bot.db.getPollById(activePoll.id);
+  assert.equal(latest.status, 'ANNOUNCED');
+  assert.equal(latest.closeReason, 'owner-cancel');
+  assert.deepEqual(latest.winners, []);
+  assert.equal(harness.bot.tieTimers.has(activePoll.id), false);
+
+  const textMessages = harness.chat.messages.filter((message) => typeof message === 'string');
+  assert.ok(textMessages.some((message) => message.includes('was cancelled by the owner')));
+  assert.match(harness.bot.buildStatusText(), /Last poll was cancelled by the owner/);
+});
+
+test('vote reminders mention missing voters and survive a restart', async (t) => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'whatsapp-poller-reminder-test-'));
+  const chat = new FakeChat();
+  const managedBots = new Set();
+  let clockNow = NON_EXPIRED_NOW;
+
+  t.after(async () => {
+    for (const bot of managedBots) {
+      await bot.shutdown('test');
+    }
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  const config = createConfig(dataDir, {
+    requiredVoters: 5,
+    pollCloseHours: 48,
+    reminderHoursBeforeClose: [24, 4]
+  });
+
+  const first = createBotInstance(config, {
+    chat,
+    now: () => clockNow
+  });
+  managedBots.add(first.bot);
+
+  // A standing-availability auto vote is unconfirmed, so that voter is still reminded.
+  first.bot.db.setStandingAvailability({
+    groupId: config.groupId,
+    voterJid: '905554444444@c.us',
+    slotKeys: ['Fri 20:00'],
+    updatedAt: clockNow
+  });
+  await first.bot.createWeeklyPollIfNeeded('integration');
+  const activePoll = first.bot.db.getActivePoll(config.groupId);
+  assert.deepEqual(
+    first.bot.db.getVotesByPollId(activePoll.id).map((vote) => [vote.voterJid, vote.auto]),
+    [['905554444444@c.us', true]]
+  );
+  const pendingReminders = first.bot.db.listPendingReminders(config.groupId);
+  assert.deepEqual(
+    pendingReminders.map((reminder) => reminder.offsetHours),
+    [24, 4]
+  );
+  assert.equal(first.bot.reminderTimers.size, 2);
+
+  for (const voter of ['905551111111', '905552222222', '905553333333']) {
+    await first.bot.onVoteUpdate({
+      parentMessage: { id: activePoll.pollMessageId },
+      voter,
+      selectedOptions: [{ localId: 'opt-0' }]
+    });
+  }
+
+  await first.bot.shutdown('test');
+  managedBots.delete(first.bot);
+
+  clockNow = activePoll.closesAt - 24 * 60 * 60 * 1000 + 1000;
+
+  const second = createBotInstance(config, {
+    chat,
+    now: () => clockNow
+  });
+  managedBots.add(second.bot);
+
+  second.bot.recoverPendingPolls();
+  second.bot.recoverPendingReminders();
+
+  await waitForCondition(() => {
+    return chat.messages.some(
+      (message) => typeof message === 'string' && message.startsWith('Reminder:')
+    );
+  });
+
+  const reminderText = chat.messages.find(
+    (message) => typeof message === 'string' && message.startsWith('Reminder:')
+  );
+  assert.match(reminderText, /Still waiting on 2 voter\(s\): @905554444444 @905555555555/);
+  assert.deepEqual(chat.sentMentions, [['905554444444@c.us', '905555555555@c.us']]);
+
+  const remaining = second.bot.db.listPendingReminders(config.groupId);
+  assert.deepEqual(
+    remaining.map((reminder) => reminder.offsetHours),
+    [4]
+  );
+
+  await second.bot.closePoll(activePoll.id, 'deadline');
+  assert.equal(second.bot.db.listPendingReminders(config.groupId).length, 0);
+  assert.equal(second.bot.reminderTimers.size, 0);
+});
+
+test('game reminders follow the announced slot, survive restart, and are cancelled on replacement', async (t) => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'whatsapp-poller-game-reminder-test-'));
+  const chat = new FakeChat();
+  const managedBots = new Set();
+  let clockNow = NON_EXPIRED_NOW;
+
+  t.after(async () => {
+    for (const bot of managedBots) {
+      await bot.shutdown('test');
+    }
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  const config = createConfig(dataDir, {
+    gameReminderHoursBefore: [2, 48]
+  });
+
+  const first = createBotInstance(config, {
+    chat,
+    now: () => clockNow
+  });
+  managedBots.add(first.bot);
+
+  await first.bot.createWeeklyPollIfNeeded('integration');
+  const activePoll = first.bot.db.getActivePoll(config.groupId);
+
+  for (const voter of ['905551111111', '905552222222']) {
+    await first.bot.onVoteUpdate({
+      parentMessage: { id: activePoll.pollMessageId },
+      voter,
+      selectedOptions: [{ localId: 'opt-0' }]
+    });
+  }
+
+  const announced = first.bot.db.getPollById(activePoll.id);
+  assert.equal(announced.status, 'ANNOUNCED');
+  const slotStartsAt = DateTime.fromISO(announced.options[0].iso).toMillis();
+
+  const pending = first.bot.db.listPendingReminders(config.groupId);
+  assert.equal(pending.length, 1);
+  assert.equal(pending[0].kind, 'pre-game');
+  assert.equal(pending[0].remindAt, slotStartsAt - 2 * 60 * 60 * 1000);
+
+  await first.bot.shutdown('test');
+  managedBots.delete(first.bot);
+
+  clockNow = pending[0].remindAt + 1000;
+  const second = createBotInstance(config, {
+    chat,
+    now: () => clockNow
+  });
+  managedBots.add(second.bot);
+
+  second.bot.recoverPendingReminders();
+
+  await waitForCondition(() => {
+    return chat.messages.some(
+      (message) => typeof message === 'string' && message.startsWith('Game reminder:')
+    );
+  });
+  assert.ok(
+    chat.messages.includes(`Game reminder: ${announced.options[0].label} starts in about 2h.`)
+  );
+
+  second.bot.scheduleGameReminders(announced, announced.winners);
+  assert.equal(second.bot.db.listPendingReminders(config.groupId).length, 0);
+
+  clockNow = NON_EXPIRED_NOW;
+  second.bot.scheduleGameReminders(announced, announced.winners);
+  assert.equal(second.bot.db.listPendingReminders(config.groupId).length, 1);
+
+  await second.bot.createPollForWeek({
+    trigger: 'integration-replace',
+    weekYear: 2026,
+    weekNumber: 10,
+    weekKey: announced.weekKey,
+    replacePollId: announced.id
+  });
+
+  const remaining = second.bot.db.listPendingReminders(config.groupId);
+  assert.ok(remaining.every((reminder) => reminder.kind !== 'pre-game'));
+  assert.equal(second.bot.db.getReminderById(pending[0].id).status, 'SENT');
+});
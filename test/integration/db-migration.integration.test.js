@@ -5,7 +5,7 @@ const os = require('node:os');
 const path = require('node:path');
 const Database = require('better-sqlite3');
 
-const { PollDatabase } = require('../../src/db');
+const { PollDatabase, SCHEMA_VERSION, readSchemaVersion } = require('../../src/db');
 
 function createLegacyDatabase(dbPath) {
   const db = new Database(dbPath);
@@ -119,7 +119,215 @@ test('legacy polls uniqueness migrates to group-scoped indexes', () => {
   const poll = pollDb.getPollByWeekKey('1234567890-123456789@g.us', '2026-W08');
   assert.ok(poll);
   assert.equal(poll.pollMessageId, 'legacy-message-id');
+  assert.deepEqual(poll.winners, []);
+
+  const voteEventsForeignKeys = pollDb.db.prepare("PRAGMA foreign_key_list('vote_events')").all();
+  assert.deepEqual(
+    voteEventsForeignKeys.map((foreignKey) => foreignKey.table),
+    ['polls'],
+    'vote_events should reference the rebuilt polls table'
+  );
+
+  pollDb.upsertVote({
+    pollId: poll.id,
+    voterJid: '905551111111@c.us',
+    selectedOptions: [0],
+    updatedAt: 1
+  });
+  assert.equal(pollDb.listVoteEvents(poll.id).length, 1);
+  assert.equal(pollDb.getVotesByPollId(poll.id)[0].auto, false);
+
+  pollDb.upsertContactAlias({
+    aliasJid: '123456@lid',
+    phoneJid: '905551111111@c.us',
+    source: 'lookup',
+    seenAt: 1
+  });
+  assert.equal(pollDb.getContactAlias('123456@lid').phoneJid, '905551111111@c.us');
+
+  pollDb.createVoterAbsence({
+    groupId: 'group@g.us',
+    voterJid: '905551111111@c.us',
+    startsOn: '2026-03-02',
+    endsOn: '2026-03-08',
+    createdAt: 1
+  });
+  assert.equal(
+    pollDb.listVoterAbsences('group@g.us', { from: '2026-03-08', to: '2026-03-14' }).length,
+    1
+  );
+
+  pollDb.close();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test('single-winner columns from the last unversioned release migrate to a winners list', () => {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'whatsapp-poller-migration-'));
+  const dbPath = path.join(tempDir, 'polls.sqlite');
+  const legacyDb = new Database(dbPath);
+
+  legacyDb.exec(`
+    CREATE TABLE polls (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      group_id TEXT NOT NULL,
+      week_key TEXT NOT NULL,
+      poll_message_id TEXT NOT NULL,
+      question TEXT NOT NULL,
+      options_json TEXT NOT NULL,
+      status TEXT NOT NULL,
+      created_at INTEGER NOT NULL,
+      closes_at INTEGER NOT NULL,
+      closed_at INTEGER,
+      close_reason TEXT,
+      tie_deadline_at INTEGER,
+      tie_option_indices_json TEXT,
+      winning_option_idx INTEGER,
+      winner_vote_count INTEGER,
+      announced_at INTEGER
+    );
+
+    CREATE UNIQUE INDEX idx_polls_group_week_unique
+      ON polls(group_id, week_key);
+    CREATE UNIQUE INDEX idx_polls_group_message_unique
+      ON polls(group_id, poll_message_id);
+  `);
+
+  const insertPoll = legacyDb.prepare(`
+    INSERT INTO polls (
+      group_id,
+      week_key,
+      poll_message_id,
+      question,
+      options_json,
+      status,
+      created_at,
+      closes_at,
+      winning_option_idx,
+      winner_vote_count,
+      announced_at
+    ) VALUES (?, ?, ?, 'question', '[{"label":"Mon 20:00"},{"label":"Tue 20:00"}]', 'ANNOUNCED', 1, 2, ?, ?, 3)
+  `);
+  const winnerPollId = Number(
+    insertPoll.run('1234567890-123456789@g.us', '2026-W08', 'msg-winner', 1, 3).lastInsertRowid
+  );
+  const emptyPollId = Number(
+    insertPoll.run('1234567890-123456789@g.us', '2026-W09', 'msg-empty', null, 0).lastInsertRowid
+  );
+  legacyDb.close();
+
+  const pollDb = new PollDatabase(dbPath);
+  const pollColumns = pollDb.db
+    .prepare("PRAGMA table_info('polls')")
+    .all()
+    .map((column) => column.name);
+
+  assert.ok(pollColumns.includes('winners_json'));
+  assert.equal(pollColumns.includes('winning_option_idx'), false);
+  assert.equal(pollColumns.includes('winner_vote_count'), false);
+  assert.deepEqual(pollDb.getPollById(winnerPollId).winners, [{ optionIdx: 1, votes: 3 }]);
+  assert.deepEqual(pollDb.getPollById(emptyPollId).winners, []);
+  assert.match(
+    pollDb.db
+      .prepare("SELECT sql FROM sqlite_master WHERE name = 'idx_polls_group_week_unique'")
+      .get().sql,
+    /WHERE parent_poll_id IS NULL/
+  );
+
+  assert.deepEqual(
+    pollDb.listPastWinningPolls('1234567890-123456789@g.us', emptyPollId).map((poll) => poll.id),
+    [winnerPollId]
+  );
 
   pollDb.close();
+
+  const reopened = new PollDatabase(dbPath);
+  assert.deepEqual(reopened.getPollById(winnerPollId).winners, [{ optionIdx: 1, votes: 3 }]);
+  reopened.close();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test('schema migrations run once, are recorded, and refuse a newer database', () => {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'whatsapp-poller-migration-'));
+  const dbPath = path.join(tempDir, 'polls.sqlite');
+  const legacyPath = path.join(tempDir, 'legacy.sqlite');
+
+  assert.equal(readSchemaVersion(dbPath), null);
+
+  const fresh = new PollDatabase(dbPath);
+  assert.equal(fresh.getSchemaVersion(), SCHEMA_VERSION);
+  assert.deepEqual(
+    fresh.db
+      .prepare('SELECT version, name FROM schema_migrations ORDER BY version')
+      .all()
+      .map((row) => [row.version, row.name]),
+    [
+      [1, 'group-scoped-poll-uniqueness'],
+      [2, 'released-schema'],
+      [3, 'reminders'],
+      [4, 'tie-break-strategies'],
+      [5, 'runoff-polls'],
+      [6, 'winner-list'],
+      [7, 'vote-events'],
+      [8, 'contact-aliases'],
+      [9, 'voter-absences'],
+      [10, 'standing-availability'],
+      [11, 'poll-vote-aggregates']
+    ]
+  );
+  fresh.close();
+  assert.equal(readSchemaVersion(dbPath), SCHEMA_VERSION);
+
+  const reopened = new PollDatabase(dbPath);
+  assert.equal(
+    reopened.db.prepare('SELECT COUNT(*) AS count FROM schema_migrations').get().count,
+    SCHEMA_VERSION
+  );
+  reopened.db
+    .prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)')
+    .run(SCHEMA_VERSION + 1, 'from-the-future', 1);
+  reopened.close();
+
+  assert.equal(readSchemaVersion(dbPath), SCHEMA_VERSION + 1);
+  assert.throws(
+    () => new PollDatabase(dbPath),
+    new RegExp(`schema version ${SCHEMA_VERSION + 1} is newer than this release supports`)
+  );
+
+  createLegacyDatabase(legacyPath);
+  assert.equal(readSchemaVersion(legacyPath), 0);
+  const migrated = new PollDatabase(legacyPath);
+  assert.equal(migrated.getSchemaVersion(), SCHEMA_VERSION);
+  migrated.close();
+
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test('fresh and migrated legacy databases end up with the same tables and columns', () => {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'whatsapp-poller-migration-'));
+  const freshPath = path.join(tempDir, 'fresh.sqlite');
+  const legacyPath = path.join(tempDir, 'legacy.sqlite');
+  createLegacyDatabase(legacyPath);
+
+  const describeSchema = (dbPath) => {
+    const pollDb = new PollDatabase(dbPath);
+    try {
+      return pollDb.db
+        .prepare(
+          "SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name"
+        )
+        .all()
+        .map(({ name }) => [
+          name,
+          pollDb.db
+            .prepare(`PRAGMA table_info('${name}')`)
+            .all()
+            .map((column) => `${column.name} ${column.type} ${column.notnull}`)
+        ]);
+    } finally {
+      pollDb.close();
+    }
+  };
+
+  assert.deepEqual(describeSchema(legacyPath), describeSchema(freshPath));
   fs.rmSync(tempDir, { recursive: true, force: true });
 });
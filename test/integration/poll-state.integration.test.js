@@ -0,0 +1,173 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const { PollDatabase } = require('../../src/db');
+const { IllegalPollTransitionError, PollNotFoundError } = require('../../src/poll-state');
+
+const GROUP_ID = '1234567890-123456789@g.us';
+
+function createPollDb(t) {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'whatsapp-poller-poll-state-'));
+  const pollDb = new PollDatabase(path.join(tempDir, 'polls.sqlite'));
+  t.after(() => {
+    pollDb.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+  return pollDb;
+}
+
+function createOpenPoll(pollDb, weekKey = '2026-W10') {
+  const now = Date.now();
+  const pollId = pollDb.createPollIntent({
+    groupId: GROUP_ID,
+    weekKey,
+    pollMessageId: `creating:${weekKey}`,
+    question: 'q',
+    options: [{ label: 'Mon' }, { label: 'Tue' }],
+    createdAt: now,
+    closesAt: now + 3600000
+  });
+
+  pollDb.finalizePollCreation({
+    pollId,
+    pollMessageId: `msg:${weekKey}`,
+    question: 'q',
+    options: [
+      { label: 'Mon', localId: '0' },
+      { label: 'Tue', localId: '1' }
+    ],
+    createdAt: now,
+    closesAt: now + 3600000
+  });
+
+  return pollId;
+}
+
+test('poll status writes reject announcing the same poll twice', (t) => {
+  const pollDb = createPollDb(t);
+  const pollId = createOpenPoll(pollDb);
+  const announcedAt = Date.now();
+
+  pollDb.setAnnounced({
+    pollId,
+    closeReason: 'quorum',
+    announcedAt,
+    winners: [{ optionIdx: 0, label: 'Mon', votes: 2 }]
+  });
+
+  assert.throws(
+    () =>
+      pollDb.setAnnouncedWithOutbox({
+        pollId,
+        closeReason: 'owner-close',
+        announcedAt: announcedAt + 1,
+        winners: [{ optionIdx: 1, label: 'Tue', votes: 2 }],
+        outboxMessage: {
+          groupId: GROUP_ID,
+          payload: { kind: 'group-text', text: 'second announcement' },
+          maxAttempts: 3,
+          createdAt: announcedAt + 1,
+          nextRetryAt: announcedAt + 1
+        }
+      }),
+    IllegalPollTransitionError
+  );
+  assert.throws(
+    () =>
+      pollDb.setTiePending({
+        pollId,
+        closeReason: 'deadline',
+        closedAt: announcedAt,
+        tieDeadlineAt: announcedAt + 1000,
+        tieOptionIndices: [0, 1]
+      }),
+    IllegalPollTransitionError
+  );
+
+  const poll = pollDb.getPollById(pollId);
+  assert.equal(poll.status, 'ANNOUNCED');
+  assert.equal(poll.closeReason, 'quorum');
+  assert.deepEqual(
+    poll.winners.map((winner) => winner.optionIdx),
+    [0]
+  );
+  assert.deepEqual(pollDb.listOutboxMessages(GROUP_ID), []);
+});
+
+test('poll status writes follow the runoff and replacement transitions', (t) => {
+  const pollDb = createPollDb(t);
+  const pollId = createOpenPoll(pollDb);
+  const now = Date.now();
+
+  assert.throws(
+    () =>
+      pollDb.finalizePollCreation({
+        pollId,
+        pollMessageId: 'again',
+        question: 'q',
+        options: [],
+        createdAt: now,
+        closesAt: now
+      }),
+    IllegalPollTransitionError
+  );
+
+  pollDb.setTiePending({
+    pollId,
+    closeReason: 'deadline',
+    closedAt: now,
+    tieDeadlineAt: now + 1000,
+    tieOptionIndices: [0, 1]
+  });
+
+  const runoffPollId = pollDb.createPollIntent({
+    groupId: GROUP_ID,
+    weekKey: '2026-W10-runoff',
+    pollMessageId: 'creating:runoff',
+    question: 'runoff',
+    options: [{ label: 'Mon' }, { label: 'Tue' }],
+    createdAt: now,
+    closesAt: now + 1000,
+    parentPollId: pollId
+  });
+  pollDb.finalizeRunoffCreation({
+    pollId: runoffPollId,
+    parentPollId: pollId,
+    pollMessageId: 'msg:runoff',
+    question: 'runoff',
+    options: [
+      { label: 'Mon', localId: '0' },
+      { label: 'Tue', localId: '1' }
+    ],
+    createdAt: now,
+    closesAt: now + 1000
+  });
+
+  assert.equal(pollDb.getPollById(pollId).status, 'RUNOFF_PENDING');
+  assert.equal(pollDb.getPollById(runoffPollId).status, 'OPEN');
+
+  pollDb.setAnnounced({ pollId, closeReason: 'runoff', announcedAt: now, winners: [] });
+  pollDb.replacePollInPlace({
+    pollId,
+    pollMessageId: 'msg:replacement',
+    question: 'q',
+    options: [{ label: 'Wed', localId: '0' }],
+    createdAt: now,
+    closesAt: now + 3600000
+  });
+
+  assert.equal(pollDb.getPollById(pollId).status, 'OPEN');
+  assert.equal(pollDb.getPollById(runoffPollId), null);
+
+  assert.throws(
+    () => pollDb.markPollSendFailed({ pollId, errorMessage: 'late failure' }),
+    IllegalPollTransitionError
+  );
+  assert.throws(
+    () => pollDb.setAnnounced({ pollId: 999, closeReason: 'quorum', announcedAt: now }),
+    PollNotFoundError
+  );
+});
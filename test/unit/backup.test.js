@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const {
+  checkDatabaseFile,
+  createBackup,
+  listBackups,
+  pruneBackups,
+  restoreBackup
+} = require('../../src/backup');
+const { PollDatabase, SCHEMA_VERSION } = require('../../src/db');
+const { TEST_GROUP_ID, createPollDb, createTempDir, insertPoll } = require('../helpers/poll-db');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 9, 18, 12, 0, 0);
+
+test('createBackup writes a 0600 single-file snapshot of a live database', async (t) => {
+  const { pollDb, tempDir } = createPollDb(t);
+  const backupDir = path.join(tempDir, 'backups');
+  insertPoll(pollDb, '2026-W42');
+
+  let partialMode = null;
+  const result = await createBackup({
+    source: {
+      backup: (partialPath) => {
+        partialMode = fs.statSync(partialPath).mode & 0o777;
+        return pollDb.db.backup(partialPath);
+      }
+    },
+    backupDir,
+    retentionCount: 5,
+    now: NOW
+  });
+
+  assert.equal(partialMode, 0o600);
+  assert.equal(path.basename(result.path), 'polls-20261018T120000000Z.sqlite');
+  assert.equal(fs.statSync(result.path).mode & 0o777, 0o600);
+  assert.equal(fs.statSync(backupDir).mode & 0o777, 0o700);
+  assert.deepEqual(fs.readdirSync(backupDir), ['polls-20261018T120000000Z.sqlite']);
+  assert.deepEqual(checkDatabaseFile(result.path), {
+    ok: true,
+    problems: [],
+    schemaVersion: SCHEMA_VERSION
+  });
+});
+
+test('pruneBackups keeps the newest snapshots by count and age', (t) => {
+  const backupDir = createTempDir(t);
+  const names = [0, 1, 2, 10, 40].map(
+    (daysAgo) =>
+      `polls-${new Date(NOW - daysAgo * DAY_MS).toISOString().replace(/[-:.]/g, '')}.sqlite`
+  );
+  for (const name of [...names, 'notes.txt']) {
+    fs.writeFileSync(path.join(backupDir, name), '');
+  }
+
+  assert.equal(listBackups(backupDir).length, 5);
+
+  const prunedByAge = pruneBackups(backupDir, { retentionCount: 10, retentionDays: 7, now: NOW });
+  assert.deepEqual(
+    prunedByAge.map((filePath) => path.basename(filePath)),
+    names.slice(3)
+  );
+
+  const prunedByCount = pruneBackups(backupDir, { retentionCount: 2, now: NOW });
+  assert.deepEqual(
+    prunedByCount.map((filePath) => path.basename(filePath)),
+    [names[2]]
+  );
+  assert.deepEqual(
+    listBackups(backupDir).map((backup) => backup.fileName),
+    names.slice(0, 2)
+  );
+
+  const keepsNewest = pruneBackups(backupDir, {
+    retentionCount: 1,
+    retentionDays: 1,
+    now: NOW + 90 * DAY_MS
+  });
+  assert.deepEqual(
+    keepsNewest.map((filePath) => path.basename(filePath)),
+    [names[1]]
+  );
+  assert.ok(fs.existsSync(path.join(backupDir, 'notes.txt')));
+});
+
+test('restoreBackup swaps in a verified snapshot and keeps the previous database', async (t) => {
+  const { pollDb, tempDir, dbPath } = createPollDb(t);
+  const backupDir = path.join(tempDir, 'backups');
+
+  insertPoll(pollDb, '2026-W42');
+  const { path: backupPath } = await createBackup({
+    source: pollDb.db,
+    backupDir,
+    retentionCount: 5,
+    now: NOW
+  });
+  insertPoll(pollDb, '2026-W43');
+
+  assert.throws(
+    () => restoreBackup({ backupPath, dbPath, now: NOW }),
+    /is in use, probably by the running bot/
+  );
+  assert.ok(!fs.existsSync(`${dbPath}.restoring`));
+  pollDb.close();
+
+  const corruptPath = path.join(backupDir, 'corrupt.sqlite');
+  fs.writeFileSync(corruptPath, 'not a database');
+  assert.throws(
+    () => restoreBackup({ backupPath: corruptPath, dbPath, now: NOW }),
+    /The live database was not changed/
+  );
+  assert.ok(!fs.existsSync(`${dbPath}.restoring`));
+
+  const result = restoreBackup({ backupPath, dbPath, now: NOW });
+  assert.equal(result.previousPath, `${dbPath}.pre-restore-20261018T120000000Z`);
+  assert.equal(fs.statSync(dbPath).mode & 0o777, 0o600);
+
+  const restored = new PollDatabase(dbPath);
+  t.after(() => restored.close());
+  assert.ok(restored.getPollByWeekKey(TEST_GROUP_ID, '2026-W42'));
+  assert.equal(restored.getPollByWeekKey(TEST_GROUP_ID, '2026-W43'), null);
+
+  const previous = new PollDatabase(result.previousPath);
+  t.after(() => previous.close());
+  assert.ok(previous.getPollByWeekKey(TEST_GROUP_ID, '2026-W43'));
+});
@@ -60,3 +60,114 @@ test('onMessageCreate routes commands through the command service boundary', asy
     { type: 'send', text: 'help-text' }
   ]);
 });
+
+test('onMessageCreate routes owner poll-control commands', async () => {
+  const calls = [];
+  const bot = createBot({
+    handleOwnerClose: async () => {
+      calls.push({ type: 'close' });
+    },
+    handleOwnerExtend: async (_message, hoursRaw) => {
+      calls.push({ type: 'extend', hoursRaw });
+    },
+    handleOwnerCancel: async () => {
+      calls.push({ type: 'cancel' });
+    }
+  });
+
+  for (const body of ['!schedule close', '!schedule extend 12', '!schedule CANCEL']) {
+    await onMessageCreate(bot, {
+      body,
+      from: bot.config.groupId,
+      author: '905551111111'
+    });
+  }
+
+  assert.deepEqual(calls, [
+    { type: 'close' },
+    { type: 'extend', hoursRaw: '12' },
+    { type: 'cancel' }
+  ]);
+});
+
+test('onMessageCreate routes text vote, alias, away, standing and forget commands with their arguments', async () => {
+  const calls = [];
+  const bot = createBot({
+    handleTextVote: async (_message, args) => {
+      calls.push({ type: 'vote', args });
+    },
+    handleOwnerAlias: async (_message, args) => {
+      calls.push({ type: 'alias', args });
+    },
+    handleAwayCommand: async (_message, args) => {
+      calls.push({ type: 'away', args });
+    },
+    handleBackCommand: async () => {
+      calls.push({ type: 'back' });
+    },
+    handleStandingAvailability: async (_message, args) => {
+      calls.push({ type: 'standing', args });
+    },
+    handleOwnerForget: async (_message, args) => {
+      calls.push({ type: 'forget', args });
+    }
+  });
+
+  for (const body of [
+    '!schedule vote 1 3,5',
+    '!schedule vote none',
+    '!schedule alias set 123 905552222222',
+    '!schedule away 2026-11-01..2026-11-10',
+    '!schedule back',
+    '!schedule standing Fri 20:00, Sat 15:00',
+    '!schedule forget +90 555 333 3333'
+  ]) {
+    await onMessageCreate(bot, {
+      body,
+      from: bot.config.groupId,
+      author: '905551111111'
+    });
+  }
+
+  assert.deepEqual(calls, [
+    { type: 'vote', args: ['1', '3,5'] },
+    { type: 'vote', args: ['none'] },
+    { type: 'alias', args: ['set', '123', '905552222222'] },
+    { type: 'away', args: ['2026-11-01..2026-11-10'] },
+    { type: 'back' },
+    { type: 'standing', args: ['Fri', '20:00,', 'Sat', '15:00'] },
+    { type: 'forget', args: ['+90', '555', '333', '3333'] }
+  ]);
+});
+
+test('onMessageCreate accepts long vote and standing lists but drops other long commands', async () => {
+  const calls = [];
+  const bot = createBot({
+    handleTextVote: async (_message, args) => {
+      calls.push({ type: 'vote', args });
+    },
+    handleStandingAvailability: async (_message, args) => {
+      calls.push({ type: 'standing', args });
+    },
+    handleOwnerExtend: async (_message, hoursRaw) => {
+      calls.push({ type: 'extend', hoursRaw });
+    }
+  });
+
+  for (const body of [
+    '!schedule vote 1 2 3 4 5',
+    '!schedule standing Fri 20:00, Sat 15:00, Sun 15:00',
+    '!schedule extend 1 2 3 4 5'
+  ]) {
+    await onMessageCreate(bot, {
+      body,
+      from: bot.config.groupId,
+      author: '905551111111'
+    });
+  }
+
+  assert.deepEqual(calls, [
+    { type: 'vote', args: ['1', '2', '3', '4', '5'] },
+    { type: 'standing', args: ['Fri', '20:00,', 'Sat', '15:00,', 'Sun', '15:00'] }
+  ]);
+});
@@ -4,7 +4,13 @@ const fs = require('node:fs');
 const os = require('node:os');
 const path = require('node:path');
 
-const { loadClientRuntimeConfig, loadConfig, normalizeJid } = require('../../src/config');
+const {
+  loadBackupConfig,
+  loadClientRuntimeConfig,
+  loadExportConfig,
+  loadConfig,
+  normalizeJid
+} = require('../../src/config');
 
 function withEnv(overrides, fn) {
   const previous = {};
@@ -307,3 +313,387 @@ test('loadConfig rejects out-of-range weekday in SLOT_TEMPLATE_JSON', () => {
     }
   );
 });
+
+test('loadConfig parses REMINDER_HOURS_BEFORE_CLOSE into sorted unique offsets', () => {
+  withEnv(
+    {
+      ...baseEnv,
+      POLL_CLOSE_HOURS: '48',
+      REMINDER_HOURS_BEFORE_CLOSE: '4, 24,4'
+    },
+    () => {
+      const config = loadConfig();
+
+      assert.deepEqual(config.reminderHoursBeforeClose, [24, 4]);
+    }
+  );
+
+  withEnv({ ...baseEnv, REMINDER_HOURS_BEFORE_CLOSE: undefined }, () => {
+    assert.deepEqual(loadConfig().reminderHoursBeforeClose, []);
+  });
+});
+
+test('loadConfig rejects invalid REMINDER_HOURS_BEFORE_CLOSE values', () => {
+  withEnv(
+    {
+      ...baseEnv,
+      REMINDER_HOURS_BEFORE_CLOSE: '24,0'
+    },
+    () => {
+      assert.throws(() => loadConfig(), /comma-separated list of integers >= 1/);
+    }
+  );
+
+  withEnv(
+    {
+      ...baseEnv,
+      POLL_CLOSE_HOURS: '24',
+      REMINDER_HOURS_BEFORE_CLOSE: '24'
+    },
+    () => {
+      assert.throws(() => loadConfig(), /must be lower than POLL_CLOSE_HOURS/);
+    }
+  );
+});
+
+test('loadConfig parses GAME_REMINDER_HOURS_BEFORE offsets', () => {
+  withEnv(
+    {
+      ...baseEnv,
+      GAME_REMINDER_HOURS_BEFORE: '2,24'
+    },
+    () => {
+      assert.deepEqual(loadConfig().gameReminderHoursBefore, [24, 2]);
+    }
+  );
+
+  withEnv(
+    {
+      ...baseEnv,
+      GAME_REMINDER_HOURS_BEFORE: 'soon'
+    },
+    () => {
+      assert.throws(
+        () => loadConfig(),
+        /GAME_REMINDER_HOURS_BEFORE must be a comma-separated list/
+      );
+    }
+  );
+});
+
+test('loadConfig defaults TIE_BREAK_STRATEGY to earliest and parses owner preference', () => {
+  withEnv({ ...baseEnv, TIE_BREAK_STRATEGY: undefined, TIE_BREAK_PREFERENCE: undefined }, () => {
+    const config = loadConfig();
+
+    assert.equal(config.tieBreakStrategy, 'earliest');
+    assert.deepEqual(config.tieBreakPreference, []);
+  });
+
+  withEnv(
+    {
+      ...baseEnv,
+      TIE_BREAK_STRATEGY: 'Owner-Preference',
+      TIE_BREAK_PREFERENCE: 'sat 15:00, Fri 20:00'
+    },
+    () => {
+      const config = loadConfig();
+
+      assert.equal(config.tieBreakStrategy, 'owner-preference');
+      assert.deepEqual(config.tieBreakPreference, [
+        { weekday: 6, hour: 15, minute: 0 },
+        { weekday: 5, hour: 20, minute: 0 }
+      ]);
+    }
+  );
+});
+
+test('loadConfig rejects invalid tie-break settings', () => {
+  withEnv({ ...baseEnv, TIE_BREAK_STRATEGY: 'coin-flip' }, () => {
+    assert.throws(() => loadConfig(), /TIE_BREAK_STRATEGY must be one of/);
+  });
+
+  withEnv(
+    { ...baseEnv, TIE_BREAK_STRATEGY: 'owner-preference', TIE_BREAK_PREFERENCE: undefined },
+    () => {
+      assert.throws(() => loadConfig(), /TIE_BREAK_PREFERENCE is required/);
+    }
+  );
+
+  withEnv({ ...baseEnv, TIE_BREAK_PREFERENCE: 'Saturday 3pm' }, () => {
+    assert.throws(() => loadConfig(), /TIE_BREAK_PREFERENCE entries must look like "Sat 15:00"/);
+  });
+});
+
+test('loadConfig parses RUNOFF_POLL_HOURS and keeps runoffs disabled by default', () => {
+  withEnv({ ...baseEnv, RUNOFF_POLL_HOURS: undefined }, () => {
+    assert.equal(loadConfig().runoffPollHours, 0);
+  });
+
+  withEnv({ ...baseEnv, RUNOFF_POLL_HOURS: '3' }, () => {
+    assert.equal(loadConfig().runoffPollHours, 3);
+  });
+
+  withEnv({ ...baseEnv, RUNOFF_POLL_HOURS: '-1' }, () => {
+    assert.throws(() => loadConfig(), /RUNOFF_POLL_HOURS must be >= 0/);
+  });
+});
+
+test('loadConfig parses MIN_WINNER_VOTES and its owner DM toggle', () => {
+  withEnv({ ...baseEnv, MIN_WINNER_VOTES: undefined, MIN_WINNER_VOTES_OWNER_DM: undefined }, () => {
+    const config = loadConfig();
+
+    assert.equal(config.minWinnerVotes, 1);
+    assert.equal(config.minWinnerVotesOwnerDm, false);
+  });
+
+  withEnv({ ...baseEnv, MIN_WINNER_VOTES: '3', MIN_WINNER_VOTES_OWNER_DM: 'yes' }, () => {
+    const config = loadConfig();
+
+    assert.equal(config.minWinnerVotes, 3);
+    assert.equal(config.minWinnerVotesOwnerDm, true);
+  });
+
+  withEnv({ ...baseEnv, MIN_WINNER_VOTES: '0' }, () => {
+    assert.throws(() => loadConfig(), /MIN_WINNER_VOTES must be >= 1/);
+  });
+
+  withEnv({ ...baseEnv, MIN_WINNER_VOTES: '6' }, () => {
+    assert.throws(() => loadConfig(), /MIN_WINNER_VOTES cannot be greater than ALLOWED_VOTERS/);
+  });
+});
+
+test('loadConfig parses CLOSE_WHEN_DECIDED as an opt-in toggle', () => {
+  withEnv({ ...baseEnv, CLOSE_WHEN_DECIDED: undefined }, () => {
+    assert.equal(loadConfig().closeWhenDecided, false);
+  });
+
+  withEnv({ ...baseEnv, CLOSE_WHEN_DECIDED: 'on' }, () => {
+    assert.equal(loadConfig().closeWhenDecided, true);
+  });
+
+  withEnv({ ...baseEnv, CLOSE_WHEN_DECIDED: 'sometimes' }, () => {
+    assert.throws(() => loadConfig(), /CLOSE_WHEN_DECIDED/);
+  });
+});
+
+test('loadConfig validates WINNERS_PER_WEEK against the slot template', () => {
+  withEnv({ ...baseEnv, WINNERS_PER_WEEK: undefined }, () => {
+    assert.equal(loadConfig().winnersPerWeek, 1);
+  });
+
+  withEnv({ ...baseEnv, WINNERS_PER_WEEK: '2' }, () => {
+    assert.equal(loadConfig().winnersPerWeek, 2);
+  });
+
+  withEnv({ ...baseEnv, WINNERS_PER_WEEK: '0' }, () => {
+    assert.throws(() => loadConfig(), /WINNERS_PER_WEEK must be >= 1/);
+  });
+
+  withEnv(
+    {
+      ...baseEnv,
+      WINNERS_PER_WEEK: '3',
+      SLOT_TEMPLATE_JSON: JSON.stringify([
+        { weekday: 2, hour: 19, minute: 30 },
+        { weekday: 6, hour: 11, minute: 0 }
+      ])
+    },
+    () => {
+      assert.throws(
+        () => loadConfig(),
+        /WINNERS_PER_WEEK cannot be greater than the number of slots in the template/
+      );
+    }
+  );
+});
+
+test('loadConfig validates EXPIRED_WINNER_FALLBACK settings', () => {
+  withEnv(
+    {
+      ...baseEnv,
+      EXPIRED_WINNER_FALLBACK: undefined,
+      EXPIRED_WINNER_FALLBACK_MIN_VOTES: undefined
+    },
+    () => {
+      const config = loadConfig();
+      assert.equal(config.expiredWinnerFallback, 'none');
+      assert.equal(config.expiredWinnerFallbackMinVotes, 1);
+    }
+  );
+
+  withEnv(
+    { ...baseEnv, EXPIRED_WINNER_FALLBACK: 'Next-Best', EXPIRED_WINNER_FALLBACK_MIN_VOTES: '2' },
+    () => {
+      const config = loadConfig();
+      assert.equal(config.expiredWinnerFallback, 'next-best');
+      assert.equal(config.expiredWinnerFallbackMinVotes, 2);
+    }
+  );
+
+  withEnv({ ...baseEnv, EXPIRED_WINNER_FALLBACK: 'skip' }, () => {
+    assert.throws(() => loadConfig(), /EXPIRED_WINNER_FALLBACK must be one of: none, next-best/);
+  });
+
+  withEnv({ ...baseEnv, EXPIRED_WINNER_FALLBACK_MIN_VOTES: '0' }, () => {
+    assert.throws(() => loadConfig(), /EXPIRED_WINNER_FALLBACK_MIN_VOTES must be >= 1/);
+  });
+});
+
+test('loadConfig validates VOTE_EVALUATION_DEBOUNCE_MS', () => {
+  withEnv({ ...baseEnv, VOTE_EVALUATION_DEBOUNCE_MS: undefined }, () => {
+    assert.equal(loadConfig().voteEvaluationDebounceMs, 0);
+  });
+
+  withEnv({ ...baseEnv, VOTE_EVALUATION_DEBOUNCE_MS: '1500' }, () => {
+    assert.equal(loadConfig().voteEvaluationDebounceMs, 1500);
+  });
+
+  for (const value of ['-1', '60001']) {
+    withEnv({ ...baseEnv, VOTE_EVALUATION_DEBOUNCE_MS: value }, () => {
+      assert.throws(() => loadConfig(), /VOTE_EVALUATION_DEBOUNCE_MS must be between 0 and 60000/);
+    });
+  }
+});
+
+test('loadConfig reads backup settings with defaults under DATA_DIR', () => {
+  withEnv({ ...baseEnv, DATA_DIR: '/tmp/poller-data', BACKUP_DIR: undefined }, () => {
+    const config = loadConfig();
+    assert.equal(config.backupDir, path.join('/tmp/poller-data', 'backups'));
+    assert.equal(config.backupRetentionCount, 14);
+    assert.equal(config.backupRetentionDays, 0);
+    assert.equal(config.backupAfterAnnouncement, false);
+  });
+
+  withEnv(
+    {
+      ...baseEnv,
+      BACKUP_DIR: '/tmp/poller-backups',
+      BACKUP_RETENTION_COUNT: '3',
+      BACKUP_RETENTION_DAYS: '30',
+      BACKUP_AFTER_ANNOUNCEMENT: 'true'
+    },
+    () => {
+      assert.deepEqual(loadBackupConfig(), {
+        dataDir: loadConfig().dataDir,
+        backupDir: '/tmp/poller-backups',
+        backupRetentionCount: 3,
+        backupRetentionDays: 30,
+        backupAfterAnnouncement: true
+      });
+    }
+  );
+
+  withEnv({ ...baseEnv, BACKUP_RETENTION_COUNT: '0' }, () => {
+    assert.throws(() => loadConfig(), /BACKUP_RETENTION_COUNT must be between 1 and 1000/);
+  });
+
+  withEnv({ ...baseEnv, BACKUP_RETENTION_DAYS: '-1' }, () => {
+    assert.throws(() => loadConfig(), /BACKUP_RETENTION_DAYS must be between 0 and 3650/);
+  });
+});
+
+test('loadConfig parses retention weeks and the maintenance schedule', () => {
+  withEnv({ ...baseEnv }, () => {
+    const config = loadConfig();
+    assert.equal(config.voteRetentionWeeks, 0);
+    assert.equal(config.voteEventRetentionWeeks, 0);
+    assert.equal(config.outboxRetentionWeeks, 0);
+    assert.equal(config.maintenanceCron, '30 4 * * *');
+  });
+
+  withEnv(
+    {
+      ...baseEnv,
+      VOTE_RETENTION_WEEKS: '52',
+      VOTE_EVENT_RETENTION_WEEKS: '12',
+      OUTBOX_RETENTION_WEEKS: '4',
+      MAINTENANCE_CRON: '0 3 * * *'
+    },
+    () => {
+      const config = loadConfig();
+      assert.equal(config.voteRetentionWeeks, 52);
+      assert.equal(config.voteEventRetentionWeeks, 12);
+      assert.equal(config.outboxRetentionWeeks, 4);
+      assert.equal(config.maintenanceCron, '0 3 * * *');
+    }
+  );
+
+  withEnv({ ...baseEnv, MAINTENANCE_CRON: 'daily' }, () => {
+    assert.throws(() => loadConfig(), /Invalid cron expression for MAINTENANCE_CRON: daily/);
+  });
+
+  withEnv({ ...baseEnv, OUTBOX_RETENTION_WEEKS: '521' }, () => {
+    assert.throws(() => loadConfig(), /OUTBOX_RETENTION_WEEKS must be between 0 and 520/);
+  });
+});
+
+test('loadExportConfig only needs GROUP_ID and follows LOG_REDACT_SENSITIVE', () => {
+  withEnv(
+    {
+      GROUP_ID: baseEnv.GROUP_ID,
+      OWNER_PHONE: undefined,
+      ALLOWED_VOTERS: undefined,
+      LOG_REDACT_SENSITIVE: 'false'
+    },
+    () => {
+      assert.deepEqual(loadExportConfig(), {
+        groupId: baseEnv.GROUP_ID,
+        dataDir: loadClientRuntimeConfig().dataDir,
+        logRedactSensitive: false
+      });
+    }
+  );
+
+  withEnv({ GROUP_ID: 'not-a-group' }, () => {
+    assert.throws(() => loadExportConfig(), /GROUP_ID must be a WhatsApp group JID/);
+  });
+});
+
+test('loadConfig validates VOTE_RECONCILE_INTERVAL_MINUTES', () => {
+  withEnv({ ...baseEnv, VOTE_RECONCILE_INTERVAL_MINUTES: undefined }, () => {
+    assert.equal(loadConfig().voteReconcileIntervalMinutes, 0);
+  });
+
+  withEnv({ ...baseEnv, VOTE_RECONCILE_INTERVAL_MINUTES: '15' }, () => {
+    assert.equal(loadConfig().voteReconcileIntervalMinutes, 15);
+  });
+
+  withEnv({ ...baseEnv, VOTE_RECONCILE_INTERVAL_MINUTES: '-1' }, () => {
+    assert.throws(() => loadConfig(), /VOTE_RECONCILE_INTERVAL_MINUTES must be >= 0/);
+  });
+});
+
+test('loadConfig validates QUORUM_MODE and QUORUM_PERCENT', () => {
+  withEnv({ ...baseEnv, QUORUM_MODE: undefined, QUORUM_PERCENT: undefined }, () => {
+    const config = loadConfig();
+
+    assert.equal(config.quorumMode, 'count');
+    assert.equal(config.quorumPercent, null);
+  });
+
+  withEnv(
+    { ...baseEnv, QUORUM_MODE: 'percent', QUORUM_PERCENT: '60', REQUIRED_VOTERS: '9' },
+    () => {
+      const config = loadConfig();
+
+      assert.equal(config.quorumMode, 'percent');
+      assert.equal(config.quorumPercent, 60);
+    }
+  );
+
+  withEnv({ ...baseEnv, QUORUM_MODE: 'all', REQUIRED_VOTERS: '9' }, () => {
+    assert.equal(loadConfig().quorumMode, 'all');
+  });
+
+  withEnv({ ...baseEnv, QUORUM_MODE: 'majority' }, () => {
+    assert.throws(() => loadConfig(), /QUORUM_MODE must be one of: count, percent, all/);
+  });
+
+  withEnv({ ...baseEnv, QUORUM_MODE: 'percent', QUORUM_PERCENT: undefined }, () => {
+    assert.throws(() => loadConfig(), /QUORUM_PERCENT is required/);
+  });
+
+  withEnv({ ...baseEnv, QUORUM_MODE: 'percent', QUORUM_PERCENT: '101' }, () => {
+    assert.throws(() => loadConfig(), /QUORUM_PERCENT must be between 1 and 100/);
+  });
+});
@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { evaluateDecidedOutcome } = require('../../src/decided-close');
+
+test('evaluateDecidedOutcome closes once every allowlisted voter has voted', () => {
+  assert.deepEqual(evaluateDecidedOutcome({ counts: [2, 2, 1], remainingVoters: 0 }), {
+    decided: true,
+    reason: 'all-voted',
+    leaderIdx: null
+  });
+  assert.deepEqual(evaluateDecidedOutcome({ counts: [0, 0], remainingVoters: 0 }), {
+    decided: true,
+    reason: 'all-voted',
+    leaderIdx: null
+  });
+});
+
+test('evaluateDecidedOutcome decides a tie once nobody is left to vote', () => {
+  // Voters could still switch their votes, but the evaluation does not wait for that.
+  assert.deepEqual(evaluateDecidedOutcome({ counts: [3, 3, 0], remainingVoters: 0 }), {
+    decided: true,
+    reason: 'all-voted',
+    leaderIdx: null
+  });
+  assert.deepEqual(
+    evaluateDecidedOutcome({ counts: [4, 2, 2], remainingVoters: 0, seats: 2 }).reason,
+    'all-voted'
+  );
+});
+
+test('evaluateDecidedOutcome stays open while any rival can still tie the leader', () => {
+  assert.deepEqual(evaluateDecidedOutcome({ counts: [3, 1, 0], remainingVoters: 2 }), {
+    decided: false,
+    reason: null,
+    leaderIdx: 0
+  });
+  assert.deepEqual(evaluateDecidedOutcome({ counts: [0, 4, 2], remainingVoters: 2 }), {
+    decided: false,
+    reason: null,
+    leaderIdx: 1
+  });
+});
+
+test('evaluateDecidedOutcome closes when no rival can reach the leader', () => {
+  assert.deepEqual(evaluateDecidedOutcome({ counts: [3, 0, 0], remainingVoters: 2 }), {
+    decided: true,
+    reason: 'leader-safe',
+    leaderIdx: 0
+  });
+  assert.deepEqual(evaluateDecidedOutcome({ counts: [1, 5, 2], remainingVoters: 2 }), {
+    decided: true,
+    reason: 'leader-safe',
+    leaderIdx: 1
+  });
+});
+
+test('evaluateDecidedOutcome treats multi-choice voters as able to back every rival at once', () => {
+  // Two rivals each one vote short: one remaining voter could push both level with the leader.
+  assert.equal(evaluateDecidedOutcome({ counts: [3, 2, 2], remainingVoters: 1 }).decided, false);
+  assert.equal(evaluateDecidedOutcome({ counts: [4, 2, 2], remainingVoters: 1 }).decided, true);
+});
+
+test('evaluateDecidedOutcome never decides an existing tie while voters remain', () => {
+  assert.deepEqual(evaluateDecidedOutcome({ counts: [2, 2, 0], remainingVoters: 1 }), {
+    decided: false,
+    reason: null,
+    leaderIdx: null
+  });
+  assert.deepEqual(evaluateDecidedOutcome({ counts: [0, 0, 0], remainingVoters: 5 }), {
+    decided: false,
+    reason: null,
+    leaderIdx: null
+  });
+});
+
+test('evaluateDecidedOutcome applies MIN_WINNER_VOTES', () => {
+  assert.deepEqual(
+    evaluateDecidedOutcome({ counts: [1, 0, 1], remainingVoters: 1, minWinnerVotes: 3 }),
+    { decided: true, reason: 'below-min', leaderIdx: null }
+  );
+  assert.equal(
+    evaluateDecidedOutcome({ counts: [1, 0, 1], remainingVoters: 2, minWinnerVotes: 3 }).decided,
+    false
+  );
+  // A safe leader still below the minimum could yet reach it, so the poll stays open.
+  assert.deepEqual(
+    evaluateDecidedOutcome({ counts: [3, 0, 0], remainingVoters: 2, minWinnerVotes: 4 }),
+    { decided: false, reason: null, leaderIdx: null }
+  );
+  assert.equal(
+    evaluateDecidedOutcome({ counts: [4, 0, 0], remainingVoters: 2, minWinnerVotes: 4 }).reason,
+    'leader-safe'
+  );
+});
+
+test('evaluateDecidedOutcome handles single-option and empty polls', () => {
+  assert.deepEqual(evaluateDecidedOutcome({ counts: [1], remainingVoters: 4 }), {
+    decided: true,
+    reason: 'leader-safe',
+    leaderIdx: 0
+  });
+  assert.equal(evaluateDecidedOutcome({ counts: [0], remainingVoters: 4 }).decided, false);
+  assert.deepEqual(evaluateDecidedOutcome({ counts: [], remainingVoters: 4 }), {
+    decided: false,
+    reason: null,
+    leaderIdx: null
+  });
+});
+
+test('evaluateDecidedOutcome with several seats waits until every seat is safe', () => {
+  // Second seat: option 1 (3) vs option 2 (1) with two voters left can still be tied.
+  assert.deepEqual(evaluateDecidedOutcome({ counts: [5, 3, 1], remainingVoters: 2, seats: 2 }), {
+    decided: false,
+    reason: null,
+    leaderIdx: 0
+  });
+  assert.deepEqual(evaluateDecidedOutcome({ counts: [5, 4, 1], remainingVoters: 2, seats: 2 }), {
+    decided: true,
+    reason: 'leader-safe',
+    leaderIdx: 0
+  });
+  // A tie for the last seat is never decided early.
+  assert.equal(
+    evaluateDecidedOutcome({ counts: [5, 3, 3], remainingVoters: 1, seats: 2 }).decided,
+    false
+  );
+  // An unfilled seat stays open while another option can still reach the minimum.
+  assert.equal(
+    evaluateDecidedOutcome({ counts: [4, 0, 0], remainingVoters: 1, seats: 2 }).decided,
+    false
+  );
+  assert.equal(
+    evaluateDecidedOutcome({ counts: [4, 0, 0], remainingVoters: 1, minWinnerVotes: 2, seats: 2 })
+      .decided,
+    true
+  );
+});
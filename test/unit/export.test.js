@@ -0,0 +1,213 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const Database = require('better-sqlite3');
+
+const { SCHEMA_VERSION, readSchemaVersion } = require('../../src/db');
+const {
+  buildPollExport,
+  formatPollExportCsv,
+  parseExportArgs,
+  runExportCli
+} = require('../../src/export');
+const { TEST_GROUP_ID, createPollDb, insertPoll } = require('../helpers/poll-db');
+
+const VOTER_A = '905551111111@c.us';
+const VOTER_B = '905552222222@c.us';
+
+test('parseExportArgs reads format, week range, output and phone number flags', () => {
+  assert.deepEqual(parseExportArgs([]), {
+    format: 'csv',
+    fromWeekKey: null,
+    toWeekKey: null,
+    outputPath: null,
+    includePhoneNumbers: false
+  });
+
+  const parsed = parseExportArgs([
+    '--format',
+    'JSON',
+    '--from',
+    '2026 W9',
+    '--to',
+    '2026-W10',
+    '--output',
+    'history.json',
+    '--include-phone-numbers'
+  ]);
+  assert.equal(parsed.format, 'json');
+  assert.equal(parsed.fromWeekKey, '2026-W09');
+  assert.equal(parsed.toWeekKey, '2026-W10');
+  assert.equal(parsed.outputPath, path.resolve(process.cwd(), 'history.json'));
+  assert.equal(parsed.includePhoneNumbers, true);
+
+  assert.throws(() => parseExportArgs(['--format', 'xml']), /--format must be one of/);
+  assert.throws(() => parseExportArgs(['--from', 'W10']), /--from must be an ISO week/);
+  assert.throws(() => parseExportArgs(['--from', '2026-W10', '--to', '2026-W09']), /not be later/);
+  assert.throws(() => parseExportArgs(['--output']), /--output needs a value/);
+  assert.throws(() => parseExportArgs(['--verbose']), /Unknown export option/);
+});
+
+test('buildPollExport returns polls in the week range with selections and winners', (t) => {
+  const { pollDb } = createPollDb(t);
+  insertPoll(pollDb, '2026-W09', 1000);
+  const pollId = insertPoll(pollDb, '2026-W10', 2000);
+  insertPoll(pollDb, '2026-W11', 3000);
+
+  pollDb.upsertVote({ pollId, voterJid: VOTER_A, selectedOptions: [0, 1], updatedAt: 2100 });
+  pollDb.upsertVote({
+    pollId,
+    voterJid: VOTER_B,
+    selectedOptions: [1],
+    updatedAt: 2200,
+    source: 'auto'
+  });
+  pollDb.db
+    .prepare(
+      "UPDATE polls SET status = 'ANNOUNCED', close_reason = 'quorum', closed_at = 2500, announced_at = 2600, winners_json = ? WHERE id = ?"
+    )
+    .run(JSON.stringify([{ optionIdx: 1, votes: 2 }]), pollId);
+
+  const redacted = buildPollExport(pollDb, {
+    groupId: TEST_GROUP_ID,
+    fromWeekKey: '2026-W10',
+    toWeekKey: '2026-W10',
+    redactVoters: true
+  });
+
+  assert.equal(redacted.length, 1);
+  assert.equal(redacted[0].weekKey, '2026-W10');
+  assert.equal(redacted[0].closeReason, 'quorum');
+  assert.equal(redacted[0].announcedAt, '1970-01-01T00:00:02.600Z');
+  assert.deepEqual(
+    redacted[0].options.map((option) => [option.label, option.votes]),
+    [
+      ['Fri 20:00 (Mar 6)', 1],
+      ['Sat 15:00 (Mar 7)', 2]
+    ]
+  );
+  assert.deepEqual(redacted[0].winners, [{ index: 1, label: 'Sat 15:00 (Mar 7)', votes: 2 }]);
+  assert.deepEqual(
+    redacted[0].votes.map((vote) => [vote.voter, vote.selectedOptions, vote.auto]),
+    [
+      ['90***11@c.us', [0, 1], false],
+      ['90***22@c.us', [1], true]
+    ]
+  );
+
+  const [unredacted] = buildPollExport(pollDb, {
+    groupId: TEST_GROUP_ID,
+    fromWeekKey: '2026-W10',
+    toWeekKey: '2026-W10',
+    redactVoters: false
+  });
+  assert.deepEqual(
+    unredacted.votes.map((vote) => vote.voter),
+    [VOTER_A, VOTER_B]
+  );
+
+  assert.deepEqual(
+    buildPollExport(pollDb, { groupId: TEST_GROUP_ID, redactVoters: true }).map(
+      (poll) => poll.weekKey
+    ),
+    ['2026-W09', '2026-W10', '2026-W11']
+  );
+});
+
+test('formatPollExportCsv writes one row per voter and quotes unsafe fields', () => {
+  const csv = formatPollExportCsv([
+    {
+      pollId: 7,
+      parentPollId: null,
+      weekKey: '2026-W10',
+      status: 'ANNOUNCED',
+      createdAt: '2026-03-02T09:00:00.000Z',
+      closedAt: '2026-03-03T09:00:00.000Z',
+      closeReason: 'quorum',
+      announcedAt: '2026-03-03T09:00:01.000Z',
+      votesPurgedAt: null,
+      options: [
+        { label: 'Fri, late', votes: 1 },
+        { label: 'Sat "early"', votes: 0 }
+      ],
+      winners: [{ label: '=cmd', votes: 1 }],
+      votes: [
+        {
+          voter: '90***11@c.us',
+          selectedLabels: ['Fri, late'],
+          auto: false,
+          updatedAt: '2026-03-02T10:00:00.000Z'
+        }
+      ]
+    },
+    {
+      pollId: 8,
+      parentPollId: 7,
+      weekKey: '2026-W10',
+      status: 'OPEN',
+      createdAt: '2026-03-03T09:00:00.000Z',
+      closedAt: null,
+      closeReason: null,
+      announcedAt: null,
+      votesPurgedAt: null,
+      options: [],
+      winners: [],
+      votes: []
+    }
+  ]);
+
+  assert.deepEqual(csv.trimEnd().split('\n'), [
+    'week_key,poll_id,parent_poll_id,status,created_at,closed_at,close_reason,announced_at,options,winners,votes_purged_at,voter,selected_options,auto_vote,vote_updated_at',
+    '2026-W10,7,,ANNOUNCED,2026-03-02T09:00:00.000Z,2026-03-03T09:00:00.000Z,quorum,2026-03-03T09:00:01.000Z,"Fri, late (1); Sat ""early"" (0)",\'=cmd (1),,90***11@c.us,"Fri, late",false,2026-03-02T10:00:00.000Z',
+    '2026-W10,8,7,OPEN,2026-03-03T09:00:00.000Z,,,,,,,,,,'
+  ]);
+});
+
+test('runExportCli reads the database without writing and refuses another schema version', (t) => {
+  const { pollDb, tempDir, dbPath } = createPollDb(t);
+  const pollId = insertPoll(pollDb, '2026-W10', 2000);
+  pollDb.upsertVote({ pollId, voterJid: VOTER_A, selectedOptions: [0], updatedAt: 2100 });
+  pollDb.close();
+  const sizeBefore = fs.statSync(dbPath).size;
+
+  const previousEnv = { GROUP_ID: process.env.GROUP_ID, DATA_DIR: process.env.DATA_DIR };
+  const previousExitCode = process.exitCode;
+  const originalConsoleLog = console.log;
+  const logs = [];
+  process.env.GROUP_ID = TEST_GROUP_ID;
+  process.env.DATA_DIR = tempDir;
+  console.log = (...args) => logs.push(args.join(' '));
+  t.after(() => {
+    console.log = originalConsoleLog;
+    process.exitCode = previousExitCode;
+    for (const [key, value] of Object.entries(previousEnv)) {
+      if (value === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = value;
+      }
+    }
+  });
+
+  let written = '';
+  const output = { write: (chunk) => (written += chunk) };
+  runExportCli(['--format', 'json', '--include-phone-numbers'], { output, now: 0 });
+  assert.equal(process.exitCode, previousExitCode);
+  assert.deepEqual(
+    JSON.parse(written).polls.map((poll) => poll.votes.map((vote) => vote.voter)),
+    [[VOTER_A]]
+  );
+  assert.equal(fs.statSync(dbPath).size, sizeBefore);
+
+  const rawDb = new Database(dbPath);
+  rawDb.prepare('DELETE FROM schema_migrations WHERE version = ?').run(SCHEMA_VERSION);
+  rawDb.close();
+
+  written = '';
+  runExportCli([], { output, now: 0 });
+  assert.equal(process.exitCode, 1);
+  assert.equal(written, '');
+  assert.ok(logs.some((entry) => entry.includes('is older than this release')));
+  assert.equal(readSchemaVersion(dbPath), SCHEMA_VERSION - 1);
+});
@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const {
+  derivePseudonym,
+  describeForgetResult,
+  forgetVoterData,
+  loadForgetSecret,
+  parseForgetTarget
+} = require('../../src/forget');
+const { TEST_GROUP_ID, createPollDb, createTempDir, insertPoll } = require('../helpers/poll-db');
+
+const DEPARTED = '905553333333@c.us';
+const SECRET = Buffer.from('forget-test-secret');
+
+test('parseForgetTarget accepts phone numbers and rejects other identifiers', () => {
+  assert.equal(parseForgetTarget('+90 555 333 3333'), DEPARTED);
+  assert.equal(parseForgetTarget(DEPARTED), DEPARTED);
+  assert.equal(parseForgetTarget('777000333@lid'), null);
+  assert.equal(parseForgetTarget('123'), null);
+  assert.equal(parseForgetTarget(''), null);
+});
+
+test('forgetVoterData uses one pseudonym everywhere and leaves other numbers alone', (t) => {
+  const { pollDb } = createPollDb(t);
+  const pollId = insertPoll(pollDb, '2026-W10');
+  pollDb.upsertVote({ pollId, voterJid: DEPARTED, selectedOptions: [0], updatedAt: 3 });
+  pollDb.upsertVote({ pollId, voterJid: DEPARTED, selectedOptions: [], updatedAt: 4 });
+  pollDb.createOutboxMessage({
+    groupId: TEST_GROUP_ID,
+    payload: {
+      kind: 'group-text',
+      text: 'Waiting on @905553333333 and @9055533333331',
+      mentions: [DEPARTED, '9055533333331@c.us']
+    },
+    maxAttempts: 5,
+    createdAt: 5
+  });
+
+  const result = forgetVoterData(pollDb, DEPARTED, SECRET);
+
+  const { pseudonym, ...counts } = result;
+  assert.equal(pseudonym, derivePseudonym(DEPARTED, SECRET));
+  assert.match(pseudonym, /^forgotten-[0-9a-f]{12}$/);
+  assert.deepEqual(counts, {
+    votes: 1,
+    voteEvents: 2,
+    outboxMessages: 1,
+    absences: 0,
+    standingAvailability: 0,
+    aliases: 0
+  });
+  assert.deepEqual(
+    pollDb.listVoteEvents(pollId).map((event) => event.voterJid),
+    [pseudonym, pseudonym]
+  );
+  assert.deepEqual(pollDb.listOutboxMessages(TEST_GROUP_ID)[0].payload, {
+    kind: 'group-text',
+    text: `Waiting on @${pseudonym} and @9055533333331`,
+    mentions: ['9055533333331@c.us']
+  });
+  assert.equal(
+    describeForgetResult(result),
+    [
+      'Voter forgotten.',
+      'Replaced: 1 vote(s), 2 vote history row(s), 1 outbox message(s).',
+      'Deleted: 0 away period(s), 0 standing availability, 0 @lid alias(es).'
+    ].join('\n')
+  );
+  assert.equal(
+    describeForgetResult(forgetVoterData(pollDb, DEPARTED, SECRET)),
+    'No stored data for that number.'
+  );
+});
+
+test('forgetting a voter again after they voted under the same number merges into the pseudonym', (t) => {
+  const { pollDb } = createPollDb(t);
+  const pollId = insertPoll(pollDb, '2026-W10');
+  const laterPollId = insertPoll(pollDb, '2026-W11');
+  pollDb.upsertVote({ pollId, voterJid: DEPARTED, selectedOptions: [0], updatedAt: 3 });
+  const { pseudonym } = forgetVoterData(pollDb, DEPARTED, SECRET);
+
+  pollDb.upsertVote({ pollId, voterJid: DEPARTED, selectedOptions: [1], updatedAt: 4 });
+  pollDb.upsertVote({
+    pollId: laterPollId,
+    voterJid: DEPARTED,
+    selectedOptions: [0],
+    updatedAt: 5
+  });
+  const again = forgetVoterData(pollDb, DEPARTED, SECRET);
+
+  assert.equal(again.pseudonym, pseudonym);
+  assert.equal(again.votes, 2);
+  assert.deepEqual(
+    pollDb.getVotesByPollId(pollId).map((vote) => [vote.voterJid, vote.selectedOptions]),
+    [[pseudonym, [1]]]
+  );
+  assert.deepEqual(
+    pollDb.getVotesByPollId(laterPollId).map((vote) => vote.voterJid),
+    [pseudonym]
+  );
+  assert.deepEqual(
+    pollDb.listVoteEvents(pollId).map((event) => event.voterJid),
+    [pseudonym, pseudonym]
+  );
+});
+
+test('forget pseudonyms are stable per secret and the secret is created private', (t) => {
+  const tempDir = createTempDir(t);
+
+  const secret = loadForgetSecret(tempDir);
+  assert.equal(secret.length, 32);
+  assert.equal(fs.statSync(path.join(tempDir, 'forget.key')).mode & 0o777, 0o600);
+  assert.deepEqual(loadForgetSecret(tempDir), secret);
+
+  assert.equal(derivePseudonym(DEPARTED, secret), derivePseudonym(DEPARTED, secret));
+  assert.notEqual(derivePseudonym(DEPARTED, secret), derivePseudonym(DEPARTED, SECRET));
+  assert.notEqual(derivePseudonym(DEPARTED, secret), derivePseudonym('905554444444@c.us', secret));
+});
@@ -104,6 +104,10 @@ function createConfig(dataDir, overrides = {}) {
     commandMaxLength: 256,
     healthServerPort: null,
     healthServerHost: '127.0.0.1',
+    voteRetentionWeeks: 0,
+    voteEventRetentionWeeks: 0,
+    outboxRetentionWeeks: 0,
+    maintenanceCron: '30 4 * * *',
     ...overrides
   };
 }
@@ -334,6 +338,39 @@ test('normalizeVoteUpdateForPoll returns skip reasons and normalized vote payloa
   );
 });
 
+test('resolved @lid aliases are persisted and reused after a restart without lookups', async (t) => {
+  const first = createBotHarness({}, { now: () => 1000 });
+  const second = createBotHarness({ dataDir: first.config.dataDir }, { now: () => 5000 });
+  t.after(async () => {
+    await second.cleanup();
+  });
+
+  first.client.lidAndPhoneByUserId.set('123456@lid', {
+    lid: '123456@lid',
+    pn: '905552222222@c.us'
+  });
+  assert.equal(
+    await first.bot.resolveAllowlistedVoterJid('123456@lid', '123456@c.us'),
+    '905552222222@c.us'
+  );
+  await first.cleanup();
+
+  second.client.getContactLidAndPhone = async () => {
+    throw new Error('lookup should not be needed');
+  };
+  assert.equal(
+    await second.bot.resolveAllowlistedVoterJid('123456@lid', '123456@c.us'),
+    '905552222222@c.us'
+  );
+  assert.deepEqual(second.bot.db.getContactAlias('123456@lid'), {
+    aliasJid: '123456@lid',
+    phoneJid: '905552222222@c.us',
+    source: 'lookup',
+    firstSeenAt: 1000,
+    lastSeenAt: 5000
+  });
+});
+
 test('missing slot iso falls back to announcing the winner', async (t) => {
   const harness = createBotHarness(
     {
@@ -372,8 +409,7 @@ test('missing slot iso falls back to announcing the winner', async (t) => {
 
   const latest = harness.bot.db.getPollById(pollId);
   assert.equal(latest.status, 'ANNOUNCED');
-  assert.equal(latest.winningOptionIdx, 0);
-  assert.equal(latest.winnerVoteCount, 1);
+  assert.deepEqual(latest.winners, [{ optionIdx: 0, votes: 1 }]);
 
   const groupTextMessages = harness.chat.messages.filter((message) => typeof message === 'string');
   assert.ok(groupTextMessages.some((message) => message.includes('Weekly game slot selected:')));
@@ -417,8 +453,7 @@ test('invalid slot iso falls back to announcing the winner', async (t) => {
 
   const latest = harness.bot.db.getPollById(pollId);
   assert.equal(latest.status, 'ANNOUNCED');
-  assert.equal(latest.winningOptionIdx, 0);
-  assert.equal(latest.winnerVoteCount, 1);
+  assert.deepEqual(latest.winners, [{ optionIdx: 0, votes: 1 }]);
 
   const groupTextMessages = harness.chat.messages.filter((message) => typeof message === 'string');
   assert.ok(groupTextMessages.some((message) => message.includes('Weekly game slot selected:')));
@@ -460,8 +495,7 @@ test('owner DM failure does not prevent closing an expired winner without announ
 
   const latest = harness.bot.db.getPollById(activePoll.id);
   assert.equal(latest.status, 'ANNOUNCED');
-  assert.equal(latest.winningOptionIdx, null);
-  assert.equal(latest.winnerVoteCount, 0);
+  assert.deepEqual(latest.winners, []);
 
   const groupTextMessages = harness.chat.messages.filter((message) => typeof message === 'string');
   assert.ok(groupTextMessages.every((message) => !message.includes('Weekly game slot selected:')));
@@ -509,6 +543,24 @@ test('startCronIfNeeded throws for invalid cron expression', async (t) => {
   assert.throws(() => harness.bot.startCronIfNeeded(), /Invalid cron expression/);
 });
 
+test('startVoteReconciliationIfNeeded schedules one interval and shutdown clears it', async () => {
+  const disabled = createBotHarness();
+  disabled.bot.startVoteReconciliationIfNeeded();
+  assert.equal(disabled.bot.voteReconcileTimer, null);
+  await disabled.cleanup();
+
+  const harness = createBotHarness({ voteReconcileIntervalMinutes: 5 });
+  harness.bot.startVoteReconciliationIfNeeded();
+  const timer = harness.bot.voteReconcileTimer;
+  assert.ok(timer);
+
+  harness.bot.startVoteReconciliationIfNeeded();
+  assert.equal(harness.bot.voteReconcileTimer, timer);
+
+  await harness.cleanup();
+  assert.equal(harness.bot.voteReconcileTimer, null);
+});
+
 test('onMessageCreate does not warn for non-command messages with many tokens', async (t) => {
   const harness = createBotHarness();
   t.after(async () => {
@@ -697,8 +749,7 @@ test('interactive startup mode replaces existing week poll in place and clears v
     closeReason: 'deadline',
     closedAt: now - 1700000,
     announcedAt: now - 1700000,
-    winnerIdx: 0,
-    winnerVotes: 1
+    winners: [{ optionIdx: 0, votes: 1 }]
   });
 
   await harness.bot.onReady();
@@ -71,7 +71,23 @@ test('metrics endpoint exposes counters and runtime gauges', async (t) => {
   observability.markStartupComplete();
   observability.recordPollCreated();
   observability.recordPollClosed('quorum');
+  observability.recordPollClosed('decided');
   observability.recordTieFlow();
+  observability.recordRunoffPoll();
+  observability.recordBelowMinVotesClose();
+  observability.recordPollLockWait({ waitMs: 5, contended: false, timedOut: false });
+  observability.recordPollLockWait({ waitMs: 40, contended: true, timedOut: false });
+  observability.recordPollLockWait({ waitMs: 100, contended: true, timedOut: true });
+  observability.recordVoteReconciliation({ mismatchedVotes: 2 });
+  observability.recordVoteReconciliation({ mismatchedVotes: 0 });
+  observability.recordVoteReconciliation({ skippedLocked: true });
+  observability.recordVoteTallyCheck({ consistent: true });
+  observability.recordVoteTallyCheck({ consistent: false });
+  observability.recordVoteEvaluation({ coalesced: false });
+  observability.recordVoteEvaluation({ coalesced: true });
+  observability.recordVoteEvaluation({ coalesced: true });
+  observability.recordBackup({ ok: true });
+  observability.recordBackup({ ok: false });
   observability.recordOutboxFailure(true);
   observability.recordOutboxFailure(false);
   observability.markClientDisconnected();
@@ -83,9 +99,25 @@ test('metrics endpoint exposes counters and runtime gauges', async (t) => {
   const body = await metricsResponse.text();
 
   assert.match(body, /whatsapp_poller_polls_created_total 1/);
-  assert.match(body, /whatsapp_poller_polls_closed_total 1/);
+  assert.match(body, /whatsapp_poller_polls_closed_total 2/);
   assert.match(body, /whatsapp_poller_poll_closes_quorum_total 1/);
+  assert.match(body, /whatsapp_poller_poll_closes_decided_total 1/);
   assert.match(body, /whatsapp_poller_poll_tie_flows_total 1/);
+  assert.match(body, /whatsapp_poller_runoff_polls_total 1/);
+  assert.match(body, /whatsapp_poller_poll_closes_below_min_votes_total 1/);
+  assert.match(body, /whatsapp_poller_poll_lock_acquisitions_total 2/);
+  assert.match(body, /whatsapp_poller_poll_lock_contended_total 2/);
+  assert.match(body, /whatsapp_poller_poll_lock_timeouts_total 1/);
+  assert.match(body, /whatsapp_poller_poll_lock_wait_ms_total 145/);
+  assert.match(body, /whatsapp_poller_vote_reconcile_runs_total 2/);
+  assert.match(body, /whatsapp_poller_vote_reconcile_mismatches_total 2/);
+  assert.match(body, /whatsapp_poller_vote_reconcile_skipped_locked_total 1/);
+  assert.match(body, /whatsapp_poller_vote_tally_checks_total 2/);
+  assert.match(body, /whatsapp_poller_vote_tally_drift_total 1/);
+  assert.match(body, /whatsapp_poller_vote_evaluations_total 1/);
+  assert.match(body, /whatsapp_poller_vote_evaluations_coalesced_total 2/);
+  assert.match(body, /whatsapp_poller_backups_total 1/);
+  assert.match(body, /whatsapp_poller_backup_failures_total 1/);
   assert.match(body, /whatsapp_poller_outbox_send_failures_total 2/);
   assert.match(body, /whatsapp_poller_outbox_send_retries_total 1/);
   assert.match(body, /whatsapp_poller_client_disconnects_total 1/);
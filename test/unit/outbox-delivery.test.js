@@ -1,7 +1,11 @@
 const test = require('node:test');
 const assert = require('node:assert/strict');
 
-const { deliverOutboxMessage } = require('../../src/services/outbox-delivery');
+const {
+  buildOutboxTextMessage,
+  deliverOutboxMessage,
+  sendOutboxPayload
+} = require('../../src/services/outbox-delivery');
 
 test('deliverOutboxMessage records retry metadata for transient failures', async () => {
   const failedWrites = [];
@@ -96,3 +100,34 @@ test('deliverOutboxMessage marks timed out sends as ambiguous', async () => {
     }
   ]);
 });
+
+test('sendOutboxPayload forwards mentions stored on the outbox payload', async () => {
+  const sends = [];
+  const bot = {
+    now: () => 1_700_000_000_000,
+    outboxMaxAttempts: 3,
+    outboxSendTimeoutMs: 1000,
+    config: { groupId: '1234567890-123456789@g.us' },
+    sendGroupMessage: async (...args) => {
+      sends.push(args);
+    }
+  };
+
+  const plain = buildOutboxTextMessage(bot, 'plain text');
+  const mentioned = buildOutboxTextMessage(bot, 'hi @905552222222', bot.now(), [
+    '905552222222@c.us'
+  ]);
+  assert.equal('mentions' in plain.payload, false);
+
+  await sendOutboxPayload(bot, plain.payload);
+  await sendOutboxPayload(bot, mentioned.payload);
+
+  assert.deepEqual(sends, [
+    ['plain text'],
+    ['hi @905552222222', { mentions: ['905552222222@c.us'] }]
+  ]);
+  await assert.rejects(
+    sendOutboxPayload(bot, { kind: 'group-text', text: 'x', mentions: 'nope' }),
+    /Unsupported outbox payload mentions/
+  );
+});
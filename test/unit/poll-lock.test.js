@@ -0,0 +1,148 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  PollLockTimeoutError,
+  isPollLockTimeoutError,
+  withPollAndParentLock,
+  withPollLock
+} = require('../../src/services/poll-lock');
+
+function createLockBot(pollLockTimeoutMs = 1000) {
+  const waits = [];
+
+  return {
+    waits,
+    pollLocks: new Map(),
+    pollLockTimeoutMs,
+    observability: {
+      recordPollLockWait(entry) {
+        waits.push(entry);
+      }
+    }
+  };
+}
+
+function deferred() {
+  let resolve;
+  const promise = new Promise((innerResolve) => {
+    resolve = innerResolve;
+  });
+  return { promise, resolve };
+}
+
+test('withPollLock runs callers for the same poll one at a time in arrival order', async () => {
+  const bot = createLockBot();
+  const order = [];
+  const gate = deferred();
+
+  const first = withPollLock(bot, 1, async () => {
+    order.push('first:start');
+    await gate.promise;
+    order.push('first:end');
+    return 'first';
+  });
+  const second = withPollLock(bot, 1, async () => {
+    order.push('second');
+    return 'second';
+  });
+  const otherPoll = withPollLock(bot, 2, async () => {
+    order.push('other');
+    return 'other';
+  });
+
+  assert.equal(await otherPoll, 'other');
+  gate.resolve();
+
+  assert.deepEqual(await Promise.all([first, second]), ['first', 'second']);
+  assert.deepEqual(order, ['first:start', 'other', 'first:end', 'second']);
+  assert.deepEqual(
+    bot.waits.map((entry) => [entry.contended, entry.timedOut]),
+    [
+      [false, false],
+      [false, false],
+      [true, false]
+    ]
+  );
+  assert.equal(bot.pollLocks.size, 0);
+});
+
+test('withPollLock releases the lock when the callback throws', async () => {
+  const bot = createLockBot();
+
+  await assert.rejects(
+    withPollLock(bot, 1, async () => {
+      throw new Error('boom');
+    }),
+    /boom/
+  );
+
+  assert.equal(await withPollLock(bot, 1, async () => 'next'), 'next');
+  assert.equal(bot.pollLocks.size, 0);
+});
+
+test('withPollLock times out waiters without letting later callers skip the holder', async () => {
+  const bot = createLockBot(20);
+  const gate = deferred();
+  const order = [];
+
+  const holder = withPollLock(bot, 1, async () => {
+    await gate.promise;
+    order.push('holder');
+  });
+
+  await assert.rejects(
+    withPollLock(bot, 1, async () => {
+      order.push('timed-out');
+    }),
+    (error) => {
+      assert.ok(error instanceof PollLockTimeoutError);
+      assert.ok(isPollLockTimeoutError(error));
+      assert.equal(error.pollId, 1);
+      return true;
+    }
+  );
+
+  bot.pollLockTimeoutMs = 1000;
+  const later = withPollLock(bot, 1, async () => {
+    order.push('later');
+  });
+
+  gate.resolve();
+  await Promise.all([holder, later]);
+
+  assert.deepEqual(order, ['holder', 'later']);
+  assert.equal(bot.waits.filter((entry) => entry.timedOut).length, 1);
+  assert.equal(bot.pollLocks.size, 0);
+});
+
+test('withPollAndParentLock holds a runoff poll together with its parent, parent first', async () => {
+  const bot = createLockBot();
+  const parentPollIds = new Map([
+    [1, null],
+    [2, 1]
+  ]);
+  bot.db = { getPollById: (pollId) => ({ id: pollId, parentPollId: parentPollIds.get(pollId) }) };
+  const gate = deferred();
+  const order = [];
+
+  const parentHolder = withPollAndParentLock(bot, 1, async () => {
+    order.push('parent:start');
+    await gate.promise;
+    order.push('parent:end');
+  });
+  const runoff = withPollAndParentLock(bot, 2, async () => {
+    order.push('runoff');
+    assert.deepEqual([...bot.pollLocks.keys()].sort(), [1, 2]);
+  });
+
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.deepEqual(order, ['parent:start']);
+  assert.equal(bot.pollLocks.has(2), false);
+
+  gate.resolve();
+  await Promise.all([parentHolder, runoff]);
+
+  assert.deepEqual(order, ['parent:start', 'parent:end', 'runoff']);
+  assert.equal(bot.pollLocks.size, 0);
+});
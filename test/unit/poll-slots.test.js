@@ -6,8 +6,10 @@ const {
   buildOptionsForWeek,
   buildWeekKey,
   currentWeekContext,
+  formatSlotKey,
   formatWeekDateRangeLabel,
   isCurrentOrFutureWeek,
+  parseSlotKeyList,
   parseWeeklyPollCron,
   parseWeekSpecifier,
   scheduledWeeklyRunForWeek,
@@ -136,3 +138,17 @@ test('validateSlotTemplate rejects invalid structures and ranges', () => {
     /hour must be an integer between 0 and 23/
   );
 });
+
+test('parseSlotKeyList parses weekday/time keys and round-trips with formatSlotKey', () => {
+  const slots = parseSlotKeyList('Sat 15:00, fri 8:30,SAT 15:00');
+
+  assert.deepEqual(slots, [
+    { weekday: 6, hour: 15, minute: 0 },
+    { weekday: 5, hour: 8, minute: 30 }
+  ]);
+  assert.deepEqual(slots.map(formatSlotKey), ['Sat 15:00', 'Fri 08:30']);
+  assert.deepEqual(parseSlotKeyList(''), []);
+  assert.deepEqual(parseSlotKeyList('Sun10:00'), [{ weekday: 7, hour: 10, minute: 0 }]);
+  assert.throws(() => parseSlotKeyList('Sat 25:00', 'PREF'), /PREF entries must look like/);
+  assert.throws(() => parseSlotKeyList('Someday 10:00'), /slot list entries must look like/);
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  IllegalPollTransitionError,
+  POLL_STATES,
+  PollNotFoundError,
+  assertPollTransition,
+  canApplyPollEffect,
+  canTransitionPoll,
+  isPollStateError
+} = require('../../src/poll-state');
+
+test('canTransitionPoll allows the normal poll lifecycle', () => {
+  assert.equal(canTransitionPoll(null, 'CREATING'), true);
+  assert.equal(canTransitionPoll('CREATING', 'OPEN'), true);
+  assert.equal(canTransitionPoll('CREATING', 'SEND_FAILED'), true);
+  assert.equal(canTransitionPoll('OPEN', 'TIE_PENDING'), true);
+  assert.equal(canTransitionPoll('TIE_PENDING', 'TIE_PENDING'), true);
+  assert.equal(canTransitionPoll('TIE_PENDING', 'RUNOFF_PENDING'), true);
+  assert.equal(canTransitionPoll('RUNOFF_PENDING', 'ANNOUNCED'), true);
+  assert.equal(canTransitionPoll('OPEN', 'ANNOUNCED'), true);
+});
+
+test('canTransitionPoll lets every state be replaced but never re-announced', () => {
+  for (const status of Object.keys(POLL_STATES)) {
+    assert.equal(canTransitionPoll(status, 'CREATING'), true, status);
+  }
+
+  assert.equal(canTransitionPoll('ANNOUNCED', 'ANNOUNCED'), false);
+  assert.equal(canTransitionPoll('ANNOUNCED', 'OPEN'), false);
+  assert.equal(canTransitionPoll('SEND_FAILED', 'OPEN'), false);
+  assert.equal(canTransitionPoll('OPEN', 'RUNOFF_PENDING'), false);
+  assert.equal(canTransitionPoll('RUNOFF_PENDING', 'TIE_PENDING'), false);
+  assert.equal(canTransitionPoll(null, 'ANNOUNCED'), false);
+  assert.equal(canTransitionPoll('UNKNOWN', 'OPEN'), false);
+});
+
+test('assertPollTransition throws typed errors for illegal moves and missing polls', () => {
+  assert.doesNotThrow(() => assertPollTransition({ pollId: 1, from: 'OPEN', to: 'ANNOUNCED' }));
+
+  assert.throws(
+    () => assertPollTransition({ pollId: 1, from: 'ANNOUNCED', to: 'ANNOUNCED' }),
+    (error) => {
+      assert.ok(error instanceof IllegalPollTransitionError);
+      assert.ok(isPollStateError(error));
+      assert.equal(error.code, 'POLL_ILLEGAL_TRANSITION');
+      assert.equal(error.pollId, 1);
+      assert.equal(error.from, 'ANNOUNCED');
+      assert.equal(error.to, 'ANNOUNCED');
+      return true;
+    }
+  );
+
+  assert.throws(
+    () => assertPollTransition({ pollId: 7, from: null, to: 'TIE_PENDING', exists: false }),
+    (error) => {
+      assert.ok(error instanceof PollNotFoundError);
+      assert.ok(isPollStateError(error));
+      assert.equal(error.code, 'POLL_NOT_FOUND');
+      assert.equal(error.pollId, 7);
+      return true;
+    }
+  );
+
+  assert.equal(isPollStateError(new Error('other')), false);
+});
+
+test('canApplyPollEffect limits side effects to the states that own them', () => {
+  assert.equal(canApplyPollEffect('OPEN', 'accept-votes'), true);
+  assert.equal(canApplyPollEffect('OPEN', 'close-timer'), true);
+  assert.equal(canApplyPollEffect('TIE_PENDING', 'accept-votes'), false);
+  assert.equal(canApplyPollEffect('TIE_PENDING', 'manual-pick'), true);
+  assert.equal(canApplyPollEffect('RUNOFF_PENDING', 'manual-pick'), false);
+  assert.equal(canApplyPollEffect('ANNOUNCED', 'game-reminders'), true);
+  assert.equal(canApplyPollEffect('ANNOUNCED', 'vote-reminders'), false);
+  assert.equal(canApplyPollEffect('CREATING', 'close-timer'), false);
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { evaluateQuorum, formatQuorumProgress, resolveRequiredVoters } = require('../../src/quorum');
+
+const allowedVoters = ['a@c.us', 'b@c.us', 'c@c.us', 'd@c.us', 'e@c.us', 'f@c.us', 'g@c.us'];
+
+test('resolveRequiredVoters supports count, percent, and all modes', () => {
+  assert.equal(resolveRequiredVoters({ requiredVoters: 4, allowedVoters }), 4);
+  assert.equal(resolveRequiredVoters({ quorumMode: 'count', requiredVoters: 2, allowedVoters }), 2);
+  assert.equal(
+    resolveRequiredVoters({
+      quorumMode: 'percent',
+      quorumPercent: 50,
+      requiredVoters: 9,
+      allowedVoters
+    }),
+    4
+  );
+  assert.equal(
+    resolveRequiredVoters({
+      quorumMode: 'percent',
+      quorumPercent: 1,
+      requiredVoters: 9,
+      allowedVoters
+    }),
+    1
+  );
+  assert.equal(resolveRequiredVoters({ quorumMode: 'all', requiredVoters: 2, allowedVoters }), 7);
+});
+
+test('evaluateQuorum reports progress and formats it per mode', () => {
+  const percentConfig = {
+    quorumMode: 'percent',
+    quorumPercent: 50,
+    requiredVoters: 5,
+    allowedVoters
+  };
+
+  assert.deepEqual(evaluateQuorum(percentConfig, 3), {
+    mode: 'percent',
+    requiredVoters: 4,
+    uniqueVoterCount: 3,
+    awayVoterCount: 0,
+    met: false
+  });
+  assert.equal(evaluateQuorum(percentConfig, 4).met, true);
+  assert.equal(formatQuorumProgress(evaluateQuorum(percentConfig, 3), percentConfig), '3/4 (50%)');
+
+  const allConfig = { quorumMode: 'all', requiredVoters: 5, allowedVoters };
+  assert.equal(formatQuorumProgress(evaluateQuorum(allConfig, 7), allConfig), '7/7 (all)');
+
+  const countConfig = { requiredVoters: 2, allowedVoters };
+  assert.equal(formatQuorumProgress(evaluateQuorum(countConfig, 1), countConfig), '1/2');
+});
+
+test('away voters without a vote shrink the electorate in every mode', () => {
+  const countConfig = { requiredVoters: 6, allowedVoters };
+  assert.equal(resolveRequiredVoters(countConfig, 0), 6);
+  assert.equal(resolveRequiredVoters(countConfig, 3), 4);
+  assert.equal(resolveRequiredVoters(countConfig, 7), 1);
+
+  const percentConfig = {
+    quorumMode: 'percent',
+    quorumPercent: 50,
+    requiredVoters: 5,
+    allowedVoters
+  };
+  assert.equal(resolveRequiredVoters(percentConfig, 3), 2);
+
+  const allConfig = { quorumMode: 'all', requiredVoters: 5, allowedVoters };
+  const quorum = evaluateQuorum(allConfig, 5, 2);
+  assert.equal(quorum.requiredVoters, 5);
+  assert.equal(quorum.met, true);
+  assert.equal(formatQuorumProgress(quorum, allConfig), '5/5 (all, 2 away)');
+  assert.equal(
+    formatQuorumProgress(evaluateQuorum(countConfig, 1, 3), countConfig),
+    '1/4 (3 away)'
+  );
+});
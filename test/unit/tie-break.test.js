@@ -0,0 +1,171 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildOptionsForWeek } = require('../../src/poll-slots');
+const { describeTieBreak, resolveTieBreak } = require('../../src/tie-break');
+
+const options = buildOptionsForWeek('Europe/Istanbul', 2026, 10);
+
+function pastWinner(weekKey, ...winningOptionIndices) {
+  return {
+    weekKey,
+    options,
+    winners: winningOptionIndices.map((optionIdx) => ({ optionIdx, votes: 2 }))
+  };
+}
+
+test('resolveTieBreak picks earliest or latest tied option', () => {
+  const poll = { id: 7, options };
+
+  const earliest = resolveTieBreak({ strategy: 'earliest', poll, candidates: [6, 1, 4, 1] });
+  assert.equal(earliest.winnerIdx, 1);
+  assert.deepEqual(earliest.inputs, { tiedOptions: [2, 5, 7] });
+  assert.equal(describeTieBreak(earliest), 'Tie broken by earliest slot.');
+
+  const latest = resolveTieBreak({ strategy: 'latest', poll, candidates: [6, 1, 4] });
+  assert.equal(latest.winnerIdx, 6);
+});
+
+test('resolveTieBreak seeded-random is deterministic per poll id', () => {
+  const first = resolveTieBreak({
+    strategy: 'seeded-random',
+    poll: { id: 42, options },
+    candidates: [0, 1, 2]
+  });
+  const again = resolveTieBreak({
+    strategy: 'seeded-random',
+    poll: { id: 42, options },
+    candidates: [2, 1, 0]
+  });
+
+  assert.deepEqual(again, first);
+  assert.equal(first.inputs.seed, 'poll:42');
+  assert.equal(first.winnerIdx, [0, 1, 2][Number.parseInt(first.inputs.digest, 16) % 3]);
+  assert.match(describeTieBreak(first), /seed poll:42, digest [0-9a-f]{8}/);
+
+  const picks = new Set(
+    [1, 2, 3, 4, 5, 6, 7, 8].map(
+      (id) =>
+        resolveTieBreak({ strategy: 'seeded-random', poll: { id, options }, candidates: [0, 1, 2] })
+          .winnerIdx
+    )
+  );
+  assert.ok(picks.size > 1);
+});
+
+test('resolveTieBreak least-recent-weekday favours weekdays that won longest ago or never', () => {
+  const poll = { id: 9, options };
+  // Options: 0=Mon 20:00, 1=Tue 20:00, 5=Sat 10:00, 6=Sat 15:00.
+  const pastWinners = [
+    pastWinner('2026-W09', 0),
+    pastWinner('2026-W08', 5),
+    pastWinner('2026-W07', 1)
+  ];
+
+  const byAge = resolveTieBreak({
+    strategy: 'least-recent-weekday',
+    poll,
+    candidates: [0, 1, 6],
+    pastWinners
+  });
+  assert.equal(byAge.winnerIdx, 1);
+  assert.equal(
+    describeTieBreak(byAge),
+    'Tie broken by least-recent weekday (Tue last won in 2026-W07).'
+  );
+
+  const neverWon = resolveTieBreak({
+    strategy: 'least-recent-weekday',
+    poll,
+    candidates: [0, 2, 6],
+    pastWinners
+  });
+  assert.equal(neverWon.winnerIdx, 2);
+  assert.deepEqual(neverWon.inputs.candidates[3], { weekday: 'Wed', lastWonWeekKey: null });
+  assert.equal(
+    describeTieBreak(neverWon),
+    'Tie broken by least-recent weekday (Wed has not won before).'
+  );
+});
+
+test('resolveTieBreak owner-preference follows configured order and falls back to earliest', () => {
+  const poll = { id: 3, options };
+  const preference = [
+    { weekday: 7, hour: 15, minute: 0 },
+    { weekday: 6, hour: 15, minute: 0 }
+  ];
+
+  const matched = resolveTieBreak({
+    strategy: 'owner-preference',
+    poll,
+    candidates: [0, 6],
+    preference
+  });
+  assert.equal(matched.winnerIdx, 6);
+  assert.equal(matched.inputs.matched, 'Sat 15:00');
+  assert.equal(describeTieBreak(matched), 'Tie broken by owner preference (Sat 15:00).');
+
+  const fallback = resolveTieBreak({
+    strategy: 'owner-preference',
+    poll,
+    candidates: [3, 1],
+    preference
+  });
+  assert.equal(fallback.winnerIdx, 1);
+  assert.equal(fallback.inputs.fallback, 'earliest');
+});
+
+test('resolveTieBreak ranks candidates to fill several tied sessions', () => {
+  const poll = { id: 11, options };
+
+  const earliest = resolveTieBreak({ strategy: 'earliest', poll, candidates: [6, 1, 4], seats: 2 });
+  assert.deepEqual(earliest.winnerIndices, [1, 4]);
+  assert.equal(earliest.winnerIdx, 1);
+  assert.deepEqual(earliest.inputs, { tiedOptions: [2, 5, 7], seats: 2, picked: [2, 5] });
+
+  const latest = resolveTieBreak({ strategy: 'latest', poll, candidates: [6, 1, 4], seats: 5 });
+  assert.deepEqual(latest.winnerIndices, [6, 4, 1]);
+
+  const seeded = resolveTieBreak({
+    strategy: 'seeded-random',
+    poll,
+    candidates: [0, 1, 2, 3],
+    seats: 2
+  });
+  const single = resolveTieBreak({ strategy: 'seeded-random', poll, candidates: [0, 1, 2, 3] });
+  assert.equal(seeded.winnerIdx, single.winnerIdx);
+  assert.equal(new Set(seeded.winnerIndices).size, 2);
+
+  const byAge = resolveTieBreak({
+    strategy: 'least-recent-weekday',
+    poll,
+    candidates: [0, 1, 5, 6],
+    pastWinners: [pastWinner('2026-W09', 0, 5), pastWinner('2026-W08', 1)],
+    seats: 2
+  });
+  // Mon and Sat last won in W09 and Tue in W08: Tue leads, then the earliest W09 weekday.
+  assert.deepEqual(byAge.winnerIndices, [1, 0]);
+
+  const preferred = resolveTieBreak({
+    strategy: 'owner-preference',
+    poll,
+    candidates: [0, 3, 6],
+    preference: [{ weekday: 6, hour: 15, minute: 0 }],
+    seats: 2
+  });
+  assert.deepEqual(preferred.winnerIndices, [6, 0]);
+  assert.equal(preferred.inputs.matched, 'Sat 15:00');
+});
+
+test('resolveTieBreak rejects unknown strategies and empty candidates', () => {
+  const poll = { id: 1, options };
+
+  assert.throws(
+    () => resolveTieBreak({ strategy: 'coin-flip', poll, candidates: [0] }),
+    /Unknown tie-break strategy/
+  );
+  assert.throws(
+    () => resolveTieBreak({ strategy: 'earliest', poll, candidates: [] }),
+    /at least one candidate/
+  );
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  applyVoteToTally,
+  compareVoteTallies,
+  createVoteTally,
+  normalizeSelection
+} = require('../../src/vote-tally');
+
+test('normalizeSelection keeps unique in-range option indices', () => {
+  assert.deepEqual(normalizeSelection([2, 0, 2, -1, 5, 1.5, '1'], 3), [2, 0]);
+  assert.deepEqual(normalizeSelection(null, 3), []);
+});
+
+test('createVoteTally counts each voter once per selected option', () => {
+  const tally = createVoteTally(3, [
+    { voterJid: 'a', selectedOptions: [0, 1] },
+    { voterJid: 'b', selectedOptions: [1] },
+    { voterJid: 'c', selectedOptions: [] }
+  ]);
+
+  assert.deepEqual(tally.counts, [1, 2, 0]);
+  assert.deepEqual([...tally.selections.keys()], ['a', 'b']);
+});
+
+test('applyVoteToTally replaces and retracts a voter selection', () => {
+  const tally = createVoteTally(3, [{ voterJid: 'a', selectedOptions: [0, 1] }]);
+
+  applyVoteToTally(tally, 'a', [2]);
+  assert.deepEqual(tally.counts, [0, 0, 1]);
+
+  applyVoteToTally(tally, 'a', []);
+  assert.deepEqual(tally.counts, [0, 0, 0]);
+  assert.equal(tally.selections.size, 0);
+});
+
+test('incremental tally matches a full rebuild after many changed votes', () => {
+  const optionCount = 5;
+  const latest = new Map();
+  const tally = createVoteTally(optionCount);
+
+  for (let step = 0; step < 500; step += 1) {
+    const voterJid = `voter-${(step * 7) % 40}`;
+    const selectedOptions = [step % optionCount, (step * 3) % optionCount].slice(0, step % 3);
+    latest.set(voterJid, selectedOptions);
+    applyVoteToTally(tally, voterJid, selectedOptions);
+  }
+
+  const rebuilt = createVoteTally(
+    optionCount,
+    [...latest].map(([voterJid, selectedOptions]) => ({ voterJid, selectedOptions }))
+  );
+  assert.deepEqual(compareVoteTallies(tally, rebuilt), {
+    consistent: true,
+    mismatchedOptions: [],
+    mismatchedVoters: []
+  });
+});
+
+test('compareVoteTallies reports drifted options and voters', () => {
+  const expected = createVoteTally(2, [
+    { voterJid: 'a', selectedOptions: [0] },
+    { voterJid: 'b', selectedOptions: [1, 0] }
+  ]);
+  const actual = createVoteTally(2, [
+    { voterJid: 'a', selectedOptions: [0] },
+    { voterJid: 'b', selectedOptions: [0] }
+  ]);
+
+  assert.deepEqual(compareVoteTallies(actual, expected), {
+    consistent: false,
+    mismatchedOptions: [1],
+    mismatchedVoters: ['b']
+  });
+});
+
+test('vote tallies track which counted voters only have an auto vote', () => {
+  const tally = createVoteTally(2, [
+    { voterJid: 'a', selectedOptions: [0], auto: true },
+    { voterJid: 'b', selectedOptions: [1], auto: false }
+  ]);
+  assert.deepEqual([...tally.autoVoters], ['a']);
+
+  applyVoteToTally(tally, 'a', [1]);
+  assert.deepEqual(tally.counts, [0, 2]);
+  assert.equal(tally.autoVoters.size, 0);
+
+  applyVoteToTally(tally, 'b', [0], true);
+  assert.deepEqual(
+    compareVoteTallies(
+      tally,
+      createVoteTally(2, [
+        { voterJid: 'a', selectedOptions: [1] },
+        { voterJid: 'b', selectedOptions: [0] }
+      ])
+    ).mismatchedVoters,
+    ['b']
+  );
+});
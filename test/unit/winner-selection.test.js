@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { selectFallbackWinners, selectWinners } = require('../../src/winner-selection');
+
+test('selectWinners picks the single top option by default', () => {
+  assert.deepEqual(selectWinners({ counts: [1, 4, 2] }), {
+    winners: [{ optionIdx: 1, votes: 4 }],
+    tie: null
+  });
+  assert.deepEqual(selectWinners({ counts: [3, 1, 3] }), {
+    winners: [],
+    tie: { candidates: [0, 2], seats: 1, votes: 3 }
+  });
+});
+
+test('selectWinners fills several seats in rank order and leaves the straddling rank tied', () => {
+  assert.deepEqual(selectWinners({ counts: [2, 5, 3, 1], seats: 2 }), {
+    winners: [
+      { optionIdx: 1, votes: 5 },
+      { optionIdx: 2, votes: 3 }
+    ],
+    tie: null
+  });
+
+  // Two options share second place and both fit into the remaining seats.
+  assert.deepEqual(selectWinners({ counts: [2, 5, 2, 1], seats: 3 }).winners, [
+    { optionIdx: 1, votes: 5 },
+    { optionIdx: 0, votes: 2 },
+    { optionIdx: 2, votes: 2 }
+  ]);
+
+  assert.deepEqual(selectWinners({ counts: [2, 5, 2, 2], seats: 2 }), {
+    winners: [{ optionIdx: 1, votes: 5 }],
+    tie: { candidates: [0, 2, 3], seats: 1, votes: 2 }
+  });
+  assert.deepEqual(selectWinners({ counts: [4, 4, 4, 1], seats: 2 }), {
+    winners: [],
+    tie: { candidates: [0, 1, 2], seats: 2, votes: 4 }
+  });
+});
+
+test('selectWinners never picks options below the minimum or without votes', () => {
+  assert.deepEqual(selectWinners({ counts: [0, 3, 0], seats: 2 }), {
+    winners: [{ optionIdx: 1, votes: 3 }],
+    tie: null
+  });
+  assert.deepEqual(selectWinners({ counts: [4, 2, 2], seats: 2, minVotes: 3 }), {
+    winners: [{ optionIdx: 0, votes: 4 }],
+    tie: null
+  });
+  assert.deepEqual(selectWinners({ counts: [0, 0], seats: 2 }), { winners: [], tie: null });
+});
+
+test('selectWinners can rank a subset of candidates', () => {
+  assert.deepEqual(selectWinners({ counts: [9, 2, 3, 3], seats: 1, candidates: [1, 2, 3] }), {
+    winners: [],
+    tie: { candidates: [2, 3], seats: 1, votes: 3 }
+  });
+});
+
+test('selectFallbackWinners walks future options in vote order above the threshold', () => {
+  const counts = [5, 4, 3, 3, 1, 0];
+  const isExpired = (optionIdx) => optionIdx <= 1;
+
+  assert.deepEqual(selectFallbackWinners({ counts, excluded: [0], seats: 1, isExpired }), [
+    { optionIdx: 2, votes: 3 }
+  ]);
+  assert.deepEqual(selectFallbackWinners({ counts, excluded: [0, 2], seats: 2, isExpired }), [
+    { optionIdx: 3, votes: 3 },
+    { optionIdx: 4, votes: 1 }
+  ]);
+  assert.deepEqual(
+    selectFallbackWinners({ counts, excluded: [0], seats: 3, minVotes: 3, isExpired }),
+    [
+      { optionIdx: 2, votes: 3 },
+      { optionIdx: 3, votes: 3 }
+    ]
+  );
+  assert.deepEqual(
+    selectFallbackWinners({ counts, excluded: [0], seats: 1, minVotes: 4, isExpired }),
+    []
+  );
+});